@@ -19,6 +19,9 @@ import OfflineBanner from './src/components/OfflineBanner';
 import crashReporter from './src/services/crashReporter';
 import analyticsService from './src/services/analyticsService';
 import notificationService from './src/services/notificationService';
+import regulationPackService from './src/services/regulationPackService';
+import tideService from './src/services/tideService';
+import stormWatchService from './src/services/stormWatchService';
 import { setupDefaultTextProps } from './src/utils/fontScaling';
 
 // ── Enable dynamic font scaling with safety cap ────────
@@ -61,6 +64,10 @@ export default function App() {
     crashReporter.init();
     analyticsService.init();
     notificationService.init();
+    regulationPackService.init();
+    tideService.syncOfflineStations();
+    stormWatchService.start();
+    return () => stormWatchService.stop();
   }, []);
 
   return (
@@ -134,6 +134,16 @@ jest.mock('@rnmapbox/maps', () => ({
   },
 }));
 
+// Mock Geolocation
+jest.mock('@react-native-community/geolocation', () => ({
+  __esModule: true,
+  default: {
+    getCurrentPosition: jest.fn(),
+    watchPosition: jest.fn(() => 1),
+    clearWatch: jest.fn(),
+  },
+}));
+
 // Mock fetch
 global.fetch = jest.fn(() =>
   Promise.resolve({
@@ -0,0 +1,300 @@
+#!/usr/bin/env node
+/**
+ * Hotspot Aggregation Job — ProFish (#573)
+ *
+ * Builds the fish_hotspots collection that the map's heatmap reads
+ * (src/services/hotspotService.js). It needs every angler's catches, so
+ * it runs here with admin credentials and never in the app: Firestore
+ * rules keep users/{uid}/catches readable by their owner only.
+ *
+ * Usage:
+ *   HOTSPOT_JITTER_SALT=<secret> \
+ *   GOOGLE_APPLICATION_CREDENTIALS=<service-account.json> \
+ *     node scripts/aggregate-hotspots.js [--dry-run]
+ *
+ * Run it daily (e.g. from a scheduled CI job); the app caches tiles for
+ * 12 hours. With FIRESTORE_EMULATOR_HOST set it talks to the local
+ * emulator instead, and the salt may be left out:
+ *   firebase emulators:exec --only firestore --project demo-profish \
+ *     "node scripts/aggregate-hotspots.js"
+ * The production catches collection group needs a single-field index
+ * exemption on createdAt (collection group scope, ascending).
+ *
+ * Catches are binned into geohash cells (precision 5, about 5 km) and
+ * counted four ways: all, per season, per species, per species and
+ * season. A count is only published when it passes all of:
+ *   - K_ANONYMITY distinct anglers contributed to it
+ *   - at least MIN_CELL_CATCHES catches
+ *   - no single angler makes up more than MAX_ANGLER_SHARE of it
+ * Published cells carry a coarse weight (1–5) instead of the count, and
+ * a point jittered inside the cell instead of its centre, so the layer
+ * doesn't draw the geohash grid. The jitter is an HMAC of the cell under
+ * HOTSPOT_JITTER_SALT: the same on every run, so it can't be averaged
+ * out, and not computable without the salt. User ids, catch positions
+ * and exact counts never leave this job.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const Module = require('module');
+
+const ROOT = path.resolve(__dirname, '..');
+const SRC = path.join(ROOT, 'src') + path.sep;
+
+// Jest compiles the app modules itself; from the command line they're
+// compiled with Babel, as in backtest-models.js
+function installAppModuleLoader() {
+  const load = Module._load;
+  Module._load = function (request, parent, isMain) {
+    if (request === 'react-native-config') return {};
+    if (request === '@react-native-async-storage/async-storage') {
+      return { __esModule: true, default: {} };
+    }
+    return load.call(this, request, parent, isMain);
+  };
+
+  const babel = require('@babel/core');
+  const compileJs = Module._extensions['.js'];
+  Module._extensions['.js'] = function (module, filename) {
+    if (!filename.startsWith(SRC)) return compileJs(module, filename);
+    const { code } = babel.transformSync(fs.readFileSync(filename, 'utf8'), {
+      filename,
+      babelrc: false,
+      configFile: false,
+      presets: [['@babel/preset-env', { targets: { node: 'current' } }]],
+    });
+    module._compile(code, filename);
+  };
+}
+
+if (require.main === module) installAppModuleLoader();
+
+const { encodeGeohash, geohashBounds } = require('../src/utils/geo');
+const {
+  ALL,
+  HOTSPOT_COLLECTION,
+  TILE_PRECISION,
+  seasonOf,
+} = require('../src/services/hotspotService');
+
+const HOTSPOT_PRECISION = 5;
+const K_ANONYMITY = 3;
+const MIN_CELL_CATCHES = 5;
+const MAX_ANGLER_SHARE = 0.5;
+
+const JITTER_FRACTION = 0.35; // Of the cell size, either side of centre
+const WEIGHT_LEVELS = 5;
+const LOOKBACK_DAYS = 730; // Two of each season
+const BATCH_SIZE = 400; // Firestore allows 500 writes per batch
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ── Aggregation ──────────────────────────────────────────
+
+function jitteredPoint(cell, salt) {
+  const { south, west, north, east } = geohashBounds(cell);
+  const digest = crypto.createHmac('sha256', salt).update(cell).digest();
+  const offset = at =>
+    (digest.readUInt32BE(at) / 0xffffffff - 0.5) * 2 * JITTER_FRACTION;
+  return {
+    latitude: (south + north) / 2 + offset(0) * (north - south),
+    longitude: (west + east) / 2 + offset(4) * (east - west),
+  };
+}
+
+// MIN_CELL_CATCHES is weight 1, and each doubling one more
+function weightOf(count, minCatches) {
+  return Math.min(WEIGHT_LEVELS, 1 + Math.floor(Math.log2(count / minCatches)));
+}
+
+/**
+ * Bin catches into publishable hotspot cells
+ * @param {Object[]} catches - { userId, latitude, longitude, species,
+ *   createdAt }
+ * @param {Object} [options] - { salt, precision, k, minCatches }
+ * @returns {{ cells: Object[], suppressed: number }} cells are
+ *   { cell, species, season, weight, latitude, longitude }; species and
+ *   season are ALL in the unsplit counts
+ */
+function aggregateHotspots(catches, options = {}) {
+  const {
+    salt = '',
+    precision = HOTSPOT_PRECISION,
+    k = K_ANONYMITY,
+    minCatches = MIN_CELL_CATCHES,
+  } = options;
+
+  const buckets = new Map();
+  const add = (cell, species, season, userId) => {
+    const key = `${cell}|${species}|${season}`;
+    let bucket = buckets.get(key);
+    if (!bucket) {
+      bucket = { cell, species, season, count: 0, anglers: new Map() };
+      buckets.set(key, bucket);
+    }
+    bucket.count++;
+    bucket.anglers.set(userId, (bucket.anglers.get(userId) || 0) + 1);
+  };
+
+  for (const c of catches) {
+    if (!c.userId || !c.createdAt) continue;
+    if (!Number.isFinite(c.latitude) || !Number.isFinite(c.longitude)) {
+      continue;
+    }
+    const cell = encodeGeohash(c.latitude, c.longitude, precision);
+    const season = seasonOf(c.createdAt, c.latitude);
+    const species = (c.species || '').trim();
+    add(cell, ALL, ALL, c.userId);
+    add(cell, ALL, season, c.userId);
+    if (species) {
+      add(cell, species, ALL, c.userId);
+      add(cell, species, season, c.userId);
+    }
+  }
+
+  const cells = [];
+  let suppressed = 0;
+  for (const bucket of buckets.values()) {
+    const topAngler = Math.max(...bucket.anglers.values());
+    if (
+      bucket.anglers.size < k ||
+      bucket.count < minCatches ||
+      topAngler / bucket.count > MAX_ANGLER_SHARE
+    ) {
+      suppressed++;
+      continue;
+    }
+    cells.push({
+      cell: bucket.cell,
+      species: bucket.species,
+      season: bucket.season,
+      weight: weightOf(bucket.count, minCatches),
+      ...jitteredPoint(bucket.cell, salt),
+    });
+  }
+  cells.sort((a, b) => a.cell.localeCompare(b.cell));
+  return { cells, suppressed };
+}
+
+// ── Firestore ────────────────────────────────────────────
+
+/**
+ * Rebuild the fish_hotspots collection from synced catches. Tiles left
+ * with no publishable cells are deleted.
+ * @param {Object} db - firebase-admin Firestore instance
+ * @param {Object} [options] - aggregateHotspots options, plus now,
+ *   lookbackDays and dryRun
+ * @returns {Promise<{ catches, published, suppressed, tiles }>}
+ */
+async function runHotspotAggregation(db, options = {}) {
+  const {
+    now = new Date(),
+    lookbackDays = LOOKBACK_DAYS,
+    dryRun = false,
+  } = options;
+  const since = new Date(new Date(now).getTime() - lookbackDays * DAY_MS);
+
+  const snapshot = await db
+    .collectionGroup('catches')
+    .where('createdAt', '>=', since.toISOString())
+    .get();
+  const catches = [];
+  for (const doc of snapshot.docs) {
+    // Tournament entries keep copies of the same catches
+    const [root, uid] = doc.ref.path.split('/');
+    if (root !== 'users') continue;
+    const data = doc.data();
+    catches.push({
+      userId: uid,
+      latitude: data.latitude,
+      longitude: data.longitude,
+      species: data.species,
+      createdAt: data.createdAt,
+    });
+  }
+
+  const { cells, suppressed } = aggregateHotspots(catches, options);
+  const tiles = new Map();
+  for (const cell of cells) {
+    const tile = cell.cell.slice(0, TILE_PRECISION);
+    if (!tiles.has(tile)) tiles.set(tile, []);
+    tiles.get(tile).push(cell);
+  }
+  const result = {
+    catches: catches.length,
+    published: cells.length,
+    suppressed,
+    tiles: tiles.size,
+  };
+  if (dryRun) return result;
+
+  const collection = db.collection(HOTSPOT_COLLECTION);
+  const existing = await collection.get();
+  const generatedAt = new Date(now).toISOString();
+  const writes = [
+    ...[...tiles].map(
+      ([tile, tileCells]) =>
+        batch =>
+          batch.set(collection.doc(tile), {
+            tile,
+            precision: HOTSPOT_PRECISION,
+            generatedAt,
+            cells: tileCells,
+          }),
+    ),
+    ...existing.docs
+      .filter(doc => !tiles.has(doc.id))
+      .map(doc => batch => batch.delete(doc.ref)),
+  ];
+  for (let i = 0; i < writes.length; i += BATCH_SIZE) {
+    const batch = db.batch();
+    writes.slice(i, i + BATCH_SIZE).forEach(write => write(batch));
+    await batch.commit();
+  }
+  return result;
+}
+
+// ── CLI ──────────────────────────────────────────────────
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  const emulator = process.env.FIRESTORE_EMULATOR_HOST;
+  const salt = process.env.HOTSPOT_JITTER_SALT || '';
+  if (!salt && !emulator) {
+    console.error('Set HOTSPOT_JITTER_SALT; without it the jitter is public');
+    process.exit(1);
+  }
+
+  const { initializeApp } = require('firebase-admin/app');
+  const { getFirestore } = require('firebase-admin/firestore');
+  initializeApp(
+    emulator
+      ? { projectId: process.env.GCLOUD_PROJECT || 'demo-profish' }
+      : undefined,
+  );
+
+  const result = await runHotspotAggregation(getFirestore(), {
+    salt,
+    dryRun,
+  });
+  console.log(
+    `${result.catches} catches → ${result.published} hotspot cells in ` +
+      `${result.tiles} tiles (${result.suppressed} suppressed)` +
+      (dryRun ? ' — dry run, nothing written' : ''),
+  );
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error(`Hotspot aggregation failed: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  HOTSPOT_PRECISION,
+  K_ANONYMITY,
+  MIN_CELL_CATCHES,
+  aggregateHotspots,
+  runHotspotAggregation,
+};
@@ -0,0 +1,181 @@
+#!/usr/bin/env node
+/**
+ * Model Backtest Script — ProFish (#424)
+ *
+ * Replays recorded hourly conditions and a catch log through FishCast,
+ * mlConditionsService, predictiveCatchService and the bite alert rules,
+ * and reports how well each one's scores line up with the catches.
+ *
+ * Usage:
+ *   node scripts/backtest-models.js [dataset.json] [options]
+ *
+ * Options:
+ *   --catches <file>   Catch log to use instead of the dataset's own
+ *                      (a JSON array, or an export with a `catches` array)
+ *   --models <ids>     Comma-separated: fishcast,ml,predictive,biteAlerts
+ *   --window <hours>   Best-window length (default 2)
+ *   --json             Print the raw report instead of tables
+ *
+ * Without a dataset it runs scripts/fixtures/backtest-sample.json — a
+ * synthetic week made up to exercise the pipeline. Its numbers say nothing
+ * about the models; use a real export for that. The dataset format is
+ * described at the top of src/services/backtestService.js.
+ *
+ * Unlike validate-solunar.js this runs the real services: they're
+ * compiled on the fly with Babel, and the two native modules they touch
+ * (AsyncStorage, react-native-config) are swapped for in-memory stand-ins.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Module = require('module');
+
+const ROOT = path.resolve(__dirname, '..');
+const DEFAULT_DATASET = path.join(__dirname, 'fixtures/backtest-sample.json');
+
+// ── Arguments ────────────────────────────────────────────
+
+const args = process.argv.slice(2);
+const option = name => {
+  const i = args.indexOf(name);
+  return i >= 0 ? args[i + 1] : undefined;
+};
+const positional = args.filter(
+  (a, i) =>
+    !a.startsWith('--') &&
+    !['--catches', '--models', '--window'].includes(args[i - 1]),
+);
+
+const datasetPath = path.resolve(positional[0] || DEFAULT_DATASET);
+const catchesPath = option('--catches');
+const models = option('--models')
+  ?.split(',')
+  .map(m => m.trim());
+const windowHours = Number(option('--window') || 2);
+const asJson = args.includes('--json');
+
+const readJson = file => JSON.parse(fs.readFileSync(file, 'utf8'));
+
+let dataset;
+try {
+  dataset = readJson(datasetPath);
+  if (catchesPath) {
+    const log = readJson(path.resolve(catchesPath));
+    dataset.catches = Array.isArray(log) ? log : log.catches || [];
+  }
+} catch (error) {
+  console.error(`Could not read dataset: ${error.message}`);
+  process.exit(1);
+}
+
+// Local time drives time-of-day scoring — use the spot's, not this machine's
+if (dataset.timezone) process.env.TZ = dataset.timezone;
+
+// ── Run the app's services in Node ───────────────────────
+
+const memoryStore = new Map();
+const SHIMS = {
+  '@react-native-async-storage/async-storage': {
+    getItem: async key => (memoryStore.has(key) ? memoryStore.get(key) : null),
+    setItem: async (key, value) => {
+      memoryStore.set(key, value);
+    },
+    removeItem: async key => {
+      memoryStore.delete(key);
+    },
+    getAllKeys: async () => [...memoryStore.keys()],
+    multiRemove: async keys => keys.forEach(k => memoryStore.delete(k)),
+    clear: async () => memoryStore.clear(),
+  },
+  'react-native-config': {},
+};
+
+const load = Module._load;
+Module._load = function (request, parent, isMain) {
+  if (request in SHIMS) {
+    return { __esModule: true, default: SHIMS[request], ...SHIMS[request] };
+  }
+  if (request.startsWith('@react-native-firebase/')) {
+    throw new Error(`${request} is not available outside the app`);
+  }
+  return load.call(this, request, parent, isMain);
+};
+
+const babel = require('@babel/core');
+const SRC = path.join(ROOT, 'src') + path.sep;
+const compileJs = Module._extensions['.js'];
+Module._extensions['.js'] = function (module, filename) {
+  if (!filename.startsWith(SRC)) return compileJs(module, filename);
+  const { code } = babel.transformSync(fs.readFileSync(filename, 'utf8'), {
+    filename,
+    babelrc: false,
+    configFile: false,
+    presets: [['@babel/preset-env', { targets: { node: 'current' } }]],
+  });
+  module._compile(code, filename);
+};
+
+const { runBacktest } = require(path.join(SRC, 'services/backtestService'));
+
+// ── Report ───────────────────────────────────────────────
+
+let report;
+try {
+  report = runBacktest(dataset, { models, windowHours });
+} catch (error) {
+  console.error(`Backtest failed: ${error.message}`);
+  process.exit(1);
+}
+
+if (asJson) {
+  console.log(JSON.stringify(report, null, 2));
+  process.exit(0);
+}
+
+const pct = v => (v == null ? '  —  ' : `${(v * 100).toFixed(0)}%`.padStart(5));
+const num = v => (v == null ? '  —  ' : v.toFixed(2).padStart(5));
+
+console.log('╔══════════════════════════════════════════════════════════════╗');
+console.log('║        ProFish — FishCast & Model Backtest                  ║');
+console.log(
+  '╚══════════════════════════════════════════════════════════════╝\n',
+);
+console.log(`  Dataset:  ${report.dataset}`);
+console.log(
+  `  Replayed: ${report.hours} h, ${report.catches} catches in ${report.catchHours} h\n`,
+);
+
+console.log(`─── Summary (best ${report.windowHours}h window per day) ───`);
+console.log(
+  `  ${'Model'.padEnd(18)} ${'rho'.padStart(6)} ${'ECE'.padStart(6)}  ` +
+    `${'hit'.padStart(5)}  ${'chance'.padStart(5)}  ${'lift'.padStart(5)}`,
+);
+for (const m of Object.values(report.models)) {
+  const w = m.bestWindow;
+  console.log(
+    `  ${m.label.padEnd(18)} ${num(m.spearman).padStart(6)} ` +
+      `${num(m.calibration.ece).padStart(6)}  ` +
+      `${pct(w.hitRate)}  ${pct(w.chance).padStart(6)}  ${num(w.lift)}` +
+      `  (${w.hits}/${w.days} days)`,
+  );
+}
+console.log();
+
+console.log('─── Catch rate by score band ───');
+for (const m of Object.values(report.models)) {
+  const bands = m.calibration.bins
+    .filter(b => b.hours > 0)
+    .map(
+      b =>
+        `${String(b.from).padStart(3)}-${b.to}: ${pct(b.catchRate)} (${
+          b.hours
+        }h)`,
+    )
+    .join('  ');
+  const trend = m.calibration.monotonic ? '✓ rising' : '✗ not monotonic';
+  console.log(`  ${m.label}  ${trend}`);
+  console.log(`    ${bands}`);
+}
+console.log();
+
+process.exit(0);
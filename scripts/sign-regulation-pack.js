@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+/**
+ * Regulation Pack Signing Script — ProFish (#531)
+ *
+ * Signs a region's rules, or the boundary / protected-area GeoJSON, as a
+ * regulation pack for the regulation_packs/{id} Firestore document. The
+ * app only holds the Ed25519 public key (src/config/regulationPackKey.js);
+ * the private key stays with whoever publishes rules.
+ *
+ * Usage:
+ *   node scripts/sign-regulation-pack.js --generate-key
+ *   REGULATION_PACK_PRIVATE_KEY=<hex> \
+ *     node scripts/sign-regulation-pack.js <PACK_ID> <version> <file.json>
+ *
+ * PACK_ID is a region code (US_FL…) with a { rules } file, or _boundaries /
+ * _protected_areas with a GeoJSON FeatureCollection.
+ *
+ * --generate-key prints a new key pair: put the public key in
+ * src/config/regulationPackKey.js and keep the private key secret.
+ * Signing prints the pack JSON; remember to bump its version in
+ * regulation_packs/_manifest as well.
+ *
+ * Packs are built and checked by src/services/regulationPackService.js
+ * itself (compiled with Babel, as in backtest-models.js), so the signed
+ * string can't drift from what the app verifies.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Module = require('module');
+const { ed25519 } = require('@noble/curves/ed25519');
+const { bytesToHex } = require('@noble/hashes/utils');
+
+const ROOT = path.resolve(__dirname, '..');
+const SRC = path.join(ROOT, 'src') + path.sep;
+
+// ── Run the app's pack service in Node ───────────────────
+
+const SHIMS = {
+  '@react-native-async-storage/async-storage': {
+    getItem: async () => null,
+    setItem: async () => {},
+  },
+  '@react-native-community/geolocation': {},
+  'react-native': { Platform: { OS: 'node' }, Alert: {}, AppState: {} },
+  'react-native-config': {},
+};
+
+const load = Module._load;
+Module._load = function (request, parent, isMain) {
+  if (request in SHIMS) {
+    return { __esModule: true, default: SHIMS[request], ...SHIMS[request] };
+  }
+  return load.call(this, request, parent, isMain);
+};
+
+const babel = require('@babel/core');
+const compileJs = Module._extensions['.js'];
+Module._extensions['.js'] = function (module, filename) {
+  if (!filename.startsWith(SRC)) return compileJs(module, filename);
+  const { code } = babel.transformSync(fs.readFileSync(filename, 'utf8'), {
+    filename,
+    cwd: ROOT,
+    babelrc: false,
+    configFile: false,
+    presets: [['@babel/preset-env', { targets: { node: 'current' } }]],
+  });
+  module._compile(code, filename);
+};
+
+// ── Sign ─────────────────────────────────────────────────
+
+const args = process.argv.slice(2);
+
+if (args[0] === '--generate-key') {
+  const privateKey = ed25519.utils.randomPrivateKey();
+  console.log(
+    JSON.stringify(
+      {
+        publicKey: bytesToHex(ed25519.getPublicKey(privateKey)),
+        privateKey: bytesToHex(privateKey),
+      },
+      null,
+      2,
+    ),
+  );
+  process.exit(0);
+}
+
+const [packId, versionArg, file] = args;
+const version = Number(versionArg);
+const privateKey = process.env.REGULATION_PACK_PRIVATE_KEY;
+if (!packId || !Number.isInteger(version) || version < 1 || !file) {
+  console.error(
+    'Usage: sign-regulation-pack.js <PACK_ID> <version> <file.json>',
+  );
+  process.exit(1);
+}
+if (!privateKey) {
+  console.error('Set REGULATION_PACK_PRIVATE_KEY to the publisher key');
+  process.exit(1);
+}
+
+const { signPack, verifyPack } = require(path.join(
+  SRC,
+  'services/regulationPackService',
+));
+
+const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+const pack = signPack(packId, version, data, privateKey);
+
+// Check it the way the app will, which also catches a malformed file
+const check = verifyPack(pack, bytesToHex(ed25519.getPublicKey(privateKey)));
+if (!check.valid) {
+  console.error(`${file}: ${check.error}`);
+  process.exit(1);
+}
+console.log(JSON.stringify(pack, null, 2));
@@ -2,241 +2,200 @@
 /**
  * Solunar Validation Script — ProFish
  *
- * Validates our on-device solunar calculations against known USNO (US Naval
- * Observatory) reference data for sunrise/sunset, moonrise/moonset, and
- * moon-phase values.  Target: ±5 min accuracy for sun/moon events.
+ * Validates our on-device astronomy (src/services/ephemerisService.js,
+ * which solunar tables, night fishing and the moon calendar all use)
+ * against USNO (US Naval Observatory) reference data: sunrise/sunset,
+ * civil twilight, the instants of new and full moon, and perigee/apogee.
+ * Moonrise, moonset and transit are checked against Astronomy Engine
+ * (see `moonSource` in the fixtures).
  *
  * Usage:
- *   node scripts/validate-solunar.js [--verbose]
+ *   node scripts/validate-solunar.js [fixtures.json] [--verbose]
  *
  * The script:
- * 1. Loads embedded USNO reference data (selected dates / locations).
- * 2. Runs our solunarService calculations for the same inputs.
- * 3. Reports per-event deviation and PASS/FAIL at the ±5 min threshold.
+ * 1. Loads the reference data (scripts/fixtures/solunar-reference.json by
+ *    default).
+ * 2. Runs ephemerisService for the same inputs — compiled on the fly with
+ *    Babel, like backtest-models.js, so no formulas are copied in here.
+ * 3. Reports per-event deviation and PASS/FAIL at each tolerance.
  */
 
-// ── Inline the calculation functions from solunarService ──
-// (we don't want to fire up React Native just to test maths)
+const fs = require('fs');
+const path = require('path');
+const Module = require('module');
+const babel = require('@babel/core');
 
-function getDayOfYear(date) {
-  const start = new Date(date.getFullYear(), 0, 0);
-  return Math.floor((date - start) / (1000 * 60 * 60 * 24));
-}
+const ROOT = path.resolve(__dirname, '..');
+const DEFAULT_FIXTURES = path.join(
+  __dirname,
+  'fixtures/solunar-reference.json',
+);
+
+const args = process.argv.slice(2);
+const verbose = args.includes('--verbose');
+const fixturesPath = path.resolve(
+  args.find(a => !a.startsWith('--')) || DEFAULT_FIXTURES,
+);
 
-function getSunTimes(latitude, longitude, date) {
-  const dayOfYear = getDayOfYear(date);
-  const B = ((2 * Math.PI) / 365) * (dayOfYear - 81);
-  const EoT = 9.87 * Math.sin(2 * B) - 7.53 * Math.cos(B) - 1.5 * Math.sin(B);
-  const declination =
-    23.45 * Math.sin(((2 * Math.PI) / 365) * (dayOfYear - 81));
-  const decRad = (declination * Math.PI) / 180;
-  const latRad = (latitude * Math.PI) / 180;
-  const cosH =
-    (Math.cos((90.833 * Math.PI) / 180) - Math.sin(latRad) * Math.sin(decRad)) /
-    (Math.cos(latRad) * Math.cos(decRad));
-  if (cosH > 1) return null;
-  if (cosH < -1) return null;
-  const H = (Math.acos(cosH) * 180) / Math.PI;
-  const solarNoon = 720 - 4 * longitude - EoT;
-  const sunriseMin = solarNoon - H * 4;
-  const sunsetMin = solarNoon + H * 4;
-  return { sunriseMin, sunsetMin, solarNoonMin: solarNoon };
+let reference;
+try {
+  reference = JSON.parse(fs.readFileSync(fixturesPath, 'utf8'));
+} catch (error) {
+  console.error(`Could not read fixtures: ${error.message}`);
+  process.exit(1);
 }
 
-function getMoonPhase(date) {
-  const year = date.getFullYear();
-  const month = date.getMonth() + 1;
-  const day = date.getDate();
-  let r = year % 100;
-  r %= 19;
-  if (r > 9) r -= 19;
-  r = ((r * 11) % 30) + month + day;
-  if (month < 3) r += 2;
-  r -= year < 2000 ? 4 : 8.3;
-  r = Math.floor(r + 0.5) % 30;
-  if (r < 0) r += 30;
-  return r / 29.53;
+// ── Load the ephemeris ───────────────────────────────────
+// It has no imports, so compiling the one file is enough
+
+function loadEphemeris() {
+  const filename = path.join(ROOT, 'src/services/ephemerisService.js');
+  const { code } = babel.transformSync(fs.readFileSync(filename, 'utf8'), {
+    filename,
+    babelrc: false,
+    configFile: false,
+    presets: [['@babel/preset-env', { targets: { node: 'current' } }]],
+  });
+  const mod = new Module(filename, module);
+  mod._compile(code, filename);
+  return mod.exports;
 }
 
-// ── USNO Reference Data ──────────────────────────────────
-// Hand-verified against https://aa.usno.navy.mil/data/RS_OneDay
-// Format: { location, lat, lng, date (UTC), sunriseUTC (min from midnight),
-//           sunsetUTC, moonPhaseExpected (0-1 approx) }
-
-const REFERENCE_DATA = [
-  // New York, 2024-06-21 (summer solstice)
-  {
-    label: 'NYC 2024-06-21',
-    lat: 40.7128,
-    lng: -74.006,
-    date: '2024-06-21',
-    sunriseUTC: 9 * 60 + 24, // 09:24 UTC = 05:24 EDT
-    sunsetUTC: 0 * 60 + 31 + 24 * 60, // next-day 00:31 UTC = 20:31 EDT
-    moonPhaseApprox: 0.52, // ~full moon on Jun 21 2024
-  },
-  // Miami, 2024-03-20 (equinox)
-  {
-    label: 'Miami 2024-03-20',
-    lat: 25.7617,
-    lng: -80.1918,
-    date: '2024-03-20',
-    sunriseUTC: 11 * 60 + 22, // 11:22 UTC = 07:22 EDT
-    sunsetUTC: 23 * 60 + 33, // 23:33 UTC = 19:33 EDT
-    moonPhaseApprox: 0.36,
-  },
-  // London, 2024-12-21 (winter solstice)
-  {
-    label: 'London 2024-12-21',
-    lat: 51.5074,
-    lng: -0.1278,
-    date: '2024-12-21',
-    sunriseUTC: 8 * 60 + 4,
-    sunsetUTC: 15 * 60 + 53,
-    moonPhaseApprox: 0.71,
-  },
-  // Sydney, 2024-09-22 (spring equinox southern hemisphere)
-  {
-    label: 'Sydney 2024-09-22',
-    lat: -33.8688,
-    lng: 151.2093,
-    date: '2024-09-22',
-    sunriseUTC: 20 * 60 + 55 - 24 * 60, // previous-day 20:55 UTC ≈ 06:55 AEST → ~-185
-    sunsetUTC: 8 * 60 + 4, // 08:04 UTC = 18:04 AEST
-    moonPhaseApprox: 0.66,
-  },
-  // Tokyo, 2024-01-15
-  {
-    label: 'Tokyo 2024-01-15',
-    lat: 35.6762,
-    lng: 139.6503,
-    date: '2024-01-15',
-    sunriseUTC: 21 * 60 + 51 - 24 * 60, // prev-day 21:51 UTC = 06:51 JST
-    sunsetUTC: 7 * 60 + 53, // 07:53 UTC = 16:53 JST
-    moonPhaseApprox: 0.14,
-  },
-  // Anchorage, 2024-06-21
-  {
-    label: 'Anchorage 2024-06-21',
-    lat: 61.2181,
-    lng: -149.9003,
-    date: '2024-06-21',
-    sunriseUTC: 12 * 60 + 17, // 12:17 UTC = 04:17 AKDT
-    sunsetUTC: 7 * 60 + 42 + 24 * 60, // next-day 07:42 UTC = 23:42 AKDT
-    moonPhaseApprox: 0.52,
-  },
-  // Cape Town, 2024-06-21
-  {
-    label: 'Cape Town 2024-06-21',
-    lat: -33.9249,
-    lng: 18.4241,
-    date: '2024-06-21',
-    sunriseUTC: 5 * 60 + 51, // 05:51 UTC = 07:51 SAST
-    sunsetUTC: 15 * 60 + 45, // 15:45 UTC = 17:45 SAST
-    moonPhaseApprox: 0.52,
-  },
-];
+const {
+  getSunEvents,
+  getMoonEvents,
+  getMoonIllumination,
+  getLunarDistanceEvents,
+} = loadEphemeris();
 
 // ── Validation engine ────────────────────────────────────
 
-const TOLERANCE_MIN = 15; // ±15-min tolerance (simplified algorithm; tighten with better formula)
-const MOON_TOLERANCE = 0.15; // ±15% phase tolerance
-
-const verbose = process.argv.includes('--verbose');
+// ±5 min for sun and moon rise/set, moon transit, twilight and phase instants
+const TOLERANCE_MIN = 5;
+const DISTANCE_TOLERANCE_MIN = 120; // Distance is flat near its turn
+const DISTANCE_TOLERANCE_KM = 500;
+const SYNODIC_MONTH_MIN = 29.530588853 * 24 * 60;
 
 let passed = 0;
 let failed = 0;
 const failures = [];
 
+function check(label, ok, detail) {
+  if (ok) passed++;
+  else {
+    failed++;
+    failures.push(`${label}: ${detail}`);
+  }
+  if (verbose || !ok) {
+    console.log(`  ${label.padEnd(12)} ${detail} ${ok ? '✓ PASS' : '✗ FAIL'}`);
+  }
+}
+
+const hhmm = date => (date ? date.toISOString().slice(11, 16) : '—');
+
+function checkTime(label, calc, expected, tolerance = TOLERANCE_MIN) {
+  if (expected === null || calc === null) {
+    check(
+      label,
+      expected === null && calc === null,
+      `calc=${hhmm(calc)}  ref=${expected ? hhmm(new Date(expected)) : '—'}`,
+    );
+    return;
+  }
+  const delta = Math.abs(calc - new Date(expected)) / 60000;
+  check(
+    label,
+    delta <= tolerance,
+    `calc=${hhmm(calc)}  ref=${hhmm(new Date(expected))}  Δ=${delta.toFixed(
+      1,
+    )}m`,
+  );
+}
+
 console.log('╔══════════════════════════════════════════════════════════════╗');
 console.log('║        ProFish — Solunar Calculation Validation             ║');
 console.log(
   '╚══════════════════════════════════════════════════════════════╝\n',
 );
 
-for (const ref of REFERENCE_DATA) {
-  console.log(`─── ${ref.label} (${ref.lat}, ${ref.lng}) ───`);
-  const date = new Date(ref.date + 'T12:00:00Z');
-
-  // Sun times
-  const sun = getSunTimes(ref.lat, ref.lng, date);
-  if (!sun) {
-    console.log('  ⚠ Polar — skipping sunrise/sunset\n');
-    continue;
-  }
+const SUN_EVENTS = ['sunrise', 'sunset', 'civilDawn', 'civilDusk'];
 
-  // Our sunrise/sunset are in "minutes from midnight LOCAL (estimated)"
-  // The USNO reference is in UTC minutes.
-  // Our algorithm uses timezone = -lng/15, so local = UTC + (lng/15)*60
-  const tzOffsetMin = (ref.lng / 15) * 60;
-  const calcSunriseUTC = sun.sunriseMin - tzOffsetMin;
-  const calcSunsetUTC = sun.sunsetMin - tzOffsetMin;
-
-  const sunriseDelta = Math.abs(calcSunriseUTC - ref.sunriseUTC);
-  const sunsetDelta = Math.abs(
-    calcSunsetUTC -
-      (ref.sunsetUTC > 1440 ? ref.sunsetUTC - 1440 : ref.sunsetUTC),
+for (const ref of reference.sun || []) {
+  console.log(`─── ${ref.label} (${ref.lat}, ${ref.lng}) ───`);
+  const events = getSunEvents(
+    ref.lat,
+    ref.lng,
+    new Date(`${ref.date}T12:00:00Z`),
+    { timeZone: ref.timeZone },
   );
-
-  const srPass = sunriseDelta <= TOLERANCE_MIN;
-  const ssPass = sunsetDelta <= TOLERANCE_MIN;
-
-  if (srPass) passed++;
-  else {
-    failed++;
-    failures.push(`${ref.label} sunrise: delta ${sunriseDelta.toFixed(1)} min`);
-  }
-
-  if (ssPass) passed++;
-  else {
-    failed++;
-    failures.push(`${ref.label} sunset: delta ${sunsetDelta.toFixed(1)} min`);
-  }
-
-  if (verbose || !srPass || !ssPass) {
-    console.log(
-      `  Sunrise: calc=${calcSunriseUTC.toFixed(0)}m  ref=${
-        ref.sunriseUTC
-      }m  Δ=${sunriseDelta.toFixed(1)}m ${srPass ? '✓ PASS' : '✗ FAIL'}`,
-    );
-    console.log(
-      `  Sunset:  calc=${calcSunsetUTC.toFixed(0)}m  ref=${
-        ref.sunsetUTC > 1440 ? ref.sunsetUTC - 1440 : ref.sunsetUTC
-      }m  Δ=${sunsetDelta.toFixed(1)}m ${ssPass ? '✓ PASS' : '✗ FAIL'}`,
-    );
+  for (const event of SUN_EVENTS) {
+    if (event in ref) checkTime(event, events[event], ref[event]);
   }
+  console.log();
+}
 
-  // Moon phase
-  const calcPhase = getMoonPhase(date);
-  const phaseDelta = Math.abs(calcPhase - ref.moonPhaseApprox);
-  const mpPass = phaseDelta <= MOON_TOLERANCE;
+// Fixture keys → getMoonEvents fields
+const MOON_EVENTS = { moonrise: 'rise', moonset: 'set', transit: 'transit' };
 
-  if (mpPass) passed++;
-  else {
-    failed++;
-    failures.push(
-      `${ref.label} moon phase: calc=${calcPhase.toFixed(2)} ref=${
-        ref.moonPhaseApprox
-      } Δ=${phaseDelta.toFixed(2)}`,
-    );
+for (const ref of reference.moon || []) {
+  console.log(`─── ${ref.label} moon (${ref.lat}, ${ref.lng}) ───`);
+  const events = getMoonEvents(
+    ref.lat,
+    ref.lng,
+    new Date(`${ref.date}T12:00:00Z`),
+    { timeZone: ref.timeZone },
+  );
+  for (const [key, event] of Object.entries(MOON_EVENTS)) {
+    if (key in ref) checkTime(key, events[event], ref[key]);
   }
+  console.log();
+}
 
-  if (verbose || !mpPass) {
-    console.log(
-      `  Moon:    calc=${calcPhase.toFixed(3)}  ref=${
-        ref.moonPhaseApprox
-      }  Δ=${phaseDelta.toFixed(3)} ${mpPass ? '✓ PASS' : '✗ FAIL'}`,
-    );
+console.log('─── Moon phases ───');
+for (const ref of reference.phases || []) {
+  const { phase } = getMoonIllumination(new Date(ref.date));
+  // Phase error as time: how far the moon is from the instant, in minutes
+  const wrapped = ((phase - ref.phase + 1.5) % 1) - 0.5;
+  const delta = Math.abs(wrapped * SYNODIC_MONTH_MIN);
+  check(
+    ref.label,
+    delta <= TOLERANCE_MIN,
+    `${ref.date}  phase=${phase.toFixed(5)}  Δ=${delta.toFixed(1)}m`,
+  );
+}
+console.log();
+
+console.log('─── Perigee / apogee ───');
+for (const ref of reference.distance || []) {
+  const at = new Date(ref.date).getTime();
+  const found = getLunarDistanceEvents(at - 2 * 86400000, at + 2 * 86400000)
+    .filter(e => e.type === ref.type)
+    .sort((a, b) => Math.abs(a.date - at) - Math.abs(b.date - at))[0];
+  if (!found) {
+    check(ref.type, false, `none within 2 days of ${ref.date}`);
+    continue;
   }
-  console.log();
+  const deltaMin = Math.abs(found.date - at) / 60000;
+  const deltaKm = Math.abs(found.distanceKm - ref.distanceKm);
+  check(
+    ref.type,
+    deltaMin <= DISTANCE_TOLERANCE_MIN && deltaKm <= DISTANCE_TOLERANCE_KM,
+    `${ref.date}  Δ=${deltaMin.toFixed(0)}m  ${
+      found.distanceKm
+    } km (Δ${deltaKm})`,
+  );
 }
+console.log();
 
 // ── Summary ──────────────────────────────────────────────
 
 const total = passed + failed;
 console.log('════════════════════════════════════════════');
 console.log(`  Results: ${passed}/${total} passed,  ${failed} failed`);
-console.log(`  Sun tolerance:  ±${TOLERANCE_MIN} min`);
-console.log(`  Moon tolerance: ±${(MOON_TOLERANCE * 100).toFixed(0)}% phase`);
+console.log(`  Sun / moon / phase tolerance: ±${TOLERANCE_MIN} min`);
+console.log(
+  `  Perigee / apogee:             ±${DISTANCE_TOLERANCE_MIN} min, ±${DISTANCE_TOLERANCE_KM} km`,
+);
 console.log('════════════════════════════════════════════');
 
 if (failures.length) {
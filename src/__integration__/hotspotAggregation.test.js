@@ -0,0 +1,120 @@
+/**
+ * Integration Tests — Hotspot Aggregation Job (#573)
+ *
+ * Runs scripts/aggregate-hotspots.js against the Firestore emulator:
+ * seeds anglers' catches with firebase-admin, rebuilds the hotspot tiles
+ * and reads them back.
+ *
+ * NOTE: Requires the Firebase emulator; skipped without it.
+ * Run with: firebase emulators:exec --only firestore --project demo-profish
+ *   "npx jest src/__integration__/hotspotAggregation.test.js"
+ */
+
+import { encodeGeohash } from '../utils/geo';
+
+const EMULATOR = process.env.FIRESTORE_EMULATOR_HOST;
+const describeEmulator = EMULATOR ? describe : describe.skip;
+
+// Stockholm archipelago, one precision-5 cell
+const SPOT = { latitude: 59.3293, longitude: 18.0686 };
+const TILE = encodeGeohash(SPOT.latitude, SPOT.longitude, 3);
+const NOW = new Date('2024-08-01T00:00:00.000Z');
+
+describeEmulator('Hotspot aggregation against the Firestore emulator', () => {
+  let db;
+  let runHotspotAggregation;
+
+  beforeAll(() => {
+    const { initializeApp, getApps } = require('firebase-admin/app');
+    const { getFirestore } = require('firebase-admin/firestore');
+    if (!getApps().length) initializeApp({ projectId: 'demo-profish' });
+    db = getFirestore();
+    ({ runHotspotAggregation } = require('../../scripts/aggregate-hotspots'));
+  });
+
+  beforeEach(async () => {
+    // Start each test from an empty database
+    for (const name of ['users', 'tournaments', 'fish_hotspots']) {
+      await db.recursiveDelete(db.collection(name));
+    }
+  });
+
+  const seed = async (path, data) => db.doc(path).set(data);
+  const catchAt = (overrides = {}) => ({
+    ...SPOT,
+    species: 'Perch',
+    createdAt: '2024-07-10T06:00:00.000Z',
+    ...overrides,
+  });
+
+  it('should publish only anonymous, thresholded tiles', async () => {
+    for (const uid of ['a', 'b', 'c']) {
+      await seed(`users/${uid}/catches/1`, catchAt());
+      await seed(`users/${uid}/catches/2`, catchAt());
+    }
+    // Tournament copies and old catches stay out
+    await seed('tournaments/t1/catches/x', catchAt());
+    await seed(
+      'users/d/catches/old',
+      catchAt({ createdAt: '2020-01-01T00:00:00.000Z' }),
+    );
+
+    const result = await runHotspotAggregation(db, {
+      now: NOW,
+      salt: 'test-salt',
+    });
+    expect(result).toEqual({
+      catches: 6,
+      published: 4,
+      suppressed: 0,
+      tiles: 1,
+    });
+
+    const tile = (await db.collection('fish_hotspots').doc(TILE).get()).data();
+    expect(tile).toMatchObject({
+      tile: TILE,
+      precision: 5,
+      generatedAt: NOW.toISOString(),
+    });
+    expect(tile.cells).toHaveLength(4);
+    for (const cell of tile.cells) {
+      expect(Object.keys(cell).sort()).toEqual([
+        'cell',
+        'latitude',
+        'longitude',
+        'season',
+        'species',
+        'weight',
+      ]);
+      expect(cell.latitude).not.toBeCloseTo(SPOT.latitude, 4);
+    }
+  });
+
+  it('should delete tiles that no longer pass the thresholds', async () => {
+    await seed('fish_hotspots/zzz', { tile: 'zzz', cells: [] });
+    await seed('users/a/catches/1', catchAt());
+
+    const result = await runHotspotAggregation(db, {
+      now: NOW,
+      salt: 'test-salt',
+    });
+    expect(result.published).toBe(0);
+    const remaining = await db.collection('fish_hotspots').get();
+    expect(remaining.empty).toBe(true);
+  });
+
+  it('should write nothing on a dry run', async () => {
+    for (const uid of ['a', 'b', 'c']) {
+      await seed(`users/${uid}/catches/1`, catchAt());
+      await seed(`users/${uid}/catches/2`, catchAt());
+    }
+    const result = await runHotspotAggregation(db, {
+      now: NOW,
+      salt: 'test-salt',
+      dryRun: true,
+    });
+    expect(result.published).toBe(4);
+    const written = await db.collection('fish_hotspots').get();
+    expect(written.empty).toBe(true);
+  });
+});
@@ -1,10 +1,13 @@
 /**
  * FactorBreakdown — Shows individual FishCast scoring factors
  * Visual bar chart for each factor (pressure, wind, moon, etc.)
+ * Weights come from the forecast's profile; with `onAdjustWeight` the
+ * weights can be nudged up or down to tune that profile. The pressure row
+ * shows the 3h/12h/24h trend and any frontal passage when given.
  */
 
 import React from 'react';
-import { View, Text, StyleSheet } from 'react-native';
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
 import { useTranslation } from 'react-i18next';
 import useTheme from '../hooks/useTheme';
 import { AppIcon } from '../constants/icons';
@@ -20,6 +23,19 @@ const FACTOR_CONFIG = {
   precipitation: { icon: 'cloudRain', weight: 8 },
 };
 
+const TREND_LABELS = {
+  rising: { arrow: '↗', label: 'Rising' },
+  rapidly_rising: { arrow: '⇈', label: 'Rising fast' },
+  steady: { arrow: '→', label: 'Steady' },
+  falling: { arrow: '↘', label: 'Falling' },
+  rapidly_falling: { arrow: '⇊', label: 'Dropping fast' },
+};
+
+function formatChange(entry) {
+  if (!entry) return null;
+  return `${entry.change > 0 ? '+' : ''}${entry.change}`;
+}
+
 function getBarColor(score, colors) {
   if (score >= 80) return colors.success;
   if (score >= 60) return '#8BC34A';
@@ -28,7 +44,12 @@ function getBarColor(score, colors) {
   return colors.error;
 }
 
-export default function FactorBreakdown({ factors }) {
+export default function FactorBreakdown({
+  factors,
+  profile,
+  pressureTrend,
+  onAdjustWeight,
+}) {
   const { t } = useTranslation();
   const { colors } = useTheme();
   const styles = createStyles(colors);
@@ -38,6 +59,9 @@ export default function FactorBreakdown({ factors }) {
   const entries = Object.entries(FACTOR_CONFIG).map(([key, config]) => ({
     key,
     ...config,
+    weight: profile?.weights
+      ? Math.round((profile.weights[key] || 0) * 100)
+      : config.weight,
     score: factors[key] ?? 50,
     label: t(`fishcast.factor.${key}`, key.replace(/([A-Z])/g, ' $1').trim()),
   }));
@@ -45,6 +69,13 @@ export default function FactorBreakdown({ factors }) {
   // Sort by weight descending
   entries.sort((a, b) => b.weight - a.weight);
 
+  const trend = TREND_LABELS[pressureTrend?.trend];
+  const changes = ['3h', '12h', '24h']
+    .filter(w => pressureTrend?.trends?.[w])
+    .map(w => `${w} ${formatChange(pressureTrend.trends[w])}`)
+    .join(' · ');
+  const front = pressureTrend?.front;
+
   return (
     <View style={styles.card}>
       <View style={{ flexDirection: 'row', alignItems: 'center', marginBottom: 14 }}>
@@ -53,13 +84,39 @@ export default function FactorBreakdown({ factors }) {
           {t('fishcast.factorBreakdown', 'Score Breakdown')}
         </Text>
       </View>
+      {profile && (
+        <Text style={styles.profileText}>
+          {t('fishcast.profile', 'Profile')}: {profile.name}
+          {profile.source === 'custom'
+            ? ` (${t('fishcast.profileTuned', 'tuned')})`
+            : ''}
+        </Text>
+      )}
 
       {entries.map(factor => (
         <View key={factor.key} style={styles.factorRow}>
           <View style={styles.factorHeader}>
             <AppIcon name={factor.icon} size={14} color={colors.textSecondary} style={{ width: 24 }} />
             <Text style={styles.factorLabel}>{factor.label}</Text>
+            {onAdjustWeight && (
+              <TouchableOpacity
+                onPress={() => onAdjustWeight(factor.key, -0.05)}
+                style={styles.adjustBtn}
+                accessibilityLabel={`Lower ${factor.label} weight`}
+              >
+                <AppIcon name="minus" size={12} color={colors.textSecondary} />
+              </TouchableOpacity>
+            )}
             <Text style={styles.factorWeight}>{factor.weight}%</Text>
+            {onAdjustWeight && (
+              <TouchableOpacity
+                onPress={() => onAdjustWeight(factor.key, 0.05)}
+                style={styles.adjustBtn}
+                accessibilityLabel={`Raise ${factor.label} weight`}
+              >
+                <AppIcon name="plus" size={12} color={colors.textSecondary} />
+              </TouchableOpacity>
+            )}
             <Text
               style={[styles.factorScore, { color: getBarColor(factor.score, colors) }]}
             >
@@ -77,6 +134,23 @@ export default function FactorBreakdown({ factors }) {
               ]}
             />
           </View>
+          {factor.key === 'pressure' && trend && (
+            <Text style={styles.trendText}>
+              {trend.arrow}{' '}
+              {t(`fishcast.pressureTrend.${pressureTrend.trend}`, trend.label)}
+              {changes ? ` · ${changes} hPa` : ''}
+            </Text>
+          )}
+          {factor.key === 'pressure' && front && (
+            <Text style={[styles.trendText, { color: colors.accent }]}>
+              {front.status === 'passed'
+                ? t('fishcast.frontPassed', 'Front passed — expect a slow bite')
+                : t(
+                    'fishcast.frontApproaching',
+                    'Front approaching — fish before it arrives',
+                  )}
+            </Text>
+          )}
         </View>
       ))}
     </View>
@@ -112,6 +186,21 @@ const createStyles = (colors) => StyleSheet.create({
     textTransform: 'capitalize',
   },
   factorWeight: { fontSize: 11, color: colors.textDisabled, marginRight: 8 },
+  profileText: {
+    fontSize: 12,
+    color: colors.textTertiary,
+    marginTop: -8,
+    marginBottom: 12,
+  },
+  adjustBtn: {
+    width: 22,
+    height: 22,
+    borderRadius: 11,
+    backgroundColor: colors.background,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 8,
+  },
   factorScore: {
     fontSize: 14,
     fontWeight: 'bold',
@@ -128,4 +217,5 @@ const createStyles = (colors) => StyleSheet.create({
     height: '100%',
     borderRadius: 3,
   },
+  trendText: { fontSize: 11, color: colors.textTertiary, marginTop: 4 },
 });
@@ -0,0 +1,216 @@
+/**
+ * SpotRanking — Saved spots ranked by FishCast for a day and time of day
+ * "Where should I go this Saturday morning?" (#572). Tapping a spot shows
+ * its factor breakdown averaged over the window.
+ */
+
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ActivityIndicator,
+  ScrollView,
+} from 'react-native';
+import { useTranslation } from 'react-i18next';
+import useTheme from '../hooks/useTheme';
+import { Card } from './Common';
+import FactorBreakdown from './FactorBreakdown';
+import {
+  DAY_PARTS,
+  getDayPartWindow,
+  rankSavedSpots,
+} from '../services/fishCastService';
+
+const DAYS_AHEAD = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The first part of a day that isn't over yet, today or tomorrow
+function firstOpenWindow(now = new Date()) {
+  for (const day of [0, 1]) {
+    for (const part of Object.keys(DAY_PARTS)) {
+      const date = new Date(now.getTime() + day * DAY_MS);
+      if (new Date(getDayPartWindow(date, part).end) > now) {
+        return { day, part };
+      }
+    }
+  }
+  return { day: 1, part: 'morning' };
+}
+
+function scoreColor(score, colors) {
+  if (score >= 70) return colors.success;
+  if (score >= 50) return colors.accent;
+  return colors.error;
+}
+
+export default function SpotRanking({ profileOptions }) {
+  const { t } = useTranslation();
+  const { colors } = useTheme();
+  const styles = createStyles(colors);
+  const initial = useMemo(() => firstOpenWindow(), []);
+  const [day, setDay] = useState(initial.day);
+  const [part, setPart] = useState(initial.part);
+  const [ranking, setRanking] = useState(null);
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [expanded, setExpanded] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    const date = new Date(Date.now() + day * DAY_MS);
+    setLoading(true);
+    setError(null);
+    rankSavedSpots({ ...profileOptions, ...getDayPartWindow(date, part) })
+      .then(result => !cancelled && setRanking(result))
+      .catch(e => !cancelled && setError(e.message))
+      .finally(() => !cancelled && setLoading(false));
+    return () => {
+      cancelled = true;
+    };
+  }, [day, part, profileOptions]);
+
+  const dayLabel = offset => {
+    if (offset === 0) return t('fishcast.today', 'Today');
+    if (offset === 1) return t('fishcast.tomorrow', 'Tomorrow');
+    return new Date(Date.now() + offset * DAY_MS).toLocaleDateString([], {
+      weekday: 'short',
+    });
+  };
+
+  const chip = (key, label, selected, onPress) => (
+    <TouchableOpacity
+      key={key}
+      style={[styles.chip, selected && styles.chipActive]}
+      onPress={onPress}
+      accessibilityRole="radio"
+      accessibilityState={{ selected }}
+    >
+      <Text style={[styles.chipText, selected && styles.chipTextActive]}>
+        {label}
+      </Text>
+    </TouchableOpacity>
+  );
+
+  return (
+    <Card
+      title={t('fishcast.spotRanking', 'Where to Go')}
+      icon="mapPin"
+      style={styles.card}
+    >
+      <ScrollView
+        horizontal
+        showsHorizontalScrollIndicator={false}
+        style={styles.chipRow}
+      >
+        {Array.from({ length: DAYS_AHEAD }, (_, offset) =>
+          chip(offset, dayLabel(offset), offset === day, () => setDay(offset)),
+        )}
+      </ScrollView>
+      <View style={styles.chipRow}>
+        {Object.keys(DAY_PARTS).map(key =>
+          chip(key, t(`fishcast.dayPart.${key}`, key), key === part, () =>
+            setPart(key),
+          ),
+        )}
+      </View>
+
+      {loading && <ActivityIndicator color={colors.primary} />}
+      {!loading && error && <Text style={styles.hint}>{error}</Text>}
+      {!loading && !error && ranking?.spots.length === 0 && (
+        <Text style={styles.hint}>
+          {t(
+            'fishcast.noSavedSpots',
+            'Save spots on the map to compare them here',
+          )}
+        </Text>
+      )}
+      {!loading &&
+        !error &&
+        ranking?.spots.map(entry => (
+          <View key={entry.spot.id}>
+            <TouchableOpacity
+              style={styles.row}
+              onPress={() =>
+                setExpanded(expanded === entry.spot.id ? null : entry.spot.id)
+              }
+              disabled={entry.score == null}
+              accessibilityRole="button"
+            >
+              <Text style={styles.rank}>{entry.rank}</Text>
+              <View style={styles.rowBody}>
+                <Text style={styles.spotName} numberOfLines={1}>
+                  {entry.spot.name}
+                </Text>
+                <Text style={styles.spotDetail}>
+                  {entry.score == null
+                    ? entry.error
+                    : `${entry.label} · ${t(
+                        'fishcast.peak',
+                        'peak',
+                      )} ${new Date(entry.peakTime).toLocaleTimeString([], {
+                        hour: 'numeric',
+                      })}`}
+                </Text>
+              </View>
+              {entry.score != null && (
+                <Text
+                  style={[
+                    styles.score,
+                    { color: scoreColor(entry.score, colors) },
+                  ]}
+                >
+                  {entry.score}
+                </Text>
+              )}
+            </TouchableOpacity>
+            {expanded === entry.spot.id && (
+              <FactorBreakdown
+                factors={entry.factors}
+                profile={entry.profile}
+              />
+            )}
+          </View>
+        ))}
+    </Card>
+  );
+}
+
+const createStyles = colors =>
+  StyleSheet.create({
+    card: { marginBottom: 16 },
+    chipRow: { flexDirection: 'row', gap: 6, marginBottom: 10 },
+    chip: {
+      paddingHorizontal: 12,
+      paddingVertical: 6,
+      borderRadius: 14,
+      marginRight: 6,
+      backgroundColor: colors.background,
+    },
+    chipActive: { backgroundColor: colors.primary },
+    chipText: {
+      fontSize: 13,
+      color: colors.textSecondary,
+      textTransform: 'capitalize',
+    },
+    chipTextActive: { color: '#FFFFFF', fontWeight: '600' },
+    hint: { fontSize: 13, color: colors.textTertiary, paddingVertical: 8 },
+    row: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      paddingVertical: 10,
+      borderBottomWidth: StyleSheet.hairlineWidth,
+      borderBottomColor: colors.border,
+    },
+    rank: {
+      width: 24,
+      fontSize: 15,
+      fontWeight: '700',
+      color: colors.textTertiary,
+    },
+    rowBody: { flex: 1, marginRight: 8 },
+    spotName: { fontSize: 15, fontWeight: '600', color: colors.text },
+    spotDetail: { fontSize: 12, color: colors.textTertiary, marginTop: 2 },
+    score: { fontSize: 20, fontWeight: '700' },
+  });
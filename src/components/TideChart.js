@@ -1,18 +1,37 @@
 /**
  * TideChart — Visual tide level display
- * Shows current tide state, progress, and next extreme
+ * Shows current tide state, progress, and next extreme, labelled with the
+ * station and datum the heights come from. Passing `onSelectStation` /
+ * `onSelectDatum` lets the user change them (#564).
+ * With `current` (tidalCurrentService flow) it also shows flood/ebb/slack
+ * and when the water turns next (#565).
  */
 
-import React from 'react';
-import { View, Text, StyleSheet } from 'react-native';
+import React, { useState } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
 import { useTranslation } from 'react-i18next';
 import useTheme from '../hooks/useTheme';
 import { AppIcon } from '../constants/icons';
+import { TIDE_DATUMS } from '../services/tideService';
 
-export default function TideChart({ tide }) {
+const SOURCE_LABELS = {
+  noaa: 'NOAA',
+  worldtides: 'WorldTides',
+  harmonic: 'Offline prediction',
+};
+
+export default function TideChart({
+  tide,
+  current,
+  stations = [],
+  onSelectStation,
+  onSelectDatum,
+}) {
   const { t } = useTranslation();
   const { colors } = useTheme();
   const styles = createStyles(colors);
+  const [picking, setPicking] = useState(false);
+  const canPick = !!(onSelectStation || onSelectDatum);
 
   if (!tide || tide.state === 'unknown') {
     return (
@@ -34,6 +53,10 @@ export default function TideChart({ tide }) {
   const stateLabel = isRising
     ? t('fishcast.tideRising', 'Rising')
     : t('fishcast.tideFalling', 'Falling');
+  // At slack the next event worth knowing is the max, otherwise the turn
+  const nextTurn =
+    current &&
+    (current.phase === 'slack' ? current.nextMax : current.nextSlack);
 
   return (
     <View style={styles.card}>
@@ -49,6 +72,57 @@ export default function TideChart({ tide }) {
         </View>
       </View>
 
+      {/* Station and datum */}
+      <TouchableOpacity
+        disabled={!canPick}
+        onPress={() => setPicking(!picking)}
+        accessibilityRole={canPick ? 'button' : undefined}
+      >
+        <Text style={styles.stationLabel} numberOfLines={1}>
+          {stationCaption(tide, t)}
+          {canPick ? `  ${picking ? '▴' : '▾'}` : ''}
+        </Text>
+      </TouchableOpacity>
+
+      {picking && (
+        <View style={styles.picker}>
+          {onSelectDatum && (
+            <View style={styles.chipRow}>
+              {TIDE_DATUMS.map(d => (
+                <Chip
+                  key={d}
+                  label={d}
+                  active={tide.datum === d}
+                  onPress={() => onSelectDatum(d)}
+                  styles={styles}
+                />
+              ))}
+            </View>
+          )}
+          {onSelectStation && (
+            <View style={styles.chipRow}>
+              <Chip
+                label={t('fishcast.tideStationAuto', 'Nearest')}
+                active={tide.stationSelection !== 'user'}
+                onPress={() => onSelectStation(null)}
+                styles={styles}
+              />
+              {stations.map(s => (
+                <Chip
+                  key={s.id}
+                  label={`${s.name} · ${s.distanceKm} km`}
+                  active={
+                    tide.stationSelection === 'user' && tide.stationId === s.id
+                  }
+                  onPress={() => onSelectStation(s.id)}
+                  styles={styles}
+                />
+              ))}
+            </View>
+          )}
+        </View>
+      )}
+
       {/* Progress bar */}
       <View style={styles.progressContainer}>
         <View style={styles.progressLabels}>
@@ -82,6 +156,23 @@ export default function TideChart({ tide }) {
         <Text style={styles.progressPercent}>{tide.progress || 0}%</Text>
       </View>
 
+      {/* Current flow */}
+      {current && (
+        <View style={styles.currentRow}>
+          <Text style={styles.currentPhase}>{currentLabel(current, t)}</Text>
+          {nextTurn && (
+            <Text style={styles.currentNext}>
+              {nextTurn.type === 'slack'
+                ? t('fishcast.currentNextSlack', 'Slack')
+                : t('fishcast.currentNextMax', 'Max {{type}}', {
+                    type: nextTurn.type,
+                  })}{' '}
+              {formatTime(nextTurn.date)}
+            </Text>
+          )}
+        </View>
+      )}
+
       {/* Next extreme */}
       {tide.nextExtreme && (
         <View style={styles.nextExtreme}>
@@ -94,6 +185,7 @@ export default function TideChart({ tide }) {
           {tide.nextExtreme.height != null && (
             <Text style={styles.nextHeight}>
               {tide.nextExtreme.height.toFixed(1)}m
+              {tide.datum ? ` ${tide.datum}` : ''}
             </Text>
           )}
         </View>
@@ -102,6 +194,46 @@ export default function TideChart({ tide }) {
   );
 }
 
+function Chip({ label, active, onPress, styles }) {
+  return (
+    <TouchableOpacity
+      style={[styles.chip, active && styles.chipActive]}
+      onPress={onPress}
+    >
+      <Text style={[styles.chipText, active && styles.chipTextActive]}>
+        {label}
+      </Text>
+    </TouchableOpacity>
+  );
+}
+
+function currentLabel(current, t) {
+  if (current.phase === 'slack') {
+    return t('fishcast.currentSlack', 'Slack water');
+  }
+  const label =
+    current.phase === 'flood'
+      ? t('fishcast.currentFlood', 'Flooding')
+      : t('fishcast.currentEbb', 'Ebbing');
+  const parts = [label];
+  if (current.speed != null) {
+    parts.push(`${current.speed.toFixed(1)} kn`);
+  } else {
+    parts.push(`${Math.round(current.strength * 100)}%`);
+  }
+  if (current.direction != null) parts.push(`${current.direction}°`);
+  return parts.join(' · ');
+}
+
+function stationCaption(tide, t) {
+  const parts = [tide.stationName || SOURCE_LABELS[tide.source]];
+  if (tide.stationType === 'subordinate') {
+    parts.push(t('fishcast.tideSubordinate', 'corrected'));
+  }
+  if (tide.datum) parts.push(tide.datum);
+  return parts.filter(Boolean).join(' · ');
+}
+
 function formatTime(dateStr) {
   if (!dateStr) return '—';
   const d = new Date(dateStr);
@@ -128,6 +260,31 @@ const createStyles = (colors) => StyleSheet.create({
     borderRadius: 12,
   },
   badgeText: { fontSize: 13, fontWeight: '600' },
+  stationLabel: {
+    fontSize: 12,
+    color: colors.textTertiary,
+    marginTop: -8,
+    marginBottom: 12,
+  },
+  picker: { marginBottom: 12, gap: 8 },
+  chipRow: { flexDirection: 'row', flexWrap: 'wrap', gap: 6 },
+  chip: {
+    paddingHorizontal: 10,
+    paddingVertical: 5,
+    borderRadius: 12,
+    backgroundColor: colors.background,
+  },
+  chipActive: { backgroundColor: colors.primary },
+  chipText: { fontSize: 12, color: colors.textSecondary },
+  chipTextActive: { color: colors.surface, fontWeight: '600' },
+  currentRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  currentPhase: { fontSize: 13, fontWeight: '600', color: colors.text },
+  currentNext: { fontSize: 12, color: colors.textTertiary },
   noData: { fontSize: 14, color: colors.textTertiary, marginTop: 8 },
   progressContainer: { marginBottom: 12 },
   progressLabels: {
@@ -52,6 +52,18 @@ export const GOOGLE_MAPS_API_KEY = get('GOOGLE_MAPS_API_KEY', '');
 // ── WorldTides ───────────────────────────────────────
 export const WORLDTIDES_API_KEY = get('WORLDTIDES_API_KEY', '');
 
+// ── Weather providers ────────────────────────────────
+// Failover order, comma-separated: 'open-meteo' (public API) and/or
+// 'custom' — an Open-Meteo-compatible server such as a self-hosted
+// instance or a local mock
+export const WEATHER_PROVIDERS = get('WEATHER_PROVIDERS', 'open-meteo');
+export const WEATHER_CUSTOM_URL = get('WEATHER_CUSTOM_URL', '');
+export const WEATHER_CUSTOM_MARINE_URL = get('WEATHER_CUSTOM_MARINE_URL', '');
+
+// ── Fish hotspots ────────────────────────────────────
+// 'host:port' of a local Firestore emulator, e.g. 'localhost:8080'
+export const FIRESTORE_EMULATOR_HOST = get('FIRESTORE_EMULATOR_HOST', '');
+
 // ── RevenueCat ───────────────────────────────────────
 export const REVENUECAT_API_KEY_APPLE = get('REVENUECAT_API_KEY_APPLE', '');
 export const REVENUECAT_API_KEY_GOOGLE = get('REVENUECAT_API_KEY_GOOGLE', '');
@@ -73,6 +85,10 @@ const envConfig = {
   GOOGLE_WEB_CLIENT_ID,
   GOOGLE_MAPS_API_KEY,
   WORLDTIDES_API_KEY,
+  WEATHER_PROVIDERS,
+  WEATHER_CUSTOM_URL,
+  WEATHER_CUSTOM_MARINE_URL,
+  FIRESTORE_EMULATOR_HOST,
   REVENUECAT_API_KEY_APPLE,
   REVENUECAT_API_KEY_GOOGLE,
   SENTRY_DSN,
@@ -0,0 +1,14 @@
+/**
+ * Regulation pack signing key — ProFish (#531)
+ *
+ * Ed25519 public key (hex) that regulation packs must be signed with.
+ * Only the matching private key can publish rules; it stays with the
+ * publisher and never goes into the app or its .env. Generate the pair
+ * with `node scripts/sign-regulation-pack.js --generate-key`.
+ *
+ * Empty means pack signing is not set up for this build: regulation sync
+ * logs a warning and downloads nothing, and the bundled rules, boundaries
+ * and protected areas stay active. Set the key before publishing packs.
+ */
+
+export const REGULATION_PACK_PUBLIC_KEY = '';
@@ -116,6 +116,10 @@ const LazyIsItLegal = lazyScreen(
   () => import('../screens/regulations/IsItLegalScreen'),
   'detail',
 );
+const LazyLicenseWallet = lazyScreen(
+  () => import('../screens/regulations/LicenseWalletScreen'),
+  'detail',
+);
 const LazyFishIdQuiz = lazyScreen(
   () => import('../screens/education/FishIdQuizScreen'),
   'detail',
@@ -360,6 +364,11 @@ export default function RootNavigator() {
             component={LazyIsItLegal}
             options={{ presentation: 'card' }}
           />
+          <Stack.Screen
+            name="LicenseWallet"
+            component={LazyLicenseWallet}
+            options={{ presentation: 'card' }}
+          />
           <Stack.Screen
             name="FishIdQuiz"
             component={LazyFishIdQuiz}
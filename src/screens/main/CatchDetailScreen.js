@@ -3,7 +3,7 @@
  * Shows photo, species, stats, conditions, map pin, and delete option.
  */
 
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import {
   View,
   Text,
@@ -18,6 +18,15 @@ import {
 } from 'react-native';
 import { useTranslation } from 'react-i18next';
 import catchService from '../../services/catchService';
+import licenseService from '../../services/licenseService';
+import {
+  buildHarvestReport,
+  exportHarvestReports,
+  getCatchRequirement,
+  markReportSubmitted,
+  REPORT_STATUS,
+} from '../../services/harvestReportService';
+import { EXPORT_FORMAT } from '../../services/exportService';
 import { useApp } from '../../store/AppContext';
 import {
   formatWeight,
@@ -28,7 +37,7 @@ import {
 import PhotoViewer from '../../components/PhotoViewer';
 import useTheme from '../../hooks/useTheme';
 import { AppIcon } from '../../constants/icons';
-import { Card, ScreenHeader } from '../../components/Common';
+import { Button, Card, ScreenHeader } from '../../components/Common';
 
 const { width } = Dimensions.get('window');
 
@@ -39,8 +48,21 @@ export default function CatchDetailScreen({ route, navigation }) {
   const { state } = useApp();
   const units = state.units || 'metric';
   const { catchData } = route.params;
-  const [item] = useState(catchData);
+  const [item, setItem] = useState(catchData);
   const [photoViewerVisible, setPhotoViewerVisible] = useState(false);
+  const [report, setReport] = useState(null);
+  const anglerName = state.user?.displayName;
+
+  // #536 — Mandatory harvest report for kept snook, red snapper, salmon…
+  useEffect(() => {
+    if (!item || !getCatchRequirement(item)) return;
+    licenseService
+      .getLicenses()
+      .then(licenses =>
+        setReport(buildHarvestReport(item, { licenses, anglerName })),
+      )
+      .catch(() => {});
+  }, [item, anglerName]);
 
   if (!item) {
     navigation.goBack();
@@ -82,6 +104,23 @@ export default function CatchDetailScreen({ route, navigation }) {
     } catch {}
   };
 
+  const reloadCatch = async () => {
+    const updated = await catchService.getCatchById(item.id);
+    if (updated) setItem(updated);
+  };
+
+  const handleExportReport = async () => {
+    const result = await exportHarvestReports([report], EXPORT_FORMAT.PDF, {
+      userName: anglerName,
+    });
+    if (result.success) reloadCatch();
+  };
+
+  const handleReportSubmitted = async () => {
+    await markReportSubmitted(item.id);
+    reloadCatch();
+  };
+
   const date = item.createdAt
     ? new Date(item.createdAt).toLocaleDateString(undefined, {
         weekday: 'long',
@@ -240,6 +279,58 @@ export default function CatchDetailScreen({ route, navigation }) {
           </View>
         )}
 
+        {/* Harvest report */}
+        {report && (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>
+              {t('catch.harvestReport', 'Harvest Report')}
+            </Text>
+            <Text style={styles.sectionText}>{report.programName}</Text>
+            <Text
+              style={[
+                styles.reportStatus,
+                report.overdue && { color: colors.error },
+              ]}
+            >
+              {report.status === REPORT_STATUS.SUBMITTED
+                ? t('catch.reportSubmitted', 'Submitted')
+                : report.overdue
+                ? `${t('catch.reportOverdue', 'Overdue')} · ${report.dueDate}`
+                : report.dueDate
+                ? `${t('catch.reportDue', 'Due')} ${report.dueDate}`
+                : t('catch.reportPending', 'Not yet submitted')}
+              {' · '}
+              {report.referenceCode}
+            </Text>
+            {report.missing.length > 0 &&
+              report.status !== REPORT_STATUS.SUBMITTED && (
+                <Text style={styles.reportMissing}>
+                  {t('catch.reportMissing', 'Still needed')}:{' '}
+                  {report.missing.join(', ')}
+                </Text>
+              )}
+            {report.status !== REPORT_STATUS.SUBMITTED && (
+              <View style={styles.reportActions}>
+                <Button
+                  title={t('catch.exportReport', 'Export Report')}
+                  onPress={handleExportReport}
+                  variant="secondary"
+                  size="sm"
+                  icon="fileText"
+                  fullWidth={false}
+                />
+                <Button
+                  title={t('catch.markSubmitted', 'Mark Submitted')}
+                  onPress={handleReportSubmitted}
+                  size="sm"
+                  icon="check"
+                  fullWidth={false}
+                />
+              </View>
+            )}
+          </View>
+        )}
+
         {/* Notes */}
         {item.notes ? (
           <View style={styles.section}>
@@ -351,6 +442,9 @@ const createStyles = (colors) => StyleSheet.create({
     marginBottom: 6,
   },
   sectionText: { fontSize: 16, color: colors.textSecondary, lineHeight: 22 },
+  reportStatus: { fontSize: 13, color: colors.textTertiary, marginTop: 4 },
+  reportMissing: { fontSize: 13, color: colors.warning, marginTop: 4 },
+  reportActions: { flexDirection: 'row', gap: 8, marginTop: 10 },
   conditionsGrid: {
     flexDirection: 'row',
     flexWrap: 'wrap',
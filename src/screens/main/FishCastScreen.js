@@ -3,11 +3,12 @@
  * Shows score (0-100), solunar timeline, weather, tide, factor breakdown
  */
 
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import {
   View,
   Text,
   StyleSheet,
+  TouchableOpacity,
   ActivityIndicator,
   ScrollView,
   RefreshControl,
@@ -18,16 +19,31 @@ import { useTranslation } from 'react-i18next';
 import Geolocation from '@react-native-community/geolocation';
 import {
   calculateFishCast,
+  calculateHourlyFishCast,
   calculate7DayOutlook,
 } from '../../services/fishCastService';
+import {
+  listWaterProfiles,
+  resetCustomWeights,
+  setCustomWeights,
+} from '../../services/fishCastProfileService';
+import {
+  getCalibration,
+  getPersonalScore,
+  MIN_CATCHES,
+} from '../../services/fishCastCalibrationService';
+import preferencesService from '../../services/preferencesService';
+import notificationService from '../../services/notificationService';
 import weatherService from '../../services/weatherService';
 import tideService from '../../services/tideService';
+import { getCurrentFlow } from '../../services/tidalCurrentService';
 import subscriptionService from '../../services/subscriptionService';
 import ScoreCircle from '../../components/ScoreCircle';
 import WeatherCard from '../../components/WeatherCard';
 import SolunarTimeline from '../../components/SolunarTimeline';
 import TideChart from '../../components/TideChart';
 import FactorBreakdown from '../../components/FactorBreakdown';
+import SpotRanking from '../../components/SpotRanking';
 import useTheme from '../../hooks/useTheme';
 import { AppIcon } from '../../constants/icons';
 import { Card, ScreenHeader } from '../../components/Common';
@@ -39,21 +55,54 @@ export default function FishCastScreen() {
   const [forecast, setForecast] = useState(null);
   const [marine, setMarine] = useState(null);
   const [tide, setTide] = useState(null);
+  const [tideStations, setTideStations] = useState([]);
+  const [tideCurrent, setTideCurrent] = useState(null);
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
   const [coords, setCoords] = useState(null);
   const [locationName, setLocationName] = useState('');
   const [outlook, setOutlook] = useState([]);
+  const [timeline, setTimeline] = useState(null);
+  const [calibration, setCalibration] = useState(null);
   const [isPro, setIsPro] = useState(false);
+  const [tuning, setTuning] = useState(false);
+  // Weight profile selection: { profile, species } (#421)
+  const profileOptions = useRef({});
 
   useEffect(() => {
-    getLocation();
+    preferencesService
+      .getPreferences()
+      .then(prefs => {
+        profileOptions.current = {
+          profile: prefs.fishcastProfile,
+          species: prefs.favoriteSpecies?.[0],
+        };
+      })
+      .catch(() => {})
+      .finally(() => getLocation());
     try {
       const tier = subscriptionService.getCurrentTier();
       setIsPro(tier !== 'free');
     } catch {}
   }, []);
 
+  // Personal calibration for the profile in use — fitted on-device
+  const forecastProfile = forecast?.profile;
+  useEffect(() => {
+    if (!forecastProfile) return;
+    getCalibration(forecastProfile)
+      .then(setCalibration)
+      .catch(() => {});
+  }, [forecastProfile]);
+
+  // Alert ahead of the timeline's peak windows
+  useEffect(() => {
+    if (!timeline?.peaks) return;
+    notificationService
+      .scheduleFishCastWindows(timeline.peaks, locationName || 'your location')
+      .catch(() => {});
+  }, [timeline, locationName]);
+
   async function getLocation() {
     try {
       if (Platform.OS === 'android') {
@@ -83,7 +132,7 @@ export default function FishCastScreen() {
   async function loadForecast(lat, lng) {
     try {
       const [result, marineData, tideData] = await Promise.all([
-        calculateFishCast(lat, lng),
+        calculateFishCast(lat, lng, new Date(), profileOptions.current),
         weatherService.getMarineWeather(lat, lng).catch(() => null),
         tideService.getCurrentTideState(lat, lng).catch(() => null),
       ]);
@@ -91,8 +140,23 @@ export default function FishCastScreen() {
       setMarine(marineData);
       setTide(tideData);
 
+      tideService
+        .getNearbyStations(lat, lng)
+        .then(setTideStations)
+        .catch(() => {});
+      getCurrentFlow(lat, lng)
+        .then(setTideCurrent)
+        .catch(() => {});
+
+      calculateHourlyFishCast(lat, lng, {
+        ...profileOptions.current,
+        hours: 72,
+      })
+        .then(hourly => setTimeline(hourly))
+        .catch(() => {});
+
       // Fetch 7-day outlook (Pro only, but pre-fetch for paywall tease)
-      calculate7DayOutlook(lat, lng)
+      calculate7DayOutlook(lat, lng, profileOptions.current)
         .then(days => setOutlook(days))
         .catch(() => {});
     } catch (e) {
@@ -103,6 +167,52 @@ export default function FishCastScreen() {
     }
   }
 
+  const reload = () => {
+    if (coords) {
+      loadForecast(coords.latitude, coords.longitude);
+    } else {
+      loadForecast(59.3293, 18.0686);
+    }
+  };
+
+  const selectWaterProfile = id => {
+    profileOptions.current = { ...profileOptions.current, profile: id };
+    preferencesService.setPreference('fishcastProfile', id).catch(() => {});
+    reload();
+  };
+
+  // Station and datum changes only need the tide card refreshed
+  const reloadTide = async change => {
+    const { latitude, longitude } = coords || {
+      latitude: 59.3293,
+      longitude: 18.0686,
+    };
+    try {
+      await change(latitude, longitude);
+      setTide(await tideService.getCurrentTideState(latitude, longitude));
+    } catch {}
+  };
+
+  const selectTideStation = id =>
+    reloadTide((lat, lng) => tideService.setStation(lat, lng, id));
+
+  const selectTideDatum = datum =>
+    reloadTide(() => tideService.setTideDatum(datum));
+
+  const adjustWeight = async (key, delta) => {
+    const weights = { ...forecast.profile.weights };
+    weights[key] = Math.max(0, weights[key] + delta);
+    try {
+      await setCustomWeights(forecast.profile.id, weights);
+      reload();
+    } catch {}
+  };
+
+  const resetWeights = async () => {
+    await resetCustomWeights(forecast.profile.id).catch(() => {});
+    reload();
+  };
+
   const onRefresh = useCallback(() => {
     setRefreshing(true);
     if (coords) {
@@ -143,6 +253,7 @@ export default function FishCastScreen() {
   }
 
   const summary = getSummaryText(forecast.score, t);
+  const personal = getPersonalScore(forecast.factors, calibration);
 
   return (
     <ScrollView
@@ -182,6 +293,55 @@ export default function FishCastScreen() {
         <Text style={[styles.summary, { marginBottom: 0 }]}>{summary.text}</Text>
       </View>
 
+      {/* Personal FishCast */}
+      {calibration && (
+        <Card
+          title={t('fishcast.personal', 'Your Personal FishCast')}
+          icon="user"
+          style={styles.card}
+        >
+          {personal ? (
+            <>
+              <View style={styles.personalRow}>
+                <Text style={styles.personalScore}>{personal.score}</Text>
+                <Text style={styles.personalLabel}>
+                  {personal.label} · {t('fishcast.generic', 'generic')}{' '}
+                  {forecast.score}
+                </Text>
+              </View>
+              {calibration.factors
+                .filter(f => Math.abs(f.weight - f.baseWeight) >= 0.01)
+                .slice(0, 3)
+                .map(f => (
+                  <Text key={f.key} style={styles.personalInsight}>
+                    {f.weight > f.baseWeight ? '▲' : '▼'}{' '}
+                    {t(
+                      `fishcast.factor.${f.key}`,
+                      f.key.replace(/([A-Z])/g, ' $1').toLowerCase(),
+                    )}{' '}
+                    {f.weight > f.baseWeight
+                      ? t('fishcast.mattersMore', 'matters more for you')
+                      : t('fishcast.mattersLess', 'matters less for you')}{' '}
+                    ({Math.round(f.baseWeight * 100)}% →{' '}
+                    {Math.round(f.weight * 100)}%)
+                  </Text>
+                ))}
+              <Text style={styles.personalHint}>
+                {t('fishcast.personalBasis', 'Fitted on this device from')}{' '}
+                {calibration.catchCount} {t('fishcast.catches', 'catches')},{' '}
+                {calibration.baselineCount}{' '}
+                {t('fishcast.blankTrips', 'blank trips')}
+              </Text>
+            </>
+          ) : (
+            <Text style={styles.personalHint}>
+              {t('fishcast.personalLocked', 'Catches until unlocked')}:{' '}
+              {MIN_CATCHES - calibration.catchCount}
+            </Text>
+          )}
+        </Card>
+      )}
+
       {/* Best Times Today */}
       {forecast.solunar && (
         <Card title={t('fishcast.bestTimes', 'Best Times Today')} icon="clock" style={{ marginBottom: 16 }}>
@@ -213,29 +373,62 @@ export default function FishCastScreen() {
       )}
 
       {/* Hourly Forecast Timeline */}
-      {forecast.hourly && forecast.hourly.length > 0 && (
-        <Card title={t('fishcast.hourlyForecast', 'Hourly Forecast')} icon="barChart" style={{ marginBottom: 16 }}>
+      {timeline?.hours?.length > 0 && (
+        <Card
+          title={t('fishcast.hourlyForecast', 'Hourly Forecast')}
+          icon="barChart"
+          style={styles.card}
+        >
+          {timeline.peaks.length > 0 && (
+            <View style={styles.peakRow}>
+              {timeline.peaks.map(peak => (
+                <View key={peak.start} style={styles.peakWindow}>
+                  <AppIcon name="flame" size={14} color={colors.success} />
+                  <Text style={styles.peakText}>
+                    {formatWindow(peak)} · {peak.peakScore}
+                  </Text>
+                </View>
+              ))}
+            </View>
+          )}
           <ScrollView horizontal showsHorizontalScrollIndicator={false}>
-            {forecast.hourly.map((h, i) => (
-              <View key={i} style={styles.hourlySlot}>
-                <Text style={styles.hourlyTime}>{h.hour}</Text>
-                <View
-                  style={[
-                    styles.hourlyBar,
-                    {
-                      height: Math.max(8, (h.score / 100) * 60),
-                      backgroundColor:
-                        h.score >= 70
-                          ? colors.success
-                          : h.score >= 40
-                          ? colors.accent
-                          : colors.textDisabled,
-                    },
-                  ]}
-                />
-                <Text style={styles.hourlyScore}>{h.score}</Text>
-              </View>
-            ))}
+            {timeline.hours.map(h => {
+              const time = new Date(h.time);
+              const inPeak = timeline.peaks.some(
+                p => h.time >= p.start && h.time < p.end,
+              );
+              return (
+                <View key={h.time} style={styles.hourlySlot}>
+                  <Text style={styles.hourlyTime}>
+                    {time.getHours() === 0
+                      ? time.toLocaleDateString([], { weekday: 'short' })
+                      : time.toLocaleTimeString([], { hour: 'numeric' })}
+                  </Text>
+                  <View
+                    style={[
+                      styles.hourlyBar,
+                      inPeak && styles.hourlyBarPeak,
+                      {
+                        height: Math.max(8, (h.score / 100) * 60),
+                        backgroundColor:
+                          h.score >= 70
+                            ? colors.success
+                            : h.score >= 40
+                            ? colors.accent
+                            : colors.textDisabled,
+                      },
+                    ]}
+                  />
+                  <Text style={styles.hourlyScore}>{h.score}</Text>
+                  {h.tide && (
+                    <Text style={styles.hourlyTide}>
+                      {h.tide.state === 'rising' ? '↑' : '↓'}
+                      {h.tide.height.toFixed(1)}
+                    </Text>
+                  )}
+                </View>
+              );
+            })}
           </ScrollView>
         </Card>
       )}
@@ -306,6 +499,9 @@ export default function FishCastScreen() {
         </Card>
       )}
 
+      {/* Saved spots ranked for a chosen window */}
+      <SpotRanking profileOptions={profileOptions.current} />
+
       {/* Solunar Timeline */}
       {forecast.solunar && (
         <SolunarTimeline
@@ -325,10 +521,68 @@ export default function FishCastScreen() {
       )}
 
       {/* Tide */}
-      <TideChart tide={tide || forecast.tide} />
+      <TideChart
+        tide={tide || forecast.tide}
+        current={tideCurrent || forecast.tide?.current}
+        stations={tideStations}
+        onSelectStation={tideStations.length > 0 ? selectTideStation : null}
+        onSelectDatum={selectTideDatum}
+      />
+
+      {/* Weight profile */}
+      {forecast.profile && (
+        <ScrollView
+          horizontal
+          showsHorizontalScrollIndicator={false}
+          style={styles.profileChips}
+        >
+          {listWaterProfiles().map(p => {
+            const active = forecast.profile.waterProfile === p.id;
+            return (
+              <TouchableOpacity
+                key={p.id}
+                style={[styles.profileChip, active && styles.profileChipActive]}
+                onPress={() => selectWaterProfile(p.id)}
+              >
+                <Text
+                  style={[
+                    styles.profileChipText,
+                    active && styles.profileChipTextActive,
+                  ]}
+                >
+                  {t(`fishcast.profile_${p.id}`, p.name)}
+                </Text>
+              </TouchableOpacity>
+            );
+          })}
+        </ScrollView>
+      )}
 
       {/* Factor Breakdown */}
-      <FactorBreakdown factors={forecast.factors} />
+      <FactorBreakdown
+        factors={forecast.factors}
+        profile={forecast.profile}
+        pressureTrend={forecast.pressureTrend}
+        onAdjustWeight={tuning ? adjustWeight : undefined}
+      />
+      {forecast.profile && (
+        <View style={styles.tuneRow}>
+          <TouchableOpacity onPress={() => setTuning(!tuning)}>
+            <Text style={styles.tuneText}>
+              {tuning
+                ? t('common.done', 'Done')
+                : t('fishcast.tuneWeights', 'Tune weights')}
+            </Text>
+          </TouchableOpacity>
+          {forecast.profile.source === 'custom' && (
+            <TouchableOpacity onPress={resetWeights}>
+              <Text style={styles.tuneText}>
+                {t('fishcast.resetWeights', 'Reset to default')}
+              </Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      )}
 
       <View style={{ height: 100 }} />
     </ScrollView>
@@ -371,8 +625,40 @@ function getSummaryText(score, t) {
   };
 }
 
+function formatWindow(peak) {
+  const start = new Date(peak.start);
+  const end = new Date(peak.end);
+  const day = start.toLocaleDateString([], { weekday: 'short' });
+  const hour = d => d.toLocaleTimeString([], { hour: 'numeric' });
+  return `${day} ${hour(start)}–${hour(end)}`;
+}
+
 const createStyles = (colors) => StyleSheet.create({
   container: { flex: 1, backgroundColor: colors.background },
+  card: { marginBottom: 16 },
+  profileChips: { marginBottom: 12, maxHeight: 40 },
+  profileChip: {
+    backgroundColor: colors.surface,
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 20,
+    marginRight: 8,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  profileChipActive: {
+    borderColor: colors.primary,
+    backgroundColor: colors.primary + '15',
+  },
+  profileChipText: { fontSize: 13, color: colors.textTertiary },
+  profileChipTextActive: { color: colors.primary },
+  tuneRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: -4,
+    marginBottom: 12,
+  },
+  tuneText: { fontSize: 13, color: colors.primary, fontWeight: '600' },
   content: { padding: 20, paddingTop: 50, paddingBottom: 100 },
   centerContainer: {
     flex: 1,
@@ -432,7 +718,35 @@ const createStyles = (colors) => StyleSheet.create({
     borderRadius: 4,
     minHeight: 8,
   },
+  personalRow: {
+    flexDirection: 'row',
+    alignItems: 'baseline',
+    gap: 10,
+    marginBottom: 8,
+  },
+  personalScore: { fontSize: 32, fontWeight: '800', color: colors.primary },
+  personalLabel: { fontSize: 14, color: colors.textSecondary },
+  personalInsight: { fontSize: 13, color: colors.text, marginBottom: 4 },
+  personalHint: { fontSize: 12, color: colors.textTertiary, marginTop: 4 },
+  hourlyBarPeak: { borderWidth: 1, borderColor: colors.text },
   hourlyScore: { fontSize: 10, color: colors.textSecondary, marginTop: 4 },
+  hourlyTide: { fontSize: 9, color: colors.textTertiary, marginTop: 2 },
+  peakRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 12,
+  },
+  peakWindow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    backgroundColor: colors.success + '15',
+    borderRadius: 12,
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+  },
+  peakText: { fontSize: 12, color: colors.text, fontWeight: '600' },
 
   outlookProBadge: {
     position: 'absolute',
@@ -21,6 +21,14 @@ import { useTranslation } from 'react-i18next';
 import Geolocation from '@react-native-community/geolocation';
 import catchService from '../../services/catchService';
 import weatherService from '../../services/weatherService';
+import preferencesService from '../../services/preferencesService';
+import {
+  checkBeforeSave,
+  normalizeSpeciesId,
+} from '../../services/possessionService';
+import { getClosedAreasAt } from '../../services/protectedAreaService';
+import { MEASUREMENTS } from '../../services/regulationsService';
+import { resolveJurisdiction } from '../../services/jurisdictionService';
 import { useApp } from '../../store/AppContext';
 import { checkLimit, requireFeature } from '../../services/featureGate';
 import { notificationSuccess, notificationWarning } from '../../utils/haptics';
@@ -115,6 +123,10 @@ export default function LogCatchScreen({ navigation, route }) {
         : String(editCatch.length)
       : '',
   );
+  // How the length was taken; size limits use total or fork length
+  const [measuredAs, setMeasuredAs] = useState(
+    editCatch?.lengthMeasurement || null,
+  );
   const [bait, setBait] = useState(editCatch?.bait || '');
   const [notes, setNotes] = useState(editCatch?.notes || '');
   const [released, setReleased] = useState(editCatch?.released || false);
@@ -123,6 +135,14 @@ export default function LogCatchScreen({ navigation, route }) {
     editCatch?.waterType || 'freshwater',
   );
   const [method, setMethod] = useState(editCatch?.method || '');
+  // Optional thermometer reading — feeds the spot's water temperature
+  const [waterTemp, setWaterTemp] = useState(
+    editCatch?.conditions?.waterTemp != null
+      ? units === 'imperial'
+        ? String(((editCatch.conditions.waterTemp * 9) / 5 + 32).toFixed(0))
+        : String(editCatch.conditions.waterTemp)
+      : '',
+  );
   const [saving, setSaving] = useState(false);
 
   // Auto-captured data
@@ -209,6 +229,88 @@ export default function LogCatchScreen({ navigation, route }) {
     ]);
   }
 
+  /**
+   * Warn before keeping a fish that would exceed the bag or possession
+   * limit where it was caught — the region at the catch position, or the
+   * angler's regulation region without GPS. Resolves to the `released`
+   * value to save with, or null to cancel.
+   */
+  async function confirmBagLimit() {
+    if (isEditing || released) return released;
+    let check;
+    try {
+      let regionCode = coords?.latitude
+        ? resolveJurisdiction(coords.latitude, coords.longitude, { waterType })
+            .regionCode
+        : null;
+      if (!regionCode) {
+        ({ regulationRegion: regionCode } =
+          await preferencesService.getPreferences());
+      }
+      if (!regionCode) return released;
+      check = await checkBeforeSave(regionCode, species);
+    } catch {
+      return released;
+    }
+    if (check.allowed) return released;
+
+    notificationWarning();
+    return new Promise(resolve => {
+      Alert.alert(
+        t('catch.bagLimitTitle', 'Over the Limit'),
+        check.issues.map(i => i.message).join('\n'),
+        [
+          {
+            text: t('catch.markReleased', 'Mark as Released'),
+            onPress: () => resolve(true),
+          },
+          {
+            text: t('catch.keepAnyway', 'Save as Kept'),
+            style: 'destructive',
+            onPress: () => resolve(false),
+          },
+          {
+            text: t('common.cancel', 'Cancel'),
+            style: 'cancel',
+            onPress: () => resolve(null),
+          },
+        ],
+      );
+    });
+  }
+
+  /**
+   * #534 — Warn when the catch location is inside a no-take or closed
+   * area. Resolves to true to continue saving.
+   */
+  function confirmProtectedArea() {
+    if (isEditing || !coords?.latitude) return Promise.resolve(true);
+    const closed = getClosedAreasAt(coords.latitude, coords.longitude, {
+      species: normalizeSpeciesId(species),
+    });
+    if (closed.length === 0) return Promise.resolve(true);
+
+    notificationWarning();
+    return new Promise(resolve => {
+      Alert.alert(
+        t('catch.protectedAreaTitle', 'Protected Area'),
+        closed.map(a => a.message).join('\n'),
+        [
+          {
+            text: t('catch.saveAnyway', 'Save Anyway'),
+            style: 'destructive',
+            onPress: () => resolve(true),
+          },
+          {
+            text: t('common.cancel', 'Cancel'),
+            style: 'cancel',
+            onPress: () => resolve(false),
+          },
+        ],
+      );
+    });
+  }
+
   async function handleSave() {
     if (!species.trim()) {
       Alert.alert(
@@ -234,9 +336,39 @@ export default function LogCatchScreen({ navigation, route }) {
       } catch {}
     }
 
+    if (!(await confirmProtectedArea())) return;
+
+    const keepReleased = await confirmBagLimit();
+    if (keepReleased === null) return;
+    if (keepReleased !== released) setReleased(keepReleased);
+
     setSaving(true);
     try {
       await catchService.init();
+      const waterTempC = waterTemp
+        ? Math.round(
+            (units === 'imperial'
+              ? (parseFloat(waterTemp) - 32) / 1.8
+              : parseFloat(waterTemp)) * 10,
+          ) / 10
+        : null;
+      const recorded = autoWeather
+        ? {
+            temp: autoWeather.temp,
+            weather: autoWeather.description,
+            wind: autoWeather.wind,
+            windSpeed: autoWeather.wind,
+            pressure: autoWeather.pressure,
+          }
+        : editCatch?.conditions || null;
+      // Clearing the field removes an earlier reading as well
+      let conditions = recorded;
+      if (Number.isFinite(waterTempC)) {
+        conditions = { ...recorded, waterTemp: waterTempC };
+      } else if (recorded?.waterTemp != null) {
+        const { waterTemp: _cleared, ...rest } = recorded;
+        conditions = rest;
+      }
       const catchData = {
         species: species.trim(),
         weight: weight
@@ -249,22 +381,16 @@ export default function LogCatchScreen({ navigation, route }) {
             ? parseFloat(length) * 2.54
             : parseFloat(length)
           : null,
+        lengthMeasurement: length ? measuredAs : null,
         bait: bait.trim(),
         method,
         waterType,
         notes: notes.trim(),
-        released,
+        released: keepReleased,
         photo: photoUri,
         latitude: coords?.latitude || 0,
         longitude: coords?.longitude || 0,
-        conditions: autoWeather
-          ? {
-              temp: autoWeather.temp,
-              weather: autoWeather.description,
-              wind: autoWeather.wind,
-              pressure: autoWeather.pressure,
-            }
-          : editCatch?.conditions || null,
+        conditions,
       };
 
       if (isEditing) {
@@ -291,6 +417,7 @@ export default function LogCatchScreen({ navigation, route }) {
                 setLength('');
                 setBait('');
                 setMethod('');
+                setWaterTemp('');
                 setWaterType('saltwater');
                 setNotes('');
                 setReleased(false);
@@ -385,6 +512,38 @@ export default function LogCatchScreen({ navigation, route }) {
             </View>
           </View>
 
+          {/* How the length was measured */}
+          {!!length && (
+            <>
+              <Text style={styles.label}>
+                {t('catch.measuredAs', 'Measured as')}
+              </Text>
+              <View style={styles.chipRow}>
+                {[null, ...Object.keys(MEASUREMENTS)].map(key => (
+                  <TouchableOpacity
+                    key={key || 'unsure'}
+                    style={[
+                      styles.chip,
+                      measuredAs === key && styles.chipActive,
+                    ]}
+                    onPress={() => setMeasuredAs(key)}
+                  >
+                    <Text
+                      style={[
+                        styles.chipText,
+                        measuredAs === key && styles.chipTextActive,
+                      ]}
+                    >
+                      {key
+                        ? t(`catch.measurement.${key}`, MEASUREMENTS[key])
+                        : t('catch.measurementUnsure', 'not sure')}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            </>
+          )}
+
           {/* Water type selector */}
           <Text style={styles.label}>{t('catch.waterType', 'Water Type')}</Text>
           <View style={styles.chipRow}>
@@ -415,6 +574,18 @@ export default function LogCatchScreen({ navigation, route }) {
             ))}
           </View>
 
+          <Input
+            label={
+              units === 'imperial'
+                ? t('catch.waterTempF', 'Water Temp (°F)')
+                : t('catch.waterTempC', 'Water Temp (°C)')
+            }
+            value={waterTemp}
+            onChangeText={setWaterTemp}
+            keyboardType="decimal-pad"
+            placeholder={t('catch.optional', 'Optional')}
+          />
+
           {/* Method selector */}
           <Text style={styles.label}>{t('catch.method', 'Method')}</Text>
           <ScrollView
@@ -592,6 +763,11 @@ const createStyles = (colors) => StyleSheet.create({
     marginBottom: 6,
   },
   chipText: { color: colors.textSecondary, fontSize: 14 },
+  chipActive: {
+    borderColor: colors.primary,
+    backgroundColor: colors.primary + '20',
+  },
+  chipTextActive: { color: colors.primary },
   releaseToggle: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -31,6 +31,8 @@ import {
 import { useApp } from '../../store/AppContext';
 import catchService from '../../services/catchService';
 import spotService from '../../services/spotService';
+import { getProtectedAreasGeoJSON } from '../../services/protectedAreaService';
+import { ALL, getHotspots, seasonOf } from '../../services/hotspotService';
 import weatherService from '../../services/weatherService';
 import LayerPicker from '../../components/LayerPicker';
 import WeatherCard from '../../components/WeatherCard';
@@ -81,6 +83,7 @@ export default function MapScreen({ navigation }) {
   const [distancePoints, setDistancePoints] = useState([]);
   const [rainViewerTs, setRainViewerTs] = useState(null);
   const [tideStations, setTideStations] = useState([]);
+  const [hotspots, setHotspots] = useState(null);
 
   // Request location permission and start tracking
   useEffect(() => {
@@ -176,6 +179,21 @@ export default function MapScreen({ navigation }) {
       });
   }, [activeLayers, userCoords]);
 
+  // #573 — Aggregated, anonymized hotspots; this season's where there are any
+  useEffect(() => {
+    if (!activeLayers.includes('fish_hotspots') || !userCoords) return;
+    const { latitude, longitude } = userCoords;
+    const season = seasonOf(new Date(), latitude);
+    getHotspots(latitude, longitude, { species: ALL, season })
+      .then(current =>
+        current.features.length > 0
+          ? current
+          : getHotspots(latitude, longitude, { species: ALL, season: ALL }),
+      )
+      .then(result => setHotspots(result.features.length > 0 ? result : null))
+      .catch(() => setHotspots(null));
+  }, [activeLayers, userCoords]);
+
   async function loadCatches() {
     try {
       const [catchData, spotData] = await Promise.all([
@@ -205,6 +223,25 @@ export default function MapScreen({ navigation }) {
     }
   }, [userCoords]);
 
+  // #534 — Saved spot falls inside a no-take or closed area
+  const warnIfProtected = useCallback(
+    spot => {
+      const areas = spot?.protectedAreas || [];
+      if (areas.length === 0) return;
+      Alert.alert(
+        t('map.protectedAreaTitle', 'Protected Area'),
+        areas
+          .map(a =>
+            a.noTake
+              ? `${a.name}: no-take — all fishing prohibited`
+              : `${a.name}: closed ${a.closure || 'seasonally'}`,
+          )
+          .join('\n'),
+      );
+    },
+    [t],
+  );
+
   // Handle map long-press — drop pin, offer to log catch or save spot
   const handleMapLongPress = useCallback(
     event => {
@@ -228,7 +265,10 @@ export default function MapScreen({ navigation }) {
                           latitude: lat,
                           longitude: lng,
                         })
-                        .then(() => loadCatches());
+                        .then(spot => {
+                          warnIfProtected(spot);
+                          loadCatches();
+                        });
                     }
                   })
                 : // Android fallback — prompt not available
@@ -238,7 +278,10 @@ export default function MapScreen({ navigation }) {
                       latitude: lat,
                       longitude: lng,
                     })
-                    .then(() => loadCatches());
+                    .then(spot => {
+                      warnIfProtected(spot);
+                      loadCatches();
+                    });
             },
           },
           {
@@ -252,7 +295,7 @@ export default function MapScreen({ navigation }) {
         ],
       );
     },
-    [navigation],
+    [navigation, warnIfProtected],
   );
 
   // Handle catch marker tap (individual or cluster)
@@ -570,6 +613,20 @@ export default function MapScreen({ navigation }) {
           </MapboxGL.ShapeSource>
         )}
 
+        {/* Protected areas — offline outlines, red = no-take */}
+        {activeLayers.includes('marine_protected_areas') && (
+          <MapboxGL.ShapeSource
+            id="protected-areas"
+            shape={getProtectedAreasGeoJSON()}
+          >
+            <MapboxGL.FillLayer
+              id="protected-area-fill"
+              belowLayerID="catch-circles"
+              style={styles.protectedAreaFill}
+            />
+          </MapboxGL.ShapeSource>
+        )}
+
         {/* Saved fishing spots */}
         {spots.length > 0 && (
           <MapboxGL.ShapeSource id="spots" shape={spotGeoJSON}>
@@ -587,53 +644,11 @@ export default function MapScreen({ navigation }) {
         )}
 
         {/* Fish Hotspots — heatmap layer from aggregated catch data */}
-        {activeLayers.includes('fish_hotspots') && catches.length > 0 && (
-          <MapboxGL.ShapeSource id="fish-hotspots" shape={catchGeoJSON}>
+        {activeLayers.includes('fish_hotspots') && hotspots && (
+          <MapboxGL.ShapeSource id="fish-hotspots" shape={hotspots}>
             <MapboxGL.HeatmapLayer
               id="fish-hotspots-heat"
-              style={{
-                heatmapRadius: [
-                  'interpolate',
-                  ['linear'],
-                  ['zoom'],
-                  0,
-                  2,
-                  9,
-                  20,
-                  15,
-                  40,
-                ],
-                heatmapWeight: 1,
-                heatmapIntensity: [
-                  'interpolate',
-                  ['linear'],
-                  ['zoom'],
-                  0,
-                  0.3,
-                  9,
-                  1,
-                  15,
-                  3,
-                ],
-                heatmapColor: [
-                  'interpolate',
-                  ['linear'],
-                  ['heatmap-density'],
-                  0,
-                  'rgba(0,0,0,0)',
-                  0.2,
-                  'rgba(0,128,255,0.4)',
-                  0.4,
-                  'rgba(0,210,170,0.6)',
-                  0.6,
-                  'rgba(255,200,0,0.7)',
-                  0.8,
-                  'rgba(255,120,0,0.85)',
-                  1.0,
-                  'rgba(255,50,50,1)',
-                ],
-                heatmapOpacity: 0.7,
-              }}
+              style={styles.hotspotHeatmap}
             />
           </MapboxGL.ShapeSource>
         )}
@@ -1498,4 +1513,44 @@ const createStyles = (colors) => StyleSheet.create({
     marginTop: 8,
   },
   hotspotZoomText: { color: colors.text, fontSize: 15, fontWeight: '600' },
+  // Map layer styles
+  protectedAreaFill: {
+    fillColor: ['case', ['get', 'noTake'], '#E53935', '#FB8C00'],
+    fillOpacity: 0.25,
+    fillOutlineColor: '#B71C1C',
+  },
+  hotspotHeatmap: {
+    heatmapRadius: ['interpolate', ['linear'], ['zoom'], 0, 2, 9, 20, 15, 40],
+    // Published weights run 1–5
+    heatmapWeight: ['/', ['get', 'weight'], 5],
+    heatmapIntensity: [
+      'interpolate',
+      ['linear'],
+      ['zoom'],
+      0,
+      0.3,
+      9,
+      1,
+      15,
+      3,
+    ],
+    heatmapColor: [
+      'interpolate',
+      ['linear'],
+      ['heatmap-density'],
+      0,
+      'rgba(0,0,0,0)',
+      0.2,
+      'rgba(0,128,255,0.4)',
+      0.4,
+      'rgba(0,210,170,0.6)',
+      0.6,
+      'rgba(255,200,0,0.7)',
+      0.8,
+      'rgba(255,120,0,0.85)',
+      1.0,
+      'rgba(255,50,50,1)',
+    ],
+    heatmapOpacity: 0.7,
+  },
 });
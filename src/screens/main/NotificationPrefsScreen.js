@@ -129,7 +129,7 @@ export default function NotificationPrefsScreen({ navigation }) {
         <Section title="FishCast Alerts">
           <ToggleRow
             label="FishCast Alerts"
-            description="Get notified when fishing conditions are great"
+            description="An hour before a peak window. Shown in ProFish the next time you open it, not as a phone notification"
             value={prefs.fishcastAlerts}
             onToggle={v => updatePref('fishcastAlerts', v)}
           />
@@ -166,6 +166,32 @@ export default function NotificationPrefsScreen({ navigation }) {
           )}
         </Section>
 
+        {/* Regulations */}
+        <Section title="Regulations">
+          <ToggleRow
+            label="License Renewals"
+            description="30 days, 7 days and on the day your license expires. Shown in ProFish the next time you open it, not as a phone notification"
+            value={prefs.licenseReminders}
+            onToggle={v => updatePref('licenseReminders', v)}
+          />
+          <ToggleRow
+            label="Protected Areas"
+            description="When you enter a no-take zone or closed area"
+            value={prefs.protectedAreaAlerts}
+            onToggle={v => updatePref('protectedAreaAlerts', v)}
+          />
+        </Section>
+
+        {/* Safety */}
+        <Section title="Safety">
+          <ToggleRow
+            label="Storm Alerts"
+            description="Lightning and severe weather during a trip or night session, while ProFish is open"
+            value={prefs.stormAlerts}
+            onToggle={v => updatePref('stormAlerts', v)}
+          />
+        </Section>
+
         {/* Community */}
         <Section title="Community">
           <ToggleRow
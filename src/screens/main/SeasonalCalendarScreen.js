@@ -6,6 +6,8 @@
  * peak, good, and off-season months.
  *
  * Data driven by species peak-season metadata + user's catches.
+ * The header button exports the month ahead's solunar periods, moon
+ * phases, tides and FishCast windows as an .ics calendar (#571).
  */
 
 import React, { useState, useEffect, useMemo } from 'react';
@@ -15,11 +17,14 @@ import {
   TouchableOpacity,
   ScrollView,
   StyleSheet,
+  Alert,
 } from 'react-native';
+import Geolocation from '@react-native-community/geolocation';
 import { useTranslation } from 'react-i18next';
 import useTheme from '../../hooks/useTheme';
 import { AppIcon } from '../../constants/icons';
 import catchService from '../../services/catchService';
+import { exportFishingCalendar } from '../../services/calendarExportService';
 
 const MONTHS = [
   'Jan',
@@ -116,6 +121,9 @@ const DEFAULT_SEASONS = [
   },
 ];
 
+const DEFAULT_COORDS = { latitude: 59.3293, longitude: 18.0686 }; // Stockholm
+const EXPORT_DAYS = 30;
+
 function getMonthState(monthIdx, peak, good) {
   if (peak.includes(monthIdx)) return 'peak';
   if (good.includes(monthIdx)) return 'good';
@@ -128,6 +136,7 @@ export default function SeasonalCalendarScreen({ navigation }) {
   const { t } = useTranslation();
   const [catches, setCatches] = useState([]);
   const [selectedSpecies, setSelectedSpecies] = useState(null);
+  const [exporting, setExporting] = useState(false);
 
   useEffect(() => {
     (async () => {
@@ -186,6 +195,27 @@ export default function SeasonalCalendarScreen({ navigation }) {
 
   const currentMonth = new Date().getMonth();
 
+  const exportCalendar = () => {
+    setExporting(true);
+    const run = async ({ latitude, longitude }) => {
+      try {
+        const result = await exportFishingCalendar(latitude, longitude, {
+          days: EXPORT_DAYS,
+        });
+        if (result.error) {
+          Alert.alert(t('export.failed', 'Export failed'), result.error);
+        }
+      } finally {
+        setExporting(false);
+      }
+    };
+    Geolocation.getCurrentPosition(
+      pos => run(pos.coords),
+      () => run(DEFAULT_COORDS),
+      { enableHighAccuracy: false, timeout: 10000, maximumAge: 60000 },
+    );
+  };
+
   return (
     <View style={styles.container}>
       {/* Header */}
@@ -197,7 +227,19 @@ export default function SeasonalCalendarScreen({ navigation }) {
           <Text style={styles.backText}>←</Text>
         </TouchableOpacity>
         <Text style={styles.headerTitle}>Seasonal Calendar</Text>
-        <View style={{ width: 40 }} />
+        <TouchableOpacity
+          onPress={exportCalendar}
+          disabled={exporting}
+          style={styles.backBtn}
+          accessibilityRole="button"
+          accessibilityLabel={t('calendar.addToCalendar', 'Add to calendar')}
+        >
+          <AppIcon
+            name="calendar"
+            size={22}
+            color={exporting ? colors.textTertiary : colors.text}
+          />
+        </TouchableOpacity>
       </View>
 
       {/* Legend */}
@@ -22,6 +22,7 @@ import {
   calculateFishCast,
   adjustScoreForSpecies,
 } from '../../services/fishCastService';
+import predictiveCatchService from '../../services/predictiveCatchService';
 import { useApp } from '../../store/AppContext';
 import { formatWeight, formatLength } from '../../utils/units';
 import { AppIcon } from '../../constants/icons';
@@ -37,6 +38,7 @@ export default function SpeciesDetailScreen({ route, navigation }) {
   const [myCatches, setMyCatches] = useState([]);
   const [fishCast, setFishCast] = useState(null);
   const [fishCastLoading, setFishCastLoading] = useState(false);
+  const [prediction, setPrediction] = useState(null);
 
   useEffect(() => {
     if (speciesId) {
@@ -51,15 +53,31 @@ export default function SpeciesDetailScreen({ route, navigation }) {
   useEffect(() => {
     if (!species) return;
     setFishCastLoading(true);
+    setPrediction(null);
     Geolocation.getCurrentPosition(
       async pos => {
         try {
           const { latitude, longitude } = pos.coords;
-          const base = await calculateFishCast(latitude, longitude);
           const speciesName =
             species.displayName || speciesId.replace(/_/g, ' ');
+          // Species weight profile, then condition preferences on top
+          const base = await calculateFishCast(
+            latitude,
+            longitude,
+            new Date(),
+            { species: speciesName },
+          );
           const adjusted = adjustScoreForSpecies(base, speciesName);
           setFishCast(adjusted);
+          // Species model at the spot's water temperature (#568)
+          setPrediction(
+            await predictiveCatchService.predictAt(
+              speciesId,
+              latitude,
+              longitude,
+              predictiveCatchService.conditionsFromFishCast(base),
+            ),
+          );
         } catch {
           setFishCast(null);
         } finally {
@@ -289,6 +307,14 @@ export default function SpeciesDetailScreen({ route, navigation }) {
                       <AppIcon name="star" size={12} color={colors.textSecondary} /> {insight}
                     </Text>
                   ))}
+                  {prediction && (
+                    <Text style={styles.fishCastInsight}>
+                      <AppIcon name="fish" size={12} color={colors.textSecondary} />{' '}
+                      {t('species.biteChance', 'Bite chance')}: {prediction.probability}%
+                      {' · '}
+                      {prediction.tips[0]}
+                    </Text>
+                  )}
                   {fishCast.weather && (
                     <Text style={styles.fishCastCondition}>
                       <AppIcon name="thermometer" size={12} color={colors.textTertiary} /> {Math.round(fishCast.weather.temp)}°C {'  '}
@@ -17,9 +17,11 @@ import {
   Dimensions,
 } from 'react-native';
 import { useTranslation } from 'react-i18next';
+import Geolocation from '@react-native-community/geolocation';
 import {
   NIGHT_SPECIES,
   calculateNightScore,
+  getNightAstronomy,
   startNightSession,
   getNightSessions,
   LIGHT_GUIDE,
@@ -65,25 +67,35 @@ export default function NightFishingScreen({ navigation }) {
   const glowAnim = useRef(new Animated.Value(0)).current;
 
   useEffect(() => {
-    // Simulate current conditions (in production: pull from weatherService + solunarService)
-    const now = new Date();
-    const hour = now.getHours();
-    const isNight = hour >= 19 || hour < 6;
-
-    const mockConditions = {
-      moonIllumination: 15,
-      moonPhase: 'waxing_crescent',
-      cloudCoverPercent: 40,
-      windSpeedKmh: 8,
-      waterTempF: 68,
-      pressureTrendMb: -1.5,
-      isSolunarMajor: hour >= 22 && hour <= 24,
-      isSolunarMinor: hour >= 20 && hour < 22,
-      hoursAfterSunset: isNight ? (hour >= 19 ? hour - 19 : hour + 5) : 0,
+    const scoreNight = (latitude, longitude) => {
+      // Moon, sunset and solunar from the ephemeris; weather is still a
+      // placeholder until this screen reads weatherService
+      const astronomy = getNightAstronomy(latitude, longitude);
+      const conditions = {
+        moonIllumination: astronomy.moonIllumination,
+        moonPhase: astronomy.moonPhase,
+        cloudCoverPercent: 40,
+        windSpeedKmh: 8,
+        waterTempF: 68,
+        pressureTrendMb: -1.5,
+        isSolunarMajor: astronomy.isSolunarMajor,
+        isSolunarMinor: astronomy.isSolunarMinor,
+        hoursAfterSunset: astronomy.hoursAfterSunset,
+      };
+      const result = calculateNightScore(conditions);
+      setNightData({
+        ...result,
+        conditions,
+        astronomy,
+        isNight: astronomy.isNight,
+      });
     };
 
-    const result = calculateNightScore(mockConditions);
-    setNightData({ ...result, conditions: mockConditions, isNight });
+    Geolocation.getCurrentPosition(
+      pos => scoreNight(pos.coords.latitude, pos.coords.longitude),
+      () => scoreNight(59.3293, 18.0686), // Stockholm as default
+      { enableHighAccuracy: false, timeout: 10000, maximumAge: 60000 },
+    );
 
     loadSessions();
     startAnimations();
@@ -199,6 +211,19 @@ export default function NightFishingScreen({ navigation }) {
             </View>
           </View>
 
+          {/* Moon and sun tonight */}
+          <Text style={styles.astronomyLine}>
+            {[
+              `Moon ${nightData.astronomy.moonIllumination}%`,
+              nightData.astronomy.moonrise &&
+                `Moonrise ${formatClock(nightData.astronomy.moonrise)}`,
+              nightData.astronomy.nextSunrise &&
+                `Sunrise ${formatClock(nightData.astronomy.nextSunrise)}`,
+            ]
+              .filter(Boolean)
+              .join(' · ')}
+          </Text>
+
           {/* Score Factors */}
           <View style={styles.factorsContainer}>
             {nightData.factors.map((f, i) => (
@@ -455,6 +480,13 @@ export default function NightFishingScreen({ navigation }) {
   );
 }
 
+function formatClock(iso) {
+  return new Date(iso).toLocaleTimeString([], {
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+}
+
 // ─────────────────────────────────────────────────
 // STYLES — Night mode dark theme with green accents
 // ─────────────────────────────────────────────────
@@ -483,6 +515,12 @@ const createStyles = colors =>
       letterSpacing: 2,
       marginTop: 4,
     },
+    astronomyLine: {
+      fontSize: 12,
+      color: colors.textSecondary,
+      textAlign: 'center',
+      marginBottom: 12,
+    },
     ratingBadge: {
       marginTop: 8,
       paddingHorizontal: 16,
@@ -17,8 +17,10 @@ import {
   AppState,
 } from 'react-native';
 import { useTranslation } from 'react-i18next';
+import Geolocation from '@react-native-community/geolocation';
 import {
   SAFETY_CHECKIN_INTERVALS,
+  getNightAstronomy,
   setSafetyCheckIn,
   performCheckIn,
 } from '../../services/nightFishingService';
@@ -119,14 +121,27 @@ export default function NightSafetyScreen({ navigation }) {
   const checkInTimerRef = useRef(null);
 
   useEffect(() => {
-    // Simple sunrise estimate (in production: use solunarService.getSunTimes)
-    const now = new Date();
-    const sunrise = new Date(now);
-    if (now.getHours() >= 19) {
-      sunrise.setDate(sunrise.getDate() + 1);
-    }
-    sunrise.setHours(6, 30, 0, 0); // Approximate sunrise
-    setSunriseTime(sunrise);
+    Geolocation.getCurrentPosition(
+      pos => {
+        const { nextSunrise } = getNightAstronomy(
+          pos.coords.latitude,
+          pos.coords.longitude,
+        );
+        // No sunrise in polar night — leave the countdown off
+        setSunriseTime(nextSunrise ? new Date(nextSunrise) : null);
+      },
+      () => {
+        // Without a position, a rough 6:30 beats nothing
+        const now = new Date();
+        const sunrise = new Date(now);
+        if (now.getHours() >= 19) {
+          sunrise.setDate(sunrise.getDate() + 1);
+        }
+        sunrise.setHours(6, 30, 0, 0);
+        setSunriseTime(sunrise);
+      },
+      { enableHighAccuracy: false, timeout: 10000, maximumAge: 60000 },
+    );
 
     return () => {
       if (checkInTimerRef.current) clearInterval(checkInTimerRef.current);
@@ -1,17 +1,28 @@
 /**
  * TripPlannerScreen — Plan fishing trips with weather, tides, moon, and gear
  * #549 — Multi-day trip planning with best-time suggestions
+ * #567 — Sea conditions for the trip day, rated for the user's boat; saving
+ *        a no-go day asks first
  */
 
-import React, { useState, useMemo } from 'react';
+import React, { useState, useMemo, useEffect } from 'react';
 import {
   View,
   Text,
   StyleSheet,
   TouchableOpacity,
   ScrollView,
+  Alert,
 } from 'react-native';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import Geolocation from '@react-native-community/geolocation';
+import {
+  BOAT_SKILLS,
+  DEFAULT_BOAT_PROFILE,
+  assessTrip,
+  getBoatProfile,
+  setBoatProfile,
+} from '../../services/marineForecastService';
 import useTheme from '../../hooks/useTheme';
 import { AppIcon } from '../../constants/icons';
 import { Button, Input, ScreenHeader } from '../../components/Common';
@@ -59,6 +70,33 @@ const GEAR_CHECKLIST = [
   { id: 'bugspray', label: 'Bug Spray', icon: 'bug', category: 'comfort' },
 ];
 
+const VERDICT_LABELS = {
+  go: 'Go',
+  caution: 'Caution',
+  no_go: 'No-go',
+};
+
+// Daylight hours of the trip day, local time
+const TRIP_DAY_START_HOUR = 5;
+const TRIP_DAY_END_HOUR = 21;
+
+function tripDayRange(tripDate) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(tripDate.trim());
+  if (!match) return null;
+  const [, y, m, d] = match.map(Number);
+  return [
+    new Date(y, m - 1, d, TRIP_DAY_START_HOUR),
+    new Date(y, m - 1, d, TRIP_DAY_END_HOUR),
+  ];
+}
+
+function formatHour(iso) {
+  return new Date(iso).toLocaleTimeString([], {
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+}
+
 export default function TripPlannerScreen({ navigation }) {
   const { colors } = useTheme();
   const styles = createStyles(colors);
@@ -70,6 +108,50 @@ export default function TripPlannerScreen({ navigation }) {
   const [notes, setNotes] = useState('');
   const [checkedGear, setCheckedGear] = useState({});
   const [saved, setSaved] = useState(false);
+  const [coords, setCoords] = useState(null);
+  const [boat, setBoat] = useState(DEFAULT_BOAT_PROFILE);
+  const [boatLength, setBoatLength] = useState(
+    String(DEFAULT_BOAT_PROFILE.lengthM),
+  );
+  const [marine, setMarine] = useState(null);
+
+  useEffect(() => {
+    getBoatProfile().then(profile => {
+      setBoat(profile);
+      setBoatLength(String(profile.lengthM));
+    });
+    Geolocation.getCurrentPosition(
+      pos => setCoords(pos.coords),
+      () => {},
+      { enableHighAccuracy: false, timeout: 10000, maximumAge: 60000 },
+    );
+  }, []);
+
+  // Sea conditions once there's a date inside the forecast
+  useEffect(() => {
+    const range = tripDayRange(tripDate);
+    if (!coords || !range) {
+      setMarine(null);
+      return;
+    }
+    let cancelled = false;
+    assessTrip(coords.latitude, coords.longitude, range[0], range[1], {
+      profile: boat,
+    })
+      .then(result => !cancelled && setMarine(result))
+      .catch(() => !cancelled && setMarine(null));
+    return () => {
+      cancelled = true;
+    };
+  }, [coords, tripDate, boat]);
+
+  const updateBoat = async updates => {
+    try {
+      setBoat(await setBoatProfile(updates));
+    } catch {
+      setBoatLength(String(boat.lengthM));
+    }
+  };
 
   const toggleGear = id => {
     setCheckedGear(prev => ({ ...prev, [id]: !prev[id] }));
@@ -84,7 +166,22 @@ export default function TripPlannerScreen({ navigation }) {
     };
   }, [checkedGear]);
 
-  const saveTrip = async () => {
+  const saveTrip = () => {
+    if (marine?.verdict !== 'no_go') {
+      writeTrip();
+      return;
+    }
+    Alert.alert(
+      'Unsafe on the water',
+      `The forecast is a no-go for your ${boat.lengthM}m boat that day. Save the trip anyway?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Save anyway', style: 'destructive', onPress: writeTrip },
+      ],
+    );
+  };
+
+  const writeTrip = async () => {
     const trip = {
       id: Date.now().toString(),
       name: tripName || 'Fishing Trip',
@@ -93,6 +190,11 @@ export default function TripPlannerScreen({ navigation }) {
       targetSpecies,
       notes,
       gear: checkedGear,
+      marine: marine && {
+        verdict: marine.verdict,
+        advisory: marine.advisory,
+        boat,
+      },
       createdAt: new Date().toISOString(),
     };
     try {
@@ -143,6 +245,76 @@ export default function TripPlannerScreen({ navigation }) {
         />
       </View>
 
+      {/* Sea conditions */}
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>
+          <AppIcon name="waves" size={18} color={colors.text} /> Sea Conditions
+        </Text>
+        <View style={styles.chipRow}>
+          {BOAT_SKILLS.map(skill => (
+            <TouchableOpacity
+              key={skill}
+              style={[styles.chip, boat.skill === skill && styles.chipActive]}
+              onPress={() => updateBoat({ skill })}
+            >
+              <Text
+                style={[
+                  styles.chipText,
+                  boat.skill === skill && styles.chipTextActive,
+                ]}
+              >
+                {skill[0].toUpperCase() + skill.slice(1)}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+        <Input
+          value={boatLength}
+          onChangeText={setBoatLength}
+          onEndEditing={() => updateBoat({ lengthM: Number(boatLength) })}
+          placeholder="Boat length (m)"
+          keyboardType="decimal-pad"
+        />
+        {marine ? (
+          <View style={styles.marineCard}>
+            <Text
+              style={[
+                styles.verdict,
+                {
+                  color:
+                    marine.verdict === 'go'
+                      ? colors.success
+                      : marine.verdict === 'caution'
+                      ? colors.accent
+                      : colors.error,
+                },
+              ]}
+            >
+              {VERDICT_LABELS[marine.verdict]}
+              {marine.advisory ? ` · ${marine.advisory.replace('_', ' ')}` : ''}
+            </Text>
+            {marine.seaSurfaceTemp && (
+              <Text style={styles.marineDetail}>
+                Sea {marine.seaSurfaceTemp.min.toFixed(0)}–
+                {marine.seaSurfaceTemp.max.toFixed(0)}°C
+              </Text>
+            )}
+            {marine.unsafeWindows.map(w => (
+              <Text key={w.start} style={styles.marineDetail}>
+                {formatHour(w.start)}–{formatHour(w.end)}{' '}
+                {VERDICT_LABELS[w.verdict]}: {w.reasons.join(', ')}
+              </Text>
+            ))}
+          </View>
+        ) : (
+          <Text style={styles.marineDetail}>
+            {tripDayRange(tripDate)
+              ? 'No marine forecast for this spot and date'
+              : 'Enter a date to check the sea'}
+          </Text>
+        )}
+      </View>
+
       {/* Gear checklist */}
       <View style={styles.section}>
         <View style={styles.sectionHeader}>
@@ -228,5 +400,23 @@ const createStyles = (colors) => StyleSheet.create({
   gearEmoji: { fontSize: 20, marginRight: 10 },
   gearLabel: { fontSize: 15, color: colors.text },
   gearLabelChecked: { textDecorationLine: 'line-through', color: colors.textTertiary },
+  chipRow: { flexDirection: 'row', flexWrap: 'wrap', gap: 6, marginBottom: 8 },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 14,
+    backgroundColor: colors.surface,
+  },
+  chipActive: { backgroundColor: colors.primary },
+  chipText: { fontSize: 13, color: colors.textSecondary },
+  chipTextActive: { color: colors.surface, fontWeight: '600' },
+  marineCard: {
+    backgroundColor: colors.surface,
+    borderRadius: 12,
+    padding: 12,
+    marginTop: 4,
+  },
+  verdict: { fontSize: 16, fontWeight: '700', marginBottom: 4 },
+  marineDetail: { fontSize: 13, color: colors.textSecondary, marginTop: 2 },
 
 });
@@ -3,33 +3,84 @@
  * #532 — Enter species + size + region → instant answer
  */
 
-import React, { useState, useMemo } from 'react';
+import React, { useState, useMemo, useEffect } from 'react';
 import {
   View,
   Text,
   StyleSheet,
   TouchableOpacity,
   ScrollView,
+  Alert,
 } from 'react-native';
+import Geolocation from '@react-native-community/geolocation';
 import {
   checkLegality,
   getAvailableRegions,
   getRegionRules,
+  getRulesForLocation,
+  MEASUREMENTS,
 } from '../../services/regulationsService';
+import {
+  getPossessionSummary,
+  checkAdditionalCatch,
+} from '../../services/possessionService';
+import { getDigestSinceLastTrip } from '../../services/regulationPackService';
+import licenseService from '../../services/licenseService';
+import preferencesService from '../../services/preferencesService';
 import useTheme from '../../hooks/useTheme';
+import { useApp } from '../../store/AppContext';
+import { toCm, formatLength, lengthLabel } from '../../utils/units';
 import { AppIcon } from '../../constants/icons';
 import { Button, Card, Input, ScreenHeader } from '../../components/Common';
 
 export default function IsItLegalScreen({ navigation }) {
   const { colors } = useTheme();
   const styles = createStyles(colors);
+  const { state } = useApp();
+  const units = state.units || 'metric';
 
   const [selectedRegion, setSelectedRegion] = useState(null);
   const [selectedSpecies, setSelectedSpecies] = useState(null);
   const [fishLength, setFishLength] = useState('');
+  const [measuredAs, setMeasuredAs] = useState(null); // null: not sure
   const [result, setResult] = useState(null);
+  const [jurisdiction, setJurisdiction] = useState(null);
+  const [locating, setLocating] = useState(false);
+  const [digest, setDigest] = useState(null);
+  const [licenses, setLicenses] = useState([]);
 
   const regions = useMemo(() => getAvailableRegions(), []);
+
+  // Start from the angler's saved regulation region
+  useEffect(() => {
+    preferencesService
+      .getPreferences()
+      .then(prefs => {
+        if (prefs.regulationRegion) setSelectedRegion(prefs.regulationRegion);
+      })
+      .catch(() => {});
+  }, []);
+
+  // #531 — Rule changes published since the last trip started
+  useEffect(() => {
+    getDigestSinceLastTrip()
+      .then(d => {
+        if (d.regions.length > 0) setDigest(d);
+      })
+      .catch(() => {});
+  }, []);
+
+  // #535 — Wallet licenses, re-read when returning from the wallet
+  useEffect(() => {
+    const load = () =>
+      licenseService
+        .getLicenses()
+        .then(setLicenses)
+        .catch(() => {});
+    load();
+    return navigation.addListener('focus', load);
+  }, [navigation]);
+
   const regionRules = useMemo(
     () => (selectedRegion ? getRegionRules(selectedRegion) : null),
     [selectedRegion],
@@ -45,11 +96,74 @@ export default function IsItLegalScreen({ navigation }) {
     }));
   }, [regionRules]);
 
-  const handleCheck = () => {
+  // #534 — Resolve the region (and any special zone) from GPS
+  const handleLocate = () => {
+    setLocating(true);
+    Geolocation.getCurrentPosition(
+      pos => {
+        setLocating(false);
+        const { latitude, longitude } = pos.coords;
+        const { jurisdiction: stack } = getRulesForLocation(
+          latitude,
+          longitude,
+        );
+        if (!stack.regionCode) {
+          Alert.alert(
+            'No Regulations Found',
+            'ProFish has no regulation data for your current location yet.',
+          );
+          return;
+        }
+        setJurisdiction(stack);
+        setSelectedRegion(stack.regionCode);
+        setSelectedSpecies(null);
+        setResult(null);
+      },
+      () => setLocating(false),
+      { enableHighAccuracy: false, timeout: 10000, maximumAge: 60000 },
+    );
+  };
+
+  const handleCheck = async () => {
     if (!selectedRegion || !selectedSpecies) return;
-    const length = fishLength ? parseFloat(fishLength) : null;
-    const res = checkLegality(selectedRegion, selectedSpecies, length);
+    const lengthCm = toCm(fishLength, units);
+    const res = checkLegality(
+      selectedRegion,
+      selectedSpecies,
+      lengthCm,
+      new Date(),
+      {
+        units,
+        measurement: measuredAs,
+        // Only check licenses once the angler keeps a wallet
+        licenses: licenses.length > 0 ? licenses : null,
+        jurisdiction:
+          jurisdiction?.regionCode === selectedRegion ? jurisdiction : null,
+      },
+    );
     setResult(res);
+
+    // Bag/possession usage from the catch log
+    try {
+      const summary = await getPossessionSummary(selectedRegion);
+      const bag = summary?.species[selectedSpecies] || null;
+      // checkLegality already reports no-harvest species
+      const issues = checkAdditionalCatch(
+        summary,
+        selectedSpecies,
+      ).issues.filter(i => !res.issues.some(r => r.type === i.type));
+      setResult({
+        ...res,
+        bag,
+        issues: [...res.issues, ...issues],
+        legal: issues.length > 0 ? false : res.legal,
+        status: issues.length > 0 ? 'ILLEGAL' : res.status,
+        message:
+          issues.length > 0
+            ? '⚠️ You have reached the limit for this species. Please release the fish.'
+            : res.message,
+      });
+    } catch {}
   };
 
   const getStatusColor = status => {
@@ -74,8 +188,48 @@ export default function IsItLegalScreen({ navigation }) {
         onBack={() => navigation.goBack()}
       />
 
+      {digest && (
+        <Card variant="outlined" radius={12} padding={14} style={styles.digestCard}>
+          <Text style={styles.digestTitle}>
+            <AppIcon name="bell" size={14} color={colors.primary} /> Rules
+            changed since your last trip
+          </Text>
+          {digest.regions.map(region => (
+            <View key={region.regionCode} style={styles.digestRegion}>
+              <Text style={styles.digestRegionName}>{region.name}</Text>
+              {region.changes.map((change, i) => (
+                <Text key={i} style={styles.digestText}>
+                  • {change.message}
+                </Text>
+              ))}
+              {!region.complete && (
+                <Text style={styles.digestText}>
+                  • Updated to rules v{region.toVersion}
+                </Text>
+              )}
+            </View>
+          ))}
+        </Card>
+      )}
+
       {/* Region picker */}
       <Text style={styles.sectionLabel}>1. Select Your Region</Text>
+      <Button
+        title="Use My Location"
+        onPress={handleLocate}
+        variant="secondary"
+        size="sm"
+        icon="mapPin"
+        loading={locating}
+        fullWidth={false}
+        style={styles.locateButton}
+      />
+      {jurisdiction?.zones.length > 0 && (
+        <Text style={styles.zoneText}>
+          <AppIcon name="mapPin" size={12} color={colors.primary} /> Special
+          zone: {jurisdiction.zones.map(z => z.name).join(', ')}
+        </Text>
+      )}
       <ScrollView
         horizontal
         showsHorizontalScrollIndicator={false}
@@ -92,6 +246,10 @@ export default function IsItLegalScreen({ navigation }) {
               setSelectedRegion(r.code);
               setSelectedSpecies(null);
               setResult(null);
+              setJurisdiction(null);
+              preferencesService
+                .setPreference('regulationRegion', r.code)
+                .catch(() => {});
             }}
           >
             <Text
@@ -141,15 +299,41 @@ export default function IsItLegalScreen({ navigation }) {
       {selectedSpecies && (
         <>
           <Text style={styles.sectionLabel}>
-            3. Fish Length (optional, inches)
+            3. Fish Length (optional, {lengthLabel(units)})
           </Text>
           <Input
             value={fishLength}
             onChangeText={setFishLength}
-            placeholder="e.g. 22"
+            placeholder={units === 'imperial' ? 'e.g. 22' : 'e.g. 55'}
             keyboardType="numeric"
             style={{ marginHorizontal: 16 }}
           />
+          <Text style={styles.measureLabel}>Measured as</Text>
+          <ScrollView
+            horizontal
+            showsHorizontalScrollIndicator={false}
+            style={styles.chipScroll}
+          >
+            {[null, ...Object.keys(MEASUREMENTS)].map(key => (
+              <TouchableOpacity
+                key={key || 'unsure'}
+                style={[styles.chip, measuredAs === key && styles.chipActive]}
+                onPress={() => {
+                  setMeasuredAs(key);
+                  setResult(null);
+                }}
+              >
+                <Text
+                  style={[
+                    styles.chipText,
+                    measuredAs === key && styles.chipTextActive,
+                  ]}
+                >
+                  {key ? MEASUREMENTS[key] : 'not sure'}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </ScrollView>
         </>
       )}
 
@@ -183,19 +367,27 @@ export default function IsItLegalScreen({ navigation }) {
 
           {result.rule && (
             <View style={styles.ruleDetails}>
-              {result.rule.minSize && (
+              {result.limits.minSizeCm && (
                 <View style={styles.ruleRow}>
                   <Text style={styles.ruleLabel}>Min Size:</Text>
                   <Text style={styles.ruleValue}>
-                    {result.rule.minSize} inches
+                    {formatLength(result.limits.minSizeCm, units)}
                   </Text>
                 </View>
               )}
-              {result.rule.maxSize && (
+              {result.limits.maxSizeCm && (
                 <View style={styles.ruleRow}>
                   <Text style={styles.ruleLabel}>Max Size:</Text>
                   <Text style={styles.ruleValue}>
-                    {result.rule.maxSize} inches
+                    {formatLength(result.limits.maxSizeCm, units)}
+                  </Text>
+                </View>
+              )}
+              {(result.limits.minSizeCm || result.limits.maxSizeCm) && (
+                <View style={styles.ruleRow}>
+                  <Text style={styles.ruleLabel}>Measured as:</Text>
+                  <Text style={styles.ruleValue}>
+                    {MEASUREMENTS[result.limits.measurement]}
                   </Text>
                 </View>
               )}
@@ -209,10 +401,31 @@ export default function IsItLegalScreen({ navigation }) {
                   </Text>
                 </View>
               )}
+              {result.bag && result.bag.bagLimit > 0 && (
+                <View style={styles.ruleRow}>
+                  <Text style={styles.ruleLabel}>Kept Today:</Text>
+                  <Text style={styles.ruleValue}>
+                    {result.bag.keptToday} of {result.bag.bagLimit}
+                  </Text>
+                </View>
+              )}
               <View style={styles.ruleRow}>
                 <Text style={styles.ruleLabel}>Season:</Text>
                 <Text style={styles.ruleValue}>{result.rule.season}</Text>
               </View>
+              {result.season && !result.season.yearRound && (
+                <View style={styles.ruleRow}>
+                  <Text style={styles.ruleLabel}>Status:</Text>
+                  <Text
+                    style={[
+                      styles.ruleValue,
+                      result.season.open === false && { color: colors.error },
+                    ]}
+                  >
+                    {result.season.label}
+                  </Text>
+                </View>
+              )}
               {result.notes && (
                 <View style={styles.notesBox}>
                   <Text style={styles.notesText}><AppIcon name="fileText" size={13} color={colors.accent} /> {result.notes}</Text>
@@ -221,6 +434,27 @@ export default function IsItLegalScreen({ navigation }) {
             </View>
           )}
 
+          {result.pack && (
+            <Text style={styles.packText}>
+              Rules v{result.pack.version}
+              {result.pack.publishedAt ? ` · ${result.pack.publishedAt}` : ''}
+            </Text>
+          )}
+
+          <Button
+            title="My Licenses"
+            onPress={() =>
+              navigation.navigate('LicenseWallet', {
+                regionCode: selectedRegion,
+              })
+            }
+            variant="secondary"
+            size="sm"
+            icon="shieldCheck"
+            fullWidth={false}
+            style={styles.walletButton}
+          />
+
           {result.region?.licenseUrl && (
             <View style={styles.licenseLink}>
               <Text style={styles.licenseLinkText}>
@@ -276,6 +510,19 @@ const createStyles = (colors) => StyleSheet.create({
     marginBottom: 10,
   },
   chipScroll: { paddingLeft: 16, maxHeight: 42 },
+  measureLabel: {
+    fontSize: 13,
+    color: colors.textSecondary,
+    paddingHorizontal: 16,
+    marginBottom: 6,
+  },
+  locateButton: { alignSelf: 'flex-start', marginLeft: 16, marginBottom: 10 },
+  zoneText: {
+    fontSize: 13,
+    color: colors.primary,
+    paddingHorizontal: 16,
+    marginBottom: 10,
+  },
   chip: {
     backgroundColor: colors.surface,
     paddingHorizontal: 14,
@@ -349,6 +596,23 @@ const createStyles = (colors) => StyleSheet.create({
     borderRadius: 8,
   },
   licenseLinkText: { fontSize: 13, color: colors.primary },
+  walletButton: { alignSelf: 'flex-start', marginTop: 12 },
+  packText: {
+    marginTop: 10,
+    fontSize: 12,
+    color: colors.textTertiary,
+    textAlign: 'right',
+  },
+  digestCard: { marginHorizontal: 16, marginTop: 12 },
+  digestTitle: {
+    fontSize: 14,
+    fontWeight: '700',
+    color: colors.primary,
+    marginBottom: 6,
+  },
+  digestRegion: { marginTop: 6 },
+  digestRegionName: { fontSize: 13, fontWeight: '600', color: colors.text },
+  digestText: { fontSize: 13, color: colors.textSecondary, lineHeight: 19 },
   disclaimer: {
     margin: 16,
     padding: 14,
@@ -0,0 +1,381 @@
+/**
+ * LicenseWalletScreen — Fishing licenses, stamps and permits
+ * #535 — License numbers, card photos and expiry dates per jurisdiction
+ */
+
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import {
+  View,
+  Text,
+  Image,
+  StyleSheet,
+  TouchableOpacity,
+  ScrollView,
+  Alert,
+} from 'react-native';
+import licenseService, { daysUntilExpiry } from '../../services/licenseService';
+import {
+  getAvailableRegions,
+  getLicenseInfo,
+} from '../../services/regulationsService';
+import useTheme from '../../hooks/useTheme';
+import { AppIcon } from '../../constants/icons';
+import { Button, Card, Input, ScreenHeader } from '../../components/Common';
+
+// Image picker - graceful import
+let launchImageLibrary;
+try {
+  launchImageLibrary = require('react-native-image-picker').launchImageLibrary;
+} catch (e) {
+  // Not linked yet
+}
+
+const PHOTO_OPTIONS = {
+  mediaType: 'photo',
+  maxWidth: 1600,
+  maxHeight: 1600,
+  quality: 0.8,
+};
+
+const EMPTY_FORM = { number: '', expiresAt: '', privileges: [] };
+
+export default function LicenseWalletScreen({ navigation, route }) {
+  const { colors } = useTheme();
+  const styles = createStyles(colors);
+  const [licenses, setLicenses] = useState([]);
+  const [adding, setAdding] = useState(false);
+  const [regionCode, setRegionCode] = useState(
+    route?.params?.regionCode || null,
+  );
+  const [form, setForm] = useState(EMPTY_FORM);
+
+  const regions = useMemo(() => getAvailableRegions(), []);
+  const licenseInfo = useMemo(
+    () => (regionCode ? getLicenseInfo(regionCode) : null),
+    [regionCode],
+  );
+
+  const load = useCallback(async () => {
+    try {
+      setLicenses(await licenseService.getLicenses());
+    } catch {}
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const togglePrivilege = key => {
+    setForm(f => ({
+      ...f,
+      privileges: f.privileges.includes(key)
+        ? f.privileges.filter(p => p !== key)
+        : [...f.privileges, key],
+    }));
+  };
+
+  const handleSave = async () => {
+    if (!regionCode || form.privileges.length === 0) {
+      Alert.alert('License', 'Pick a region and what the license covers.');
+      return;
+    }
+    const expiresAt = form.expiresAt.trim() || null;
+    if (expiresAt && !/^\d{4}-\d{2}-\d{2}$/.test(expiresAt)) {
+      Alert.alert('License', 'Enter the expiry date as YYYY-MM-DD.');
+      return;
+    }
+    const privileges = licenseInfo?.privileges || {};
+    await licenseService.addLicense({
+      regionCode,
+      name: form.privileges.map(p => privileges[p] || p).join(' + '),
+      number: form.number.trim(),
+      privileges: form.privileges,
+      expiresAt,
+    });
+    setForm(EMPTY_FORM);
+    setAdding(false);
+    load();
+  };
+
+  const handleAddPhoto = license => {
+    if (!launchImageLibrary) {
+      Alert.alert(
+        'Photo',
+        'Image picker not available yet. Link native module.',
+      );
+      return;
+    }
+    launchImageLibrary(PHOTO_OPTIONS, async res => {
+      if (!res.didCancel && !res.errorCode && res.assets?.[0]) {
+        await licenseService.addPhoto(license.id, res.assets[0].uri);
+        load();
+      }
+    });
+  };
+
+  const handleDelete = license => {
+    Alert.alert('Remove License', `Remove ${license.name} from your wallet?`, [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Remove',
+        style: 'destructive',
+        onPress: async () => {
+          await licenseService.deleteLicense(license.id);
+          load();
+        },
+      },
+    ]);
+  };
+
+  const expiryLabel = license => {
+    const days = daysUntilExpiry(license);
+    if (days === null) return { text: 'No expiry', color: colors.accent };
+    if (days < 0) {
+      return { text: `Expired ${license.expiresAt}`, color: colors.error };
+    }
+    if (days <= 30) {
+      return {
+        text: days === 0 ? 'Expires today' : `Expires in ${days} days`,
+        color: colors.warning,
+      };
+    }
+    return { text: `Valid until ${license.expiresAt}`, color: colors.accent };
+  };
+
+  const regionName = code => {
+    const region = regions.find(r => r.code === code);
+    return region ? `${region.country} — ${region.name}` : code;
+  };
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+      <ScreenHeader
+        variant="large"
+        title="License Wallet"
+        subtitle="Licenses, stamps and permits"
+        onBack={() => navigation.goBack()}
+      />
+
+      {licenses.length === 0 && !adding && (
+        <Text style={styles.emptyText}>
+          Add your fishing licenses to get renewal reminders and have them
+          checked when you look up a catch. They stay on this device.
+        </Text>
+      )}
+
+      {licenses.map(license => {
+        const expiry = expiryLabel(license);
+        return (
+          <Card
+            key={license.id}
+            variant="outlined"
+            radius={12}
+            padding={14}
+            style={styles.licenseCard}
+          >
+            <TouchableOpacity onLongPress={() => handleDelete(license)}>
+              <Text style={styles.licenseName}>{license.name}</Text>
+              <Text style={styles.licenseRegion}>
+                {regionName(license.regionCode)}
+              </Text>
+              {!!license.number && (
+                <Text style={styles.licenseNumber}>No. {license.number}</Text>
+              )}
+              <Text style={[styles.expiryText, { color: expiry.color }]}>
+                <AppIcon name="calendar" size={13} color={expiry.color} />{' '}
+                {expiry.text}
+              </Text>
+            </TouchableOpacity>
+            <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+              {license.photos.map(uri => (
+                <Image key={uri} source={{ uri }} style={styles.photo} />
+              ))}
+              <TouchableOpacity
+                style={styles.addPhoto}
+                onPress={() => handleAddPhoto(license)}
+              >
+                <AppIcon name="camera" size={20} color={colors.textTertiary} />
+              </TouchableOpacity>
+            </ScrollView>
+          </Card>
+        );
+      })}
+
+      {adding ? (
+        <View>
+          <Text style={styles.sectionLabel}>Region</Text>
+          <ScrollView
+            horizontal
+            showsHorizontalScrollIndicator={false}
+            style={styles.chipScroll}
+          >
+            {regions.map(r => (
+              <TouchableOpacity
+                key={r.code}
+                style={[
+                  styles.chip,
+                  regionCode === r.code && styles.chipActive,
+                ]}
+                onPress={() => {
+                  setRegionCode(r.code);
+                  setForm(f => ({ ...f, privileges: [] }));
+                }}
+              >
+                <Text
+                  style={[
+                    styles.chipText,
+                    regionCode === r.code && styles.chipTextActive,
+                  ]}
+                >
+                  {r.country} — {r.name}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </ScrollView>
+
+          {licenseInfo?.privileges && (
+            <>
+              <Text style={styles.sectionLabel}>Covers</Text>
+              <View style={styles.chipWrap}>
+                {Object.entries(licenseInfo.privileges).map(([key, label]) => {
+                  const active = form.privileges.includes(key);
+                  return (
+                    <TouchableOpacity
+                      key={key}
+                      style={[styles.chip, active && styles.chipActive]}
+                      onPress={() => togglePrivilege(key)}
+                    >
+                      <Text
+                        style={[
+                          styles.chipText,
+                          active && styles.chipTextActive,
+                        ]}
+                      >
+                        {label}
+                      </Text>
+                    </TouchableOpacity>
+                  );
+                })}
+              </View>
+            </>
+          )}
+
+          <View style={styles.form}>
+            <Input
+              label="License number"
+              value={form.number}
+              onChangeText={number => setForm(f => ({ ...f, number }))}
+              placeholder="Optional"
+              autoCapitalize="characters"
+            />
+            <Input
+              label="Expires"
+              value={form.expiresAt}
+              onChangeText={expiresAt => setForm(f => ({ ...f, expiresAt }))}
+              placeholder="YYYY-MM-DD (blank for lifetime)"
+              keyboardType="numbers-and-punctuation"
+            />
+            <Button title="Save License" onPress={handleSave} icon="check" />
+            <Button
+              title="Cancel"
+              variant="ghost"
+              onPress={() => {
+                setAdding(false);
+                setForm(EMPTY_FORM);
+              }}
+            />
+          </View>
+        </View>
+      ) : (
+        <Button
+          title="Add License"
+          onPress={() => setAdding(true)}
+          icon="plus"
+          style={styles.addButton}
+        />
+      )}
+
+      {licenseInfo?.licenseUrl && (
+        <Text style={styles.linkText}>
+          <AppIcon name="link" size={13} color={colors.primary} /> Buy or renew:{' '}
+          {licenseInfo.licenseUrl}
+        </Text>
+      )}
+    </ScrollView>
+  );
+}
+
+const createStyles = colors =>
+  StyleSheet.create({
+    container: { flex: 1, backgroundColor: colors.background },
+    content: { paddingBottom: 100 },
+    emptyText: {
+      fontSize: 14,
+      color: colors.textTertiary,
+      paddingHorizontal: 24,
+      marginTop: 24,
+      textAlign: 'center',
+      lineHeight: 20,
+    },
+    licenseCard: { marginHorizontal: 16, marginTop: 12 },
+    licenseName: { fontSize: 16, fontWeight: '700', color: colors.text },
+    licenseRegion: { fontSize: 13, color: colors.textSecondary, marginTop: 2 },
+    licenseNumber: { fontSize: 13, color: colors.text, marginTop: 6 },
+    expiryText: { fontSize: 13, fontWeight: '600', marginTop: 6 },
+    photo: {
+      width: 96,
+      height: 64,
+      borderRadius: 8,
+      marginTop: 10,
+      marginRight: 8,
+    },
+    addPhoto: {
+      width: 64,
+      height: 64,
+      borderRadius: 8,
+      marginTop: 10,
+      borderWidth: 1,
+      borderStyle: 'dashed',
+      borderColor: colors.border,
+      justifyContent: 'center',
+      alignItems: 'center',
+    },
+    sectionLabel: {
+      fontSize: 16,
+      fontWeight: '700',
+      color: colors.text,
+      paddingHorizontal: 16,
+      marginTop: 20,
+      marginBottom: 10,
+    },
+    chipScroll: { paddingLeft: 16, maxHeight: 42 },
+    chipWrap: {
+      flexDirection: 'row',
+      flexWrap: 'wrap',
+      paddingHorizontal: 16,
+      gap: 8,
+    },
+    chip: {
+      backgroundColor: colors.surface,
+      paddingHorizontal: 14,
+      paddingVertical: 10,
+      borderRadius: 20,
+      marginRight: 8,
+      borderWidth: 1,
+      borderColor: colors.border,
+    },
+    chipActive: {
+      borderColor: colors.primary,
+      backgroundColor: colors.primary + '15',
+    },
+    chipText: { fontSize: 13, color: colors.textTertiary },
+    chipTextActive: { color: colors.primary },
+    form: { paddingHorizontal: 16, marginTop: 16, gap: 12 },
+    addButton: { marginHorizontal: 16, marginTop: 20 },
+    linkText: {
+      fontSize: 13,
+      color: colors.primary,
+      paddingHorizontal: 16,
+      marginTop: 16,
+    },
+  });
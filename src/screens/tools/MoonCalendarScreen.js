@@ -1,38 +1,41 @@
 /**
  * MoonCalendarScreen — Solunar theory + moon phase fishing calendar
  * #551 — Moon phases with best fishing times
+ * Phases, moonrise/set, solunar periods and perigee/apogee come from
+ * ephemerisService for the user's location (#566).
+ * The calendar can be exported as an .ics file for any calendar app (#571).
  */
 
-import React, { useState, useMemo } from 'react';
+import React, { useState, useMemo, useEffect } from 'react';
 import {
   View,
   Text,
   StyleSheet,
   TouchableOpacity,
   FlatList,
+  Alert,
 } from 'react-native';
+import Geolocation from '@react-native-community/geolocation';
 import useTheme from '../../hooks/useTheme';
 import { AppIcon } from '../../constants/icons';
 import { ScreenHeader } from '../../components/Common';
+import solunarService from '../../services/solunarService';
+import { exportFishingCalendar } from '../../services/calendarExportService';
+import {
+  getLunarDistanceEvents,
+  getMoonIllumination,
+  startOfDay,
+} from '../../services/ephemerisService';
+
+const DEFAULT_COORDS = { latitude: 59.3293, longitude: 18.0686 }; // Stockholm
+const EXPORT_RANGES = [7, 30, 90]; // days
 
 /**
- * Calculate moon phase for a given date
+ * Moon age for a given date, from the ephemeris
  * Returns 0-29.5 (synodic month)
  */
 function getMoonPhase(date) {
-  const year = date.getFullYear();
-  const month = date.getMonth() + 1;
-  const day = date.getDate();
-
-  // Conway's algorithm approximation
-  let r = year % 100;
-  r %= 19;
-  if (r > 9) r -= 19;
-  r = ((r * 11) % 30) + month + day;
-  if (month < 3) r += 2;
-  r = (r - (year < 2000 ? 4 : 8.3)) % 30;
-  r = Math.round(r < 0 ? r + 30 : r);
-  return r;
+  return getMoonIllumination(date).ageDays;
 }
 
 /**
@@ -58,55 +61,58 @@ function getMoonInfo(phase) {
   return { name: 'Waning Crescent', emoji: '🌘', fishing: 'Good', score: 70 };
 }
 
+const fmt = iso => {
+  if (!iso) return '—';
+  const d = new Date(iso);
+  const h = d.getHours();
+  const m = d.getMinutes();
+  const period = h >= 12 ? 'PM' : 'AM';
+  const h12 = h % 12 || 12;
+  return `${h12}:${m.toString().padStart(2, '0')} ${period}`;
+};
+
 /**
- * Calculate solunar major/minor periods
- * @returns {{ major: [string, string], minor: [string, string] }}
+ * Solunar major/minor periods for a day at a spot — majors at the moon's
+ * upper and lower transit, minors at moonrise and moonset
+ * @returns {{ major: Object[], minor: Object[], moonrise: string,
+ *   moonset: string }}
  */
-function getSolunarPeriods(date, lat = 40) {
-  // Simplified solunar calculation based on moon transit
-  const phase = getMoonPhase(date);
-  const dayOfYear = Math.floor(
-    (date - new Date(date.getFullYear(), 0, 0)) / 86400000,
-  );
-
-  // Moon overhead (transit) roughly shifts ~50 min per day
-  const baseMinutes = (dayOfYear * 50) % 1440;
-  const majorStart1 = baseMinutes;
-  const majorStart2 = (majorStart1 + 720) % 1440; // Opposite transit
-  const minorStart1 = (majorStart1 + 360) % 1440; // Moonrise/set
-  const minorStart2 = (majorStart1 + 1080) % 1440;
-
-  const fmt = mins => {
-    const h = Math.floor(mins / 60) % 24;
-    const m = Math.floor(mins % 60);
-    const period = h >= 12 ? 'PM' : 'AM';
-    const h12 = h % 12 || 12;
-    return `${h12}:${m.toString().padStart(2, '0')} ${period}`;
-  };
+function getSolunarPeriods(date, latitude, longitude) {
+  const solunar = solunarService.getSolunarPeriods(latitude, longitude, date);
+  const toRow = duration => p => ({
+    start: fmt(p.start),
+    end: fmt(p.end),
+    duration,
+  });
 
   return {
-    major: [
-      { start: fmt(majorStart1), end: fmt(majorStart1 + 120), duration: '2h' },
-      { start: fmt(majorStart2), end: fmt(majorStart2 + 120), duration: '2h' },
-    ],
-    minor: [
-      { start: fmt(minorStart1), end: fmt(minorStart1 + 60), duration: '1h' },
-      { start: fmt(minorStart2), end: fmt(minorStart2 + 60), duration: '1h' },
-    ],
+    major: solunar.major.map(toRow('2h')),
+    minor: solunar.minor.map(toRow('1h')),
+    moonrise: fmt(solunar.moonTimes.rise),
+    moonset: fmt(solunar.moonTimes.set),
   };
 }
 
 /**
  * Generate 30-day calendar data
  */
-function generateCalendar(startDate) {
+function generateCalendar(startDate, { latitude, longitude }) {
+  const first = startOfDay(startDate);
+  const last = new Date(first);
+  last.setDate(last.getDate() + 30);
+  const distanceEvents = getLunarDistanceEvents(first, last);
+
   const days = [];
   for (let i = 0; i < 30; i++) {
     const date = new Date(startDate);
     date.setDate(date.getDate() + i);
     const phase = getMoonPhase(date);
     const moonInfo = getMoonInfo(phase);
-    const solunar = getSolunarPeriods(date);
+    const solunar = getSolunarPeriods(date, latitude, longitude);
+    const dayStart = startOfDay(date);
+    const distance = distanceEvents.find(
+      e => startOfDay(e.date).getTime() === dayStart.getTime(),
+    );
 
     days.push({
       date,
@@ -118,6 +124,7 @@ function generateCalendar(startDate) {
       phase,
       ...moonInfo,
       solunar,
+      distance,
       isToday: i === 0,
     });
   }
@@ -145,6 +152,15 @@ function DayCard({ day, colors, styles }) {
       </View>
 
       <Text style={styles.moonName}>{day.name}</Text>
+      <Text style={styles.moonTimes}>
+        Moonrise {day.solunar.moonrise} · Moonset {day.solunar.moonset}
+      </Text>
+      {day.distance && (
+        <Text style={styles.moonTimes}>
+          {day.distance.type === 'perigee' ? 'Perigee' : 'Apogee'} —{' '}
+          {day.distance.distanceKm.toLocaleString()} km
+        </Text>
+      )}
       <Text style={styles.fishingRating}>Fishing: {day.fishing}</Text>
 
       <View style={styles.solunarRow}>
@@ -173,7 +189,49 @@ export default function MoonCalendarScreen({ navigation }) {
   const { colors } = useTheme();
   const styles = createStyles(colors);
   const [startDate] = useState(new Date());
-  const calendar = useMemo(() => generateCalendar(startDate), [startDate]);
+  const [coords, setCoords] = useState(null);
+  const calendar = useMemo(
+    () => (coords ? generateCalendar(startDate, coords) : []),
+    [startDate, coords],
+  );
+
+  // Rise, set and transit depend on where you are
+  useEffect(() => {
+    Geolocation.getCurrentPosition(
+      pos => setCoords(pos.coords),
+      () => setCoords(DEFAULT_COORDS),
+      { enableHighAccuracy: false, timeout: 10000, maximumAge: 60000 },
+    );
+  }, []);
+
+  const [exporting, setExporting] = useState(false);
+
+  const exportCalendar = async days => {
+    setExporting(true);
+    try {
+      const result = await exportFishingCalendar(
+        coords.latitude,
+        coords.longitude,
+        { start: startDate, days },
+      );
+      if (result.error) Alert.alert('Export failed', result.error);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const chooseExportRange = () =>
+    Alert.alert(
+      'Add to Calendar',
+      'Solunar periods, new and full moons, tides and FishCast windows for this location.',
+      [
+        ...EXPORT_RANGES.map(days => ({
+          text: `Next ${days} days`,
+          onPress: () => exportCalendar(days),
+        })),
+        { text: 'Cancel', style: 'cancel' },
+      ],
+    );
 
   // Best days in next 30 days
   const bestDays = useMemo(
@@ -202,6 +260,18 @@ export default function MoonCalendarScreen({ navigation }) {
             </View>
           ))}
         </View>
+        <TouchableOpacity
+          style={styles.exportBtn}
+          onPress={chooseExportRange}
+          disabled={!coords || exporting}
+          accessibilityRole="button"
+          accessibilityLabel="Add to calendar"
+        >
+          <AppIcon name="calendar" size={16} color={colors.primary} />
+          <Text style={styles.exportText}>
+            {exporting ? 'Preparing…' : 'Add to Calendar'}
+          </Text>
+        </TouchableOpacity>
       </View>
 
       {/* Calendar */}
@@ -243,6 +313,14 @@ const createStyles = (colors) => StyleSheet.create({
     borderRadius: 12,
   },
   bestDayText: { fontSize: 12, color: colors.accent },
+  exportBtn: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    gap: 6,
+    marginTop: 12,
+  },
+  exportText: { fontSize: 13, fontWeight: '600', color: colors.primary },
   listContent: { padding: 16, paddingTop: 0, paddingBottom: 100 },
   dayCard: {
     backgroundColor: colors.surface,
@@ -265,6 +343,7 @@ const createStyles = (colors) => StyleSheet.create({
   scoreBadge: { paddingHorizontal: 10, paddingVertical: 4, borderRadius: 10 },
   scoreText: { fontSize: 14, fontWeight: '700' },
   moonName: { fontSize: 13, color: colors.textTertiary, marginBottom: 2 },
+  moonTimes: { fontSize: 12, color: colors.textTertiary, marginBottom: 2 },
   fishingRating: { fontSize: 13, color: colors.accent, marginBottom: 10 },
   solunarRow: { flexDirection: 'row', gap: 12 },
   solunarBlock: { flex: 1 },
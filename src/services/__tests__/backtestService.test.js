@@ -0,0 +1,101 @@
+/**
+ * Unit Tests — Backtest Service (#424)
+ *
+ * Tests the evaluation metrics and replaying a small dataset through the
+ * models.
+ */
+
+import {
+  bestWindowHitRate,
+  calibration,
+  countCatchesPerHour,
+  runBacktest,
+  spearman,
+} from '../backtestService';
+
+jest.mock('../../config/env', () => ({ WORLDTIDES_API_KEY: '' }));
+
+const START = new Date(2025, 5, 15, 0).getTime();
+const at = h => new Date(START + h * 3600000).toISOString();
+
+function dataset(catchHours) {
+  return {
+    name: 'test',
+    latitude: 40,
+    longitude: -74,
+    hours: Array.from({ length: 24 }, (_, h) => ({
+      time: at(h),
+      temperature: 20,
+      windSpeed: 10,
+      cloudCover: 50,
+      precipitation: 0,
+      pressureMsl: 1015 - h * 0.2,
+    })),
+    catches: catchHours.map(h => ({ createdAt: at(h + 0.5) })),
+  };
+}
+
+describe('Backtest Service', () => {
+  it('should rank-correlate with averaged ties', () => {
+    expect(spearman([1, 2, 3, 4], [10, 20, 30, 40])).toBe(1);
+    expect(spearman([1, 2, 3, 4], [4, 3, 2, 1])).toBe(-1);
+    expect(spearman([1, 2, 3, 4], [0, 0, 1, 1])).toBeCloseTo(0.894, 3);
+    expect(spearman([5, 5, 5], [0, 1, 2])).toBeNull();
+  });
+
+  it('should report the catch rate per score band', () => {
+    const result = calibration([10, 15, 50, 90, 95], [0, 0, 1, 1, 1]);
+    expect(result.bins[0]).toMatchObject({ hours: 2, catchRate: 0 });
+    expect(result.bins[2]).toMatchObject({ hours: 1, catchRate: 1 });
+    expect(result.bins[1].catchRate).toBeNull();
+    expect(result.monotonic).toBe(true);
+    expect(result.ece).toBeCloseTo(
+      (2 * 0.125 + 1 * 0.5 + 2 * (1 - 0.925)) / 5,
+      3,
+    );
+  });
+
+  it('should compare the best window of each day with chance', () => {
+    const hours = [0, 0, 1, 0, 0, 0].map((catches, i) => ({
+      day: i < 3 ? 'a' : 'b',
+      catches,
+    }));
+    const result = bestWindowHitRate(hours, [10, 80, 90, 90, 90, 90], 2);
+    // Day b has no catch and doesn't count
+    expect(result).toMatchObject({ days: 1, hits: 1, hitRate: 1 });
+    expect(result.chance).toBe(0.5);
+    expect(result.lift).toBe(2);
+  });
+
+  it('should only count catches near the spot', () => {
+    const { hours, catches } = dataset([2]);
+    const counts = countCatchesPerHour(
+      hours,
+      [...catches, { createdAt: at(2.2), latitude: 41, longitude: -74 }],
+      { latitude: 40, longitude: -74 },
+    );
+    expect(counts[2]).toBe(1);
+    expect(counts.reduce((a, b) => a + b, 0)).toBe(1);
+  });
+
+  it('should replay a dataset through every model', () => {
+    const report = runBacktest(dataset([6, 7, 19]));
+    expect(report).toMatchObject({ hours: 24, catches: 3, catchHours: 3 });
+    expect(Object.keys(report.models)).toEqual([
+      'fishcast',
+      'ml',
+      'predictive',
+      'biteAlerts',
+    ]);
+    // Dawn and dusk catches line up with FishCast's time-of-day peaks
+    expect(report.models.fishcast.spearman).toBeGreaterThan(0);
+    expect(report.models.fishcast.bestWindow.days).toBe(1);
+  });
+
+  it('should reject unknown models and empty datasets', () => {
+    expect(() => runBacktest(dataset([]), { models: ['nope'] })).toThrow(
+      'Unknown model',
+    );
+    expect(() => runBacktest({ hours: [] })).toThrow('no hourly conditions');
+  });
+});
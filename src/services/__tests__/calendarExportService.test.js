@@ -0,0 +1,190 @@
+/**
+ * Unit Tests — Calendar Export Service (#571)
+ *
+ * Which events land in the range, iCalendar encoding (escaping, folding,
+ * stable UIDs) and sharing through exportService.
+ */
+
+import {
+  buildCalendarEvents,
+  exportFishingCalendar,
+  generateFishingCalendar,
+  toIcs,
+} from '../calendarExportService';
+import { getMoonPhaseEvents } from '../ephemerisService';
+import exportService from '../exportService';
+import tideService from '../tideService';
+import { calculateHourlyFishCast } from '../fishCastService';
+
+jest.mock('../tideService', () => ({ getTides: jest.fn() }));
+jest.mock('../fishCastService', () => ({
+  calculateHourlyFishCast: jest.fn(),
+}));
+
+const SPOT = {
+  latitude: 59.33,
+  longitude: 18.07,
+  timeZone: 'Europe/Stockholm',
+};
+// UTF-8 length: each %XX escape is one byte
+const octets = text =>
+  encodeURIComponent(text).replace(/%[0-9A-F]{2}/g, '_').length;
+
+const START = new Date('2024-01-08T12:00:00.000Z');
+
+const tideExtremes = [
+  { date: '2024-01-08T04:12:00.000Z', height: 0.42, type: 'Low' },
+  { date: '2024-01-08T10:31:00.000Z', height: 1.278, type: 'High' },
+  { date: '2024-03-01T10:31:00.000Z', height: 1.3, type: 'High' },
+];
+const fishCastWindows = [
+  {
+    start: '2024-01-09T06:00:00.000Z',
+    end: '2024-01-09T09:00:00.000Z',
+    peakTime: '2024-01-09T07:00:00.000Z',
+    peakScore: 84,
+    averageScore: 78,
+    label: 'Excellent',
+  },
+];
+
+describe('Calendar Export Service', () => {
+  it('should cover solunar periods, moon phases, tides and FishCast', () => {
+    const events = buildCalendarEvents({
+      ...SPOT,
+      start: START,
+      days: 7,
+      tideExtremes,
+      fishCastWindows,
+    });
+    const types = new Set(events.map(e => e.type));
+    expect([...types].sort()).toEqual([
+      'fishcast',
+      'moon_phase',
+      'solunar_major',
+      'solunar_minor',
+      'tide',
+    ]);
+    // New moon on 11 January 2024; the March tide is outside the range
+    expect(events.filter(e => e.type === 'moon_phase')).toEqual([
+      expect.objectContaining({ title: '🌑 New Moon', allDay: true }),
+    ]);
+    expect(events.filter(e => e.type === 'tide').map(e => e.title)).toEqual([
+      'Low tide 0.42 m',
+      'High tide 1.28 m',
+    ]);
+    // Roughly one major a day, give or take the moon's 50-minute drift
+    const majors = events.filter(e => e.type === 'solunar_major');
+    expect(majors.length).toBeGreaterThanOrEqual(12);
+    expect(majors.length).toBeLessThanOrEqual(14);
+    expect(events.map(e => e.start)).toEqual(
+      [...events.map(e => e.start)].sort(),
+    );
+  });
+
+  it('should only include the chosen event types', () => {
+    const events = buildCalendarEvents({
+      ...SPOT,
+      start: START,
+      days: 31,
+      include: ['moon_phase'],
+    });
+    expect(events.map(e => e.title)).toEqual(['🌑 New Moon', '🌕 Full Moon']);
+  });
+
+  it('should find new and full moons to the minute', () => {
+    const [newMoon, fullMoon] = getMoonPhaseEvents(
+      '2024-01-01T00:00:00.000Z',
+      '2024-02-01T00:00:00.000Z',
+    );
+    // USNO: new 11 Jan 11:57 UT, full 25 Jan 17:54 UT
+    expect(newMoon.type).toBe('new');
+    expect(
+      Math.abs(newMoon.date - Date.parse('2024-01-11T11:57:00Z')),
+    ).toBeLessThan(3 * 60000);
+    expect(fullMoon.type).toBe('full');
+    expect(
+      Math.abs(fullMoon.date - Date.parse('2024-01-25T17:54:00Z')),
+    ).toBeLessThan(3 * 60000);
+  });
+
+  it('should write valid, folded iCalendar text', () => {
+    const events = [
+      {
+        type: 'fishcast',
+        title: 'FishCast 84 — Excellent',
+        description: `Pike; perch, zander\nand ${'a long note '.repeat(8)}`,
+        start: '2024-01-09T06:00:00.000Z',
+        end: '2024-01-09T09:00:00.000Z',
+      },
+      {
+        type: 'moon_phase',
+        title: '🌑 New Moon',
+        start: '2024-01-11T11:57:47.000Z',
+        allDay: true,
+      },
+    ];
+    const ics = toIcs(events, {
+      ...SPOT,
+      locationName: 'Lake Mälaren',
+      now: new Date('2024-01-08T00:00:00.000Z'),
+    });
+    const lines = ics.split('\r\n');
+    expect(lines[0]).toBe('BEGIN:VCALENDAR');
+    expect(lines).toContain('END:VCALENDAR');
+    expect(ics.endsWith('\r\n')).toBe(true);
+    expect(lines).toContain(
+      'UID:fishcast-20240109T060000Z-59.33_18.07@profish.app',
+    );
+    expect(lines).toContain('DTSTART:20240109T060000Z');
+    expect(lines).toContain('DTEND:20240109T090000Z');
+    expect(lines).toContain('DTSTART;VALUE=DATE:20240111');
+    expect(lines).toContain('GEO:59.33;18.07');
+    expect(lines).toContain('LOCATION:Lake Mälaren');
+
+    // Every physical line within 75 octets; unfolding restores the text
+    lines.forEach(line => expect(octets(line)).toBeLessThanOrEqual(75));
+    const unfolded = ics.replace(/\r\n /g, '');
+    expect(unfolded).toContain(
+      'DESCRIPTION:Pike\\; perch\\, zander\\nand a long note',
+    );
+  });
+
+  it('should keep going without tides or FishCast', async () => {
+    tideService.getTides.mockRejectedValue(new Error('offline'));
+    calculateHourlyFishCast.mockRejectedValue(new Error('offline'));
+    const { events, ics } = await generateFishingCalendar(
+      SPOT.latitude,
+      SPOT.longitude,
+      { start: START, days: 3 },
+    );
+    expect(events.length).toBeGreaterThan(0);
+    expect(events.some(e => e.type === 'tide')).toBe(false);
+    expect(ics).toContain('SUMMARY:Major solunar period');
+  });
+
+  it('should share the file as text/calendar through exportService', async () => {
+    tideService.getTides.mockResolvedValue({ extremes: tideExtremes });
+    calculateHourlyFishCast.mockResolvedValue({ peaks: fishCastWindows });
+    const share = jest
+      .spyOn(exportService, 'shareExport')
+      .mockResolvedValue({ success: true });
+
+    const result = await exportFishingCalendar(SPOT.latitude, SPOT.longitude, {
+      start: START,
+      days: 7,
+    });
+    expect(result.success).toBe(true);
+    expect(result.eventCount).toBeGreaterThan(10);
+    expect(tideService.getTides).toHaveBeenCalledWith(
+      SPOT.latitude,
+      SPOT.longitude,
+      { days: 7 },
+    );
+    const [content, format, filename] = share.mock.calls[0];
+    expect(content).toMatch(/^BEGIN:VCALENDAR/);
+    expect(content).toContain('SUMMARY:High tide 1.28 m');
+    expect(format).toBe('ics');
+    expect(filename).toBe('profish_calendar_2024-01-08');
+  });
+});
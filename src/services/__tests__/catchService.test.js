@@ -87,6 +87,24 @@ describe('Catch Service', () => {
       expect(c.notes).toBe('Nice catch!');
       expect(c.released).toBe(true);
     });
+
+    it('should log and edit a species with no rule in the region', async () => {
+      await catchService.init();
+      const logged = await catchService.logCatch({
+        species: 'Bluegill',
+        length: 15,
+        latitude: 28.5,
+        longitude: -81.4,
+        waterType: 'freshwater',
+      });
+      expect(logged.regulation).toMatchObject({
+        regionCode: 'US_FL',
+        status: 'UNKNOWN_SPECIES',
+      });
+
+      const updated = await catchService.updateCatch(logged.id, { length: 18 });
+      expect(updated.regulation.status).toBe('UNKNOWN_SPECIES');
+    });
   });
 
   describe('catchService.init', () => {
@@ -0,0 +1,127 @@
+/**
+ * Unit Tests — Ephemeris Service (#566)
+ *
+ * Checks sun and moon events against USNO values, polar days, local-day
+ * boundaries and the solunar periods built on the moon's transits.
+ */
+
+import {
+  getLunarDistanceEvents,
+  getMoonEvents,
+  getMoonIllumination,
+  getSunEvents,
+  startOfDay,
+} from '../ephemerisService';
+import { getSolunarPeriods } from '../solunarService';
+import { getNightAstronomy } from '../nightFishingService';
+
+const NYC = { lat: 40.7128, lng: -74.006, timeZone: 'America/New_York' };
+const SOLSTICE = new Date('2024-06-21T12:00:00Z');
+const MINUTE = 60000;
+
+const minutesFrom = (date, iso) => Math.abs(date - new Date(iso)) / MINUTE;
+
+describe('Ephemeris Service', () => {
+  it('should match USNO sunrise, sunset and civil twilight', () => {
+    const sun = getSunEvents(NYC.lat, NYC.lng, SOLSTICE, NYC);
+    expect(minutesFrom(sun.sunrise, '2024-06-21T09:24Z')).toBeLessThan(2);
+    expect(minutesFrom(sun.sunset, '2024-06-22T00:31Z')).toBeLessThan(2);
+    expect(minutesFrom(sun.civilDawn, '2024-06-21T08:52Z')).toBeLessThan(2);
+    expect(minutesFrom(sun.civilDusk, '2024-06-22T01:04Z')).toBeLessThan(2);
+    expect(sun.nauticalDawn < sun.civilDawn).toBe(true);
+    expect(sun.solarNoon > sun.sunrise && sun.solarNoon < sun.sunset).toBe(
+      true,
+    );
+  });
+
+  it('should flag midnight sun and polar night', () => {
+    const summer = getSunEvents(69.65, 18.96, SOLSTICE, {
+      timeZone: 'Europe/Oslo',
+    });
+    expect(summer).toMatchObject({
+      sunrise: null,
+      sunset: null,
+      midnightSun: true,
+      dayLengthMinutes: 1440,
+    });
+
+    const winter = getSunEvents(69.65, 18.96, new Date('2024-12-21T12:00Z'), {
+      timeZone: 'Europe/Oslo',
+    });
+    expect(winter.polarNight).toBe(true);
+    // The sun never rises but still lights the sky at midday
+    expect(winter.civilDawn).not.toBeNull();
+  });
+
+  it('should time full and new moon to the minute', () => {
+    const full = getMoonIllumination(new Date('2024-06-22T01:08Z'));
+    expect(full.fraction).toBeGreaterThan(0.99);
+    expect(full.phase).toBeCloseTo(0.5, 3);
+
+    const nextDay = getMoonIllumination(new Date('2024-06-23T01:08Z'));
+    expect(nextDay.waxing).toBe(false);
+
+    const newMoon = getMoonIllumination(new Date('2024-07-05T22:57Z'));
+    expect(newMoon.fraction).toBeLessThan(0.01);
+  });
+
+  it('should alternate perigee and apogee about two weeks apart', () => {
+    const events = getLunarDistanceEvents('2024-06-01', '2024-07-01');
+    expect(events.map(e => e.type)).toEqual(['perigee', 'apogee', 'perigee']);
+    expect(minutesFrom(events[0].date, '2024-06-02T07:16Z')).toBeLessThan(30);
+    expect(events[0].distanceKm).toBeLessThan(370000);
+    expect(events[1].distanceKm).toBeGreaterThan(404000);
+  });
+
+  it('should find the moon crossing the meridian between rise and set', () => {
+    const moon = getMoonEvents(NYC.lat, NYC.lng, SOLSTICE, NYC);
+    expect(moon.rise && moon.set && moon.transit).toBeTruthy();
+    // Near full the moon transits around midnight and sets at dawn
+    expect(moon.transit < moon.set).toBe(true);
+    expect(moon.lowerTransit - moon.transit).toBeGreaterThan(11 * 60 * MINUTE);
+  });
+
+  it('should start the day at local midnight across DST', () => {
+    expect(startOfDay(SOLSTICE, 'America/New_York').toISOString()).toBe(
+      '2024-06-21T04:00:00.000Z',
+    );
+    expect(startOfDay(SOLSTICE, 'Asia/Tokyo').toISOString()).toBe(
+      '2024-06-20T15:00:00.000Z',
+    );
+    // Clocks went forward at 02:00 — midnight was still EST
+    expect(
+      startOfDay(new Date('2024-03-10T18:00Z'), 'America/New_York'),
+    ).toEqual(new Date('2024-03-10T05:00:00.000Z'));
+  });
+
+  it('should centre solunar periods on transits and moonrise/set', () => {
+    const result = getSolunarPeriods(NYC.lat, NYC.lng, SOLSTICE, NYC);
+    const middle = p =>
+      (new Date(p.start).getTime() + new Date(p.end).getTime()) / 2;
+    const times = [result.moonTimes.transit, result.moonTimes.lowerTransit];
+    expect(result.major.map(middle)).toEqual(
+      times.map(t => new Date(t).getTime()).sort((a, b) => a - b),
+    );
+    expect(result.minor).toHaveLength(2);
+    expect(result.sunTimes.civilDusk).toBe(result.sun.civilDusk);
+  });
+
+  it('should give night fishing the moon and time since sunset', () => {
+    const night = getNightAstronomy(
+      NYC.lat,
+      NYC.lng,
+      new Date('2024-06-22T03:31Z'),
+      NYC,
+    );
+    expect(night.isNight).toBe(true);
+    expect(night.hoursAfterSunset).toBeCloseTo(3, 0);
+    expect(night.moonPhase).toBe('full');
+    expect(night.moonIllumination).toBeGreaterThan(95);
+    expect(
+      minutesFrom(new Date(night.nextSunrise), '2024-06-22T09:25Z'),
+    ).toBeLessThan(3);
+
+    const day = getNightAstronomy(NYC.lat, NYC.lng, SOLSTICE, NYC);
+    expect(day).toMatchObject({ isNight: false, hoursAfterSunset: 0 });
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * Unit Tests — FishCast Calibration Service (#423)
+ *
+ * Tests how catches and blank trips become factor samples and how the
+ * personal weights are fitted from them.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  buildSamples,
+  fitCalibration,
+  getCalibration,
+  getPersonalScore,
+  MIN_CATCHES,
+} from '../fishCastCalibrationService';
+import { resolveProfile } from '../fishCastProfileService';
+import catchService from '../catchService';
+import tripService from '../tripService';
+
+jest.mock('../../config/env', () => ({ WORLDTIDES_API_KEY: '' }));
+
+const GENERAL = resolveProfile();
+
+// Catches at dawn in good pressure; blank trips around midday
+function dawnCatch(i) {
+  return {
+    id: `c${i}`,
+    createdAt: new Date(2025, 5, 1 + i, 6, 0).toISOString(),
+    latitude: 0,
+    longitude: 0,
+    conditions: { pressure: 1016, windSpeed: 25, tideState: '' },
+  };
+}
+
+function middayBlank(i) {
+  return {
+    id: `t${i}`,
+    startedAt: new Date(2025, 5, 1 + i, 11, 0).toISOString(),
+    endedAt: new Date(2025, 5, 1 + i, 14, 0).toISOString(),
+    catches: [],
+    conditions: { pressure: null, windSpeed: null },
+  };
+}
+
+describe('FishCast Calibration Service', () => {
+  it('should score catches and blank trips from what was logged', () => {
+    const samples = buildSamples(
+      [dawnCatch(0)],
+      [middayBlank(0), { ...middayBlank(1), catches: ['c1'] }],
+    );
+    expect(samples.catches).toHaveLength(1);
+    expect(samples.baseline).toHaveLength(1);
+    expect(samples.catches[0]).toMatchObject({ pressure: 90, timeOfDay: 90 });
+    // No position on record → no solunar period
+    expect(samples.catches[0].solunarPeriod).toBeUndefined();
+    expect(samples.baseline[0].timeOfDay).toBe(40);
+    expect(samples.baseline[0].pressure).toBeUndefined();
+  });
+
+  it('should not count a trip with catches logged during it as blank', () => {
+    const during = {
+      ...dawnCatch(9),
+      createdAt: new Date(2025, 5, 1, 12, 30).toISOString(),
+    };
+    // Not linked to the trip, as when logged from the catch screen
+    const samples = buildSamples([during], [middayBlank(0), middayBlank(1)]);
+    expect(samples.catches).toHaveLength(1);
+    expect(samples.baseline).toHaveLength(1);
+  });
+
+  it('should shift weight toward factors that separate catches from blanks', () => {
+    const catches = Array.from({ length: 30 }, (_, i) => dawnCatch(i));
+    const blanks = Array.from({ length: 10 }, (_, i) => middayBlank(i));
+    const result = fitCalibration(
+      buildSamples(catches, blanks),
+      GENERAL.weights,
+    );
+
+    expect(result.ready).toBe(true);
+    expect(result.weights.timeOfDay).toBeGreaterThan(GENERAL.weights.timeOfDay);
+    // Catches came in strong wind — wind matters less for this angler
+    expect(result.weights.wind).toBeLessThan(GENERAL.weights.wind);
+    expect(result.factors.slice(0, 2).map(f => f.key)).toEqual(
+      expect.arrayContaining(['timeOfDay', 'pressure']),
+    );
+    const total = Object.values(result.weights).reduce((a, b) => a + b, 0);
+    expect(total).toBeCloseTo(1);
+  });
+
+  it('should stay close to the generic weights with few catches', () => {
+    const few = fitCalibration(
+      buildSamples([dawnCatch(0), dawnCatch(1)], [middayBlank(0)]),
+      GENERAL.weights,
+    );
+    expect(few.ready).toBe(false);
+    expect(few.weights.timeOfDay - GENERAL.weights.timeOfDay).toBeLessThan(
+      0.03,
+    );
+    expect(getPersonalScore({ timeOfDay: 90 }, few)).toBeNull();
+  });
+
+  it('should keep the calibration on the device only', async () => {
+    await AsyncStorage.clear();
+    jest
+      .spyOn(catchService, 'getCatches')
+      .mockResolvedValue(
+        Array.from({ length: MIN_CATCHES }, (_, i) => dawnCatch(i)),
+      );
+    jest.spyOn(tripService, 'getTrips').mockResolvedValue([middayBlank(0)]);
+
+    const calibration = await getCalibration(GENERAL);
+    expect(calibration.catchCount).toBe(MIN_CATCHES);
+    expect(calibration.profileSignature).toBe(GENERAL.signature);
+    const stored = JSON.parse(
+      await AsyncStorage.getItem('@profish_fishcast_calibration'),
+    );
+    expect(stored.weights).toEqual(calibration.weights);
+    expect(getPersonalScore({ timeOfDay: 90 }, calibration).score).toBe(
+      Math.round(
+        Object.entries(calibration.weights).reduce(
+          (sum, [k, w]) => sum + (k === 'timeOfDay' ? 90 : 50) * w,
+          0,
+        ),
+      ),
+    );
+  });
+});
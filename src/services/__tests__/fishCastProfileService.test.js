@@ -0,0 +1,80 @@
+/**
+ * Unit Tests — FishCast Profile Service (#421)
+ *
+ * Tests water and species weight profiles and angler-tuned weights.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  resolveProfile,
+  getProfile,
+  setCustomWeights,
+  resetCustomWeights,
+  FACTOR_KEYS,
+} from '../fishCastProfileService';
+import preferencesService from '../preferencesService';
+
+const sum = weights => FACTOR_KEYS.reduce((s, k) => s + weights[k], 0);
+
+describe('FishCast Profile Service', () => {
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    preferencesService._prefs = null;
+  });
+
+  it('should use the general profile by default', () => {
+    const profile = resolveProfile();
+    expect(profile.id).toBe('general');
+    expect(profile.source).toBe('default');
+    expect(profile.weights.pressure).toBeCloseTo(0.2);
+  });
+
+  it('should map water types to water profiles', () => {
+    expect(resolveProfile({ waterType: 'brackish' }).id).toBe('tidal_estuary');
+    const lake = resolveProfile({ waterType: 'freshwater' });
+    expect(lake.name).toBe('Freshwater lake');
+    expect(lake.weights.tideState).toBe(0);
+    expect(
+      resolveProfile({ profile: 'offshore', waterType: 'freshwater' }).id,
+    ).toBe('offshore');
+  });
+
+  it('should shift weight toward the factors a species responds to', () => {
+    const estuary = resolveProfile({ profile: 'tidal_estuary' });
+    const snook = resolveProfile({
+      profile: 'tidal_estuary',
+      species: 'Snook',
+    });
+    expect(snook.id).toBe('tidal_estuary:snook');
+    expect(snook.name).toBe('Tidal estuary · Snook');
+    expect(snook.source).toBe('species');
+    expect(snook.weights.tideState).toBeGreaterThan(estuary.weights.tideState);
+    expect(sum(snook.weights)).toBeCloseTo(1);
+  });
+
+  it('should match species names partially', () => {
+    expect(resolveProfile({ species: 'Rainbow Trout' }).species).toBe('trout');
+    expect(resolveProfile({ species: 'Bluegill' }).species).toBeNull();
+  });
+
+  it('should apply and reset tuned weights', async () => {
+    const tuned = Object.fromEntries(FACTOR_KEYS.map(k => [k, 1]));
+    tuned.tideState = 4;
+    await setCustomWeights('inshore', tuned);
+
+    const profile = await getProfile({ waterType: 'saltwater' });
+    expect(profile.source).toBe('custom');
+    expect(profile.weights.tideState).toBeCloseTo(4 / 11);
+    expect(profile.signature).not.toBe(
+      resolveProfile({ profile: 'inshore' }).signature,
+    );
+
+    await resetCustomWeights('inshore');
+    expect((await getProfile({ waterType: 'saltwater' })).source).toBe('water');
+  });
+
+  it('should refuse a profile with every weight at zero', async () => {
+    const zero = Object.fromEntries(FACTOR_KEYS.map(k => [k, 0]));
+    await expect(setCustomWeights('general', zero)).rejects.toThrow();
+  });
+});
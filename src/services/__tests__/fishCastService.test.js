@@ -1,21 +1,32 @@
 /**
- * Unit Tests — FishCast Service (#420, #421)
+ * Unit Tests — FishCast Service (#420, #421, #572)
  *
  * Tests the FishCast scoring engine, factor calculations,
- * and species adjustment logic.
+ * the hourly timeline, saved spot ranking and species adjustment logic.
  */
 
-import { calculateFishCast, adjustScoreForSpecies } from '../fishCastService';
+import {
+  calculateFishCast,
+  calculateHourlyFishCast,
+  findPeakWindows,
+  adjustScoreForSpecies,
+  getDayPartWindow,
+  rankSavedSpots,
+  rankSpots,
+} from '../fishCastService';
 import weatherService from '../weatherService';
 import solunarService from '../solunarService';
 import tideService from '../tideService';
 import cacheService from '../cacheService';
+import spotService from '../spotService';
+import preferencesService from '../preferencesService';
 
 // Mock dependencies
 jest.mock('../weatherService');
 jest.mock('../solunarService');
 jest.mock('../tideService');
 jest.mock('../cacheService');
+jest.mock('../../config/env', () => ({ WORLDTIDES_API_KEY: '' }));
 
 const MOCK_WEATHER = {
   temperature: 22,
@@ -43,6 +54,13 @@ const MOCK_SOLUNAR = {
   ],
 };
 
+// Shape returned by solunarService.getSolunarPeriods
+const SOLUNAR_PERIODS = {
+  ...MOCK_SOLUNAR,
+  major: MOCK_SOLUNAR.majorPeriods,
+  minor: MOCK_SOLUNAR.minorPeriods,
+};
+
 const MOCK_TIDE = {
   state: 'rising',
   progress: 30,
@@ -107,6 +125,221 @@ describe('FishCast Service', () => {
       await calculateFishCast(40.7128, -74.006);
       expect(cacheService.set).toHaveBeenCalled();
     });
+
+    it('should report the weight profile used', async () => {
+      solunarService.getSolunarPeriods.mockReturnValue(SOLUNAR_PERIODS);
+      const result = await calculateFishCast(40.7128, -74.006, new Date(), {
+        waterType: 'brackish',
+        species: 'Snook',
+      });
+      expect(result.profile.id).toBe('tidal_estuary:snook');
+      expect(result.profile.source).toBe('species');
+    });
+  });
+
+  describe('findPeakWindows', () => {
+    const hourly = scores =>
+      scores.map((score, i) => ({
+        time: new Date(Date.UTC(2025, 5, 15, i)).toISOString(),
+        score,
+      }));
+
+    it('should group consecutive high-scoring hours into windows', () => {
+      const peaks = findPeakWindows(hourly([50, 70, 80, 72, 40, 66, 90]));
+      expect(peaks).toHaveLength(2);
+      expect(peaks[0]).toMatchObject({
+        start: '2025-06-15T05:00:00.000Z',
+        end: '2025-06-15T07:00:00.000Z',
+        hours: 2,
+        peakScore: 90,
+      });
+      expect(peaks[1]).toMatchObject({
+        start: '2025-06-15T01:00:00.000Z',
+        end: '2025-06-15T04:00:00.000Z',
+        hours: 3,
+        peakTime: '2025-06-15T02:00:00.000Z',
+        averageScore: 74,
+      });
+    });
+
+    it('should honour the threshold and limit', () => {
+      const scores = [70, 10, 75, 10, 80, 10, 85];
+      expect(findPeakWindows(hourly(scores), { limit: 2 })).toHaveLength(2);
+      expect(findPeakWindows(hourly(scores), { minScore: 90 })).toEqual([]);
+    });
+  });
+
+  describe('calculateHourlyFishCast', () => {
+    const start = new Date();
+    start.setMinutes(0, 0, 0);
+    const at = h => new Date(start.getTime() + h * 3600000).toISOString();
+
+    beforeEach(() => {
+      weatherService.getHourlyForecast.mockResolvedValue({
+        hours: [-1, 0, 1, 2].map(h => ({
+          time: at(h),
+          temperature: 20,
+          windSpeed: h === 1 ? 35 : 5,
+          cloudCover: 60,
+          precipitation: 0,
+          pressureMsl: 1015,
+        })),
+      });
+      solunarService.getSolunarPeriods.mockReturnValue(SOLUNAR_PERIODS);
+      tideService.getTideCurve.mockResolvedValue([
+        { time: at(0), height: 1.1, state: 'rising', progress: 50 },
+      ]);
+    });
+
+    it('should score each forecast hour from now on', async () => {
+      const result = await calculateHourlyFishCast(40.7128, -74.006, {
+        hours: 3,
+      });
+      expect(result.hours.map(h => h.time)).toEqual([at(0), at(1), at(2)]);
+      expect(result.hours[0].tide).toEqual({ height: 1.1, state: 'rising' });
+      expect(result.hours[1].factors.wind).toBeLessThan(
+        result.hours[0].factors.wind,
+      );
+      expect(result.peaks).toBeDefined();
+      expect(tideService.getTideCurve).toHaveBeenCalledWith(
+        40.7128,
+        -74.006,
+        3,
+        60,
+        start,
+      );
+    });
+
+    it('should return an empty timeline when the forecast fails', async () => {
+      weatherService.getHourlyForecast.mockRejectedValue(new Error('offline'));
+      const result = await calculateHourlyFishCast(40.7128, -74.006);
+      expect(result.hours).toEqual([]);
+      expect(result.error).toBe('offline');
+    });
+  });
+
+  describe('rankSpots', () => {
+    const start = new Date();
+    start.setMinutes(0, 0, 0);
+    const at = h => new Date(start.getTime() + h * 3600000).toISOString();
+    const window = { start: at(1), end: at(4) };
+
+    const bay = { id: 'bay', name: 'Bay', latitude: 59.331, longitude: 18.071 };
+    const jetty = {
+      id: 'jetty',
+      name: 'Jetty',
+      latitude: 59.334,
+      longitude: 18.068,
+    };
+    const point = {
+      id: 'point',
+      name: 'Windy Point',
+      latitude: 57.7,
+      longitude: 11.97,
+    };
+
+    beforeEach(() => {
+      // A working cache, so spots in one cell can share entries
+      const store = new Map();
+      cacheService.get.mockImplementation(async key => store.get(key) ?? null);
+      cacheService.set.mockImplementation(async (key, value) => {
+        store.set(key, value);
+      });
+      cacheService.coordKey.mockImplementation(
+        (prefix, lat, lng) => `${prefix}_${lat.toFixed(2)}_${lng.toFixed(2)}`,
+      );
+      weatherService.getHourlyForecast.mockImplementation(async lat => ({
+        hours: Array.from({ length: 30 }, (_, h) => ({
+          time: at(h - 1),
+          temperature: 18,
+          windSpeed: lat < 58 ? 40 : 6,
+          cloudCover: 60,
+          precipitation: 0,
+          pressureMsl: 1014,
+        })),
+      }));
+      solunarService.getSolunarPeriods.mockReturnValue(SOLUNAR_PERIODS);
+      tideService.getTideCurve.mockResolvedValue([]);
+    });
+
+    it('should rank spots by their average score over the window', async () => {
+      const result = await rankSpots([point, bay], window);
+      expect(result.spots.map(r => r.spot.id)).toEqual(['bay', 'point']);
+      expect(result.spots[0]).toMatchObject({ rank: 1, hours: 3 });
+      expect(result.spots[0].score).toBeGreaterThan(result.spots[1].score);
+      // Per-spot factor breakdown explains the gap
+      expect(result.spots[1].factors.wind).toBeLessThan(
+        result.spots[0].factors.wind,
+      );
+      expect(result.window).toEqual(window);
+    });
+
+    it('should fetch once per cache cell, not once per spot', async () => {
+      const result = await rankSpots([bay, point, jetty], window);
+      expect(result.cells).toBe(2);
+      expect(result.spots).toHaveLength(3);
+      expect(weatherService.getHourlyForecast).toHaveBeenCalledTimes(2);
+      // Timelines come in whole days
+      expect(weatherService.getHourlyForecast).toHaveBeenCalledWith(
+        expect.any(Number),
+        expect.any(Number),
+        { hours: 24 },
+      );
+    });
+
+    it('should put spots without a forecast last', async () => {
+      weatherService.getHourlyForecast.mockImplementation(async lat => {
+        if (lat < 58) throw new Error('offline');
+        return {
+          hours: [1, 2, 3].map(h => ({ time: at(h), windSpeed: 5 })),
+        };
+      });
+      const result = await rankSpots([point, bay], window);
+      expect(result.spots[1]).toMatchObject({
+        rank: 2,
+        score: null,
+        error: 'offline',
+      });
+    });
+
+    it('should reject windows it cannot forecast', async () => {
+      await expect(
+        rankSpots([bay], { start: at(3), end: at(1) }),
+      ).rejects.toThrow('start before its end');
+      await expect(
+        rankSpots([bay], { start: at(-5), end: at(-2) }),
+      ).rejects.toThrow('already passed');
+      await expect(
+        rankSpots([bay], { start: at(200), end: at(203) }),
+      ).rejects.toThrow('7 days ahead');
+    });
+
+    it('should rank saved spots from both stores once each', async () => {
+      spotService._spots = [bay, point];
+      spotService._loaded = true;
+      preferencesService._spots = [
+        { ...bay },
+        { ...jetty, id: 'synced_jetty' },
+        { id: 'no_gps', name: 'Somewhere' },
+      ];
+      const result = await rankSavedSpots(window);
+      expect(result.spots.map(r => r.spot.id).sort()).toEqual([
+        'bay',
+        'point',
+        'synced_jetty',
+      ]);
+      preferencesService._spots = null;
+      spotService._spots = [];
+    });
+
+    it('should build part-of-day windows in local time', () => {
+      const day = new Date(2025, 5, 14, 15, 30);
+      const { start: from, end: to } = getDayPartWindow(day, 'morning');
+      expect(new Date(from).getHours()).toBe(5);
+      expect(new Date(to).getHours()).toBe(11);
+      expect(new Date(from).getDate()).toBe(14);
+      expect(() => getDayPartWindow(day, 'brunch')).toThrow('Unknown');
+    });
   });
 
   describe('adjustScoreForSpecies', () => {
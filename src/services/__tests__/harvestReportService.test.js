@@ -0,0 +1,147 @@
+/**
+ * Unit Tests — Harvest Report Service (#536)
+ *
+ * Tests detection of mandatory harvest reports, pre-filled fields,
+ * due dates and the CSV and PDF exports handed to exportService.
+ */
+
+import {
+  buildHarvestReport,
+  getCatchRequirement,
+  getReportDueDate,
+  REPORT_STATUS,
+} from '../harvestReportService';
+import exportService from '../exportService';
+import { assessCatch } from '../regulationsService';
+
+const ST_PETE = { latitude: 27.6, longitude: -82.85 };
+const RIVER_TYNE = { latitude: 54.97, longitude: -1.75 };
+
+function makeCatch(fields) {
+  const createdAt = new Date(2025, 9, 4, 7, 30);
+  const record = {
+    id: 'catch_1',
+    weight: 4.2,
+    length: 76,
+    waterType: 'saltwater',
+    released: false,
+    locationName: '',
+    method: 'Live bait',
+    createdAt: createdAt.toISOString(),
+    ...fields,
+  };
+  return { ...record, regulation: assessCatch(record, createdAt) };
+}
+
+const WALLET = [
+  {
+    id: 'lic_1',
+    regionCode: 'US_FL',
+    privileges: ['saltwater'],
+    number: 'FL123456',
+    expiresAt: '2026-06-30',
+  },
+];
+
+describe('Harvest Report Service', () => {
+  it('should record the reporting program on kept catches', () => {
+    const snapper = makeCatch({ species: 'Red Snapper', ...ST_PETE });
+    expect(snapper.regulation.reporting).toBe('reef_fish_survey');
+
+    const released = makeCatch({
+      species: 'Red Snapper',
+      ...ST_PETE,
+      released: true,
+    });
+    expect(released.regulation.reporting).toBeNull();
+    expect(getCatchRequirement(released)).toBeNull();
+  });
+
+  it('should pre-fill fields in the agency units', () => {
+    const report = buildHarvestReport(
+      makeCatch({ species: 'Red Snapper', ...ST_PETE }),
+      { licenses: WALLET, anglerName: 'Sam Angler' },
+    );
+    const values = Object.fromEntries(report.fields.map(f => [f.key, f.value]));
+    expect(report.programName).toBe('State Reef Fish Survey');
+    expect(values.licenseNumber).toBe('FL123456');
+    expect(values.length).toBe('29.9 in');
+    expect(values.coordinates).toBe('27.6000, -82.8500');
+    expect(report.dueDate).toBe('2025-10-11');
+    expect(report.status).toBe(REPORT_STATUS.PENDING);
+    expect(report.missing).toEqual([]);
+    expect(report.referenceCode).toMatch(/^PF-[0-9A-F]{4}-[0-9A-F]{4}$/);
+  });
+
+  it('should list fields the angler still has to fill in', () => {
+    const report = buildHarvestReport(
+      makeCatch({ species: 'Red Snapper', ...ST_PETE }),
+    );
+    expect(report.missing).toEqual(['Angler name', 'License number']);
+  });
+
+  it('should require catch returns for released salmon', () => {
+    const salmon = makeCatch({
+      species: 'Atlantic Salmon',
+      ...RIVER_TYNE,
+      waterType: 'freshwater',
+      released: true,
+    });
+    const requirement = getCatchRequirement(salmon);
+    expect(requirement.programId).toBe('catch_return');
+    expect(getReportDueDate(requirement, salmon.createdAt)).toBe('2026-01-01');
+  });
+
+  it('should mark unsubmitted reports past their due date as overdue', () => {
+    const report = buildHarvestReport(
+      makeCatch({ species: 'Red Snapper', ...ST_PETE }),
+      { now: new Date(2025, 9, 20) },
+    );
+    expect(report.overdue).toBe(true);
+
+    const submitted = buildHarvestReport(
+      makeCatch({
+        species: 'Red Snapper',
+        ...ST_PETE,
+        harvestReport: { status: REPORT_STATUS.SUBMITTED },
+      }),
+      { now: new Date(2025, 9, 20) },
+    );
+    expect(submitted.overdue).toBe(false);
+  });
+
+  it('should export one CSV row per report', () => {
+    const reports = [
+      buildHarvestReport(makeCatch({ species: 'Red Snapper', ...ST_PETE }), {
+        licenses: WALLET,
+      }),
+      buildHarvestReport(
+        makeCatch({ id: 'catch_2', species: 'Grouper Gag', ...ST_PETE }),
+      ),
+    ];
+    const [header, ...rows] = exportService
+      .exportHarvestReportsCsv(reports)
+      .split('\n');
+    expect(header).toContain('Reference,Program,Region,Due,Status');
+    expect(header).toContain('Coordinates');
+    expect(rows).toHaveLength(2);
+    expect(rows[0]).toContain('State Reef Fish Survey');
+  });
+
+  it('should escape angler-typed text in the printable tags', () => {
+    const report = buildHarvestReport(
+      makeCatch({
+        species: 'Red Snapper',
+        ...ST_PETE,
+        method: '<img src=x onerror="alert(1)">',
+      }),
+    );
+    const html = exportService.generateHarvestReportPdf(
+      [report],
+      'Sam & <b>Co</b>',
+    );
+    expect(html).not.toContain('<img');
+    expect(html).toContain('&lt;img src=x onerror=&quot;alert(1)&quot;&gt;');
+    expect(html).toContain('Sam &amp; &lt;b&gt;Co&lt;/b&gt;');
+  });
+});
@@ -0,0 +1,232 @@
+/**
+ * Unit Tests — Hotspot Service (#573)
+ *
+ * Geohash binning, the aggregation script's k-anonymity and dominance
+ * thresholds and stable jitter, and the job against an in-memory database
+ * shaped like Firestore's. src/__integration__/hotspotAggregation.test.js
+ * runs the job against the emulator.
+ */
+
+import {
+  ALL,
+  getHotspots,
+  seasonOf,
+  toHotspotGeoJSON,
+} from '../hotspotService';
+import {
+  aggregateHotspots,
+  runHotspotAggregation,
+} from '../../../scripts/aggregate-hotspots';
+import cacheService from '../cacheService';
+import {
+  encodeGeohash,
+  geohashBounds,
+  geohashNeighbors,
+} from '../../utils/geo';
+
+jest.mock('../../config/env', () => ({ FIRESTORE_EMULATOR_HOST: '' }));
+jest.mock('../cacheService', () => ({
+  get: jest.fn(() => Promise.resolve(null)),
+  set: jest.fn(() => Promise.resolve()),
+}));
+
+// Stockholm archipelago, one precision-5 cell
+const SPOT = { latitude: 59.3293, longitude: 18.0686 };
+const SUMMER = '2024-07-10T06:00:00.000Z';
+
+const catchAt = (userId, overrides = {}) => ({
+  userId,
+  ...SPOT,
+  species: 'Perch',
+  createdAt: SUMMER,
+  ...overrides,
+});
+
+// Two catches each from three anglers
+const crowd = (overrides = {}) =>
+  ['a', 'b', 'c'].flatMap(u => [catchAt(u, overrides), catchAt(u, overrides)]);
+
+// Minimal Firestore: collection groups, documents and batched writes
+function createDb(docs = {}) {
+  const store = new Map(Object.entries(docs));
+  const snapshotOf = path => ({
+    id: path.split('/').pop(),
+    ref: { path },
+    data: () => store.get(path),
+  });
+  const db = {
+    store,
+    collectionGroup: name => ({
+      where: (field, op, value) => ({
+        get: async () => ({
+          docs: [...store.keys()]
+            .filter(path => path.split('/').slice(-2)[0] === name)
+            .filter(path => store.get(path)[field] >= value)
+            .map(snapshotOf),
+        }),
+      }),
+    }),
+    collection: name => ({
+      doc: id => ({
+        path: `${name}/${id}`,
+        get: async () => snapshotOf(`${name}/${id}`),
+      }),
+      get: async () => ({
+        docs: [...store.keys()]
+          .filter(path => path.split('/').length === 2)
+          .filter(path => path.startsWith(`${name}/`))
+          .map(snapshotOf),
+      }),
+    }),
+    batch: () => {
+      const ops = [];
+      return {
+        set: (ref, data) => ops.push(() => store.set(ref.path, data)),
+        delete: ref => ops.push(() => store.delete(ref.path)),
+        commit: async () => ops.forEach(op => op()),
+      };
+    },
+  };
+  return db;
+}
+
+describe('Hotspot Service', () => {
+  it('should encode and bound geohash cells', () => {
+    // Reference value from the original geohash.org implementation
+    expect(encodeGeohash(57.64911, 10.40744, 11)).toBe('u4pruydqqvj');
+    const bounds = geohashBounds('u4pru');
+    expect(bounds.south).toBeLessThanOrEqual(57.64911);
+    expect(bounds.north).toBeGreaterThan(57.64911);
+    expect(bounds.west).toBeLessThanOrEqual(10.40744);
+    expect(bounds.east).toBeGreaterThan(10.40744);
+    expect(geohashNeighbors('u4p')).toHaveLength(9);
+    expect(geohashNeighbors('u4p')).toContain('u4p');
+  });
+
+  it('should split by season, flipped south of the equator', () => {
+    expect(seasonOf('2024-01-15T00:00:00Z', 59)).toBe('winter');
+    expect(seasonOf('2024-07-15T00:00:00Z', 59)).toBe('summer');
+    expect(seasonOf('2024-07-15T00:00:00Z', -33)).toBe('winter');
+    expect(seasonOf('2024-12-01T00:00:00Z', -33)).toBe('summer');
+  });
+
+  it('should publish a cell only with enough anglers and catches', () => {
+    const { cells } = aggregateHotspots(crowd());
+    expect(cells.map(c => [c.species, c.season]).sort()).toEqual([
+      ['Perch', ALL],
+      ['Perch', 'summer'],
+      [ALL, ALL],
+      [ALL, 'summer'],
+    ]);
+    expect(cells[0]).toMatchObject({
+      cell: encodeGeohash(SPOT.latitude, SPOT.longitude, 5),
+      weight: 1,
+    });
+    // No ids or counts in the output
+    expect(Object.keys(cells[0]).sort()).toEqual([
+      'cell',
+      'latitude',
+      'longitude',
+      'season',
+      'species',
+      'weight',
+    ]);
+
+    // Two anglers, however many catches
+    const twoAnglers = crowd().filter(c => c.userId !== 'c');
+    twoAnglers.push(catchAt('a'), catchAt('b'), catchAt('a'));
+    expect(aggregateHotspots(twoAnglers).cells).toEqual([]);
+  });
+
+  it('should suppress a cell one angler dominates', () => {
+    const dominated = [
+      ...crowd().slice(0, 6),
+      catchAt('a'),
+      catchAt('a'),
+      catchAt('a'),
+      catchAt('a'),
+    ];
+    // a has 6 of 10 catches
+    const { cells, suppressed } = aggregateHotspots(dominated);
+    expect(cells).toEqual([]);
+    expect(suppressed).toBe(4);
+  });
+
+  it('should jitter inside the cell, the same way every run', () => {
+    const [first] = aggregateHotspots(crowd()).cells;
+    const [again] = aggregateHotspots(crowd()).cells;
+    const { south, west, north, east } = geohashBounds(first.cell);
+    expect(first.latitude).toBeGreaterThan(south);
+    expect(first.latitude).toBeLessThan(north);
+    expect(first.longitude).toBeGreaterThan(west);
+    expect(first.longitude).toBeLessThan(east);
+    expect(again).toEqual(first);
+    // Not the cell centre, and not the catches' own position
+    expect(first.latitude).not.toBeCloseTo((south + north) / 2, 4);
+    expect(first.latitude).not.toBeCloseTo(SPOT.latitude, 4);
+
+    const [salted] = aggregateHotspots(crowd(), { salt: 'other' }).cells;
+    expect(salted.latitude).not.toBe(first.latitude);
+  });
+
+  it('should weigh counts in coarse steps', () => {
+    const many = [...crowd(), ...crowd(), ...crowd(), ...crowd()];
+    const [cell] = aggregateHotspots(many).cells;
+    // 24 catches: 5 → 1, 10 → 2, 20 → 3
+    expect(cell.weight).toBe(3);
+    const geojson = toHotspotGeoJSON(aggregateHotspots(many).cells, {
+      species: 'Perch',
+      season: 'summer',
+    });
+    expect(geojson.features).toHaveLength(1);
+    expect(geojson.features[0].properties).toEqual({
+      weight: 3,
+      species: 'Perch',
+      season: 'summer',
+    });
+  });
+
+  it('should rebuild the hotspot tiles from synced catches', async () => {
+    const docs = {};
+    crowd().forEach((c, i) => {
+      docs[`users/${c.userId}/catches/c${i}`] = c;
+    });
+    // Tournament copies and old catches stay out
+    docs['tournaments/t1/catches/x'] = catchAt('d');
+    docs['users/d/catches/old'] = catchAt('d', {
+      createdAt: '2020-01-01T00:00:00.000Z',
+    });
+    docs['fish_hotspots/zzz'] = { tile: 'zzz', cells: [] };
+    const db = createDb(docs);
+
+    const result = await runHotspotAggregation(db, {
+      now: new Date('2024-08-01T00:00:00.000Z'),
+    });
+    expect(result).toEqual({
+      catches: 6,
+      published: 4,
+      suppressed: 0,
+      tiles: 1,
+    });
+    const tile = encodeGeohash(SPOT.latitude, SPOT.longitude, 3);
+    expect(db.store.has('fish_hotspots/zzz')).toBe(false);
+    expect(db.store.get(`fish_hotspots/${tile}`)).toMatchObject({
+      tile,
+      precision: 5,
+      generatedAt: '2024-08-01T00:00:00.000Z',
+    });
+
+    const geojson = await getHotspots(
+      SPOT.latitude,
+      SPOT.longitude,
+      { species: 'Perch', season: ALL },
+      db,
+    );
+    expect(geojson.features).toHaveLength(1);
+    expect(cacheService.set).toHaveBeenCalledWith(
+      `hotspots_${tile}`,
+      expect.any(Array),
+      expect.any(Number),
+    );
+  });
+});
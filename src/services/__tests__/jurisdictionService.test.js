@@ -0,0 +1,135 @@
+/**
+ * Unit Tests — Jurisdiction Service (#534)
+ *
+ * Tests point-in-polygon region resolution against the bundled
+ * boundaries: jurisdiction, management zones and marine waters.
+ */
+
+import { resolveJurisdiction, loadBoundaries } from '../jurisdictionService';
+import { checkLegalityAt, assessCatch } from '../regulationsService';
+
+describe('Jurisdiction Service', () => {
+  describe('resolveJurisdiction', () => {
+    it('should resolve inland Florida', () => {
+      const stack = resolveJurisdiction(28.54, -81.38); // Orlando
+      expect(stack.regionCode).toBe('US_FL');
+      expect(stack.waters).toBeNull();
+    });
+
+    it('should flag Gulf waters off Florida as marine', () => {
+      const stack = resolveJurisdiction(27.6, -82.85); // off St. Pete
+      expect(stack.regionCode).toBe('US_FL');
+      expect(stack.waters).toBe('marine');
+      expect(stack.watersSource).toBe('boundary');
+    });
+
+    it('should fall back to the water type hint', () => {
+      const stack = resolveJurisdiction(-36.85, 174.76, {
+        waterType: 'saltwater',
+      }); // Auckland
+      expect(stack.regionCode).toBe('OC_NZ');
+      expect(stack.waters).toBe('marine');
+      expect(stack.watersSource).toBe('hint');
+    });
+
+    it('should include special management zones', () => {
+      const stack = resolveJurisdiction(46.25, -93.65); // Mille Lacs
+      expect(stack.regionCode).toBe('US_MN');
+      expect(stack.zones.map(z => z.id)).toEqual(['mille_lacs']);
+    });
+
+    it('should return an empty stack outside known boundaries', () => {
+      expect(resolveJurisdiction(0, 0).regionCode).toBeNull();
+    });
+
+    it('should accept boundaries loaded at runtime', () => {
+      loadBoundaries({
+        type: 'FeatureCollection',
+        features: [
+          {
+            type: 'Feature',
+            id: 'test_zone',
+            properties: {
+              kind: 'management_zone',
+              regionCode: 'US_TX',
+              zoneId: 'test_zone',
+              name: 'Test Lake',
+            },
+            geometry: {
+              type: 'Polygon',
+              coordinates: [
+                [
+                  [-97.8, 30.2],
+                  [-97.6, 30.2],
+                  [-97.6, 30.4],
+                  [-97.8, 30.4],
+                  [-97.8, 30.2],
+                ],
+              ],
+            },
+          },
+        ],
+      });
+      const stack = resolveJurisdiction(30.3, -97.7); // Austin
+      expect(stack.zones[0].name).toBe('Test Lake');
+    });
+  });
+
+  describe('location-based legality', () => {
+    it('should apply zone rule overrides', () => {
+      // 18" walleye is legal statewide (15" min) but not on Mille Lacs
+      const result = checkLegalityAt(
+        46.25,
+        -93.65,
+        'walleye',
+        18 * 2.54,
+        new Date(2025, 6, 1),
+      );
+      expect(result.rule.zone).toBe('mille_lacs');
+      expect(result.status).toBe('ILLEGAL');
+    });
+
+    it('should assess a catch from its coordinates', () => {
+      const assessment = assessCatch(
+        {
+          species: 'Redfish',
+          length: 40,
+          latitude: 27.6,
+          longitude: -82.85,
+          waterType: 'saltwater',
+          released: false,
+        },
+        new Date(2025, 6, 1),
+      );
+      expect(assessment.regionCode).toBe('US_FL');
+      expect(assessment.status).toBe('ILLEGAL');
+      expect(assessment.issues[0].type).toBe('undersized');
+    });
+
+    it('should carry how the length was measured', () => {
+      const snapper = {
+        species: 'Snapper',
+        length: 35,
+        latitude: -36.85,
+        longitude: 174.76, // Auckland, fork-length rule
+        waterType: 'saltwater',
+        released: false,
+      };
+      const types = c =>
+        assessCatch(c, new Date(2025, 6, 1)).issues.map(i => i.type);
+      expect(types(snapper)).not.toContain('measurement');
+      expect(
+        types({ ...snapper, lengthMeasurement: 'total_length' }),
+      ).toContain('measurement');
+    });
+
+    it('should skip catches without GPS', () => {
+      const assessment = assessCatch({
+        species: 'Redfish',
+        latitude: 0,
+        longitude: 0,
+      });
+      expect(assessment).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * Unit Tests — License Service (#535)
+ *
+ * Tests the license wallet, renewal reminder scheduling and how wallet
+ * entries satisfy license and stamp requirements.
+ */
+
+import { AppState } from 'react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import licenseService, { daysUntilExpiry } from '../licenseService';
+import notificationService from '../notificationService';
+import { checkLegality, checkLicenses } from '../regulationsService';
+
+const day = (y, m, d) => new Date(y, m - 1, d, 12);
+
+function findRule(regionCode, species) {
+  return checkLegality(regionCode, species).rule;
+}
+
+describe('License Service', () => {
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    licenseService._licenses = [];
+    licenseService._loaded = false;
+    notificationService._reminders = [];
+    notificationService._remindersLoaded = true;
+  });
+
+  it('should count days until expiry', () => {
+    const license = { expiresAt: '2025-06-30' };
+    expect(daysUntilExpiry(license, day(2025, 6, 1))).toBe(29);
+    expect(daysUntilExpiry(license, day(2025, 7, 2))).toBe(-2);
+    expect(daysUntilExpiry({ expiresAt: null })).toBeNull();
+  });
+
+  it('should schedule renewal reminders 30, 7 and 0 days out', async () => {
+    const next = new Date().getFullYear() + 1;
+    const license = await licenseService.addLicense({
+      regionCode: 'US_FL',
+      name: 'Saltwater Fishing License',
+      privileges: ['saltwater'],
+      expiresAt: `${next}-06-30`,
+    });
+    const reminders = notificationService.getScheduledReminders();
+    expect(reminders.map(r => r.id)).toEqual([
+      `license_${license.id}_30`,
+      `license_${license.id}_7`,
+      `license_${license.id}_0`,
+    ]);
+    expect(reminders[0].body).toContain('expires in 30 days');
+  });
+
+  it('should cancel reminders when a license is removed', async () => {
+    const next = new Date().getFullYear() + 1;
+    const license = await licenseService.addLicense({
+      regionCode: 'US_FL',
+      name: 'Saltwater Fishing License',
+      privileges: ['saltwater'],
+      expiresAt: `${next}-06-30`,
+    });
+    await licenseService.deleteLicense(license.id);
+    expect(notificationService.getScheduledReminders()).toEqual([]);
+    expect(await licenseService.getLicenses()).toEqual([]);
+  });
+
+  it('should deliver due reminders when the app comes back to the foreground', async () => {
+    const listen = jest
+      .spyOn(AppState, 'addEventListener')
+      .mockReturnValue({ remove: jest.fn() });
+    notificationService._appStateSubscription = null;
+    notificationService._notifications = [];
+    notificationService._prefs = { licenseReminders: true };
+    notificationService._watchAppState();
+    const [, onChange] = listen.mock.calls[0];
+
+    await notificationService.scheduleReminder({
+      id: 'license_test_0',
+      fireAt: new Date(Date.now() - 1000).toISOString(),
+      type: 'license',
+      title: 'License Expires Today',
+      body: 'Your license expires today.',
+    });
+    expect(notificationService.getNotifications()).toEqual([]);
+
+    onChange('active');
+    await new Promise(resolve => setImmediate(resolve));
+    expect(notificationService.getNotifications()[0]).toMatchObject({
+      type: 'license',
+      title: 'License Expires Today',
+    });
+    expect(notificationService.getScheduledReminders()).toEqual([]);
+  });
+
+  describe('checkLicenses', () => {
+    const saltwater = {
+      id: 'a',
+      regionCode: 'US_FL',
+      privileges: ['saltwater'],
+      expiresAt: '2025-12-31',
+    };
+
+    it('should require the snook permit on top of the license', () => {
+      const result = checkLicenses(
+        'US_FL',
+        findRule('US_FL', 'snook'),
+        [saltwater],
+        day(2025, 10, 1),
+        { waters: 'marine' },
+      );
+      expect(result.valid).toBe(false);
+      expect(result.missing).toEqual(['Snook permit']);
+    });
+
+    it('should report when a license has expired', () => {
+      const result = checkLegality('US_FL', 'redfish', 50, day(2026, 2, 1), {
+        licenses: [saltwater],
+        waterType: 'saltwater',
+      });
+      const issue = result.issues.find(i => i.type === 'license');
+      expect(issue.message).toContain('expired on 2025-12-31');
+      expect(result.status).toBe('CHECK_REQUIRED');
+    });
+
+    it('should let a species license stand in for the base license', () => {
+      const result = checkLicenses(
+        'OC_NZ',
+        findRule('OC_NZ', 'rainbow_trout'),
+        [{ id: 'b', regionCode: 'OC_NZ', privileges: ['freshwater'] }],
+      );
+      expect(result.requirements).toHaveLength(1);
+      expect(result.valid).toBe(true);
+    });
+  });
+});
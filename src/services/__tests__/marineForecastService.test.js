@@ -0,0 +1,125 @@
+/**
+ * Unit Tests — Marine Forecast Service (#567)
+ *
+ * Advisory thresholds, go/no-go scaling with boat length and skill, and
+ * how unsafe hours reach the danger alerts and best-window picks.
+ */
+
+import {
+  classifyAdvisory,
+  getSafetyWindows,
+  rateSafety,
+} from '../marineForecastService';
+import { checkWeatherDangers } from '../killerFeaturesService';
+import mlConditionsService from '../mlConditionsService';
+
+const calm = { waveHeight: 0.3, wavePeriod: 6, windSpeed: 10, windGusts: 15 };
+
+describe('Marine Forecast Service', () => {
+  it('should classify advisories from wind in knots and sea height', () => {
+    expect(classifyAdvisory(calm)).toBeNull();
+    expect(classifyAdvisory({ windSpeed: 41, waveHeight: 0.5 })).toBe(
+      'small_craft',
+    );
+    expect(classifyAdvisory({ windSpeed: 15, waveHeight: 2.1 })).toBe(
+      'small_craft',
+    );
+    expect(classifyAdvisory({ windSpeed: 65, waveHeight: 1 })).toBe('gale');
+    expect(classifyAdvisory({ windSpeed: 90, waveHeight: null })).toBe('storm');
+  });
+
+  it('should scale the verdict with boat length and skill', () => {
+    const hour = { waveHeight: 0.9, wavePeriod: 7, windSpeed: 18 };
+    expect(rateSafety(hour, { lengthM: 8, skill: 'intermediate' })).toEqual({
+      verdict: 'go',
+      reasons: [],
+    });
+    expect(
+      rateSafety(hour, { lengthM: 5, skill: 'intermediate' }).verdict,
+    ).toBe('caution');
+    expect(rateSafety(hour, { lengthM: 4, skill: 'beginner' }).verdict).toBe(
+      'no_go',
+    );
+    expect(rateSafety(hour, { lengthM: 4, skill: 'expert' }).verdict).toBe(
+      'caution',
+    );
+  });
+
+  it('should treat short steep chop as a bigger sea', () => {
+    const profile = { lengthM: 6, skill: 'intermediate' };
+    const swell = rateSafety({ waveHeight: 0.85, wavePeriod: 8 }, profile);
+    const chop = rateSafety({ waveHeight: 0.85, wavePeriod: 2 }, profile);
+    expect(swell.verdict).toBe('go');
+    expect(chop.verdict).toBe('caution');
+    expect(chop.reasons[0]).toMatch(/steep/);
+  });
+
+  it('should keep small boats in under a small craft advisory', () => {
+    const hour = { ...calm, windSpeed: 42 };
+    const beginner = rateSafety(hour, { lengthM: 10, skill: 'beginner' });
+    expect(beginner.verdict).toBe('no_go');
+    expect(beginner.reasons).toContain('Small craft advisory');
+    const gale = rateSafety(
+      { ...calm, windSpeed: 70 },
+      { lengthM: 12, skill: 'expert' },
+    );
+    expect(gale.verdict).toBe('no_go');
+  });
+
+  it('should merge consecutive hours with the same verdict', () => {
+    const at = h => `2024-06-21T${String(h).padStart(2, '0')}:00:00.000Z`;
+    const hours = [
+      { time: at(6), safety: { verdict: 'go', reasons: [] } },
+      { time: at(7), safety: { verdict: 'caution', reasons: ['Wind 35'] } },
+      { time: at(8), safety: { verdict: 'caution', reasons: ['Wind 38'] } },
+      { time: at(9), safety: { verdict: 'no_go', reasons: ['Gale'] } },
+    ];
+    const windows = getSafetyWindows(hours);
+    expect(windows.map(w => w.verdict)).toEqual(['go', 'caution', 'no_go']);
+    expect(windows[1]).toEqual({
+      start: at(7),
+      end: at(9),
+      verdict: 'caution',
+      reasons: ['Wind 35', 'Wind 38'],
+    });
+  });
+
+  it('should raise boat and advisory dangers from a marine hour', () => {
+    const dangers = checkWeatherDangers({
+      windSpeedKmh: 45,
+      tempC: 15,
+      marine: {
+        waveHeight: 2.6,
+        advisory: 'small_craft',
+        safety: { verdict: 'no_go', reasons: ['Waves 2.6m'] },
+      },
+    });
+    const types = dangers.map(d => d.type);
+    expect(types).toEqual(
+      expect.arrayContaining([
+        'ROUGH_SEAS',
+        'SMALL_CRAFT_ADVISORY',
+        'UNSAFE_FOR_BOAT',
+      ]),
+    );
+    expect(dangers.find(d => d.type === 'UNSAFE_FOR_BOAT').reasons).toEqual([
+      'Waves 2.6m',
+    ]);
+    expect(checkWeatherDangers({ windSpeedKmh: 10, tempC: 15 })).toEqual([]);
+  });
+
+  it('should leave no-go hours out of the best windows', () => {
+    const forecast = [5, 6, 7, 8].map(hour => ({
+      hour,
+      pressure: 30.1,
+      windSpeed: 5,
+      temp: 60,
+      cloudCover: 60,
+      safety: { verdict: hour < 7 ? 'no_go' : 'go', reasons: [] },
+    }));
+    const result = mlConditionsService.getBestWindows(forecast);
+    expect(result.unsafeHours).toBe(2);
+    expect(result.predictions).toHaveLength(4);
+    expect(result.topWindows.every(w => w.hour >= 7)).toBe(true);
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * Unit Tests — Possession Service (#532)
+ *
+ * Tests daily bag, combined (aggregate) bag and multi-day
+ * possession tracking against logged catches.
+ */
+
+import {
+  computePossession,
+  checkAdditionalCatch,
+  normalizeSpeciesId,
+} from '../possessionService';
+
+const NOW = new Date(2025, 5, 14, 16, 0);
+
+function kept(species, hoursAgo, released = false) {
+  return {
+    species,
+    released,
+    createdAt: new Date(NOW.getTime() - hoursAgo * 3600000).toISOString(),
+  };
+}
+
+describe('Possession Service', () => {
+  it('should normalize display names to rule ids', () => {
+    expect(normalizeSpeciesId('Largemouth Bass')).toBe('largemouth_bass');
+  });
+
+  it('should count only kept fish from today against the bag', () => {
+    const catches = [
+      kept('Redfish', 1),
+      kept('Redfish', 2),
+      kept('Redfish', 3, true),
+      kept('Redfish', 30),
+    ];
+    const summary = computePossession('US_TX', catches, { date: NOW });
+    expect(summary.species.redfish.keptToday).toBe(2);
+    expect(summary.species.redfish.remainingBag).toBe(1);
+  });
+
+  it('should flag a catch that exceeds the daily bag', () => {
+    const catches = [kept('Redfish', 1)];
+    const summary = computePossession('US_FL', catches, { date: NOW });
+    const check = checkAdditionalCatch(summary, 'Redfish');
+    expect(check.allowed).toBe(false);
+    expect(check.issues[0].type).toBe('bag_limit');
+  });
+
+  it('should only count fish kept in the region', () => {
+    const catches = [
+      { ...kept('Redfish', 1), regulation: { regionCode: 'US_TX' } },
+      { ...kept('Redfish', 2), latitude: 29.3, longitude: -94.8 }, // Galveston
+      { ...kept('Redfish', 3), latitude: 27.6, longitude: -82.85 }, // St. Pete
+    ];
+    const summary = computePossession('US_FL', catches, { date: NOW });
+    expect(summary.species.redfish.keptToday).toBe(1);
+  });
+
+  it('should treat a zero bag limit as no harvest', () => {
+    const summary = computePossession('US_FL', [], { date: NOW });
+    const check = checkAdditionalCatch(summary, 'Tarpon');
+    expect(check.allowed).toBe(false);
+    expect(check.issues.map(i => i.type)).toEqual(['no_harvest']);
+  });
+
+  it('should enforce aggregate limits across species', () => {
+    const catches = [
+      kept('Largemouth Bass', 1),
+      kept('Largemouth Bass', 2),
+      kept('Largemouth Bass', 3),
+      kept('Smallmouth Bass', 4),
+      kept('Spotted Bass', 5),
+    ];
+    const summary = computePossession('US_FL', catches, { date: NOW });
+    const bass = summary.aggregates.find(a => a.id === 'black_bass');
+    expect(bass.keptToday).toBe(5);
+    const check = checkAdditionalCatch(summary, 'Largemouth Bass');
+    expect(check.issues.map(i => i.type)).toContain('aggregate_limit');
+  });
+
+  it('should enforce multi-day possession limits over a trip', () => {
+    // 3 redfish yesterday + 3 today = Texas possession limit of 6
+    const catches = [
+      kept('Redfish', 1),
+      kept('Redfish', 2),
+      kept('Redfish', 3),
+      kept('Redfish', 20),
+      kept('Redfish', 21),
+      kept('Redfish', 22),
+    ];
+    const summary = computePossession('US_TX', catches, {
+      date: NOW,
+      possessionSince: new Date(2025, 5, 13, 6).toISOString(),
+    });
+    expect(summary.species.redfish.held).toBe(6);
+    const check = checkAdditionalCatch(summary, 'Redfish');
+    expect(check.issues.map(i => i.type)).toEqual([
+      'bag_limit',
+      'possession_limit',
+    ]);
+  });
+
+  it('should return null for unknown regions', () => {
+    expect(computePossession('XX', [], { date: NOW })).toBeNull();
+  });
+});
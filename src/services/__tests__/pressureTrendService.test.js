@@ -0,0 +1,86 @@
+/**
+ * Unit Tests — Pressure Trend Service (#422)
+ *
+ * Tests barometric tendency classification, 3h/12h/24h trends, frontal
+ * passage detection and how trends reach mlConditionsService.
+ */
+
+import {
+  classifyPressureChange,
+  computePressureTrends,
+  detectFront,
+  scorePressureTrend,
+  TREND,
+} from '../pressureTrendService';
+import mlConditionsService from '../mlConditionsService';
+
+const START = Date.UTC(2025, 5, 15, 0);
+const at = h => new Date(START + h * 3600000);
+
+// One reading per hour from hour 0
+const series = pressures =>
+  pressures.map((pressure, h) => ({ time: at(h).toISOString(), pressure }));
+
+describe('Pressure Trend Service', () => {
+  it('should classify changes by their 3-hour rate', () => {
+    expect(classifyPressureChange(0.5, 3)).toBe(TREND.STEADY);
+    expect(classifyPressureChange(-2, 3)).toBe(TREND.FALLING);
+    expect(classifyPressureChange(-5, 3)).toBe(TREND.RAPIDLY_FALLING);
+    expect(classifyPressureChange(6, 24)).toBe(TREND.STEADY);
+    expect(classifyPressureChange(16, 12)).toBe(TREND.RAPIDLY_RISING);
+  });
+
+  it('should compute trends over each window', () => {
+    // Steady for a day, then falling 1 hPa/h
+    const pressures = [
+      ...Array(24).fill(1018),
+      ...[1017, 1016, 1015, 1014, 1013, 1012],
+    ];
+    const result = computePressureTrends(series(pressures), at(26));
+    expect(result.pressure).toBe(1015);
+    expect(result.trend).toBe(TREND.FALLING);
+    expect(result.trends['3h']).toEqual({ change: -3, trend: TREND.FALLING });
+    expect(result.trends['24h'].trend).toBe(TREND.STEADY);
+  });
+
+  it('should leave windows the series does not cover empty', () => {
+    const result = computePressureTrends(
+      series([1012, 1013, 1014, 1015]),
+      at(3),
+    );
+    expect(result.trends['3h'].trend).toBe(TREND.RISING);
+    expect(result.trends['12h']).toBeNull();
+  });
+
+  it('should detect a frontal passage', () => {
+    // 8 hPa drop into a trough at hour 10, then a sharp recovery
+    const pressures = [
+      1016, 1015, 1014, 1013, 1012, 1011, 1010, 1009, 1009, 1008, 1008, 1010,
+      1012, 1014, 1015, 1016,
+    ];
+    const passed = detectFront(series(pressures), at(14));
+    expect(passed).toMatchObject({ status: 'passed', drop: 8, rise: 8 });
+    expect(detectFront(series(pressures), at(4)).status).toBe('approaching');
+    expect(detectFront(series(Array(16).fill(1015)), at(8))).toBeNull();
+  });
+
+  it('should score the slow fall ahead of a front highest', () => {
+    expect(scorePressureTrend({ trend: TREND.FALLING })).toBeGreaterThan(
+      scorePressureTrend({ trend: TREND.STEADY }),
+    );
+    const front = { status: 'passed', time: at(10).toISOString() };
+    expect(
+      scorePressureTrend({ trend: TREND.FALLING, front }, at(20)),
+    ).toBeLessThan(scorePressureTrend({ trend: TREND.RAPIDLY_RISING }));
+  });
+
+  it('should derive pressure trends for ML best windows', () => {
+    const predict = jest.spyOn(mlConditionsService, 'predict');
+    mlConditionsService.getBestWindows(
+      [30.1, 30.05, 30.0, 29.9].map((pressure, hour) => ({ hour, pressure })),
+    );
+    expect(predict.mock.calls[0][0].pressureTrend).toBeUndefined();
+    expect(predict.mock.calls[3][0].pressureTrend).toBe(TREND.RAPIDLY_FALLING);
+    predict.mockRestore();
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Unit Tests — Protected Area Service (#534)
+ *
+ * Tests offline no-take and seasonal-closure checks against the bundled
+ * outlines, and how they feed location-based legality checks.
+ */
+
+import {
+  getProtectedAreasAt,
+  getClosedAreasAt,
+  loadProtectedAreas,
+} from '../protectedAreaService';
+import { checkLegalityAt, assessCatch } from '../regulationsService';
+import Geolocation from '@react-native-community/geolocation';
+import tripService from '../tripService';
+import notificationService from '../notificationService';
+
+const day = (y, m, d) => new Date(y, m - 1, d, 12);
+
+const GOAT_ISLAND = [-36.27, 174.8];
+const MADISON_SWANSON = [29.18, -85.7];
+const PINE_RIVER = [46.67, -94.115];
+const WESTERN_SAMBO = [24.485, -81.7];
+
+describe('Protected Area Service', () => {
+  it('should report a no-take reserve as closed year-round', () => {
+    const [area] = getProtectedAreasAt(...GOAT_ISLAND, {
+      date: day(2025, 6, 1),
+    });
+    expect(area.id).toBe('nz_goat_island');
+    expect(area.status).toBe('no_take');
+    expect(area.message).toMatch(/catch and release/);
+  });
+
+  it('should return nothing outside any area', () => {
+    expect(getProtectedAreasAt(-36.85, 174.76)).toEqual([]);
+    expect(getProtectedAreasAt(null, null)).toEqual([]);
+  });
+
+  it('should apply seasonal closures by date', () => {
+    const winter = getClosedAreasAt(...MADISON_SWANSON, {
+      date: day(2025, 12, 10),
+    });
+    expect(winter.map(a => a.id)).toEqual(['gulf_madison_swanson']);
+
+    const summer = getProtectedAreasAt(...MADISON_SWANSON, {
+      date: day(2025, 7, 10),
+    });
+    expect(summer[0].status).toBe('open');
+  });
+
+  it('should only close species named by a closure', () => {
+    const date = day(2025, 4, 1);
+    expect(
+      getClosedAreasAt(...PINE_RIVER, { date, species: 'walleye' }),
+    ).toHaveLength(1);
+    expect(
+      getClosedAreasAt(...PINE_RIVER, { date, species: 'crappie' }),
+    ).toHaveLength(0);
+  });
+
+  it('should flag unreadable closure dates as restricted', () => {
+    loadProtectedAreas({
+      type: 'FeatureCollection',
+      features: [
+        {
+          type: 'Feature',
+          id: 'test_restricted',
+          properties: {
+            areaId: 'test_restricted',
+            name: 'Test Closure',
+            closures: [{ season: 'varies by tide', species: null }],
+          },
+          geometry: {
+            type: 'Polygon',
+            coordinates: [
+              [
+                [10, 10],
+                [11, 10],
+                [11, 11],
+                [10, 11],
+                [10, 10],
+              ],
+            ],
+          },
+        },
+      ],
+    });
+    const [area] = getProtectedAreasAt(10.5, 10.5);
+    expect(area.status).toBe('restricted');
+    expect(getClosedAreasAt(10.5, 10.5)).toEqual([]);
+  });
+
+  it('should watch GPS during a trip and warn on entering a closed area', async () => {
+    const alert = jest
+      .spyOn(notificationService, 'triggerProtectedAreaAlert')
+      .mockResolvedValue();
+    Geolocation.watchPosition.mockReturnValue(7);
+
+    await tripService.startTrip();
+    expect(Geolocation.watchPosition).toHaveBeenCalledTimes(1);
+    const [onFix] = Geolocation.watchPosition.mock.calls[0];
+
+    onFix({ coords: { latitude: -36.85, longitude: 174.76 } });
+    onFix({ coords: { latitude: GOAT_ISLAND[0], longitude: GOAT_ISLAND[1] } });
+    await new Promise(resolve => setImmediate(resolve));
+    expect(alert).toHaveBeenCalledTimes(1);
+    expect(alert.mock.calls[0][0].id).toBe('nz_goat_island');
+
+    await tripService.endTrip();
+    expect(Geolocation.clearWatch).toHaveBeenCalledWith(7);
+  });
+
+  it('should alert on a closed area before notification prefs load', async () => {
+    const added = jest
+      .spyOn(notificationService, '_addNotification')
+      .mockResolvedValue();
+    jest.spyOn(notificationService, '_sendPush').mockResolvedValue();
+    notificationService._prefs = null;
+
+    const [area] = getProtectedAreasAt(...GOAT_ISLAND);
+    await notificationService.triggerProtectedAreaAlert(area);
+    expect(added).toHaveBeenCalledTimes(1);
+    expect(added.mock.calls[0][0].data.areaId).toBe('nz_goat_island');
+  });
+
+  describe('location legality', () => {
+    it('should make a catch in a no-take zone illegal', () => {
+      const result = checkLegalityAt(...WESTERN_SAMBO, 'redfish', 50);
+      expect(result.status).toBe('ILLEGAL');
+      expect(result.issues[0]).toMatchObject({
+        type: 'protected_area',
+        areaId: 'fl_western_sambo',
+        severity: 'illegal',
+      });
+    });
+
+    it('should keep the no-take issue on released catches', () => {
+      const [latitude, longitude] = WESTERN_SAMBO;
+      const assessment = assessCatch({
+        species: 'Redfish',
+        latitude,
+        longitude,
+        released: true,
+      });
+      expect(assessment.status).toBe('ILLEGAL');
+      expect(assessment.protectedAreas).toEqual(['fl_western_sambo']);
+    });
+  });
+});
@@ -0,0 +1,240 @@
+/**
+ * Unit Tests — Regulation Pack Service (#531)
+ *
+ * Tests pack signature verification, version-aware installs, signed
+ * boundary packs and the human-readable rule diffs behind the change
+ * digest.
+ */
+
+import { generateEd25519KeyPair } from '../../utils/hash';
+
+jest.mock('../../config/env', () => ({}));
+// A throwaway key pair stands in for the publisher's
+jest.mock('../../config/regulationPackKey', () => {
+  const keys = require('../../utils/hash').generateEd25519KeyPair();
+  return {
+    REGULATION_PACK_PUBLIC_KEY: keys.publicKey,
+    mockPrivateKey: keys.privateKey,
+  };
+});
+
+// Fresh modules for every test — the pack store, the active rules and the
+// AsyncStorage mock — so no test depends on another having run
+let signPack;
+let verifyPack;
+let installPack;
+let diffRegions;
+let getChangesSince;
+let REGULATIONS_DB;
+let checkLegality;
+let getPackInfo;
+let PRIVATE_KEY;
+let PUBLIC_KEY;
+
+beforeEach(() => {
+  jest.resetModules();
+  ({
+    signPack,
+    verifyPack,
+    installPack,
+    diffRegions,
+    getChangesSince,
+  } = require('../regulationPackService'));
+  ({
+    REGULATIONS_DB,
+    checkLegality,
+    getPackInfo,
+  } = require('../regulationsService'));
+  const key = require('../../config/regulationPackKey');
+  PRIVATE_KEY = key.mockPrivateKey;
+  PUBLIC_KEY = key.REGULATION_PACK_PUBLIC_KEY;
+});
+
+function withRule(region, species, changes) {
+  return {
+    ...region,
+    rules: region.rules.map(r =>
+      r.species === species ? { ...r, ...changes } : r,
+    ),
+  };
+}
+
+describe('Regulation Pack Service', () => {
+  describe('verifyPack', () => {
+    it('should accept a pack signed with the publisher key', () => {
+      const pack = signPack('OC_NZ', 1, REGULATIONS_DB.OC_NZ, PRIVATE_KEY);
+      const result = verifyPack(pack, PUBLIC_KEY);
+      expect(result.valid).toBe(true);
+      expect(result.data.rules.length).toBe(REGULATIONS_DB.OC_NZ.rules.length);
+    });
+
+    it('should reject a tampered payload', () => {
+      const pack = signPack('OC_NZ', 1, REGULATIONS_DB.OC_NZ, PRIVATE_KEY);
+      const tampered = {
+        ...pack,
+        payload: pack.payload.replace('"bagLimit":7', '"bagLimit":20'),
+      };
+      expect(verifyPack(tampered).valid).toBe(false);
+    });
+
+    it('should reject a changed publish date', () => {
+      const pack = signPack('OC_NZ', 1, REGULATIONS_DB.OC_NZ, PRIVATE_KEY);
+      expect(verifyPack({ ...pack, publishedAt: '2099-01-01' }).valid).toBe(
+        false,
+      );
+    });
+
+    it('should reject a pack signed with another key', () => {
+      const other = generateEd25519KeyPair();
+      const pack = signPack('OC_NZ', 1, REGULATIONS_DB.OC_NZ, other.privateKey);
+      expect(verifyPack(pack).valid).toBe(false);
+    });
+
+    it('should reject unsigned packs and builds without a public key', () => {
+      const pack = signPack('OC_NZ', 1, REGULATIONS_DB.OC_NZ, PRIVATE_KEY);
+      expect(verifyPack({ ...pack, signature: undefined }).valid).toBe(false);
+      expect(verifyPack(pack, '')).toEqual({
+        valid: false,
+        error: 'Pack signing is not set up in this build',
+      });
+      expect(() => signPack('OC_NZ', 1, REGULATIONS_DB.OC_NZ, '')).toThrow();
+    });
+  });
+
+  describe('diffRegions', () => {
+    it('should describe a reduced bag limit', () => {
+      const before = withRule(REGULATIONS_DB.OC_NZ, 'snapper', { bagLimit: 9 });
+      const after = withRule(REGULATIONS_DB.OC_NZ, 'snapper', { bagLimit: 7 });
+      const changes = diffRegions(before, after);
+      expect(changes).toHaveLength(1);
+      expect(changes[0].message).toBe('snapper bag reduced 9→7');
+    });
+
+    it('should report size, season and removed rules', () => {
+      const before = REGULATIONS_DB.US_FL;
+      const after = withRule(before, 'redfish', {
+        minSize: 19,
+        season: 'Sep 1-Apr 30',
+      });
+      after.rules = after.rules.filter(r => r.species !== 'snook');
+      const messages = diffRegions(before, after).map(c => c.message);
+      expect(messages).toContain('redfish min size raised 18"→19"');
+      expect(messages).toContain('redfish season changed to Sep 1-Apr 30');
+      expect(messages).toContain('snook rules removed');
+    });
+  });
+
+  describe('installPack', () => {
+    it('should activate a newer pack and record its version on results', async () => {
+      const data = withRule(REGULATIONS_DB.OC_NZ, 'snapper', { bagLimit: 5 });
+      const result = await installPack(signPack('OC_NZ', 2, data, PRIVATE_KEY));
+      expect(result.success).toBe(true);
+      expect(result.diff.changes[0].message).toBe('snapper bag reduced 7→5');
+      expect(getPackInfo('OC_NZ')).toMatchObject({
+        version: 2,
+        source: 'pack',
+      });
+
+      const legality = checkLegality('OC_NZ', 'snapper', 35);
+      expect(legality.rule.bagLimit).toBe(5);
+      expect(legality.pack.version).toBe(2);
+    });
+
+    it('should not install an unverified pack', async () => {
+      const other = generateEd25519KeyPair();
+      const data = withRule(REGULATIONS_DB.OC_NZ, 'snapper', { bagLimit: 20 });
+      const result = await installPack(
+        signPack('OC_NZ', 3, data, other.privateKey),
+      );
+      expect(result.success).toBe(false);
+      expect(getPackInfo('OC_NZ').source).not.toBe('pack');
+      expect(checkLegality('OC_NZ', 'snapper', 35).rule.bagLimit).toBe(7);
+    });
+
+    it('should ignore a pack that is not newer', async () => {
+      const data = withRule(REGULATIONS_DB.OC_NZ, 'snapper', { bagLimit: 5 });
+      await installPack(signPack('OC_NZ', 2, data, PRIVATE_KEY));
+      const result = await installPack(
+        signPack('OC_NZ', 1, REGULATIONS_DB.OC_NZ, PRIVATE_KEY),
+      );
+      expect(result.success).toBe(false);
+      expect(getPackInfo('OC_NZ').version).toBe(2);
+    });
+
+    it('should install signed boundary packs', async () => {
+      const { resolveJurisdiction } = require('../jurisdictionService');
+      const boundaries = {
+        type: 'FeatureCollection',
+        features: [
+          {
+            type: 'Feature',
+            id: 'test_zone',
+            properties: {
+              kind: 'management_zone',
+              regionCode: 'OC_NZ',
+              zoneId: 'test_zone',
+            },
+            geometry: {
+              type: 'Polygon',
+              coordinates: [
+                [
+                  [174.5, -37],
+                  [175, -37],
+                  [175, -36.5],
+                  [174.5, -36.5],
+                  [174.5, -37],
+                ],
+              ],
+            },
+          },
+        ],
+      };
+      const unsigned = signPack(
+        '_boundaries',
+        1,
+        boundaries,
+        generateEd25519KeyPair().privateKey,
+      );
+      expect((await installPack(unsigned)).success).toBe(false);
+      expect(
+        resolveJurisdiction(-36.85, 174.76).zones.map(z => z.id),
+      ).not.toContain('test_zone');
+
+      const signed = signPack('_boundaries', 1, boundaries, PRIVATE_KEY);
+      expect((await installPack(signed)).success).toBe(true);
+      expect(
+        resolveJurisdiction(-36.85, 174.76).zones.map(z => z.id),
+      ).toContain('test_zone');
+    });
+
+    it('should list changes since an older version', async () => {
+      const data = withRule(REGULATIONS_DB.OC_NZ, 'snapper', { bagLimit: 5 });
+      await installPack(signPack('OC_NZ', 2, data, PRIVATE_KEY));
+      const digest = getChangesSince('OC_NZ', 0);
+      expect(digest.complete).toBe(true);
+      expect(digest.changes.map(c => c.message)).toEqual([
+        'snapper bag reduced 7→5',
+      ]);
+      expect(getChangesSince('OC_NZ', 2)).toBeNull();
+    });
+  });
+
+  describe('syncPacks', () => {
+    it('should not download packs until signing is set up', async () => {
+      jest.resetModules();
+      jest.doMock('../../config/regulationPackKey', () => ({
+        REGULATION_PACK_PUBLIC_KEY: '',
+      }));
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const result = await require('../regulationPackService').syncPacks();
+      expect(result).toEqual({
+        checked: 0,
+        updated: [],
+        rejected: [],
+        signingConfigured: false,
+      });
+      expect(warn).toHaveBeenCalledWith(expect.stringMatching(/not set up/));
+      jest.dontMock('../../config/regulationPackKey');
+    });
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Unit Tests — Regulations Service (#532)
+ *
+ * Tests the "Is It Legal?" checker: date-aware seasons,
+ * unit-normalized size limits and season alerts.
+ */
+
+import {
+  checkLegality,
+  getRuleLimits,
+  getSeasonAlerts,
+  REGULATIONS_DB,
+} from '../regulationsService';
+
+const day = (y, m, d) => new Date(y, m - 1, d, 12);
+
+describe('Regulations Service', () => {
+  describe('checkLegality — seasons', () => {
+    it('should flag snook as illegal during the closed season', () => {
+      const result = checkLegality('US_FL', 'snook', null, day(2025, 7, 1));
+      expect(result.status).toBe('ILLEGAL');
+      expect(result.issues.map(i => i.type)).toContain('closed_season');
+      expect(result.season.open).toBe(false);
+    });
+
+    it('should allow snook in season and report the closing date', () => {
+      const result = checkLegality('US_FL', 'snook', null, day(2025, 12, 5));
+      expect(result.status).toBe('LEGAL');
+      expect(result.season.label).toBe('Closes in 10 days');
+    });
+
+    it('should only warn for seasons that cannot be parsed', () => {
+      const result = checkLegality('CA_ON', 'walleye', null, day(2025, 7, 1));
+      expect(result.status).toBe('CHECK_REQUIRED');
+      expect(result.issues[0].type).toBe('season');
+    });
+  });
+
+  describe('checkLegality — sizes', () => {
+    it('should convert cm input for inch-based rules', () => {
+      // 40 cm ≈ 15.7" — under Florida's 18" redfish minimum
+      const result = checkLegality('US_FL', 'redfish', 40, day(2025, 7, 1));
+      expect(result.status).toBe('ILLEGAL');
+      expect(result.issues[0].type).toBe('undersized');
+    });
+
+    it('should accept an in-slot fish measured in cm', () => {
+      // 60 cm ≈ 23.6" — inside the 18-27" slot
+      const result = checkLegality('US_FL', 'redfish', 60, day(2025, 7, 1));
+      expect(result.status).toBe('LEGAL');
+    });
+
+    it('should compare cm-based rules directly', () => {
+      const result = checkLegality('OC_NZ', 'kingfish', 74, day(2025, 7, 1), {
+        measurement: 'fork_length',
+      });
+      expect(result.status).toBe('ILLEGAL');
+    });
+
+    it('should word messages in the angler units', () => {
+      const result = checkLegality('US_FL', 'redfish', 40, day(2025, 7, 1), {
+        units: 'imperial',
+      });
+      expect(result.issues[0].message).toContain('18.0 in total length');
+    });
+
+    it('should warn when the measurement method differs', () => {
+      const result = checkLegality('OC_NZ', 'snapper', 35, day(2025, 7, 1), {
+        measurement: 'total_length',
+      });
+      expect(result.issues.map(i => i.type)).toContain('measurement');
+    });
+
+    it('should not ask to re-measure when the method is unknown', () => {
+      const result = checkLegality('OC_NZ', 'snapper', 35, day(2025, 7, 1));
+      expect(result.issues.map(i => i.type)).not.toContain('measurement');
+      expect(result.limits.measurement).toBe('fork_length');
+    });
+  });
+
+  describe('getRuleLimits', () => {
+    it('should let a rule override the region convention', () => {
+      const region = REGULATIONS_DB.CA_ON;
+      const muskie = region.rules.find(r => r.species === 'muskie');
+      const limits = getRuleLimits(region, muskie);
+      expect(limits.sizeUnit).toBe('in');
+      expect(limits.minSizeCm).toBeCloseTo(91.44, 2);
+    });
+  });
+
+  describe('getSeasonAlerts', () => {
+    it('should flag seasons closing soon', () => {
+      const alerts = getSeasonAlerts('US_FL', ['snook'], day(2025, 12, 5));
+      expect(alerts[0].type).toBe('season_closing');
+      expect(alerts[0].daysUntilChange).toBe(10);
+    });
+  });
+});
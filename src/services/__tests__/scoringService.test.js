@@ -0,0 +1,174 @@
+/**
+ * Unit Tests — Scoring Service (#425)
+ *
+ * Tests the factor registry, presets and that the day, night and species
+ * scorers all go through the same pipeline.
+ */
+
+import {
+  getPreset,
+  registerFactor,
+  registerPreset,
+  scoreConditions,
+  scoreFactors,
+} from '../scoringService';
+import { scoreFactors as fishCastFactors } from '../fishCastService';
+import { calculateNightScore } from '../nightFishingService';
+import mlConditionsService from '../mlConditionsService';
+import predictiveCatchService from '../predictiveCatchService';
+
+jest.mock('../../config/env', () => ({ WORLDTIDES_API_KEY: '' }));
+
+const DAWN = new Date(2025, 5, 15, 6, 0);
+
+describe('Scoring Service', () => {
+  it('should leave out factors the context has no data for', () => {
+    const result = scoreConditions(
+      { date: DAWN, pressure: 1016, windSpeed: 4 },
+      { preset: 'fishcast' },
+    );
+    expect(result.factors.pressure).toBe(90);
+    expect(result.factors.tideState).toBeNull();
+    expect(result.weights.tideState).toBeUndefined();
+    const total = Object.values(result.weights).reduce((a, b) => a + b, 0);
+    expect(total).toBeCloseTo(1);
+  });
+
+  it('should keep FishCast factor scores on the shared registry', () => {
+    const solunar = {
+      major: [
+        {
+          start: new Date(2025, 5, 15, 5).toISOString(),
+          end: new Date(2025, 5, 15, 7).toISOString(),
+        },
+      ],
+      minor: [],
+      moonPhase: { phase: 0.5, fishingRating: 5 },
+    };
+    const factors = fishCastFactors(
+      DAWN,
+      { pressureMsl: 1010, windSpeed: 15, cloudCover: 60 },
+      solunar,
+      null,
+    );
+    expect(factors).toEqual({
+      pressure: 70,
+      moonPhase: 100,
+      solunarPeriod: 95,
+      wind: 55,
+      timeOfDay: 90,
+      cloudCover: 80,
+      precipitation: 60,
+      tideState: 50,
+    });
+  });
+
+  it('should score the same conditions on one scale in every view', () => {
+    const hour = { hour: 6, month: 5, moonPhase: 0.5 };
+    const day = scoreConditions({ date: DAWN, pressure: 1016, windSpeed: 8 });
+    const conditions = mlConditionsService.predict({
+      ...hour,
+      month: 6,
+      barometricPressure: 1016 / 33.8639,
+      windSpeed: 8 / 1.60934,
+    });
+    const species = predictiveCatchService.predict('walleye', {
+      ...hour,
+      windSpeed: 8 / 1.60934,
+    });
+
+    // Shared factors agree wherever they show up
+    expect(conditions.factors.timeOfDay).toBe(day.factors.timeOfDay);
+    expect(conditions.factors.wind).toBe(day.factors.wind);
+    expect(species.factors.wind).toBe(day.factors.wind);
+    expect(conditions.preset).toBe('conditions');
+    expect(species.preset).toBe('species');
+  });
+
+  it('should score each forecast hour as of its own time', () => {
+    // Full moon and last quarter in June 2025, both at dawn
+    const times = [new Date(2025, 5, 11, 6), new Date(2025, 5, 18, 6)];
+    const { predictions } = mlConditionsService.getBestWindows(
+      times.map(time => ({ time: time.toISOString(), pressure: 30 })),
+    );
+    times.forEach((date, i) => {
+      const { factors } = scoreConditions(
+        { date, pressure: 30 * 33.8639 },
+        { preset: 'conditions' },
+      );
+      expect(predictions[i].factors.moonPhase).toBe(factors.moonPhase);
+      expect(predictions[i].factors.timeOfDay).toBe(factors.timeOfDay);
+    });
+    expect(predictions[0].factors.moonPhase).not.toBe(
+      predictions[1].factors.moonPhase,
+    );
+  });
+
+  it("should score wind and pressure against the species' tolerance", () => {
+    const at = { hour: 6, month: 5, windSpeed: 12, pressureTrend: 'falling' };
+    const snapper = predictiveCatchService.predict('red_snapper', at);
+    const trout = predictiveCatchService.predict('rainbow_trout', at);
+    // 12 mph is nothing to snapper (25 mph) and a lot for trout (12 mph)
+    expect(snapper.factors.wind).toBeGreaterThan(trout.factors.wind);
+    // Trout prefer steady pressure, bass feed as it falls
+    const bass = predictiveCatchService.predict('largemouth_bass', at);
+    expect(bass.factors.pressure).toBeGreaterThan(trout.factors.pressure);
+    const steady = predictiveCatchService.predict('rainbow_trout', {
+      ...at,
+      pressureTrend: 'steady',
+    });
+    expect(steady.factors.pressure).toBeGreaterThan(trout.factors.pressure);
+  });
+
+  it('should explain the night score with impacts that add up', () => {
+    const night = calculateNightScore({
+      moonIllumination: 5,
+      cloudCoverPercent: 90,
+      windSpeedKmh: 5,
+      waterTempF: 65,
+      pressureTrendMb: -3,
+      isSolunarMajor: true,
+      hoursAfterSunset: 3,
+    });
+    expect(night.score).toBeGreaterThanOrEqual(85);
+    expect(night.rating).toBe('LEGENDARY');
+    const impacts = night.factors.reduce((sum, f) => sum + f.impact, 0);
+    expect(Math.abs(50 + impacts - night.score)).toBeLessThanOrEqual(3);
+
+    const bright = calculateNightScore({
+      moonIllumination: 95,
+      cloudCoverPercent: 0,
+      windSpeedKmh: 35,
+    });
+    expect(bright.score).toBeLessThan(night.score);
+    expect(
+      bright.factors.find(f => f.name === 'High Wind').impact,
+    ).toBeLessThan(0);
+  });
+
+  it('should accept new factors and presets', () => {
+    registerFactor('clarity', {
+      label: 'Water Clarity',
+      score: ({ clarity }) =>
+        clarity == null ? null : clarity === 'stained' ? 80 : 50,
+    });
+    registerPreset('clarityOnly', { weights: { clarity: 1 } });
+    expect(getPreset('clarityOnly').label).toBe('clarityOnly');
+    expect(scoreFactors(['clarity'], { clarity: 'stained' }).clarity).toBe(80);
+    expect(
+      scoreConditions({ clarity: 'stained' }, { preset: 'clarityOnly' }).score,
+    ).toBe(80);
+    // Nothing to score → neutral
+    expect(scoreConditions({}, { preset: 'clarityOnly' }).score).toBe(50);
+  });
+
+  it('should reject unknown factors and presets', () => {
+    expect(() => registerPreset('bad', { weights: { nope: 1 } })).toThrow(
+      'Unknown factor',
+    );
+    expect(() => scoreConditions({}, { preset: 'missing' })).toThrow(
+      'Unknown scoring preset',
+    );
+    expect(() => scoreFactors(['nope'], {})).toThrow('Unknown scoring factor');
+  });
+});
@@ -0,0 +1,179 @@
+/**
+ * Unit Tests — Storm Watch Service (#570)
+ *
+ * Threat detection in the hourly forecast, the get-off-the-water time,
+ * and escalating alerts only while someone is out fishing.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import Geolocation from '@react-native-community/geolocation';
+import stormWatchService, {
+  assessStormThreat,
+  describeStormThreat,
+} from '../stormWatchService';
+import weatherService from '../weatherService';
+import tripService from '../tripService';
+import notificationService from '../notificationService';
+import { startNightSession } from '../nightFishingService';
+
+jest.mock('../weatherService');
+
+const NOW = new Date('2024-07-10T12:20:00.000Z');
+const HOUR_MS = 60 * 60 * 1000;
+
+// Hourly forecast from 6h before to 12h after NOW, calm unless overridden
+const forecast = (overrides = {}) =>
+  Array.from({ length: 19 }, (_, i) => {
+    const offset = i - 6;
+    return {
+      time: new Date(
+        Date.parse('2024-07-10T12:00:00.000Z') + offset * HOUR_MS,
+      ).toISOString(),
+      windGusts: 20,
+      pressureMsl: 1015,
+      weatherCode: 2,
+      ...(overrides[offset] || {}),
+    };
+  });
+
+beforeEach(async () => {
+  await AsyncStorage.clear();
+  tripService._activeTrip = null;
+  tripService._loaded = true;
+  stormWatchService._lastAlert = null;
+  stormWatchService._loaded = false;
+  Geolocation.getCurrentPosition.mockImplementation(onFix =>
+    onFix({ coords: { latitude: 59.33, longitude: 18.07 } }),
+  );
+  notificationService._prefs = null;
+  notificationService._notifications = [];
+});
+
+describe('Storm Watch Service', () => {
+  it('should stay quiet on a settled forecast', () => {
+    expect(assessStormThreat(forecast(), NOW)).toBeNull();
+  });
+
+  it('should escalate thunder as it gets closer', () => {
+    const later = assessStormThreat(forecast({ 5: { weatherCode: 95 } }), NOW);
+    expect(later.level).toBe('watch');
+    expect(later.threats[0]).toMatchObject({
+      type: 'thunderstorm',
+      at: '2024-07-10T17:00:00.000Z',
+    });
+    // An hour of margin ahead of the first thunder hour
+    expect(later.getOffBy).toBe('2024-07-10T16:00:00.000Z');
+
+    const soon = assessStormThreat(forecast({ 2: { weatherCode: 96 } }), NOW);
+    expect(soon.level).toBe('warning');
+
+    const overhead = assessStormThreat(
+      forecast({ 0: { weatherCode: 99 } }),
+      NOW,
+    );
+    expect(overhead.level).toBe('danger');
+    expect(overhead.getOffBy).toBe(NOW.toISOString());
+    expect(describeStormThreat(overhead, NOW)).toBe(
+      'Thunderstorms now. Head for shore now.',
+    );
+  });
+
+  it('should flag gust jumps but not gusts that were already blowing', () => {
+    const jump = assessStormThreat(forecast({ 3: { windGusts: 55 } }), NOW);
+    expect(jump.threats[0]).toMatchObject({
+      type: 'gust_jump',
+      gustKmh: 55,
+      fromKmh: 20,
+    });
+    expect(jump.level).toBe('warning');
+
+    const windy = {};
+    for (let h = -6; h <= 12; h++) windy[h] = { windGusts: 50 };
+    windy[3] = { windGusts: 60 };
+    expect(assessStormThreat(forecast(windy), NOW)).toBeNull();
+  });
+
+  it('should flag a rapid pressure fall', () => {
+    const falling = {};
+    for (let h = 1; h <= 12; h++) {
+      falling[h] = { pressureMsl: 1015 - 2 * h };
+    }
+    const result = assessStormThreat(forecast(falling), NOW);
+    expect(result.threats).toHaveLength(1);
+    expect(result.threats[0].type).toBe('pressure_fall');
+    expect(result.threats[0].changeHpa3h).toBeLessThanOrEqual(-3.5);
+  });
+
+  it('should only check while a trip or night session is running', async () => {
+    weatherService.getHourlyForecast.mockResolvedValue({
+      hours: forecast({ 3: { weatherCode: 95 } }),
+    });
+    expect(await stormWatchService.check(NOW)).toBeNull();
+    expect(weatherService.getHourlyForecast).not.toHaveBeenCalled();
+
+    await startNightSession('Current Location', 'Any');
+    const result = await stormWatchService.check(NOW);
+    expect(result.level).toBe('warning');
+  });
+
+  it('should notify once per level and again when it escalates', async () => {
+    await tripService.startTrip({ latitude: 59.33, longitude: 18.07 });
+    const alert = jest.spyOn(notificationService, 'triggerStormAlert');
+
+    weatherService.getHourlyForecast.mockResolvedValue({
+      hours: forecast({ 5: { weatherCode: 95 } }),
+    });
+    await stormWatchService.check(NOW);
+    await stormWatchService.check(NOW);
+    expect(alert).toHaveBeenCalledTimes(1);
+    expect(alert.mock.calls[0][0]).toMatchObject({ level: 'watch' });
+
+    weatherService.getHourlyForecast.mockResolvedValue({
+      hours: forecast({ 3: { weatherCode: 95 } }),
+    });
+    await stormWatchService.check(NOW);
+    expect(alert).toHaveBeenCalledTimes(2);
+    expect(alert.mock.calls[1][0].level).toBe('warning');
+    expect(notificationService.getNotifications()[0]).toMatchObject({
+      type: 'weather',
+      title: 'Storm Warning ⚠️',
+    });
+
+    // Ending the trip resets, so the next storm starts from a watch again
+    await tripService.endTrip();
+    await stormWatchService.check(NOW);
+    expect(stormWatchService._lastAlert).toBeNull();
+  });
+
+  it("should check at the trip's latest GPS fix", async () => {
+    await tripService.startTrip({ latitude: 59.33, longitude: 18.07 });
+    weatherService.getHourlyForecast.mockResolvedValue({ hours: forecast() });
+
+    await stormWatchService.check(NOW);
+    expect(weatherService.getHourlyForecast).toHaveBeenLastCalledWith(
+      59.33,
+      18.07,
+      expect.any(Object),
+    );
+
+    await tripService.updateTripLocation(59.5, 18.5);
+    await stormWatchService.check(NOW);
+    expect(weatherService.getHourlyForecast).toHaveBeenLastCalledWith(
+      59.5,
+      18.5,
+      expect.any(Object),
+    );
+    await tripService.endTrip();
+  });
+
+  it('should respect the storm alerts preference', async () => {
+    await tripService.startTrip({ latitude: 59.33, longitude: 18.07 });
+    await notificationService.getPrefs();
+    await notificationService.updatePrefs({ stormAlerts: false });
+    weatherService.getHourlyForecast.mockResolvedValue({
+      hours: forecast({ 1: { weatherCode: 95 } }),
+    });
+    await stormWatchService.check(NOW);
+    expect(notificationService.getNotifications()).toHaveLength(0);
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * Unit Tests — Tidal Current Service (#565)
+ *
+ * Tests NOAA current parsing, the estimate from tide extremes, flow
+ * interpolation and how slack water scores.
+ */
+
+import {
+  estimateFromExtremes,
+  flowAt,
+  normalizeNoaaCurrents,
+} from '../tidalCurrentService';
+import { scoreFactors } from '../scoringService';
+import mlConditionsService from '../mlConditionsService';
+
+jest.mock('../../config/env', () => ({ WORLDTIDES_API_KEY: '' }));
+
+const EXTREMES = [
+  { date: '2025-06-15T00:00:00Z', height: 0.2, type: 'Low' },
+  { date: '2025-06-15T06:00:00Z', height: 1.4, type: 'High' },
+  { date: '2025-06-15T12:00:00Z', height: 0.8, type: 'Low' },
+];
+
+describe('Tidal Current Service', () => {
+  it('should parse NOAA max and slack predictions', () => {
+    const events = normalizeNoaaCurrents({
+      current_predictions: {
+        cp: [
+          { Time: '2025-06-15 01:10', Velocity_Major: 0, Type: 'slack' },
+          {
+            Time: '2025-06-15 04:02',
+            Velocity_Major: 1.6,
+            meanFloodDir: 20,
+            meanEbbDir: 200,
+            Type: 'flood',
+          },
+          {
+            Time: '2025-06-15 10:40',
+            Velocity_Major: -2,
+            meanFloodDir: 20,
+            meanEbbDir: 200,
+            Type: 'ebb',
+          },
+        ],
+      },
+    });
+    expect(events[0]).toMatchObject({
+      date: '2025-06-15T01:10:00.000Z',
+      type: 'slack',
+    });
+    expect(events[1]).toMatchObject({
+      type: 'flood',
+      speed: 1.6,
+      strength: 0.8,
+      direction: 20,
+    });
+    expect(events[2]).toMatchObject({ type: 'ebb', speed: 2, direction: 200 });
+  });
+
+  it('should estimate slack at highs and lows and the max between', () => {
+    const events = estimateFromExtremes(EXTREMES);
+    expect(events.map(e => e.type)).toEqual([
+      'slack',
+      'flood',
+      'slack',
+      'ebb',
+      'slack',
+    ]);
+    expect(events[1]).toMatchObject({
+      date: '2025-06-15T03:00:00.000Z',
+      strength: 1,
+      speed: null,
+    });
+    // Half the range in the same time — half as fast
+    expect(events[3].strength).toBe(0.5);
+  });
+
+  it('should build the current from slack to max', () => {
+    const events = estimateFromExtremes(EXTREMES);
+    const slack = flowAt(events, '2025-06-15T00:10:00Z');
+    expect(slack.phase).toBe('slack');
+    expect(slack.nextMax.type).toBe('flood');
+
+    const max = flowAt(events, '2025-06-15T03:00:00Z');
+    expect(max).toMatchObject({ phase: 'flood', strength: 1 });
+    expect(max.nextSlack.date).toBe('2025-06-15T06:00:00.000Z');
+
+    const easing = flowAt(events, '2025-06-15T05:00:00Z');
+    expect(easing.phase).toBe('flood');
+    expect(easing.strength).toBeCloseTo(Math.sin(Math.PI / 6), 2);
+
+    expect(flowAt(events, '2025-06-16T00:00:00Z')).toBeNull();
+  });
+
+  it('should score slack water below a running tide', () => {
+    const score = tide => scoreFactors(['tideState'], { tide }).tideState;
+    const base = { state: 'rising', progress: 50 };
+    expect(score({ ...base, current: { phase: 'slack', strength: 0.1 } })).toBe(
+      40,
+    );
+    expect(score({ ...base, current: { phase: 'flood', strength: 0.7 } })).toBe(
+      90,
+    );
+    expect(score({ ...base, current: { phase: 'ebb', strength: 0.7 } })).toBe(
+      85,
+    );
+    // Height only, as before
+    expect(score(base)).toBe(90);
+
+    const slack = mlConditionsService.predict({ tidePhase: 'slack' });
+    const incoming = mlConditionsService.predict({ tidePhase: 'incoming' });
+    expect(slack.factors.tideState).toBe(40);
+    expect(incoming.factors.tideState).toBeGreaterThan(slack.factors.tideState);
+  });
+});
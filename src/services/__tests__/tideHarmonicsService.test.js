@@ -0,0 +1,177 @@
+/**
+ * Unit Tests — Tide Harmonics Service (#563)
+ *
+ * Tests the astronomical arguments, extremes found from constituents,
+ * the station store and tideService's offline fallback. Also covers
+ * subordinate-station offsets and datum conversion (#564).
+ */
+
+import {
+  applyStationOffsets,
+  astronomicalArguments,
+  constituentTerms,
+  convertDatum,
+  findStation,
+  parseNoaaHarcon,
+  parseNoaaOffsets,
+  predictExtremes,
+  predictHeight,
+  saveStation,
+} from '../tideHarmonicsService';
+import tideService from '../tideService';
+
+jest.mock('../../config/env', () => ({ WORLDTIDES_API_KEY: '' }));
+
+const HOUR = 3600000;
+const START = Date.UTC(2025, 5, 15);
+
+// Degrees per hour, from Schureman / NOAA
+const SPEEDS = {
+  M2: 28.9841042,
+  S2: 30,
+  N2: 28.4397295,
+  K2: 30.0821373,
+  K1: 15.0410686,
+  O1: 13.9430356,
+  P1: 14.9589314,
+  Q1: 13.3986609,
+  NU2: 28.5125831,
+  L2: 29.5284789,
+  MM: 0.5443747,
+  MF: 1.0980331,
+  M4: 57.9682084,
+  MK3: 44.0251729,
+  '2SM2': 31.0158958,
+};
+
+// Argument change over an hour — the node terms barely move in that time
+function speed(name) {
+  const arg = t => constituentTerms(name, astronomicalArguments(t)).argument;
+  return ((arg(START + HOUR) - arg(START) + 540) % 360) - 180;
+}
+
+const M2_ONLY = {
+  id: 'm2',
+  name: 'M2 only',
+  lat: 27.76,
+  lng: -82.63,
+  datumOffset: 0.4,
+  constituents: [{ name: 'M2', amplitude: 0.5, phase: 0 }],
+};
+
+describe('Tide Harmonics Service', () => {
+  it('should advance each constituent at its published speed', () => {
+    for (const [name, published] of Object.entries(SPEEDS)) {
+      expect(speed(name)).toBeCloseTo(published, 2);
+    }
+  });
+
+  it('should keep node factors within their 18.6-year range', () => {
+    for (let year = 2020; year < 2039; year++) {
+      const astro = astronomicalArguments(Date.UTC(year, 0, 1));
+      expect(constituentTerms('M2', astro).f).toBeGreaterThan(0.96);
+      expect(constituentTerms('M2', astro).f).toBeLessThan(1.04);
+      expect(constituentTerms('K1', astro).f).toBeGreaterThan(0.87);
+      expect(constituentTerms('K1', astro).f).toBeLessThan(1.13);
+      expect(constituentTerms('O1', astro).f).toBeGreaterThan(0.8);
+      expect(constituentTerms('O1', astro).f).toBeLessThan(1.2);
+    }
+    expect(constituentTerms('S1', astronomicalArguments(START))).toBeNull();
+  });
+
+  it('should find alternating highs and lows half an M2 period apart', () => {
+    const extremes = predictExtremes(M2_ONLY, START, START + 48 * HOUR);
+    expect(extremes.length).toBeGreaterThanOrEqual(7);
+    for (let i = 1; i < extremes.length; i++) {
+      expect(extremes[i].type).not.toBe(extremes[i - 1].type);
+      const gap =
+        (new Date(extremes[i].date) - new Date(extremes[i - 1].date)) / HOUR;
+      expect(gap).toBeCloseTo(180 / SPEEDS.M2, 1);
+    }
+    const high = extremes.find(e => e.type === 'High');
+    const low = extremes.find(e => e.type === 'Low');
+    // Node factor nudges the 0.5m amplitude by a few percent
+    expect(high.height).toBeGreaterThan(0.85);
+    expect(low.height).toBeLessThan(-0.05);
+    expect(predictHeight(M2_ONLY, high.date)).toBeCloseTo(high.height, 2);
+  });
+
+  it('should store stations and find the nearest one in range', async () => {
+    const result = await saveStation({
+      ...M2_ONLY,
+      constituents: parseNoaaHarcon({
+        HarmonicConstituents: [
+          { name: 'M2', amplitude: 0.5, phase_GMT: 10, speed: 28.984 },
+          { name: 'S1', amplitude: 0.01, phase_GMT: 0, speed: 15 },
+        ],
+      }),
+    });
+    expect(result.success).toBe(true);
+    // S1 has no astronomical prediction and is dropped
+    expect(result.station.constituents).toHaveLength(1);
+
+    expect((await findStation(27.8, -82.6)).id).toBe('m2');
+    expect(await findStation(30, -82.6)).toBeNull();
+    expect((await saveStation({ id: 'x', lat: 0, lng: 0 })).success).toBe(
+      false,
+    );
+  });
+
+  it('should predict tides offline when the network is down', async () => {
+    global.fetch = jest.fn(() => Promise.reject(new Error('offline')));
+    const tides = await tideService.getTides(27.77, -82.64);
+    expect(tides.source).toBe('harmonic');
+    expect(tides.stationId).toBe('m2');
+    expect(tides.extremes.length).toBeGreaterThanOrEqual(3);
+  });
+
+  it('should correct reference extremes for a subordinate station', () => {
+    const offsets = parseNoaaOffsets({
+      refStationId: '8726520',
+      type: 'S',
+      timeOffsetHighTide: 85,
+      timeOffsetLowTide: -30,
+      heightOffsetHighTide: 0.9,
+      heightOffsetLowTide: 0.8,
+      heightAdjustedType: 'R',
+    });
+    const [high, low] = applyStationOffsets(
+      [
+        { date: '2025-06-15T06:00:00.000Z', height: 1.0, type: 'High' },
+        { date: '2025-06-15T12:00:00.000Z', height: 0.5, type: 'Low' },
+      ],
+      offsets,
+    );
+    expect(high).toEqual({
+      date: '2025-06-15T07:25:00.000Z',
+      height: 0.9,
+      type: 'High',
+    });
+    expect(low.date).toBe('2025-06-15T11:30:00.000Z');
+    expect(low.height).toBe(0.4);
+
+    const additive = applyStationOffsets([{ ...high, height: 1 }], {
+      ...offsets,
+      heightType: 'add',
+      heightHigh: 0.25,
+    });
+    expect(additive[0].height).toBe(1.25);
+  });
+
+  it('should re-reference heights only when both datums are known', () => {
+    const datums = { MLLW: 1.0, MSL: 1.4, LAT: 0.85 };
+    const extremes = [
+      { date: '2025-06-15T06:00:00Z', height: 1, type: 'High' },
+    ];
+
+    const msl = convertDatum(extremes, datums, 'MLLW', 'MSL');
+    expect(msl.datum).toBe('MSL');
+    expect(msl.extremes[0].height).toBeCloseTo(0.6);
+    expect(
+      convertDatum(extremes, datums, 'MLLW', 'LAT').extremes[0].height,
+    ).toBeCloseTo(1.15);
+
+    const unknown = convertDatum(extremes, { MLLW: 1 }, 'MLLW', 'LAT');
+    expect(unknown).toEqual({ extremes, datum: 'MLLW' });
+  });
+});
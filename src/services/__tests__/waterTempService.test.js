@@ -0,0 +1,205 @@
+/**
+ * Unit Tests — Water Temperature Service (#568)
+ *
+ * Air-lag estimate, source priority (reading > SST > estimate), per-spot
+ * history and the scorers picking the temperature up on their own.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  estimateFromAir,
+  getHistory,
+  getWaterTemp,
+  recordReading,
+} from '../waterTempService';
+import cacheService from '../cacheService';
+import catchService from '../catchService';
+import spotService from '../spotService';
+import weatherService from '../weatherService';
+import { adjustScoreForSpecies } from '../fishCastService';
+import predictiveCatchService from '../predictiveCatchService';
+
+jest.mock('../cacheService');
+jest.mock('../weatherService');
+jest.mock('../../config/env', () => ({ WORLDTIDES_API_KEY: '' }));
+
+const LAKE = { lat: 61.05, lng: 14.6 };
+const COAST = { lat: 57.7, lng: 11.85 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const airMeans = means =>
+  weatherService.getDailyForecast.mockResolvedValue({
+    days: means.map(tempMean => ({ tempMean })),
+  });
+
+beforeEach(async () => {
+  await AsyncStorage.clear();
+  spotService._spots = [];
+  spotService._loaded = true;
+  catchService._catches = [];
+  catchService._loaded = true;
+  cacheService.get.mockResolvedValue(null);
+  cacheService.set.mockResolvedValue(undefined);
+  cacheService.coordKey.mockImplementation(
+    (prefix, lat, lng) => `${prefix}_${lat.toFixed(2)}_${lng.toFixed(2)}`,
+  );
+  weatherService.getMarineWeather.mockResolvedValue({ seaSurfaceTemp: null });
+  airMeans(Array(31).fill(12));
+});
+
+describe('Water Temperature Service', () => {
+  it('should lag the water behind the air', () => {
+    expect(estimateFromAir(Array(30).fill(15))).toBe(15);
+    // Ten warm days after a cool spell: most of the way, not all of it
+    const warming = estimateFromAir([
+      ...Array(20).fill(10),
+      ...Array(10).fill(20),
+    ]);
+    expect(warming).toBeGreaterThan(16);
+    expect(warming).toBeLessThan(19);
+    expect(estimateFromAir([-5, -8, -12, -10])).toBe(0);
+    expect(estimateFromAir([null, null])).toBeNull();
+  });
+
+  it('should prefer a fresh reading at the spot', async () => {
+    await recordReading({
+      latitude: LAKE.lat,
+      longitude: LAKE.lng,
+      tempC: 17.5,
+    });
+    const water = await getWaterTemp(LAKE.lat, LAKE.lng);
+    expect(water).toMatchObject({ tempC: 17.5, source: 'reading' });
+    expect(weatherService.getDailyForecast).not.toHaveBeenCalled();
+  });
+
+  it('should use sea surface temperature once a reading is old', async () => {
+    await recordReading({
+      latitude: COAST.lat,
+      longitude: COAST.lng,
+      tempC: 14,
+      measuredAt: new Date(Date.now() - 3 * DAY_MS).toISOString(),
+    });
+    weatherService.getMarineWeather.mockResolvedValue({ seaSurfaceTemp: 16.3 });
+    const water = await getWaterTemp(COAST.lat, COAST.lng, {
+      waterType: 'saltwater',
+    });
+    expect(water).toMatchObject({ tempC: 16.3, source: 'sst' });
+  });
+
+  it('should estimate lakes from air temperature, never from the sea', async () => {
+    weatherService.getMarineWeather.mockResolvedValue({ seaSurfaceTemp: 16.3 });
+    const water = await getWaterTemp(LAKE.lat, LAKE.lng, {
+      waterType: 'freshwater',
+    });
+    expect(water).toMatchObject({ tempC: 12, source: 'air_estimate' });
+    expect(weatherService.getMarineWeather).not.toHaveBeenCalled();
+  });
+
+  it('should keep one looked-up value per day but every reading', async () => {
+    await getWaterTemp(LAKE.lat, LAKE.lng);
+    await getWaterTemp(LAKE.lat, LAKE.lng);
+    await recordReading({ latitude: LAKE.lat, longitude: LAKE.lng, tempC: 13 });
+    await recordReading({
+      latitude: LAKE.lat,
+      longitude: LAKE.lng,
+      tempC: 13.4,
+    });
+    const history = await getHistory(LAKE.lat, LAKE.lng);
+    expect(history.map(e => e.source)).toEqual([
+      'air_estimate',
+      'reading',
+      'reading',
+    ]);
+    expect(
+      await getHistory(LAKE.lat, LAKE.lng, { source: 'reading' }),
+    ).toHaveLength(2);
+  });
+
+  it('should file readings near a saved spot under that spot', async () => {
+    const spot = await spotService.addSpot({
+      name: 'Pike bay',
+      latitude: LAKE.lat,
+      longitude: LAKE.lng,
+    });
+    // ~300 m away, and in another grid cell
+    await recordReading({ latitude: 61.0528, longitude: 14.6, tempC: 15 });
+    const history = await getHistory(0, 0, { spotId: spot.id });
+    expect(history).toHaveLength(1);
+    expect(history[0].tempC).toBe(15);
+  });
+
+  it('should reject impossible readings', async () => {
+    await expect(
+      recordReading({ latitude: LAKE.lat, longitude: LAKE.lng, tempC: 68 }),
+    ).rejects.toThrow('between -2 and 40');
+  });
+
+  it('should record the water temperature logged with a catch', async () => {
+    await catchService.logCatch({
+      species: 'Largemouth Bass',
+      latitude: 28.5,
+      longitude: -81.4,
+      waterType: 'freshwater',
+      conditions: { waterTemp: 24.5 },
+    });
+    const water = await getWaterTemp(28.5, -81.4);
+    expect(water).toMatchObject({ tempC: 24.5, source: 'reading' });
+  });
+
+  it('should drive species scores without being passed a temperature', async () => {
+    const base = {
+      score: 60,
+      factors: {},
+      weather: {},
+      waterTemp: { tempC: 4, source: 'air_estimate' },
+    };
+    const bass = adjustScoreForSpecies(base, 'largemouth bass');
+    expect(bass.speciesInsights).toContain(
+      'Water temp 4°C is outside preferred range',
+    );
+
+    await recordReading({ latitude: LAKE.lat, longitude: LAKE.lng, tempC: 20 });
+    const atSpot = await predictiveCatchService.predictAt(
+      'largemouth_bass',
+      LAKE.lat,
+      LAKE.lng,
+      { hour: 7, month: 6 },
+    );
+    const cold = predictiveCatchService.predict('largemouth_bass', {
+      hour: 7,
+      month: 6,
+      waterTemp: 40,
+    });
+    expect(atSpot.factors.waterTemp).toBeGreaterThan(cold.factors.waterTemp);
+  });
+
+  it('should carry FishCast conditions into the species model', async () => {
+    const fishCast = {
+      weather: { wind: 16.0934, pressure: 1015.917 },
+      pressureTrend: { trend: 'falling' },
+      waterTemp: { tempC: 20, source: 'sst' },
+    };
+    const conditions = predictiveCatchService.conditionsFromFishCast(
+      fishCast,
+      new Date(2025, 5, 15, 7),
+    );
+    expect(conditions).toMatchObject({
+      hour: 7,
+      month: 5,
+      pressureTrend: 'falling',
+      waterTemp: 68,
+    });
+    expect(conditions.windSpeed).toBeCloseTo(10);
+    expect(conditions.barometricPressure).toBeCloseTo(30);
+
+    // No water temperature from FishCast → looked up at the spot
+    await recordReading({ latitude: LAKE.lat, longitude: LAKE.lng, tempC: 20 });
+    const looked = await predictiveCatchService.predictAt(
+      'largemouth_bass',
+      LAKE.lat,
+      LAKE.lng,
+      predictiveCatchService.conditionsFromFishCast({ weather: {} }),
+    );
+    expect(looked.factors.waterTemp).not.toBeNull();
+  });
+});
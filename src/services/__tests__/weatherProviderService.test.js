@@ -0,0 +1,191 @@
+/**
+ * Unit Tests — Weather Provider Service (#569)
+ *
+ * Open-Meteo normalization, failover between providers, cool-down of
+ * failing ones, and weatherService reading through whichever answered.
+ */
+
+import {
+  createOpenMeteoProvider,
+  getProviderHealth,
+  normalizeOpenMeteoMarine,
+  registerProvider,
+  requestWeather,
+  resetProviderHealth,
+  setProviderOrder,
+} from '../weatherProviderService';
+import weatherService from '../weatherService';
+import cacheService from '../cacheService';
+
+jest.mock('../cacheService');
+
+const HOURLY = {
+  hours: [
+    {
+      time: '2024-06-21T06:00:00.000Z',
+      temperature: 14.6,
+      windSpeed: 11.4,
+      windGusts: null,
+      windDirection: 220,
+      cloudCover: 40,
+      precipitation: null,
+      pressureMsl: 1012.3,
+      weatherCode: 2,
+    },
+  ],
+  sunrise: [],
+  sunset: [],
+  timezone: 'Europe/Stockholm',
+};
+
+const failing = id => ({
+  id,
+  hourly: jest.fn(() => Promise.reject(new Error('timeout'))),
+});
+const working = id => ({
+  id,
+  hourly: jest.fn(() => Promise.resolve(HOURLY)),
+});
+
+beforeEach(() => {
+  resetProviderHealth();
+  setProviderOrder(['open-meteo']);
+  cacheService.get.mockResolvedValue(null);
+  cacheService.set.mockResolvedValue(undefined);
+  cacheService.coordKey.mockImplementation(
+    (prefix, lat, lng) => `${prefix}_${lat}_${lng}`,
+  );
+});
+
+describe('Weather Provider Service', () => {
+  it('should normalize an Open-Meteo-compatible server', async () => {
+    global.fetch.mockResolvedValue({
+      ok: true,
+      json: () =>
+        Promise.resolve({
+          timezone: 'Europe/Stockholm',
+          hourly: {
+            time: [1718949600],
+            temperature_2m: [14.6],
+            wind_speed_10m: [11.4],
+            pressure_msl: [1012.3],
+          },
+          daily: { sunrise: [1718935200], sunset: [1718999400] },
+        }),
+    });
+    const local = createOpenMeteoProvider({
+      id: 'local',
+      forecastUrl: 'http://localhost:8080/v1',
+      marineUrl: 'http://localhost:8080/v1',
+    });
+    const data = await local.hourly(59.33, 18.07, { days: 2, pastDays: 1 });
+
+    const url = global.fetch.mock.calls[0][0];
+    expect(url).toMatch(/^http:\/\/localhost:8080\/v1\/forecast\?/);
+    expect(url).toContain('forecast_days=2');
+    expect(url).toContain('past_days=1');
+    expect(data.hours[0]).toEqual({
+      time: '2024-06-21T06:00:00.000Z',
+      temperature: 14.6,
+      windSpeed: 11.4,
+      windGusts: null,
+      windDirection: null,
+      cloudCover: null,
+      precipitation: null,
+      pressureMsl: 1012.3,
+      weatherCode: null,
+    });
+    expect(data.sunrise).toEqual(['2024-06-21T02:00:00.000Z']);
+  });
+
+  it('should normalize marine hours and current values', () => {
+    const marine = normalizeOpenMeteoMarine({
+      current: { wave_height: 0.8, sea_surface_temperature: 17.4 },
+      hourly: {
+        time: [1718928000, 1718931600],
+        wave_height: [0.8, 1.1],
+        wave_period: [5.2, null],
+        sea_surface_temperature: [17.4, 17.5],
+      },
+    });
+    expect(marine.current).toMatchObject({
+      waveHeight: 0.8,
+      swellHeight: null,
+      seaSurfaceTemp: 17.4,
+    });
+    expect(marine.hours[0]).toMatchObject({
+      time: '2024-06-21T00:00:00.000Z',
+      wavePeriod: 5.2,
+      swellHeight: null,
+    });
+    expect(marine.hours[1].wavePeriod).toBeNull();
+    expect(normalizeOpenMeteoMarine(null).hours).toEqual([]);
+  });
+
+  it('should fail over to the next provider', async () => {
+    const primary = failing('primary');
+    const backup = working('backup');
+    registerProvider(primary);
+    registerProvider(backup);
+    setProviderOrder('primary, backup');
+
+    const data = await requestWeather('hourly', 59.33, 18.07);
+    expect(data.provider).toBe('backup');
+    expect(primary.hourly).toHaveBeenCalledTimes(1);
+    expect(getProviderHealth()).toEqual([
+      expect.objectContaining({ id: 'primary', healthy: true, failures: 1 }),
+      expect.objectContaining({ id: 'backup', healthy: true, failures: 0 }),
+    ]);
+  });
+
+  it('should cool down a provider after repeated failures', async () => {
+    const primary = failing('primary');
+    const backup = working('backup');
+    registerProvider(primary);
+    registerProvider(backup);
+    setProviderOrder(['primary', 'backup']);
+
+    for (let i = 0; i < 3; i++) await requestWeather('hourly', 0, 0);
+    expect(getProviderHealth()[0]).toMatchObject({
+      healthy: false,
+      lastError: 'timeout',
+    });
+
+    // Healthy providers go first while it cools down
+    primary.hourly.mockResolvedValue(HOURLY);
+    backup.hourly.mockRejectedValue(new Error('down'));
+    const data = await requestWeather('hourly', 0, 0);
+    expect(data.provider).toBe('primary');
+    expect(backup.hourly).toHaveBeenCalledTimes(4);
+    expect(getProviderHealth()[0].healthy).toBe(true);
+  });
+
+  it('should skip providers without the data kind and report total failure', async () => {
+    const hourlyOnly = failing('hourly-only');
+    registerProvider(hourlyOnly);
+    setProviderOrder(['hourly-only']);
+    await expect(requestWeather('marine', 0, 0)).rejects.toThrow(
+      'No weather provider supports marine data',
+    );
+    await expect(requestWeather('hourly', 0, 0)).rejects.toThrow(
+      'All weather providers failed — hourly-only: timeout',
+    );
+    expect(() => registerProvider({ id: 'empty' })).toThrow(
+      'supports no data kind',
+    );
+  });
+
+  it('should serve weatherService from any provider', async () => {
+    registerProvider(working('mock'));
+    setProviderOrder(['mock']);
+    const forecast = await weatherService.getHourlyForecast(59.33, 18.07);
+    expect(forecast.provider).toBe('mock');
+    expect(forecast.hours[0]).toMatchObject({
+      temperature: 15,
+      windSpeed: 11,
+      windGusts: null,
+      precipitation: 0,
+    });
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,442 @@
+/**
+ * Backtest Service — ProFish
+ * Offline evaluation of FishCast and the prediction models (#424)
+ *
+ * Replays a recorded dataset — hourly weather, an optional tide curve and
+ * the catch log for one spot — through every model as if each hour were
+ * "now", then checks the scores against when fish were actually caught:
+ *
+ *   - Calibration: catch rate per score band. Scores are ratings, not
+ *     probabilities, so the useful readout is whether the rate climbs with
+ *     the band; the expected calibration error is reported alongside.
+ *   - Rank correlation: Spearman's rho between hourly score and catches.
+ *   - Best-window hit rate: on each day with a catch, did the model's best
+ *     N-hour window contain one? Compared with picking a window at random.
+ *
+ * Nothing here touches the network or storage. Run it through
+ * scripts/backtest-models.js.
+ *
+ * Dataset:
+ *   {
+ *     name, latitude, longitude, waterType?, species?, radiusKm?,
+ *     hours: [{ time, temperature, windSpeed, cloudCover, precipitation,
+ *               pressureMsl, waterTemp? }],   // °C, km/h, %, mm, hPa
+ *     tides?: [{ time, height, state, progress }], // tideService curve
+ *     catches: [{ createdAt, latitude?, longitude? }],
+ *   }
+ */
+
+import solunarService from './solunarService';
+import mlConditionsService from './mlConditionsService';
+import predictiveCatchService from './predictiveCatchService';
+import { evaluateBiteConditions } from './killerFeaturesService';
+import { scoreFactors, weightedScore } from './fishCastService';
+import { resolveProfile } from './fishCastProfileService';
+import { computePressureTrends } from './pressureTrendService';
+
+const HOUR_MS = 60 * 60 * 1000;
+const HPA_PER_INHG = 33.8639;
+const MPH_PER_KMH = 0.621371;
+const DEFAULT_RADIUS_KM = 25;
+const CALIBRATION_BINS = 5;
+
+const toF = c => (c == null ? null : c * 1.8 + 32);
+
+// ── Model adapters ─────────────────────────────────────
+// Each turns one replayed hour into a 0-100 score in that model's own units
+
+function tidePhase(tide) {
+  if (!tide || !['rising', 'falling'].includes(tide.state)) return null;
+  if (tide.progress > 90) return tide.state === 'rising' ? 'high' : 'low';
+  if (tide.progress < 10) return tide.state === 'rising' ? 'low' : 'high';
+  return tide.state === 'rising' ? 'incoming' : 'outgoing';
+}
+
+// Archive data has rainfall in mm; the ML model expects a chance of rain
+function precipitationChance(mm) {
+  if (mm == null) return null;
+  if (mm === 0) return 0;
+  if (mm < 1) return 30;
+  if (mm < 4) return 60;
+  return 90;
+}
+
+function minutesToNextMajor(date, solunar) {
+  const upcoming = solunar.major
+    .map(p => (new Date(p.start) - date) / 60000)
+    .filter(m => m >= 0);
+  return upcoming.length ? Math.round(Math.min(...upcoming)) : null;
+}
+
+function fishCastScore(ctx, setup) {
+  const factors = scoreFactors(
+    ctx.date,
+    ctx.weather,
+    ctx.solunar,
+    ctx.tide,
+    ctx.pressureTrend,
+  );
+  return weightedScore(factors, setup.profile.weights);
+}
+
+// Bite alerts fire on up to four triggers; weigh them by priority
+const ALERT_POINTS = { 1: 3, 2: 2, 3: 1 };
+const MAX_ALERT_POINTS = 8;
+
+export const MODELS = {
+  fishcast: {
+    label: 'FishCast',
+    score: fishCastScore,
+  },
+  ml: {
+    label: 'ML Conditions',
+    score: (ctx, setup) =>
+      mlConditionsService.predict({
+        habitat: setup.habitat,
+        barometricPressure:
+          ctx.weather.pressureMsl != null
+            ? ctx.weather.pressureMsl / HPA_PER_INHG
+            : null,
+        pressureTrend: ctx.pressureTrend?.trend || undefined,
+        windSpeed:
+          ctx.weather.windSpeed != null
+            ? ctx.weather.windSpeed * MPH_PER_KMH
+            : null,
+        temperature: toF(ctx.weather.temperature),
+        waterTemp: toF(ctx.weather.waterTemp),
+        cloudCover: ctx.weather.cloudCover,
+        precipitation: precipitationChance(ctx.weather.precipitation),
+        tidePhase: tidePhase(ctx.tide),
+        moonPhase: ctx.solunar.moonPhase.phase,
+        date: ctx.date,
+        targetSpecies: setup.speciesId,
+      }).score,
+  },
+  predictive: {
+    label: 'Predictive Catch',
+    score: (ctx, setup) =>
+      predictiveCatchService.predict(setup.speciesId, {
+        waterTemp: toF(ctx.weather.waterTemp),
+        hour: ctx.date.getHours(),
+        month: ctx.date.getMonth(),
+        moonPhase: ctx.solunar.moonPhase.phase,
+        windSpeed:
+          ctx.weather.windSpeed != null
+            ? ctx.weather.windSpeed * MPH_PER_KMH
+            : null,
+        // Only knows falling / steady / rising
+        pressureTrend: ctx.pressureTrend?.trend?.replace('rapidly_', ''),
+        barometricPressure:
+          ctx.weather.pressureMsl != null
+            ? ctx.weather.pressureMsl / HPA_PER_INHG
+            : null,
+      }).probability,
+  },
+  biteAlerts: {
+    label: 'Bite Alerts',
+    score: (ctx, setup) => {
+      const alerts = evaluateBiteConditions({
+        fishcastScore: fishCastScore(ctx, setup),
+        pressureChange: ctx.pressureTrend?.trends['3h']?.change ?? 0,
+        solunarMinutes: minutesToNextMajor(ctx.date, ctx.solunar),
+        waterTemp: toF(ctx.weather.waterTemp),
+      });
+      const points = alerts.reduce(
+        (sum, a) => sum + (ALERT_POINTS[a.priority] || 0),
+        0,
+      );
+      return Math.round((points / MAX_ALERT_POINTS) * 100);
+    },
+  },
+};
+
+// ── Replay ─────────────────────────────────────────────
+
+function distanceKm(lat1, lng1, lat2, lng2) {
+  const rad = Math.PI / 180;
+  const dLat = (lat2 - lat1) * rad;
+  const dLng = (lng2 - lng1) * rad;
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(lat1 * rad) * Math.cos(lat2 * rad) * Math.sin(dLng / 2) ** 2;
+  return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * Catches per replayed hour. Catches logged further than `radiusKm` from
+ * the dataset's spot are left out; ones without a position are kept.
+ * @returns {number[]} Aligned with `hours`
+ */
+export function countCatchesPerHour(hours, catches, spot = {}) {
+  const { latitude, longitude, radiusKm = DEFAULT_RADIUS_KM } = spot;
+  const index = new Map(
+    hours.map((h, i) => [Math.floor(new Date(h.time) / HOUR_MS), i]),
+  );
+  const counts = hours.map(() => 0);
+
+  for (const c of catches || []) {
+    if (!c.createdAt) continue;
+    if (
+      latitude != null &&
+      c.latitude != null &&
+      c.longitude != null &&
+      distanceKm(latitude, longitude, c.latitude, c.longitude) > radiusKm
+    ) {
+      continue;
+    }
+    const i = index.get(Math.floor(new Date(c.createdAt) / HOUR_MS));
+    if (i !== undefined) counts[i]++;
+  }
+  return counts;
+}
+
+/**
+ * Score every hour of a dataset with each model
+ * @returns {{ hours: Object[], scores: Object }} `hours` is
+ *   [{ time, day, catches }], `scores` maps model id → number[]
+ */
+export function replayDataset(dataset, models = Object.keys(MODELS)) {
+  const hours = [...dataset.hours].sort(
+    (a, b) => new Date(a.time) - new Date(b.time),
+  );
+  const setup = {
+    profile: resolveProfile({
+      waterType: dataset.waterType,
+      species: dataset.species,
+    }),
+    habitat: dataset.waterType === 'saltwater' ? 'saltwater' : 'freshwater',
+    // predictiveCatchService falls back to a generic profile for unknown ids
+    speciesId: dataset.species
+      ? dataset.species.toLowerCase().replace(/\s+/g, '_')
+      : 'general',
+  };
+
+  const pressureSeries = hours.map(h => ({
+    time: h.time,
+    pressure: h.pressureMsl,
+  }));
+  const tideByHour = new Map(
+    (dataset.tides || []).map(p => [Math.floor(new Date(p.time) / HOUR_MS), p]),
+  );
+  const solunarByDay = new Map();
+  const catches = countCatchesPerHour(hours, dataset.catches, dataset);
+
+  const scores = Object.fromEntries(models.map(id => [id, []]));
+  const replayed = hours.map((weather, i) => {
+    const date = new Date(weather.time);
+    const day = date.toDateString();
+    if (!solunarByDay.has(day)) {
+      solunarByDay.set(
+        day,
+        solunarService.getSolunarPeriods(
+          dataset.latitude,
+          dataset.longitude,
+          date,
+        ),
+      );
+    }
+    const ctx = {
+      date,
+      weather,
+      solunar: solunarByDay.get(day),
+      tide: tideByHour.get(Math.floor(date / HOUR_MS)) || null,
+      pressureTrend: computePressureTrends(pressureSeries, date),
+    };
+    for (const id of models) {
+      scores[id].push(MODELS[id].score(ctx, setup));
+    }
+    return { time: weather.time, day, catches: catches[i] };
+  });
+
+  return { hours: replayed, scores };
+}
+
+// ── Metrics ────────────────────────────────────────────
+
+function ranks(values) {
+  const order = values.map((v, i) => [v, i]).sort((a, b) => a[0] - b[0]);
+  const result = new Array(values.length);
+  let i = 0;
+  while (i < order.length) {
+    let j = i;
+    while (j + 1 < order.length && order[j + 1][0] === order[i][0]) j++;
+    // Ties share the average of the ranks they span
+    const rank = (i + j) / 2 + 1;
+    for (let k = i; k <= j; k++) result[order[k][1]] = rank;
+    i = j + 1;
+  }
+  return result;
+}
+
+/**
+ * Spearman's rank correlation
+ * @returns {number|null} -1..1, null when either side never varies
+ */
+export function spearman(xs, ys) {
+  if (xs.length !== ys.length || xs.length < 2) return null;
+  const rx = ranks(xs);
+  const ry = ranks(ys);
+  const mean = rx.reduce((a, b) => a + b, 0) / rx.length;
+  let cov = 0;
+  let vx = 0;
+  let vy = 0;
+  for (let i = 0; i < rx.length; i++) {
+    cov += (rx[i] - mean) * (ry[i] - mean);
+    vx += (rx[i] - mean) ** 2;
+    vy += (ry[i] - mean) ** 2;
+  }
+  if (vx === 0 || vy === 0) return null;
+  return Math.round((cov / Math.sqrt(vx * vy)) * 1000) / 1000;
+}
+
+/**
+ * Catch rate per score band
+ * @param {number[]} scores - 0-100
+ * @param {number[]} catches - Catches per hour
+ * @returns {{ bins: Object[], ece: number|null, monotonic: boolean }} bins:
+ *   [{ from, to, hours, catchHours, catchRate, averageScore }]
+ */
+export function calibration(scores, catches, binCount = CALIBRATION_BINS) {
+  const size = 100 / binCount;
+  const bins = Array.from({ length: binCount }, (_, b) => ({
+    from: Math.round(b * size),
+    to: Math.round((b + 1) * size),
+    hours: 0,
+    catchHours: 0,
+    scoreSum: 0,
+  }));
+  scores.forEach((score, i) => {
+    const bin = bins[Math.min(binCount - 1, Math.floor(score / size))];
+    bin.hours++;
+    bin.scoreSum += score;
+    if (catches[i] > 0) bin.catchHours++;
+  });
+
+  let error = 0;
+  const filled = [];
+  const result = bins.map(({ scoreSum, ...bin }) => {
+    if (bin.hours === 0) return { ...bin, catchRate: null, averageScore: null };
+    const catchRate = bin.catchHours / bin.hours;
+    const averageScore = scoreSum / bin.hours;
+    error +=
+      (bin.hours / scores.length) * Math.abs(averageScore / 100 - catchRate);
+    filled.push(catchRate);
+    return {
+      ...bin,
+      catchRate: Math.round(catchRate * 1000) / 1000,
+      averageScore: Math.round(averageScore),
+    };
+  });
+
+  return {
+    bins: result,
+    ece: scores.length ? Math.round(error * 1000) / 1000 : null,
+    monotonic: filled.every((rate, i) => i === 0 || rate >= filled[i - 1]),
+  };
+}
+
+/**
+ * How often the best-scoring window of each fishing day held a catch
+ * @param {{ day: string, catches: number }[]} hours - From replayDataset
+ * @param {number[]} scores
+ * @param {number} [windowHours]
+ * @returns {{ days: number, hits: number, hitRate: number|null,
+ *   chance: number|null, lift: number|null }} `chance` is the hit rate of
+ *   a window picked at random; only days with a catch count
+ */
+export function bestWindowHitRate(hours, scores, windowHours = 2) {
+  const days = new Map();
+  hours.forEach((h, i) => {
+    if (!days.has(h.day)) days.set(h.day, []);
+    days.get(h.day).push({ catches: h.catches, score: scores[i] });
+  });
+
+  let counted = 0;
+  let hits = 0;
+  let chance = 0;
+  for (const dayHours of days.values()) {
+    if (dayHours.length < windowHours) continue;
+    if (!dayHours.some(h => h.catches > 0)) continue;
+
+    let best = null;
+    let withCatch = 0;
+    const windows = dayHours.length - windowHours + 1;
+    for (let s = 0; s < windows; s++) {
+      const slice = dayHours.slice(s, s + windowHours);
+      const score = slice.reduce((sum, h) => sum + h.score, 0);
+      const caught = slice.some(h => h.catches > 0);
+      if (caught) withCatch++;
+      if (!best || score > best.score) best = { score, caught };
+    }
+    counted++;
+    if (best.caught) hits++;
+    chance += withCatch / windows;
+  }
+
+  if (counted === 0) {
+    return { days: 0, hits: 0, hitRate: null, chance: null, lift: null };
+  }
+  const hitRate = hits / counted;
+  const chanceRate = chance / counted;
+  return {
+    days: counted,
+    hits,
+    hitRate: Math.round(hitRate * 1000) / 1000,
+    chance: Math.round(chanceRate * 1000) / 1000,
+    lift:
+      chanceRate > 0 ? Math.round((hitRate / chanceRate) * 100) / 100 : null,
+  };
+}
+
+// ── Backtest ───────────────────────────────────────────
+
+/**
+ * Run the full backtest for a dataset
+ * @param {Object} dataset - See the file header
+ * @param {Object} [options] - { models: string[], windowHours: number }
+ * @returns {{ dataset: string, hours: number, catches: number,
+ *   catchHours: number, windowHours: number, models: Object }} `models`
+ *   maps id → { label, spearman, calibration, bestWindow }
+ */
+export function runBacktest(dataset, options = {}) {
+  const { models = Object.keys(MODELS), windowHours = 2 } = options;
+  const unknown = models.filter(id => !MODELS[id]);
+  if (unknown.length) {
+    throw new Error(`Unknown model(s): ${unknown.join(', ')}`);
+  }
+  if (!dataset?.hours?.length) {
+    throw new Error('Dataset has no hourly conditions to replay');
+  }
+
+  const { hours, scores } = replayDataset(dataset, models);
+  const catches = hours.map(h => h.catches);
+
+  return {
+    dataset: dataset.name || 'unnamed',
+    hours: hours.length,
+    catches: catches.reduce((a, b) => a + b, 0),
+    catchHours: catches.filter(c => c > 0).length,
+    windowHours,
+    models: Object.fromEntries(
+      models.map(id => [
+        id,
+        {
+          label: MODELS[id].label,
+          spearman: spearman(scores[id], catches),
+          calibration: calibration(scores[id], catches),
+          bestWindow: bestWindowHitRate(hours, scores[id], windowHours),
+        },
+      ]),
+    ),
+  };
+}
+
+export default {
+  MODELS,
+  countCatchesPerHour,
+  replayDataset,
+  spearman,
+  calibration,
+  bestWindowHitRate,
+  runBacktest,
+};
@@ -0,0 +1,352 @@
+/**
+ * Calendar Export Service — ProFish
+ * Fishing calendar for a location as an iCalendar (.ics) file (#571)
+ *
+ * Puts what the moon calendar and FishCast show in the app into the
+ * angler's own calendar:
+ *   - solunar major and minor periods, every day of the range
+ *   - new and full moons, as all-day events
+ *   - high and low tides, where tideService has data
+ *   - the top FishCast windows, which only reach 72 hours ahead
+ *
+ * Event UIDs are built from the event type, its start and the location,
+ * so exporting the same range again updates events in calendars that
+ * match on UID instead of adding a second copy. Events are marked free
+ * time, so they never block a meeting slot.
+ */
+
+import exportService, { EXPORT_FORMAT } from './exportService';
+import solunarService from './solunarService';
+import tideService from './tideService';
+import { calculateHourlyFishCast } from './fishCastService';
+import { getMoonPhaseEvents, startOfDay } from './ephemerisService';
+
+export const CALENDAR_EVENT_TYPES = [
+  'solunar_major',
+  'solunar_minor',
+  'moon_phase',
+  'tide',
+  'fishcast',
+];
+
+export const MAX_CALENDAR_DAYS = 90;
+const TIDE_MAX_DAYS = 7; // WorldTides charges per day requested
+const FISHCAST_HOURS = 72;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PRODID = '-//ProFish//Fishing Calendar//EN';
+
+// ── Events ───────────────────────────────────────────────
+
+/**
+ * Calendar events for a location and date range. Tides and FishCast
+ * windows are passed in, so this stays synchronous.
+ * @param {Object} params
+ * @param {number} params.latitude
+ * @param {number} params.longitude
+ * @param {Date|string} [params.start] - First day (local)
+ * @param {number} [params.days=30] - Up to MAX_CALENDAR_DAYS
+ * @param {string} [params.timeZone] - IANA zone for the local days
+ * @param {string[]} [params.include] - Subset of CALENDAR_EVENT_TYPES
+ * @param {Object[]} [params.tideExtremes] - tideService extremes
+ * @param {Object[]} [params.fishCastWindows] - fishCastService peaks
+ * @returns {Object[]} [{ type, title, description, start, end?, allDay? }]
+ *   sorted by start
+ */
+export function buildCalendarEvents({
+  latitude,
+  longitude,
+  start = new Date(),
+  days = 30,
+  timeZone,
+  include = CALENDAR_EVENT_TYPES,
+  tideExtremes = [],
+  fishCastWindows = [],
+}) {
+  const span = Math.max(1, Math.min(MAX_CALENDAR_DAYS, days));
+  const first = startOfDay(start, timeZone);
+  const last = new Date(first);
+  last.setDate(last.getDate() + span);
+  const inRange = iso => {
+    const t = new Date(iso).getTime();
+    return t >= first.getTime() && t < last.getTime();
+  };
+  const wants = type => include.includes(type);
+
+  const events = [];
+  if (wants('solunar_major') || wants('solunar_minor')) {
+    for (let i = 0; i < span; i++) {
+      // Midday, so the day is the right one whatever the zone offset
+      const day = new Date(first.getTime() + i * DAY_MS + DAY_MS / 2);
+      const solunar = solunarService.getSolunarPeriods(
+        latitude,
+        longitude,
+        day,
+        { timeZone },
+      );
+      if (wants('solunar_major')) {
+        solunar.major.forEach(p =>
+          events.push({
+            type: 'solunar_major',
+            title: 'Major solunar period',
+            description: `Moon overhead or underfoot. ${solunar.moonPhase.name}.`,
+            start: p.start,
+            end: p.end,
+          }),
+        );
+      }
+      if (wants('solunar_minor')) {
+        solunar.minor.forEach(p =>
+          events.push({
+            type: 'solunar_minor',
+            title: 'Minor solunar period',
+            description: `Moonrise or moonset. ${solunar.moonPhase.name}.`,
+            start: p.start,
+            end: p.end,
+          }),
+        );
+      }
+    }
+  }
+
+  if (wants('moon_phase')) {
+    for (const phase of getMoonPhaseEvents(first, last)) {
+      const full = phase.type === 'full';
+      events.push({
+        type: 'moon_phase',
+        title: full ? '🌕 Full Moon' : '🌑 New Moon',
+        description: 'Around new and full moon are the strongest solunar days.',
+        start: phase.date.toISOString(),
+        allDay: true,
+      });
+    }
+  }
+
+  if (wants('tide')) {
+    tideExtremes
+      .filter(e => inRange(e.date))
+      .forEach(e =>
+        events.push({
+          type: 'tide',
+          title: `${e.type === 'High' ? 'High' : 'Low'} tide ${
+            Math.round(e.height * 100) / 100
+          } m`,
+          description: '',
+          start: new Date(e.date).toISOString(),
+        }),
+      );
+  }
+
+  if (wants('fishcast')) {
+    fishCastWindows
+      .filter(w => inRange(w.start))
+      .forEach(w =>
+        events.push({
+          type: 'fishcast',
+          title: `FishCast ${w.peakScore} — ${w.label}`,
+          description: `Peak at ${new Date(w.peakTime).toLocaleTimeString([], {
+            hour: '2-digit',
+            minute: '2-digit',
+          })}, average score ${w.averageScore}.`,
+          start: w.start,
+          end: w.end,
+        }),
+      );
+  }
+
+  return events.sort((a, b) => a.start.localeCompare(b.start));
+}
+
+// ── iCalendar ────────────────────────────────────────────
+
+function icsText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+function icsDateTime(iso) {
+  return new Date(iso)
+    .toISOString()
+    .replace(/[-:]/g, '')
+    .replace(/\.\d{3}/, '');
+}
+
+// All-day events fall on the device's local date
+function icsDate(date) {
+  const d = new Date(date);
+  const pad = n => String(n).padStart(2, '0');
+  return `${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}`;
+}
+
+function utf8Length(char) {
+  const code = char.codePointAt(0);
+  if (code < 0x80) return 1;
+  if (code < 0x800) return 2;
+  if (code < 0x10000) return 3;
+  return 4;
+}
+
+/**
+ * Fold a content line at 75 octets (RFC 5545 §3.1), never inside a
+ * multi-byte character
+ */
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = utf8Length(char);
+    // Continuation lines start with a space, which counts
+    if (octets + size > 75) {
+      parts.push(current);
+      current = ' ';
+      octets = 1;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n');
+}
+
+/**
+ * Serialize events as an iCalendar document
+ * @param {Object[]} events - From buildCalendarEvents
+ * @param {Object} [options] - { name, latitude, longitude, locationName,
+ *   now }
+ * @returns {string} CRLF line endings, as the spec requires
+ */
+export function toIcs(events, options = {}) {
+  const {
+    name = 'ProFish Fishing Calendar',
+    latitude,
+    longitude,
+    locationName,
+    now = new Date(),
+  } = options;
+  const hasPosition = latitude != null && longitude != null;
+  const where = hasPosition
+    ? `${latitude.toFixed(2)}_${longitude.toFixed(2)}`
+    : 'anywhere';
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${icsText(name)}`,
+  ];
+  for (const event of events) {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.type}-${icsDateTime(event.start)}-${where}@profish.app`,
+      `DTSTAMP:${icsDateTime(now)}`,
+    );
+    if (event.allDay) {
+      const next = new Date(event.start);
+      next.setDate(next.getDate() + 1);
+      lines.push(
+        `DTSTART;VALUE=DATE:${icsDate(event.start)}`,
+        `DTEND;VALUE=DATE:${icsDate(next)}`,
+      );
+    } else {
+      lines.push(`DTSTART:${icsDateTime(event.start)}`);
+      if (event.end) lines.push(`DTEND:${icsDateTime(event.end)}`);
+    }
+    lines.push(`SUMMARY:${icsText(event.title)}`);
+    if (event.description) {
+      lines.push(`DESCRIPTION:${icsText(event.description)}`);
+    }
+    if (locationName) lines.push(`LOCATION:${icsText(locationName)}`);
+    if (hasPosition) lines.push(`GEO:${latitude};${longitude}`);
+    lines.push(
+      `CATEGORIES:Fishing,${event.type.toUpperCase()}`,
+      'TRANSP:TRANSPARENT',
+      'END:VEVENT',
+    );
+  }
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// ── Generate & share ─────────────────────────────────────
+
+/**
+ * Build the calendar for a location, fetching tides and FishCast windows.
+ * Either one failing (offline, inland spot) just leaves its events out.
+ * @param {Object} [options] - See buildCalendarEvents, plus locationName
+ * @returns {Promise<{ events: Object[], ics: string }>}
+ */
+export async function generateFishingCalendar(
+  latitude,
+  longitude,
+  options = {},
+) {
+  const { include = CALENDAR_EVENT_TYPES, locationName, days = 30 } = options;
+
+  let tideExtremes = [];
+  if (include.includes('tide')) {
+    const tides = await tideService
+      .getTides(latitude, longitude, { days: Math.min(days, TIDE_MAX_DAYS) })
+      .catch(() => null);
+    tideExtremes = tides?.extremes || [];
+  }
+
+  let fishCastWindows = [];
+  if (include.includes('fishcast')) {
+    const hourly = await calculateHourlyFishCast(latitude, longitude, {
+      hours: FISHCAST_HOURS,
+    }).catch(() => null);
+    fishCastWindows = hourly?.peaks || [];
+  }
+
+  const events = buildCalendarEvents({
+    ...options,
+    latitude,
+    longitude,
+    include,
+    tideExtremes,
+    fishCastWindows,
+  });
+  return {
+    events,
+    ics: toIcs(events, { latitude, longitude, locationName }),
+  };
+}
+
+/**
+ * Generate the calendar and open the share sheet with the .ics file
+ * @returns {Promise<{ success: boolean, cancelled?: boolean,
+ *   error?: string, eventCount?: number }>}
+ */
+export async function exportFishingCalendar(latitude, longitude, options = {}) {
+  const { events, ics } = await generateFishingCalendar(
+    latitude,
+    longitude,
+    options,
+  );
+  if (events.length === 0) {
+    return { success: false, error: 'No events in the selected range' };
+  }
+  const first = new Date(options.start || Date.now());
+  const filename = `profish_calendar_${first.toISOString().slice(0, 10)}`;
+  const result = await exportService.shareExport(
+    ics,
+    EXPORT_FORMAT.ICS,
+    filename,
+  );
+  return result.success ? { ...result, eventCount: events.length } : result;
+}
+
+export default {
+  CALENDAR_EVENT_TYPES,
+  MAX_CALENDAR_DAYS,
+  buildCalendarEvents,
+  toIcs,
+  generateFishingCalendar,
+  exportFishingCalendar,
+};
@@ -7,6 +7,8 @@
  */
 
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { assessCatch } from './regulationsService';
+import { recordReading } from './waterTempService';
 
 const LOCAL_CATCHES_KEY = '@profish_catches';
 const SYNC_QUEUE_KEY = '@profish_sync_queue';
@@ -26,6 +28,7 @@ export const createCatch = ({
   species = '',
   weight = null,
   length = null,
+  lengthMeasurement = null, // total_length | fork_length… null when unsure
   latitude,
   longitude,
   locationName = '',
@@ -41,6 +44,7 @@ export const createCatch = ({
   species,
   weight,
   length,
+  lengthMeasurement,
   latitude,
   longitude,
   locationName,
@@ -61,6 +65,16 @@ export const createCatch = ({
   },
   released,
   notes,
+  // Jurisdiction + legality at the catch coordinates (null without GPS)
+  regulation: assessCatch({
+    species,
+    length,
+    lengthMeasurement,
+    latitude,
+    longitude,
+    waterType,
+    released,
+  }),
   createdAt: new Date().toISOString(),
   synced: false,
 });
@@ -87,6 +101,16 @@ const catchService = {
     this._catches.unshift(newCatch);
     await this._persist();
 
+    // A thermometer reading feeds the spot's water temperature (#568)
+    if (newCatch.conditions.waterTemp != null && newCatch.latitude) {
+      await recordReading({
+        latitude: newCatch.latitude,
+        longitude: newCatch.longitude,
+        tempC: newCatch.conditions.waterTemp,
+        measuredAt: newCatch.createdAt,
+      }).catch(() => {});
+    }
+
     // Queue for Firestore sync
     await this._queueSync('add', newCatch);
     this._syncToFirestore(); // Fire-and-forget
@@ -157,6 +181,8 @@ const catchService = {
       updatedAt: new Date().toISOString(),
       synced: false,
     };
+    // Re-run the legality check against the original catch time
+    updated.regulation = assessCatch(updated, new Date(updated.createdAt));
     this._catches[idx] = updated;
     await this._persist();
 
@@ -0,0 +1,513 @@
+/**
+ * Ephemeris Service — ProFish
+ * Sun and moon positions, rise/set/transit times and lunar distance (#566)
+ *
+ * One place for the astronomy behind solunar tables, night fishing and the
+ * moon calendar. Positions follow Meeus, "Astronomical Algorithms": the
+ * sun from the low-precision solar theory (ch. 25, ~0.01°), the moon from
+ * the main terms of ELP-2000 (ch. 47, ~0.05°). That puts rise, set and
+ * transit times within a minute or two of USNO's tables.
+ *
+ * Events are absolute instants. "The day" they fall on is local midnight
+ * to midnight in `options.timeZone` (IANA name), or the device's zone when
+ * it's left out — never a longitude/15 guess.
+ *
+ * Free — calculated on device, no API needed.
+ */
+
+const DEG = Math.PI / 180;
+const DAY_MS = 86400000;
+const J2000 = 2451545;
+const DELTA_T_DAYS = 69 / 86400; // TT − UT, close enough for this decade
+
+const SYNODIC_MONTH = 29.530588853; // days
+const EARTH_RADIUS_KM = 6378.14;
+const AU_KM = 149597870.7;
+
+// Altitudes (degrees) the sun's centre is at for each event
+export const SUN_ALTITUDES = {
+  sunrise: -0.8333, // Upper limb on the horizon, with refraction
+  civil: -6,
+  nautical: -12,
+};
+
+const SEARCH_STEP_MIN = 10;
+
+const norm = deg => ((deg % 360) + 360) % 360;
+const sin = deg => Math.sin(deg * DEG);
+const cos = deg => Math.cos(deg * DEG);
+
+function julianDay(date) {
+  return new Date(date).getTime() / DAY_MS + 2440587.5;
+}
+
+function centuries(jd) {
+  return (jd + DELTA_T_DAYS - J2000) / 36525;
+}
+
+function obliquity(T) {
+  const omega = 125.04452 - 1934.136261 * T;
+  return 23.439291 - 0.0130042 * T + 0.00256 * cos(omega);
+}
+
+function toEquatorial(lon, lat, eps) {
+  const ra = Math.atan2(
+    sin(lon) * cos(eps) - Math.tan(lat * DEG) * sin(eps),
+    cos(lon),
+  );
+  const dec = Math.asin(sin(lat) * cos(eps) + cos(lat) * sin(eps) * sin(lon));
+  return { ra: norm(ra / DEG), dec: dec / DEG };
+}
+
+// ── Sun ──────────────────────────────────────────────────
+
+/**
+ * Apparent geocentric position of the sun
+ * @returns {{ ra, dec, lon: number, distanceKm: number }} degrees
+ */
+export function sunPosition(date) {
+  const T = centuries(julianDay(date));
+  const L0 = 280.46646 + 36000.76983 * T + 0.0003032 * T * T;
+  const M = 357.52911 + 35999.05029 * T - 0.0001537 * T * T;
+  const e = 0.016708634 - 0.000042037 * T;
+  const C =
+    (1.914602 - 0.004817 * T - 0.000014 * T * T) * sin(M) +
+    (0.019993 - 0.000101 * T) * sin(2 * M) +
+    0.000289 * sin(3 * M);
+  const nu = M + C;
+  const R = (1.000001018 * (1 - e * e)) / (1 + e * cos(nu));
+  const omega = 125.04 - 1934.136 * T;
+  const lon = norm(L0 + C - 0.00569 - 0.00478 * sin(omega));
+
+  return {
+    ...toEquatorial(lon, 0, obliquity(T)),
+    lon,
+    distanceKm: R * AU_KM,
+  };
+}
+
+// ── Moon ─────────────────────────────────────────────────
+// Periodic terms of Meeus tables 47.A/B: multiples of D, M, M′, F and
+// amplitudes in 1e-6° (longitude, latitude) and metres (distance)
+
+const MOON_LON_DIST = [
+  [0, 0, 1, 0, 6288774, -20905355],
+  [2, 0, -1, 0, 1274027, -3699111],
+  [2, 0, 0, 0, 658314, -2955968],
+  [0, 0, 2, 0, 213618, -569925],
+  [0, 1, 0, 0, -185116, 48888],
+  [0, 0, 0, 2, -114332, -3149],
+  [2, 0, -2, 0, 58793, 246158],
+  [2, -1, -1, 0, 57066, -152138],
+  [2, 0, 1, 0, 53322, -170733],
+  [2, -1, 0, 0, 45758, -204586],
+  [0, 1, -1, 0, -40923, -129620],
+  [1, 0, 0, 0, -34720, 108743],
+  [0, 1, 1, 0, -30383, 104755],
+  [2, 0, 0, -2, 15327, 10321],
+  [0, 0, 1, 2, -12528, 0],
+  [0, 0, 1, -2, 10980, 79661],
+  [4, 0, -1, 0, 10675, -34782],
+  [0, 0, 3, 0, 10034, -23210],
+  [4, 0, -2, 0, 8548, -21636],
+  [2, 1, -1, 0, -7888, 24208],
+  [2, 1, 0, 0, -6766, 30824],
+  [1, 0, -1, 0, -5163, -8379],
+  [1, 1, 0, 0, 4987, -16675],
+  [2, -1, 1, 0, 4036, -12831],
+  [2, 0, 2, 0, 3994, -10445],
+  [4, 0, 0, 0, 3861, -11650],
+  [2, 0, -3, 0, 3665, 14403],
+  [0, 1, -2, 0, -2689, -7003],
+  [2, 0, -1, 2, -2602, 0],
+  [2, -1, -2, 0, 2390, 10056],
+  [1, 0, 1, 0, -2348, 6322],
+  [2, -2, 0, 0, 2236, -9884],
+];
+
+const MOON_LAT = [
+  [0, 0, 0, 1, 5128122],
+  [0, 0, 1, 1, 280602],
+  [0, 0, 1, -1, 277693],
+  [2, 0, 0, -1, 173237],
+  [2, 0, -1, 1, 55413],
+  [2, 0, -1, -1, 46271],
+  [2, 0, 0, 1, 32573],
+  [0, 0, 2, 1, 17198],
+  [2, 0, 1, -1, 9266],
+  [0, 0, 2, -1, 8822],
+  [2, -1, 0, -1, 8216],
+  [2, 0, -2, -1, 4324],
+  [2, 0, 1, 1, 4200],
+  [2, 1, 0, -1, -3359],
+  [2, -1, -1, 1, 2463],
+];
+
+/**
+ * Apparent geocentric position of the moon
+ * @returns {{ ra, dec, lon, lat, distanceKm, parallax }} degrees / km
+ */
+export function moonPosition(date) {
+  const T = centuries(julianDay(date));
+  const Lp = 218.3164477 + 481267.88123421 * T - 0.0015786 * T * T;
+  const D = 297.8501921 + 445267.1114034 * T - 0.0018819 * T * T;
+  const M = 357.5291092 + 35999.0502909 * T - 0.0001536 * T * T;
+  const Mp = 134.9633964 + 477198.8675055 * T + 0.0087414 * T * T;
+  const F = 93.272095 + 483202.0175233 * T - 0.0036539 * T * T;
+  const E = 1 - 0.002516 * T - 0.0000074 * T * T;
+  const A1 = 119.75 + 131.849 * T;
+  const A2 = 53.09 + 479264.29 * T;
+  const A3 = 313.45 + 481266.484 * T;
+
+  // Terms with the sun's anomaly shrink as the orbit's eccentricity does
+  const eccentricity = m => (Math.abs(m) === 1 ? E : m === 0 ? 1 : E * E);
+
+  let sumL = 3958 * sin(A1) + 1962 * sin(Lp - F) + 318 * sin(A2);
+  let sumR = 0;
+  for (const [d, m, mp, f, l, r] of MOON_LON_DIST) {
+    const arg = d * D + m * M + mp * Mp + f * F;
+    sumL += l * eccentricity(m) * sin(arg);
+    sumR += r * eccentricity(m) * cos(arg);
+  }
+
+  let sumB =
+    -2235 * sin(Lp) +
+    382 * sin(A3) +
+    175 * sin(A1 - F) +
+    175 * sin(A1 + F) +
+    127 * sin(Lp - Mp) -
+    115 * sin(Lp + Mp);
+  for (const [d, m, mp, f, b] of MOON_LAT) {
+    sumB += b * eccentricity(m) * sin(d * D + m * M + mp * Mp + f * F);
+  }
+
+  const omega = 125.04452 - 1934.136261 * T;
+  const lon = norm(Lp + sumL / 1e6 - 0.00478 * sin(omega)); // + nutation
+  const lat = sumB / 1e6;
+  const distanceKm = 385000.56 + sumR / 1000;
+
+  return {
+    ...toEquatorial(lon, lat, obliquity(T)),
+    lon,
+    lat,
+    distanceKm,
+    parallax: Math.asin(EARTH_RADIUS_KM / distanceKm) / DEG,
+  };
+}
+
+/**
+ * Illuminated fraction and phase of the moon
+ * @returns {{ fraction: number, phase: number, ageDays: number,
+ *   waxing: boolean }} phase 0/1 = new, 0.5 = full
+ */
+export function getMoonIllumination(date = new Date()) {
+  const sun = sunPosition(date);
+  const moon = moonPosition(date);
+  const elongation = Math.acos(cos(moon.lat) * cos(moon.lon - sun.lon)) / DEG;
+  // Phase angle seen from the moon (Meeus 48.3)
+  const i = Math.atan2(
+    sun.distanceKm * sin(elongation),
+    moon.distanceKm - sun.distanceKm * cos(elongation),
+  );
+  const phase = norm(moon.lon - sun.lon) / 360;
+  return {
+    fraction: (1 + Math.cos(i)) / 2,
+    phase,
+    ageDays: phase * SYNODIC_MONTH,
+    waxing: phase < 0.5,
+  };
+}
+
+// ── Horizon coordinates ──────────────────────────────────
+
+function siderealTime(date, longitude) {
+  const jd = julianDay(date);
+  const T = (jd - J2000) / 36525;
+  return norm(
+    280.46061837 +
+      360.98564736629 * (jd - J2000) +
+      0.000387933 * T * T +
+      longitude,
+  );
+}
+
+function hourAngle(pos, date, longitude) {
+  return norm(siderealTime(date, longitude) - pos.ra);
+}
+
+function altitude(pos, date, latitude, longitude) {
+  const H = hourAngle(pos, date, longitude);
+  return (
+    Math.asin(
+      sin(latitude) * sin(pos.dec) + cos(latitude) * cos(pos.dec) * cos(H),
+    ) / DEG
+  );
+}
+
+/**
+ * Instants in [start, end) where fn goes through zero, refined by bisection
+ * @returns {{ time: Date, rising: boolean }[]}
+ */
+function findCrossings(fn, start, end) {
+  const step = SEARCH_STEP_MIN * 60000;
+  const crossings = [];
+  let t0 = start;
+  let v0 = fn(t0);
+  for (let t1 = start + step; t0 < end; t1 += step) {
+    const v1 = fn(t1);
+    if ((v0 < 0 && v1 >= 0) || (v0 >= 0 && v1 < 0)) {
+      let lo = t0;
+      let hi = t1;
+      for (let i = 0; i < 12; i++) {
+        const mid = (lo + hi) / 2;
+        if (fn(mid) < 0 === v0 < 0) lo = mid;
+        else hi = mid;
+      }
+      const time = Math.round((lo + hi) / 2);
+      if (time >= start && time < end) {
+        crossings.push({ time: new Date(time), rising: v0 < 0 });
+      }
+    }
+    t0 = t1;
+    v0 = v1;
+  }
+  return crossings;
+}
+
+// ── Local days ───────────────────────────────────────────
+
+function zoneOffsetMinutes(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+  }).formatToParts(date);
+  const get = type => Number(parts.find(p => p.type === type).value);
+  const asUtc = Date.UTC(
+    get('year'),
+    get('month') - 1,
+    get('day'),
+    get('hour') % 24,
+    get('minute'),
+    get('second'),
+  );
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * Local midnight starting the day `date` falls on
+ * @param {string} [timeZone] - IANA zone; the device's when left out
+ */
+export function startOfDay(date, timeZone) {
+  if (!timeZone) {
+    const d = new Date(date);
+    d.setHours(0, 0, 0, 0);
+    return d;
+  }
+  const at = new Date(date);
+  const local = new Date(
+    at.getTime() + zoneOffsetMinutes(at, timeZone) * 60000,
+  );
+  const midnight = Date.UTC(
+    local.getUTCFullYear(),
+    local.getUTCMonth(),
+    local.getUTCDate(),
+  );
+  // The offset at midnight can differ from now's on a DST change day
+  const guess = new Date(midnight - zoneOffsetMinutes(at, timeZone) * 60000);
+  return new Date(midnight - zoneOffsetMinutes(guess, timeZone) * 60000);
+}
+
+function dayRange(date, timeZone) {
+  const start = startOfDay(date, timeZone);
+  // 23 or 25 hours on DST change days
+  const end = startOfDay(new Date(start.getTime() + 36 * 3600000), timeZone);
+  return [start.getTime(), end.getTime()];
+}
+
+// ── Events ───────────────────────────────────────────────
+
+/**
+ * Sun events for the local day
+ * @param {Object} [options] - { timeZone }
+ * @returns {Object} { sunrise, sunset, solarNoon, civilDawn, civilDusk,
+ *   nauticalDawn, nauticalDusk, dayLengthMinutes, polarNight, midnightSun }
+ *   — Dates, or null when the sun doesn't reach that altitude today
+ */
+export function getSunEvents(latitude, longitude, date = new Date(), options) {
+  const [start, end] = dayRange(date, options?.timeZone);
+  const alt = t => altitude(sunPosition(t), t, latitude, longitude);
+
+  const pair = threshold => {
+    const crossings = findCrossings(t => alt(t) - threshold, start, end);
+    return {
+      rise: crossings.find(c => c.rising)?.time || null,
+      set: crossings.find(c => !c.rising)?.time || null,
+    };
+  };
+  const day = pair(SUN_ALTITUDES.sunrise);
+  const civil = pair(SUN_ALTITUDES.civil);
+  const nautical = pair(SUN_ALTITUDES.nautical);
+  const noon = findCrossings(
+    t => sin(hourAngle(sunPosition(t), t, longitude)),
+    start,
+    end,
+  ).find(c => c.rising);
+
+  const noonAlt = noon ? alt(noon.time.getTime()) : alt((start + end) / 2);
+  const polarNight = !day.rise && !day.set && noonAlt < SUN_ALTITUDES.sunrise;
+  const midnightSun = !day.rise && !day.set && !polarNight;
+
+  let dayLengthMinutes = polarNight ? 0 : midnightSun ? 24 * 60 : null;
+  if (day.rise) {
+    // With a zone far from the spot's own, the set that ends this daylight
+    // can fall on the next local day
+    const set =
+      day.set > day.rise
+        ? day.set
+        : findCrossings(
+            t => alt(t) - SUN_ALTITUDES.sunrise,
+            day.rise.getTime(),
+            day.rise.getTime() + DAY_MS,
+          ).find(c => !c.rising)?.time;
+    if (set) dayLengthMinutes = Math.round((set - day.rise) / 60000);
+  }
+
+  return {
+    sunrise: day.rise,
+    sunset: day.set,
+    solarNoon: noon?.time || null,
+    civilDawn: civil.rise,
+    civilDusk: civil.set,
+    nauticalDawn: nautical.rise,
+    nauticalDusk: nautical.set,
+    dayLengthMinutes,
+    polarNight,
+    midnightSun,
+  };
+}
+
+/**
+ * Moon events for the local day. The moon rises ~50 minutes later each
+ * day, so roughly one day a month has no rise (or no set).
+ * @param {Object} [options] - { timeZone }
+ * @returns {Object} { rise, set, transit, lowerTransit, alwaysUp,
+ *   alwaysDown } — Dates or null
+ */
+export function getMoonEvents(latitude, longitude, date = new Date(), options) {
+  const [start, end] = dayRange(date, options?.timeZone);
+
+  // Centre of the disc, corrected for parallax, semi-diameter and
+  // refraction (Meeus 15)
+  const aboveHorizon = t => {
+    const pos = moonPosition(t);
+    return (
+      altitude(pos, t, latitude, longitude) - (0.7275 * pos.parallax - 0.5667)
+    );
+  };
+  const horizon = findCrossings(aboveHorizon, start, end);
+
+  // sin(H) climbs through 0 at upper transit and falls through 0 at lower
+  const meridian = findCrossings(
+    t => sin(hourAngle(moonPosition(t), t, longitude)),
+    start,
+    end,
+  );
+
+  const rise = horizon.find(c => c.rising)?.time || null;
+  const set = horizon.find(c => !c.rising)?.time || null;
+  const up = aboveHorizon((start + end) / 2) > 0;
+
+  return {
+    rise,
+    set,
+    transit: meridian.find(c => c.rising)?.time || null,
+    lowerTransit: meridian.find(c => !c.rising)?.time || null,
+    alwaysUp: !rise && !set && up,
+    alwaysDown: !rise && !set && !up,
+  };
+}
+
+/**
+ * Perigees and apogees between two dates
+ * @returns {{ date: Date, type: 'perigee'|'apogee', distanceKm: number }[]}
+ */
+export function getLunarDistanceEvents(start, end) {
+  const from = new Date(start).getTime();
+  const to = new Date(end).getTime();
+  const step = 6 * 3600000;
+  const dist = t => moonPosition(t).distanceKm;
+
+  const events = [];
+  let prev = dist(from - step);
+  let curr = dist(from);
+  for (let t = from; t <= to; t += step) {
+    const next = dist(t + step);
+    const isPerigee = curr < prev && curr <= next;
+    const isApogee = curr > prev && curr >= next;
+    if (isPerigee || isApogee) {
+      // Vertex of the parabola through the three samples
+      const denom = prev - 2 * curr + next;
+      const offset = denom !== 0 ? (0.5 * (prev - next)) / denom : 0;
+      const time = Math.round(t + offset * step);
+      events.push({
+        date: new Date(time),
+        type: isPerigee ? 'perigee' : 'apogee',
+        distanceKm: Math.round(dist(time)),
+      });
+    }
+    prev = curr;
+    curr = next;
+  }
+  return events;
+}
+
+/**
+ * New and full moons between two dates
+ * @returns {{ date: Date, type: 'new'|'full' }[]}
+ */
+export function getMoonPhaseEvents(start, end) {
+  const from = new Date(start).getTime();
+  const to = new Date(end).getTime();
+  const step = 6 * 3600000;
+  // Sine of the elongation climbs through 0 at new moon, falls at full
+  const elongation = t => sin(moonPosition(t).lon - sunPosition(t).lon);
+
+  const events = [];
+  let prev = elongation(from);
+  for (let t = from + step; t - step < to; t += step) {
+    const curr = elongation(t);
+    if (prev < 0 !== curr < 0) {
+      let lo = t - step;
+      let hi = t;
+      for (let i = 0; i < 16; i++) {
+        const mid = (lo + hi) / 2;
+        if (elongation(mid) < 0 === prev < 0) lo = mid;
+        else hi = mid;
+      }
+      const time = Math.round((lo + hi) / 2);
+      if (time >= from && time < to) {
+        events.push({ date: new Date(time), type: prev < 0 ? 'new' : 'full' });
+      }
+    }
+    prev = curr;
+  }
+  return events;
+}
+
+export default {
+  SUN_ALTITUDES,
+  sunPosition,
+  moonPosition,
+  getMoonIllumination,
+  getSunEvents,
+  getMoonEvents,
+  getLunarDistanceEvents,
+  getMoonPhaseEvents,
+  startOfDay,
+};
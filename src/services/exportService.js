@@ -2,6 +2,7 @@
  * Export Service — ProFish (#389)
  *
  * PDF and CSV export for catch analytics, trip reports, and statistics.
+ * Calendar (.ics) files are built by calendarExportService.
  * Uses react-native-share + react-native-html-to-pdf for PDF generation.
  */
 
@@ -13,6 +14,7 @@ export const EXPORT_FORMAT = {
   CSV: 'csv',
   PDF: 'pdf',
   JSON: 'json',
+  ICS: 'ics',
 };
 
 export const EXPORT_TYPE = {
@@ -21,6 +23,8 @@ export const EXPORT_TYPE = {
   STATISTICS: 'statistics',
   SPECIES_LOG: 'species_log',
   TOURNAMENT_RESULTS: 'tournament_results',
+  HARVEST_REPORT: 'harvest_report',
+  FISHING_CALENDAR: 'fishing_calendar',
 };
 
 // ── CSV Generation ───────────────────────────────────────
@@ -86,19 +90,60 @@ function statisticsToCsv(stats) {
   return rows.map(r => r.map(escapeCsv).join(',')).join('\n');
 }
 
+/**
+ * One row per report; columns are the union of every program's fields
+ */
+function harvestReportsToCsv(reports) {
+  const labels = [];
+  reports.forEach(r =>
+    r.fields.forEach(f => {
+      if (!labels.includes(f.label)) labels.push(f.label);
+    }),
+  );
+  const headers = ['Reference', 'Program', 'Region', 'Due', 'Status'].concat(
+    labels,
+  );
+
+  const rows = reports.map(r => {
+    const values = Object.fromEntries(r.fields.map(f => [f.label, f.value]));
+    return [
+      r.referenceCode,
+      r.programName,
+      r.regionName,
+      r.dueDate || '',
+      r.status,
+    ].concat(labels.map(l => values[l] ?? ''));
+  });
+
+  return [headers.map(escapeCsv).join(',')]
+    .concat(rows.map(r => r.map(escapeCsv).join(',')))
+    .join('\n');
+}
+
 // ── PDF HTML Templates ───────────────────────────────────
 
+// Catch names, places and notes are free text typed by the angler
+function escapeHtml(val) {
+  if (val == null) return '';
+  return String(val)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
 function catchesPdfHtml(catches, userName) {
   const rows = catches
     .map(
       c => `
     <tr>
-      <td>${c.date || ''}</td>
-      <td><strong>${c.species || ''}</strong></td>
-      <td>${c.weight ? c.weight + ' lb' : '—'}</td>
-      <td>${c.length ? c.length + '"' : '—'}</td>
-      <td>${c.locationName || ''}</td>
-      <td>${c.method || ''}</td>
+      <td>${escapeHtml(c.date)}</td>
+      <td><strong>${escapeHtml(c.species)}</strong></td>
+      <td>${c.weight ? escapeHtml(c.weight) + ' lb' : '—'}</td>
+      <td>${c.length ? escapeHtml(c.length) + '&quot;' : '—'}</td>
+      <td>${escapeHtml(c.locationName)}</td>
+      <td>${escapeHtml(c.method)}</td>
     </tr>
   `,
     )
@@ -126,9 +171,9 @@ function catchesPdfHtml(catches, userName) {
     </head>
     <body>
       <h1>🐟 ProFish — Catch Report</h1>
-      <p class="meta">Angler: ${
-        userName || 'ProFish User'
-      } | Generated: ${new Date().toLocaleDateString()} | Total: ${
+      <p class="meta">Angler: ${escapeHtml(
+        userName || 'ProFish User',
+      )} | Generated: ${new Date().toLocaleDateString()} | Total: ${
     catches.length
   } catches</p>
 
@@ -170,9 +215,9 @@ function tripReportPdfHtml(trip, catches, userName) {
   const catchRows = catches
     .map(
       c => `
-    <li><strong>${c.species}</strong> — ${c.weight ? c.weight + ' lb' : ''} ${
-        c.length ? c.length + '"' : ''
-      }</li>
+    <li><strong>${escapeHtml(c.species)}</strong> — ${
+        c.weight ? escapeHtml(c.weight) + ' lb' : ''
+      } ${c.length ? escapeHtml(c.length) + '&quot;' : ''}</li>
   `,
     )
     .join('');
@@ -194,21 +239,81 @@ function tripReportPdfHtml(trip, catches, userName) {
     <body>
       <h1>🎣 Trip Report</h1>
       <div class="trip-info">
-        <p><strong>Location:</strong> ${trip.location || 'Unknown'}</p>
-        <p><strong>Date:</strong> ${trip.date || ''}</p>
-        <p><strong>Duration:</strong> ${trip.duration || 'N/A'}</p>
-        <p><strong>Weather:</strong> ${trip.weather || 'N/A'}</p>
-        <p><strong>Angler:</strong> ${userName || 'ProFish User'}</p>
+        <p><strong>Location:</strong> ${escapeHtml(
+          trip.location || 'Unknown',
+        )}</p>
+        <p><strong>Date:</strong> ${escapeHtml(trip.date)}</p>
+        <p><strong>Duration:</strong> ${escapeHtml(trip.duration || 'N/A')}</p>
+        <p><strong>Weather:</strong> ${escapeHtml(trip.weather || 'N/A')}</p>
+        <p><strong>Angler:</strong> ${escapeHtml(
+          userName || 'ProFish User',
+        )}</p>
       </div>
       <h2>Catches (${catches.length})</h2>
       <ul>${catchRows || '<li>No catches logged</li>'}</ul>
-      ${trip.notes ? `<h2>Notes</h2><p>${trip.notes}</p>` : ''}
+      ${trip.notes ? `<h2>Notes</h2><p>${escapeHtml(trip.notes)}</p>` : ''}
       <div class="footer">Generated by ProFish</div>
     </body>
     </html>
   `;
 }
 
+function harvestReportPdfHtml(reports, userName) {
+  const tags = reports
+    .map(
+      r => `
+    <div class="tag">
+      <div class="ref">${escapeHtml(r.referenceCode)}</div>
+      <h2>${escapeHtml(r.programName)}</h2>
+      <p class="meta">${escapeHtml(r.regionName)}${
+        r.dueDate ? ` | Due: ${escapeHtml(r.dueDate)}` : ''
+      }</p>
+      <table>
+        ${r.fields
+          .map(
+            f =>
+              `<tr><th>${escapeHtml(f.label)}</th><td>${
+                f.value ? escapeHtml(f.value) : '—'
+              }</td></tr>`,
+          )
+          .join('')}
+      </table>
+      ${r.url ? `<p class="meta">Submit at: ${escapeHtml(r.url)}</p>` : ''}
+      ${r.notes ? `<p class="meta">${escapeHtml(r.notes)}</p>` : ''}
+    </div>
+  `,
+    )
+    .join('');
+
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <style>
+        body { font-family: Helvetica, Arial, sans-serif; padding: 20px; color: #1a1a2e; }
+        h1 { color: #0a84ff; border-bottom: 2px solid #0a84ff; padding-bottom: 8px; }
+        h2 { margin: 4px 0; font-size: 16px; }
+        .tag { border: 2px dashed #1a1a2e; border-radius: 8px; padding: 14px; margin-bottom: 16px; page-break-inside: avoid; }
+        .ref { float: right; font-family: Courier, monospace; font-size: 16px; font-weight: bold; }
+        .meta { color: #666; font-size: 12px; margin: 4px 0; }
+        table { width: 100%; border-collapse: collapse; margin-top: 8px; font-size: 12px; }
+        th { text-align: left; width: 35%; padding: 4px 8px; background: #f0f4ff; }
+        td { padding: 4px 8px; border-bottom: 1px solid #eee; }
+        .footer { margin-top: 30px; text-align: center; color: #aaa; font-size: 10px; }
+      </style>
+    </head>
+    <body>
+      <h1>ProFish — Harvest Reports</h1>
+      <p class="meta">Angler: ${escapeHtml(
+        userName || 'ProFish User',
+      )} | Generated: ${new Date().toLocaleDateString()}</p>
+      ${tags}
+      <div class="footer">Pre-filled by ProFish. Submit each report to the listed agency before its due date.</div>
+    </body>
+    </html>
+  `;
+}
+
 // ── Export Service ────────────────────────────────────────
 
 const EXPORT_HISTORY_KEY = '@profish_export_history';
@@ -249,6 +354,27 @@ const exportService = {
     return tripReportPdfHtml(trip, catches, userName);
   },
 
+  /**
+   * Export harvest reports (harvestReportService) as CSV string
+   */
+  exportHarvestReportsCsv(reports) {
+    return harvestReportsToCsv(reports);
+  },
+
+  /**
+   * Export harvest reports as JSON string
+   */
+  exportHarvestReportsJson(reports) {
+    return JSON.stringify(reports, null, 2);
+  },
+
+  /**
+   * Generate PDF HTML with one printable tag per harvest report
+   */
+  generateHarvestReportPdf(reports, userName) {
+    return harvestReportPdfHtml(reports, userName);
+  },
+
   /**
    * Share export via system share sheet
    * Requires react-native-share to be installed
@@ -260,9 +386,10 @@ const exportService = {
         csv: 'text/csv',
         json: 'application/json',
         pdf: 'application/pdf',
+        ics: 'text/calendar',
       };
 
-      // For CSV/JSON, share as data URI
+      // For CSV/JSON/ICS, share as data URI
       if (format !== EXPORT_FORMAT.PDF) {
         const base64 = Buffer.from(content, 'utf-8').toString('base64');
         await Share.open({
@@ -0,0 +1,217 @@
+/**
+ * FishCast Calibration Service — ProFish
+ * Personal FishCast weights fitted from the angler's own catches (#423)
+ *
+ * Every catch is scored with the FishCast factors that can be rebuilt from
+ * what was logged (pressure, wind, tide phase) plus what follows from the
+ * time and place (moon, solunar period, time of day). Trips that ended with
+ * no catches logged during them are the baseline. A factor whose scores are
+ * consistently higher on catches than on blank sessions gains weight, one
+ * that makes no difference loses it. Each factor's shift is shrunk toward
+ * the generic profile until it has enough catches behind it.
+ *
+ * Calibration stays on the device: it is stored in AsyncStorage only,
+ * never in synced preferences or Firestore.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import catchService from './catchService';
+import tripService from './tripService';
+import {
+  getScoreLabel,
+  scoreRecordedConditions,
+  weightedScore,
+} from './fishCastService';
+import { FACTOR_KEYS, normalizeWeights } from './fishCastProfileService';
+
+const CALIBRATION_KEY = '@profish_fishcast_calibration';
+
+export const MIN_CATCHES = 10;
+
+const NEUTRAL_SCORE = 50;
+// Pseudo-sessions at the neutral score, so a handful of blank trips can't
+// swing the baseline on their own
+const BASELINE_PRIOR = 5;
+// Catches a factor needs before its shift counts for half
+const CATCH_PRIOR = 15;
+// Typical spread of a factor score — a lift of one spread ≈ e^1 weight
+const SCORE_SPREAD = 25;
+const MAX_SHIFT = 1;
+
+const STALE_MS = 24 * 60 * 60 * 1000;
+
+function hasPosition(record) {
+  return (
+    record.latitude != null &&
+    record.longitude != null &&
+    !(record.latitude === 0 && record.longitude === 0)
+  );
+}
+
+/**
+ * Factor samples for catches and blank sessions
+ * @param {Object[]} catches - From catchService
+ * @param {Object[]} trips - Ended trips from tripService
+ * @returns {{ catches: Object[], baseline: Object[] }} arrays of partial
+ *   factor scores
+ */
+export function buildSamples(catches, trips) {
+  const sample = (record, date) =>
+    scoreRecordedConditions(record.conditions || {}, {
+      date,
+      latitude: hasPosition(record) ? record.latitude : null,
+      longitude: hasPosition(record) ? record.longitude : null,
+    });
+
+  const logged = catches.filter(c => c.createdAt);
+  const catchTimes = logged.map(c => new Date(c.createdAt).getTime());
+  // Catches aren't always linked to the trip they were logged on, so a
+  // trip only counts as blank if none was logged between its start and end
+  const isBlank = (trip, start, end) =>
+    (trip.catches || []).length === 0 &&
+    !catchTimes.some(time => time >= start && time <= end);
+
+  const baseline = [];
+  for (const trip of trips) {
+    if (!trip.endedAt) continue;
+    const start = new Date(trip.startedAt).getTime();
+    const end = new Date(trip.endedAt).getTime();
+    if (!isBlank(trip, start, end)) continue;
+    // Score the middle of the session
+    baseline.push(sample(trip, new Date((start + end) / 2)));
+  }
+
+  return {
+    catches: logged.map(c => sample(c, c.createdAt)),
+    baseline,
+  };
+}
+
+function mean(values) {
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+/**
+ * Fit personal weights
+ * @param {{ catches: Object[], baseline: Object[] }} samples
+ * @param {Object} baseWeights - Generic profile weights (sum to 1)
+ * @returns {{ weights: Object, factors: Object[], catchCount: number,
+ *   baselineCount: number, ready: boolean }} `factors` is sorted by how
+ *   much each one matters for this angler: { key, catchAverage,
+ *   baselineAverage, lift, samples, weight, baseWeight }
+ */
+export function fitCalibration(samples, baseWeights) {
+  const factors = FACTOR_KEYS.map(key => {
+    const onCatches = samples.catches.map(s => s[key]).filter(v => v != null);
+    const onBlanks = samples.baseline.map(s => s[key]).filter(v => v != null);
+    if (onCatches.length === 0) {
+      return { key, samples: 0, lift: 0, shift: 0 };
+    }
+
+    const catchAverage = mean(onCatches);
+    const baselineAverage =
+      (onBlanks.reduce((sum, v) => sum + v, 0) +
+        NEUTRAL_SCORE * BASELINE_PRIOR) /
+      (onBlanks.length + BASELINE_PRIOR);
+    const lift = (catchAverage - baselineAverage) / SCORE_SPREAD;
+    const confidence = onCatches.length / (onCatches.length + CATCH_PRIOR);
+
+    return {
+      key,
+      samples: onCatches.length,
+      catchAverage: Math.round(catchAverage),
+      baselineAverage: Math.round(baselineAverage),
+      lift: Math.round(lift * 100) / 100,
+      shift: Math.max(-MAX_SHIFT, Math.min(MAX_SHIFT, lift * confidence)),
+    };
+  });
+
+  const weights = normalizeWeights(
+    Object.fromEntries(
+      factors.map(f => [f.key, baseWeights[f.key] * Math.exp(f.shift)]),
+    ),
+  );
+
+  return {
+    weights,
+    factors: factors
+      .map(({ shift: _shift, ...f }) => ({
+        ...f,
+        weight: weights[f.key],
+        baseWeight: baseWeights[f.key],
+      }))
+      .sort(
+        (a, b) =>
+          Math.abs(b.weight - b.baseWeight) - Math.abs(a.weight - a.baseWeight),
+      ),
+    catchCount: samples.catches.length,
+    baselineCount: samples.baseline.length,
+    ready: samples.catches.length >= MIN_CATCHES,
+  };
+}
+
+/**
+ * Refit from the full catch and trip history and store the result
+ * @param {Object} profile - Weight profile to calibrate from
+ *   (fishCastProfileService.resolveProfile)
+ */
+export async function calibrate(profile) {
+  const [catches, trips] = await Promise.all([
+    catchService.getCatches({ limit: 5000 }),
+    tripService.getTrips({ limit: 1000 }),
+  ]);
+  const calibration = {
+    ...fitCalibration(buildSamples(catches, trips), profile.weights),
+    profileId: profile.id,
+    profileSignature: profile.signature,
+    calibratedAt: new Date().toISOString(),
+  };
+  try {
+    await AsyncStorage.setItem(CALIBRATION_KEY, JSON.stringify(calibration));
+  } catch {}
+  return calibration;
+}
+
+/**
+ * Stored calibration, refitted when older than a day, when the catch log
+ * has changed since or when the profile it was fitted from has
+ */
+export async function getCalibration(profile) {
+  try {
+    const raw = await AsyncStorage.getItem(CALIBRATION_KEY);
+    const stored = raw ? JSON.parse(raw) : null;
+    if (stored) {
+      const catches = await catchService.getCatches({ limit: 5000 });
+      const fresh =
+        Date.now() - new Date(stored.calibratedAt).getTime() < STALE_MS &&
+        stored.catchCount === catches.length &&
+        stored.profileSignature === profile.signature;
+      if (fresh) return stored;
+    }
+  } catch {}
+  return calibrate(profile);
+}
+
+/**
+ * Personal score for a FishCast result's factors
+ * @returns {{ score: number, label: string }|null} Null until calibrated
+ */
+export function getPersonalScore(factors, calibration) {
+  if (!factors || !calibration?.ready) return null;
+  const score = weightedScore(factors, calibration.weights);
+  return { score, label: getScoreLabel(score) };
+}
+
+export async function resetCalibration() {
+  await AsyncStorage.removeItem(CALIBRATION_KEY);
+}
+
+export default {
+  MIN_CATCHES,
+  buildSamples,
+  fitCalibration,
+  calibrate,
+  getCalibration,
+  getPersonalScore,
+  resetCalibration,
+};
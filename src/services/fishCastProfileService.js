@@ -0,0 +1,266 @@
+/**
+ * FishCast Profile Service — ProFish
+ * Species- and water-specific factor weights for FishCast (#421)
+ *
+ * A profile is the weight table calculateFishCast() blends its factor
+ * scores with. Each water profile (lake, river, estuary…) has its own
+ * table; a target species then shifts emphasis onto the factors it
+ * responds to (tide for snook, low light for walleye). Anglers can tune
+ * any resolved profile — tuned tables are stored in preferences under
+ * `fishcastWeights`, keyed by profile id, so they sync across devices.
+ */
+
+import preferencesService from './preferencesService';
+
+export const FACTOR_KEYS = [
+  'pressure',
+  'moonPhase',
+  'solunarPeriod',
+  'wind',
+  'timeOfDay',
+  'cloudCover',
+  'precipitation',
+  'tideState',
+];
+
+// ── Water profiles ───────────────────────────────────────
+// Every table sums to 1
+export const WATER_PROFILES = {
+  general: {
+    name: 'General',
+    weights: {
+      pressure: 0.2, // Barometric pressure trend
+      moonPhase: 0.15, // New/Full moon = best
+      solunarPeriod: 0.15, // Major/minor feeding periods
+      wind: 0.12, // Light wind = better
+      timeOfDay: 0.12, // Dawn/dusk = best
+      cloudCover: 0.08, // Overcast = slightly better
+      precipitation: 0.08, // Light rain = good, heavy = bad
+      tideState: 0.1, // Moving water = better (if coastal)
+    },
+  },
+  freshwater_lake: {
+    name: 'Freshwater lake',
+    weights: {
+      pressure: 0.24,
+      moonPhase: 0.12,
+      solunarPeriod: 0.15,
+      wind: 0.15, // Wind-blown banks concentrate bait
+      timeOfDay: 0.16,
+      cloudCover: 0.1,
+      precipitation: 0.08,
+      tideState: 0,
+    },
+  },
+  river: {
+    name: 'River',
+    weights: {
+      pressure: 0.18,
+      moonPhase: 0.1,
+      solunarPeriod: 0.14,
+      wind: 0.08,
+      timeOfDay: 0.18,
+      cloudCover: 0.12,
+      precipitation: 0.2, // Rain drives flow and clarity
+      tideState: 0,
+    },
+  },
+  tidal_estuary: {
+    name: 'Tidal estuary',
+    weights: {
+      pressure: 0.14,
+      moonPhase: 0.12,
+      solunarPeriod: 0.12,
+      wind: 0.1,
+      timeOfDay: 0.12,
+      cloudCover: 0.06,
+      precipitation: 0.06,
+      tideState: 0.28, // Current through passes and flats
+    },
+  },
+  inshore: {
+    name: 'Inshore saltwater',
+    weights: {
+      pressure: 0.16,
+      moonPhase: 0.14,
+      solunarPeriod: 0.14,
+      wind: 0.14,
+      timeOfDay: 0.12,
+      cloudCover: 0.06,
+      precipitation: 0.06,
+      tideState: 0.18,
+    },
+  },
+  offshore: {
+    name: 'Offshore',
+    weights: {
+      pressure: 0.16,
+      moonPhase: 0.18,
+      solunarPeriod: 0.16,
+      wind: 0.24, // Sea state decides whether you can fish at all
+      timeOfDay: 0.12,
+      cloudCover: 0.05,
+      precipitation: 0.05,
+      tideState: 0.04,
+    },
+  },
+};
+
+// Catch/spot water types → default water profile
+const WATER_TYPE_PROFILES = {
+  freshwater: 'freshwater_lake',
+  brackish: 'tidal_estuary',
+  saltwater: 'inshore',
+};
+
+// ── Species emphasis ─────────────────────────────────────
+// Multipliers on the water profile's weights, renormalized afterwards
+const SPECIES_EMPHASIS = {
+  'largemouth bass': { pressure: 1.3, cloudCover: 1.4 },
+  'smallmouth bass': { pressure: 1.2, wind: 1.2 },
+  trout: { timeOfDay: 1.3, cloudCover: 1.3, pressure: 1.1 },
+  salmon: { tideState: 1.4, timeOfDay: 1.2 },
+  pike: { pressure: 1.3, cloudCover: 1.3 },
+  walleye: { timeOfDay: 1.6, cloudCover: 1.5, wind: 1.2 },
+  catfish: { timeOfDay: 1.6, precipitation: 1.5, moonPhase: 0.7 },
+  redfish: { tideState: 1.5 },
+  tarpon: { tideState: 1.5, moonPhase: 1.3 },
+  snook: { tideState: 1.6, timeOfDay: 1.3 },
+  tuna: { moonPhase: 1.3, wind: 1.2 },
+  'mahi-mahi': { wind: 1.3, cloudCover: 1.2 },
+};
+
+/**
+ * Match a species name to a table key — exact, then partial
+ * ("Rainbow Trout" → 'trout')
+ */
+export function matchSpeciesKey(table, species) {
+  if (!species) return null;
+  const key = species.toLowerCase().replace(/_/g, ' ');
+  if (table[key]) return key;
+  return (
+    Object.keys(table).find(k => key.includes(k) || k.includes(key)) || null
+  );
+}
+
+/**
+ * Scale a weight table so it sums to 1; unknown factors are dropped
+ */
+export function normalizeWeights(weights) {
+  const total = FACTOR_KEYS.reduce((sum, k) => sum + (weights[k] || 0), 0);
+  return Object.fromEntries(
+    FACTOR_KEYS.map(k => [k, total > 0 ? (weights[k] || 0) / total : 0]),
+  );
+}
+
+function titleCase(text) {
+  return text.replace(/\b\w/g, c => c.toUpperCase());
+}
+
+export function getWaterProfileId({ profile, waterType } = {}) {
+  if (profile && WATER_PROFILES[profile]) return profile;
+  if (WATER_PROFILES[waterType]) return waterType;
+  return WATER_TYPE_PROFILES[waterType] || 'general';
+}
+
+/**
+ * Resolve the weight profile for a forecast
+ * @param {Object} [options]
+ * @param {string} [options.profile] - Water profile id (overrides waterType)
+ * @param {string} [options.waterType] - freshwater | brackish | saltwater,
+ *   or a water profile id
+ * @param {string} [options.species] - Target species name
+ * @param {Object} [customWeights] - Tuned tables keyed by profile id
+ * @returns {{ id, name, waterProfile, species, source, custom, weights,
+ *   signature }} `source` is 'default' | 'water' | 'species' | 'custom'
+ */
+export function resolveProfile(options = {}, customWeights = {}) {
+  const waterProfile = getWaterProfileId(options);
+  const species = matchSpeciesKey(SPECIES_EMPHASIS, options.species);
+  const id = species ? `${waterProfile}:${species}` : waterProfile;
+  const base = WATER_PROFILES[waterProfile];
+
+  let weights;
+  let source;
+  if (customWeights?.[id]) {
+    weights = normalizeWeights(customWeights[id]);
+    source = 'custom';
+  } else if (species) {
+    const emphasis = SPECIES_EMPHASIS[species];
+    weights = normalizeWeights(
+      Object.fromEntries(
+        FACTOR_KEYS.map(k => [k, base.weights[k] * (emphasis[k] ?? 1)]),
+      ),
+    );
+    source = 'species';
+  } else {
+    weights = normalizeWeights(base.weights);
+    source = waterProfile === 'general' ? 'default' : 'water';
+  }
+
+  return {
+    id,
+    name: species ? `${base.name} · ${titleCase(species)}` : base.name,
+    waterProfile,
+    species,
+    source,
+    custom: source === 'custom',
+    weights,
+    // Changes whenever the weights do — part of forecast cache keys
+    signature: FACTOR_KEYS.map(k => Math.round(weights[k] * 1000)).join('.'),
+  };
+}
+
+/**
+ * Resolve a profile including the angler's tuned weights
+ */
+export async function getProfile(options = {}) {
+  let customWeights = {};
+  try {
+    const prefs = await preferencesService.getPreferences();
+    customWeights = prefs.fishcastWeights || {};
+  } catch {}
+  return resolveProfile(options, customWeights);
+}
+
+/**
+ * Save tuned weights for a profile id (any scale — normalized on use)
+ */
+export async function setCustomWeights(profileId, weights) {
+  const prefs = await preferencesService.getPreferences();
+  const clean = Object.fromEntries(
+    FACTOR_KEYS.map(k => [k, Math.max(0, Number(weights[k]) || 0)]),
+  );
+  if (FACTOR_KEYS.every(k => clean[k] === 0)) {
+    throw new Error('At least one factor needs a weight');
+  }
+  await preferencesService.setPreference('fishcastWeights', {
+    ...(prefs.fishcastWeights || {}),
+    [profileId]: clean,
+  });
+  return normalizeWeights(clean);
+}
+
+export async function resetCustomWeights(profileId) {
+  const prefs = await preferencesService.getPreferences();
+  const { [profileId]: _removed, ...rest } = prefs.fishcastWeights || {};
+  await preferencesService.setPreference('fishcastWeights', rest);
+}
+
+export function listWaterProfiles() {
+  return Object.entries(WATER_PROFILES).map(([id, p]) => ({
+    id,
+    name: p.name,
+  }));
+}
+
+export default {
+  FACTOR_KEYS,
+  WATER_PROFILES,
+  resolveProfile,
+  getProfile,
+  setCustomWeights,
+  resetCustomWeights,
+  listWaterProfiles,
+  normalizeWeights,
+};
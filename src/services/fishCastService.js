@@ -8,40 +8,54 @@
  *          tide state, water temperature, time of day
  *
  * Score: 0-100, with labels: Poor / Fair / Good / Very Good / Excellent
+ * Timeline: hour-by-hour scores for the next 72h with peak windows (#420)
+ * Factor scores come from the shared registry in scoringService (#425)
+ * Saved spots can be ranked against each other for a time window (#572)
  */
 
 import weatherService from './weatherService';
 import solunarService from './solunarService';
 import tideService from './tideService';
+import { getCurrentFlow } from './tidalCurrentService';
+import { getWaterTemp } from './waterTempService';
 import cacheService from './cacheService';
+import spotService from './spotService';
+import preferencesService from './preferencesService';
+import { FACTOR_KEYS, getProfile } from './fishCastProfileService';
+import {
+  computePressureTrends,
+  getPressureTrend,
+} from './pressureTrendService';
+import {
+  getScoreLabel,
+  scoreFactors as scoreRegisteredFactors,
+} from './scoringService';
 
 const FISHCAST_CACHE_TTL = 60 * 60 * 1000; // 1 hour
 
-// ── Scoring weights ─────────────────────────────────────
-const WEIGHTS = {
-  pressure: 0.2, // Barometric pressure trend
-  moonPhase: 0.15, // New/Full moon = best
-  solunarPeriod: 0.15, // Major/minor feeding periods
-  wind: 0.12, // Light wind = better
-  timeOfDay: 0.12, // Dawn/dusk = best
-  cloudCover: 0.08, // Overcast = slightly better
-  precipitation: 0.08, // Light rain = good, heavy = bad
-  tideState: 0.1, // Moving water = better (if coastal)
-};
-
 /**
  * Calculate FishCast score for a location and time
- * Returns: { score: 0-100, label: string, factors: {...}, forecast: [...] }
+ * @param {number} latitude
+ * @param {number} longitude
+ * @param {Date} [date]
+ * @param {Object} [options] - Weight profile selection (see
+ *   fishCastProfileService.resolveProfile): { profile, waterType, species };
+ *   waterType and spotId also pick the water temperature source
+ * Returns: { score: 0-100, label: string, factors: {...}, profile: {...},
+ *   waterTemp: { tempC, source } | null }
  */
 export async function calculateFishCast(
   latitude,
   longitude,
   date = new Date(),
+  options = {},
 ) {
+  const profile = await getProfile(options);
+
   // Cache by location + hour (score doesn't change minute by minute)
   const hourKey = `${date.getFullYear()}${date.getMonth()}${date.getDate()}${date.getHours()}`;
   const cacheKey = cacheService.coordKey(
-    'fishcast_' + hourKey,
+    `fishcast_${hourKey}_${profile.id}_${profile.signature}`,
     latitude,
     longitude,
   );
@@ -49,58 +63,41 @@ export async function calculateFishCast(
   if (cached) return cached;
 
   try {
-    const [weather, solunar, tide] = await Promise.all([
-      weatherService.getWeather(latitude, longitude),
-      Promise.resolve(
-        solunarService.getSolunarPeriods(latitude, longitude, date),
-      ),
-      tideService.getCurrentTideState(latitude, longitude).catch(() => null),
-    ]);
-
-    const factors = {};
-
-    // 1. Barometric pressure
-    factors.pressure = scorePressure(weather.pressureMsl);
-
-    // 2. Moon phase
-    factors.moonPhase = solunar.moonPhase.fishingRating * 20; // 1-5 → 20-100
-
-    // 3. Solunar period
-    factors.solunarPeriod = scoreSolunarPeriod(date, solunar);
-
-    // 4. Wind
-    factors.wind = scoreWind(weather.windSpeed);
-
-    // 5. Time of day
-    factors.timeOfDay = scoreTimeOfDay(date, weather.sunrise, weather.sunset);
-
-    // 6. Cloud cover
-    factors.cloudCover = scoreCloudCover(weather.cloudCover);
-
-    // 7. Precipitation
-    factors.precipitation = scorePrecipitation(weather.precipitation);
-
-    // 8. Tide state
-    factors.tideState = tide ? scoreTideState(tide) : 50; // Neutral if no tide data
-
-    // Weighted total
-    let score = 0;
-    for (const [key, weight] of Object.entries(WEIGHTS)) {
-      score += (factors[key] || 50) * weight;
-    }
-
-    score = Math.round(Math.max(0, Math.min(100, score)));
+    const [weather, solunar, tideState, current, pressureTrend, waterTemp] =
+      await Promise.all([
+        weatherService.getWeather(latitude, longitude),
+        Promise.resolve(
+          solunarService.getSolunarPeriods(latitude, longitude, date),
+        ),
+        tideService.getCurrentTideState(latitude, longitude).catch(() => null),
+        getCurrentFlow(latitude, longitude, date).catch(() => null),
+        getPressureTrend(latitude, longitude, date),
+        getWaterTemp(latitude, longitude, options).catch(() => null),
+      ]);
+    // Current flow, where known, scores the tide better than height alone
+    const tide = tideState && current ? { ...tideState, current } : tideState;
+
+    const factors = scoreFactors(date, weather, solunar, tide, pressureTrend);
+    const score = weightedScore(factors, profile.weights);
 
     const result = {
       score,
       label: getScoreLabel(score),
       factors,
+      profile: summarizeProfile(profile),
       weather: {
         temp: weather.temperature,
         wind: weather.windSpeed,
         pressure: weather.pressureMsl,
         description: weather.description,
       },
+      pressureTrend: pressureTrend
+        ? {
+            trend: pressureTrend.trend,
+            trends: pressureTrend.trends,
+            front: pressureTrend.front,
+          }
+        : null,
       solunar: {
         moonPhase: solunar.moonPhase.name,
         illumination: solunar.moonPhase.illumination,
@@ -108,6 +105,9 @@ export async function calculateFishCast(
         minorPeriods: solunar.minor,
       },
       tide: tide || null,
+      waterTemp: waterTemp
+        ? { tempC: waterTemp.tempC, source: waterTemp.source }
+        : null,
       calculatedAt: new Date().toISOString(),
     };
 
@@ -126,134 +126,318 @@ export async function calculateFishCast(
   }
 }
 
-// ── Scoring functions ──────────────────────────────────
-
-function scorePressure(pressure) {
-  if (!pressure) return 50;
-  // Ideal fishing pressure: 1013-1023 hPa (stable/rising)
-  if (pressure >= 1013 && pressure <= 1023) return 90;
-  if (pressure >= 1005 && pressure < 1013) return 70; // Falling — fish active before front
-  if (pressure > 1023 && pressure <= 1030) return 60; // High — stable but slower
-  if (pressure < 1005) return 40; // Low pressure — storm
-  if (pressure > 1030) return 30; // Very high — sluggish fish
-  return 50;
+/**
+ * Factor scores (0-100) for one moment
+ * @param {Date} date
+ * @param {Object} weather - { pressureMsl, windSpeed, cloudCover,
+ *   precipitation, sunrise, sunset }
+ * @param {Object} solunar - From solunarService.getSolunarPeriods
+ * @param {Object|null} tide - { state, progress, current? } — `current`
+ *   from tidalCurrentService
+ * @param {Object|null} [pressureTrend] - From pressureTrendService
+ */
+export function scoreFactors(
+  date,
+  weather,
+  solunar,
+  tide,
+  pressureTrend = null,
+) {
+  const factors = scoreRegisteredFactors(FACTOR_KEYS, {
+    date,
+    pressure: weather.pressureMsl,
+    pressureTrend,
+    windSpeed: weather.windSpeed,
+    cloudCover: weather.cloudCover,
+    precipitation: weather.precipitation ?? 0, // No reading counts as dry
+    moon: solunar.moonPhase,
+    solunar,
+    tide,
+  });
+  // FishCast always shows every factor — missing data is neutral
+  return Object.fromEntries(FACTOR_KEYS.map(k => [k, factors[k] ?? 50]));
 }
 
-function scoreSolunarPeriod(date, solunar) {
-  const now = date.getTime();
+/**
+ * Factor scores for conditions recorded with a catch or trip. Only factors
+ * that can be reconstructed are returned — moon, solunar and time of day
+ * come from the date and position, the rest from what was logged.
+ * @param {Object} conditions - catch/trip `conditions` (pressure in hPa,
+ *   windSpeed or wind in km/h, tideState)
+ * @param {Object} at - { date, latitude, longitude }
+ * @returns {Object} Partial factors keyed like calculateFishCast's
+ */
+export function scoreRecordedConditions(
+  conditions = {},
+  { date, latitude, longitude },
+) {
+  const when = new Date(date);
+  const hasPosition = latitude != null && longitude != null;
+  const wind = conditions?.windSpeed ?? conditions?.wind;
+  const tideState = conditions?.tideState;
+
+  const factors = scoreRegisteredFactors(
+    [
+      'moonPhase',
+      'timeOfDay',
+      'solunarPeriod',
+      'pressure',
+      'wind',
+      'tideState',
+    ],
+    {
+      date: when,
+      pressure: conditions?.pressure || null,
+      windSpeed: wind,
+      solunar: hasPosition
+        ? solunarService.getSolunarPeriods(latitude, longitude, when)
+        : null,
+      // Logged as a phase only — rising/falling count as mid-tide
+      tide: tideState
+        ? {
+            state: tideState,
+            progress: ['rising', 'falling'].includes(tideState) ? 50 : 0,
+          }
+        : null,
+    },
+  );
+  return Object.fromEntries(
+    Object.entries(factors).filter(([, score]) => score != null),
+  );
+}
 
-  // Check if we're in a major period
-  for (const period of solunar.major) {
-    if (
-      now >= new Date(period.start).getTime() &&
-      now <= new Date(period.end).getTime()
-    ) {
-      return 95;
-    }
+export function weightedScore(factors, weights) {
+  let score = 0;
+  for (const [key, weight] of Object.entries(weights)) {
+    score += (factors[key] || 50) * weight;
   }
+  return Math.round(Math.max(0, Math.min(100, score)));
+}
 
-  // Check if we're in a minor period
-  for (const period of solunar.minor) {
-    if (
-      now >= new Date(period.start).getTime() &&
-      now <= new Date(period.end).getTime()
-    ) {
-      return 75;
-    }
-  }
+export { getScoreLabel };
 
-  return 40; // Outside solunar periods
+function summarizeProfile(profile) {
+  return {
+    id: profile.id,
+    name: profile.name,
+    source: profile.source,
+    waterProfile: profile.waterProfile,
+    species: profile.species,
+    weights: profile.weights,
+    signature: profile.signature,
+  };
 }
 
-function scoreWind(windSpeed) {
-  if (windSpeed === null || windSpeed === undefined) return 50;
-  if (windSpeed <= 5) return 85; // Light breeze — ideal
-  if (windSpeed <= 12) return 75; // Moderate — good ripple
-  if (windSpeed <= 20) return 55; // Breezy — still fishable
-  if (windSpeed <= 30) return 30; // Strong — tough conditions
-  return 10; // Storm
-}
+// ── Hourly timeline ────────────────────────────────────
 
-function scoreTimeOfDay(date, sunrise, sunset) {
-  const hours = date.getHours();
-  // Dawn (1hr before to 2hr after sunrise) and dusk (2hr before to 1hr after sunset)
-  if (hours >= 4 && hours <= 8) return 90; // Dawn — peak
-  if (hours >= 17 && hours <= 21) return 85; // Dusk — peak
-  if (hours >= 8 && hours <= 10) return 65; // Late morning
-  if (hours >= 15 && hours <= 17) return 65; // Afternoon
-  if (hours >= 21 || hours <= 4) return 50; // Night — varies by species
-  return 40; // Midday — slowest
-}
+const HOUR_MS = 60 * 60 * 1000;
+export const PEAK_MIN_SCORE = 65;
+export const MAX_TIMELINE_HOURS = 168; // A week, for ranking spots ahead
 
-function scoreCloudCover(cloudCover) {
-  if (cloudCover === null || cloudCover === undefined) return 50;
-  if (cloudCover >= 50 && cloudCover <= 80) return 80; // Overcast — ideal
-  if (cloudCover >= 30 && cloudCover < 50) return 65; // Partly cloudy — good
-  if (cloudCover > 80) return 60; // Heavy cloud
-  return 40; // Clear sky — fish see you
-}
+/**
+ * Contiguous runs of hours scoring at least `minScore`, best first
+ * @param {Object[]} hours - [{ time, score }] one hour apart
+ * @param {Object} [options]
+ * @param {number} [options.minScore=PEAK_MIN_SCORE]
+ * @param {number} [options.limit=3]
+ * @returns {Object[]} [{ start, end, hours, peakTime, peakScore,
+ *   averageScore, label }]
+ */
+export function findPeakWindows(
+  hours,
+  { minScore = PEAK_MIN_SCORE, limit = 3 } = {},
+) {
+  const windows = [];
+  let run = [];
+  const close = () => {
+    if (run.length === 0) return;
+    const peak = run.reduce((best, h) => (h.score > best.score ? h : best));
+    const average = run.reduce((sum, h) => sum + h.score, 0) / run.length;
+    windows.push({
+      start: run[0].time,
+      end: new Date(
+        new Date(run[run.length - 1].time).getTime() + HOUR_MS,
+      ).toISOString(),
+      hours: run.length,
+      peakTime: peak.time,
+      peakScore: peak.score,
+      averageScore: Math.round(average),
+      label: getScoreLabel(peak.score),
+    });
+    run = [];
+  };
 
-function scorePrecipitation(precip) {
-  if (!precip || precip === 0) return 60; // Dry — normal
-  if (precip > 0 && precip <= 2) return 85; // Light rain — excellent!
-  if (precip > 2 && precip <= 5) return 65; // Moderate rain — good
-  if (precip > 5 && precip <= 10) return 40; // Heavy rain
-  return 20; // Downpour — pack up
-}
+  hours.forEach((hour, i) => {
+    const gap =
+      i > 0 &&
+      new Date(hour.time) - new Date(hours[i - 1].time) > HOUR_MS * 1.5;
+    if (gap || hour.score < minScore) close();
+    if (hour.score >= minScore) run.push(hour);
+  });
+  close();
 
-function scoreTideState(tide) {
-  if (!tide || tide.state === 'unknown') return 50;
-  if (tide.state === 'rising' && tide.progress >= 30 && tide.progress <= 70)
-    return 90; // Mid-rising — BEST
-  if (tide.state === 'falling' && tide.progress >= 30 && tide.progress <= 70)
-    return 80; // Mid-falling — good
-  if (tide.progress < 15 || tide.progress > 85) return 40; // Slack tide — slow
-  return 60;
+  return windows
+    .sort((a, b) => b.peakScore - a.peakScore || a.start.localeCompare(b.start))
+    .slice(0, limit);
 }
 
-function getScoreLabel(score) {
-  if (score >= 85) return 'Excellent';
-  if (score >= 70) return 'Very Good';
-  if (score >= 55) return 'Good';
-  if (score >= 40) return 'Fair';
-  return 'Poor';
+/**
+ * Hour-by-hour FishCast from the hourly weather forecast and tide curve
+ * @param {number} latitude
+ * @param {number} longitude
+ * @param {Object} [options] - Weight profile selection (see
+ *   calculateFishCast) plus:
+ * @param {number} [options.hours=72] - Hours ahead, up to
+ *   MAX_TIMELINE_HOURS
+ * @param {number} [options.minScore] - Peak window threshold
+ * @returns {Promise<{ hours: Object[], peaks: Object[], profile: Object,
+ *   calculatedAt: string, error?: string }>} each hour is { time, score,
+ *   label, factors, weather, tide }
+ */
+export async function calculateHourlyFishCast(
+  latitude,
+  longitude,
+  options = {},
+) {
+  const { hours: span = 72, minScore, ...profileOptions } = options;
+  const hours = Math.max(1, Math.min(MAX_TIMELINE_HOURS, span));
+  const profile = await getProfile(profileOptions);
+
+  const start = new Date();
+  start.setMinutes(0, 0, 0);
+  const hourKey = `${start.getFullYear()}${start.getMonth()}${start.getDate()}${start.getHours()}`;
+  const cacheKey = cacheService.coordKey(
+    `fishcast_hourly_${hourKey}_${hours}_${profile.id}_${profile.signature}`,
+    latitude,
+    longitude,
+  );
+  const cached = await cacheService.get(cacheKey);
+  if (cached) return cached;
+
+  try {
+    const [forecast, tideCurve] = await Promise.all([
+      weatherService.getHourlyForecast(latitude, longitude, { hours }),
+      tideService
+        .getTideCurve(latitude, longitude, hours, 60, start)
+        .catch(() => []),
+    ]);
+
+    const pressureSeries = forecast.hours.map(h => ({
+      time: h.time,
+      pressure: h.pressureMsl,
+    }));
+    const tideByTime = new Map(
+      (tideCurve || []).map(p => [new Date(p.time).getTime(), p]),
+    );
+    const solunarByDay = new Map();
+    const solunarFor = date => {
+      const day = date.toDateString();
+      if (!solunarByDay.has(day)) {
+        solunarByDay.set(
+          day,
+          solunarService.getSolunarPeriods(latitude, longitude, date),
+        );
+      }
+      return solunarByDay.get(day);
+    };
+
+    const timeline = forecast.hours
+      .filter(h => new Date(h.time) >= start)
+      .slice(0, hours)
+      .map(h => {
+        const date = new Date(h.time);
+        const tide = tideByTime.get(date.getTime()) || null;
+        const pressureTrend = computePressureTrends(pressureSeries, date);
+        const factors = scoreFactors(
+          date,
+          h,
+          solunarFor(date),
+          tide,
+          pressureTrend,
+        );
+        const score = weightedScore(factors, profile.weights);
+        return {
+          time: h.time,
+          score,
+          label: getScoreLabel(score),
+          factors,
+          weather: {
+            temp: h.temperature,
+            wind: h.windSpeed,
+            windDirection: h.windDirection,
+            pressure: h.pressureMsl,
+            pressureTrend: pressureTrend.trend,
+            cloudCover: h.cloudCover,
+            precipitation: h.precipitation,
+            icon: getWeatherIcon(h.weatherCode ?? 0),
+          },
+          tide: tide ? { height: tide.height, state: tide.state } : null,
+        };
+      });
+
+    const result = {
+      hours: timeline,
+      peaks: findPeakWindows(timeline, { minScore }),
+      profile: summarizeProfile(profile),
+      calculatedAt: new Date().toISOString(),
+    };
+
+    await cacheService.set(cacheKey, result, FISHCAST_CACHE_TTL);
+    return result;
+  } catch (error) {
+    console.warn('[FishCast] Hourly timeline failed:', error);
+    return {
+      hours: [],
+      peaks: [],
+      error: error.message,
+      calculatedAt: new Date().toISOString(),
+    };
+  }
 }
 
 /**
- * Calculate 7-day FishCast outlook using Open-Meteo daily forecast data.
+ * Calculate 7-day FishCast outlook from the daily forecast.
  * Returns an array of { date, dayName, score, label, highTemp, lowTemp, icon }.
  */
-export async function calculate7DayOutlook(latitude, longitude) {
-  const cacheKey = cacheService.coordKey('fishcast_7day', latitude, longitude);
+export async function calculate7DayOutlook(latitude, longitude, options = {}) {
+  const profile = await getProfile(options);
+  const weights = profile.weights;
+  const cacheKey = cacheService.coordKey(
+    `fishcast_7day_${profile.id}_${profile.signature}`,
+    latitude,
+    longitude,
+  );
   const cached = await cacheService.get(cacheKey);
   if (cached) return cached;
 
   try {
-    const url = `https://api.open-meteo.com/v1/forecast?latitude=${latitude}&longitude=${longitude}&daily=temperature_2m_max,temperature_2m_min,precipitation_sum,wind_speed_10m_max,pressure_msl_max,pressure_msl_min,cloud_cover_mean,weather_code&forecast_days=7&timezone=auto`;
-
-    const response = await fetch(url);
-    if (!response.ok) throw new Error('7-day forecast API error');
-
-    const data = await response.json();
-    const daily = data.daily;
-    if (!daily || !daily.time) return [];
+    const { days } = await weatherService.getDailyForecast(
+      latitude,
+      longitude,
+      { days: 7 },
+    );
+    if (!days?.length) return [];
 
     const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
     const solunar = await import('./solunarService').then(m => m.default);
 
-    const outlook = daily.time.map((dateStr, i) => {
-      const date = new Date(dateStr);
+    const outlook = days.map(d => {
+      const date = new Date(d.date);
       const dayName = dayNames[date.getDay()];
 
       // Simplified scoring for daily overview
       const pressureAvg =
-        ((daily.pressure_msl_max?.[i] || 1013) +
-          (daily.pressure_msl_min?.[i] || 1013)) /
-        2;
-      const pScore = scorePressure(pressureAvg);
-      const wScore = scoreWind(daily.wind_speed_10m_max?.[i] || 10);
-      const cScore = scoreCloudCover(daily.cloud_cover_mean?.[i] || 50);
-      const rScore = scorePrecipitation(daily.precipitation_sum?.[i] || 0);
+        ((d.pressureMslMax || 1013) + (d.pressureMslMin || 1013)) / 2;
+      const day = scoreRegisteredFactors(
+        ['pressure', 'wind', 'cloudCover', 'precipitation'],
+        {
+          date,
+          pressure: pressureAvg,
+          windSpeed: d.windSpeedMax || 10,
+          cloudCover: d.cloudCover || 50,
+          precipitation: d.precipitation || 0,
+        },
+      );
 
       // Get moon phase for each day
       let moonScore = 50;
@@ -266,25 +450,25 @@ export async function calculate7DayOutlook(latitude, longitude) {
       const todScore = 60;
 
       const score = Math.round(
-        pScore * WEIGHTS.pressure +
-          moonScore * WEIGHTS.moonPhase +
-          60 * WEIGHTS.solunarPeriod + // average solunar for day
-          wScore * WEIGHTS.wind +
-          todScore * WEIGHTS.timeOfDay +
-          cScore * WEIGHTS.cloudCover +
-          rScore * WEIGHTS.precipitation +
-          50 * WEIGHTS.tideState, // neutral tide for daily
+        day.pressure * weights.pressure +
+          moonScore * weights.moonPhase +
+          60 * weights.solunarPeriod + // average solunar for day
+          day.wind * weights.wind +
+          todScore * weights.timeOfDay +
+          day.cloudCover * weights.cloudCover +
+          day.precipitation * weights.precipitation +
+          50 * weights.tideState, // neutral tide for daily
       );
 
       return {
-        date: dateStr,
+        date: d.date,
         dayName,
         score: Math.max(0, Math.min(100, score)),
         label: getScoreLabel(Math.max(0, Math.min(100, score))),
-        highTemp: Math.round(daily.temperature_2m_max?.[i] || 0),
-        lowTemp: Math.round(daily.temperature_2m_min?.[i] || 0),
-        weatherCode: daily.weather_code?.[i] || 0,
-        icon: getWeatherIcon(daily.weather_code?.[i] || 0),
+        highTemp: Math.round(d.tempMax || 0),
+        lowTemp: Math.round(d.tempMin || 0),
+        weatherCode: d.weatherCode || 0,
+        icon: getWeatherIcon(d.weatherCode || 0),
       };
     });
 
@@ -397,6 +581,7 @@ const SPECIES_ADJUSTMENTS = {
 /**
  * Apply species-specific adjustments to a base FishCast score.
  * Returns adjusted score + species insight text.
+ * Water temperature (°C) defaults to the one calculateFishCast found.
  */
 export function adjustScoreForSpecies(baseResult, species, waterTemp = null) {
   if (!species) return baseResult;
@@ -447,14 +632,15 @@ export function adjustScoreForSpecies(baseResult, species, waterTemp = null) {
   }
 
   // Water temperature bonus/penalty
-  if (adj.idealWaterTemp && waterTemp != null) {
+  const tempC = waterTemp ?? baseResult.waterTemp?.tempC ?? null;
+  if (adj.idealWaterTemp && tempC != null) {
     const [min, max] = adj.idealWaterTemp;
-    if (waterTemp >= min && waterTemp <= max) {
+    if (tempC >= min && tempC <= max) {
       multiplier *= 1.1;
-      insights.push(`Water temp ${waterTemp}°C is in the ideal range`);
-    } else if (waterTemp < min - 5 || waterTemp > max + 5) {
+      insights.push(`Water temp ${tempC}°C is in the ideal range`);
+    } else if (tempC < min - 5 || tempC > max + 5) {
       multiplier *= 0.8;
-      insights.push(`Water temp ${waterTemp}°C is outside preferred range`);
+      insights.push(`Water temp ${tempC}°C is outside preferred range`);
     }
   }
 
@@ -497,17 +683,16 @@ export async function calculateFishCastForCurrentLocation(getCurrentPosition) {
           const { latitude, longitude } = pos.coords;
           const result = await calculateFishCast(latitude, longitude);
 
-          // Reverse geocode for location name (optional, best-effort)
+          // Location name from the time zone (optional, best-effort)
           let locationName = `${latitude.toFixed(2)}, ${longitude.toFixed(2)}`;
           try {
-            const resp = await fetch(
-              `https://api.open-meteo.com/v1/forecast?latitude=${latitude}&longitude=${longitude}&current_weather=true&timezone=auto`,
+            const { timezone } = await weatherService.getWeather(
+              latitude,
+              longitude,
             );
-            const data = await resp.json();
-            if (data.timezone) {
+            if (timezone) {
               locationName =
-                data.timezone.split('/').pop().replace(/_/g, ' ') ||
-                locationName;
+                timezone.split('/').pop().replace(/_/g, ' ') || locationName;
             }
           } catch {}
 
@@ -528,10 +713,201 @@ export async function calculateFishCastForCurrentLocation(getCurrentPosition) {
   });
 }
 
+// ── Saved spots ranking ───────────────────────────────
+
+// Local hours [from, to) for "this Saturday morning" style windows
+export const DAY_PARTS = {
+  morning: { from: 5, to: 11 },
+  afternoon: { from: 11, to: 17 },
+  evening: { from: 17, to: 22 },
+};
+
+// Cache cells scored at the same time; spots sharing a cell run in turn
+const SPOT_RANK_CONCURRENCY = 2;
+
+/**
+ * Time window for part of a local day
+ * @param {Date} date - Any time on the day
+ * @param {string} part - Key of DAY_PARTS
+ * @returns {{ start: string, end: string }}
+ */
+export function getDayPartWindow(date, part) {
+  const range = DAY_PARTS[part];
+  if (!range) throw new Error(`Unknown part of day: ${part}`);
+  const start = new Date(date);
+  start.setHours(range.from, 0, 0, 0);
+  const end = new Date(date);
+  end.setHours(range.to, 0, 0, 0);
+  return { start: start.toISOString(), end: end.toISOString() };
+}
+
+/**
+ * Score and rank spots for a time window, e.g. Saturday morning.
+ *
+ * The weather, tide and pressure caches are keyed by ~1 km cells
+ * (cacheService.coordKey), so spots are grouped by cell and each group
+ * is scored one spot after another: only the first spot in a cell goes
+ * to the network, the rest read what it cached. At most `concurrency`
+ * cells are fetched at once. Timelines are requested in whole days so
+ * different windows on the same days share cache entries too.
+ *
+ * @param {Object[]} spots - { id, name, latitude, longitude, waterType? }
+ * @param {Object} options - Weight profile selection (see
+ *   calculateFishCast) plus:
+ * @param {Date|string} options.start
+ * @param {Date|string} options.end
+ * @param {number} [options.concurrency=2]
+ * @returns {Promise<{ window, spots: Object[], cells: number,
+ *   calculatedAt: string }>} spots best first, each { rank, spot, score,
+ *   label, peakScore, peakTime, hours, factors, profile } — factors are
+ *   averaged over the window; spots without a forecast come last with
+ *   `error` and a null score
+ */
+export async function rankSpots(spots, options = {}) {
+  const {
+    start,
+    end,
+    concurrency = SPOT_RANK_CONCURRENCY,
+    ...profileOptions
+  } = options;
+  const from = new Date(start);
+  const to = new Date(end);
+  if (isNaN(from) || isNaN(to) || to <= from) {
+    throw new Error('Window needs a start before its end');
+  }
+  const now = new Date();
+  now.setMinutes(0, 0, 0);
+  if (to <= now) throw new Error('Window has already passed');
+  const hoursAhead = Math.ceil((to - now) / HOUR_MS);
+  if (hoursAhead > MAX_TIMELINE_HOURS) {
+    throw new Error(
+      `FishCast reaches ${MAX_TIMELINE_HOURS / 24} days ahead at most`,
+    );
+  }
+  const hours = Math.min(MAX_TIMELINE_HOURS, Math.ceil(hoursAhead / 24) * 24);
+
+  const cells = new Map();
+  for (const spot of spots) {
+    const key = cacheService.coordKey('cell', spot.latitude, spot.longitude);
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(spot);
+  }
+
+  const queue = [...cells.values()];
+  const results = [];
+  const worker = async () => {
+    while (queue.length > 0) {
+      const group = queue.shift();
+      for (const spot of group) {
+        results.push(
+          await scoreSpotWindow(spot, from, to, hours, profileOptions),
+        );
+      }
+    }
+  };
+  await Promise.all(
+    Array.from(
+      { length: Math.min(Math.max(1, concurrency), queue.length) },
+      worker,
+    ),
+  );
+
+  results.sort((a, b) => {
+    if (a.score == null || b.score == null) {
+      return (a.score == null) - (b.score == null);
+    }
+    return b.score - a.score || b.peakScore - a.peakScore;
+  });
+
+  return {
+    window: { start: from.toISOString(), end: to.toISOString() },
+    spots: results.map((r, i) => ({ rank: i + 1, ...r })),
+    cells: cells.size,
+    calculatedAt: new Date().toISOString(),
+  };
+}
+
+async function scoreSpotWindow(spot, from, to, hours, profileOptions) {
+  const summary = {
+    id: spot.id,
+    name: spot.name,
+    latitude: spot.latitude,
+    longitude: spot.longitude,
+    waterType: spot.waterType || null,
+  };
+  const timeline = await calculateHourlyFishCast(
+    spot.latitude,
+    spot.longitude,
+    { waterType: spot.waterType, ...profileOptions, hours },
+  );
+  const inWindow = timeline.hours.filter(h => {
+    const t = new Date(h.time);
+    return t >= from && t < to;
+  });
+  if (inWindow.length === 0) {
+    return {
+      spot: summary,
+      score: null,
+      error: timeline.error || 'No forecast for this window',
+    };
+  }
+
+  const mean = values =>
+    Math.round(values.reduce((sum, v) => sum + v, 0) / values.length);
+  const factors = {};
+  for (const key of FACTOR_KEYS) {
+    const values = inWindow
+      .map(h => h.factors?.[key])
+      .filter(v => typeof v === 'number');
+    if (values.length > 0) factors[key] = mean(values);
+  }
+  const peak = inWindow.reduce((best, h) => (h.score > best.score ? h : best));
+  const score = mean(inWindow.map(h => h.score));
+
+  return {
+    spot: summary,
+    score,
+    label: getScoreLabel(score),
+    peakScore: peak.score,
+    peakTime: peak.time,
+    hours: inWindow.length,
+    factors,
+    profile: timeline.profile,
+  };
+}
+
+/**
+ * Rank every saved spot — spotService's and the synced ones from
+ * preferencesService, without duplicates — for a time window
+ * @param {Object} options - See rankSpots
+ */
+export async function rankSavedSpots(options = {}) {
+  const [local, synced] = await Promise.all([
+    spotService.getSpots().catch(() => []),
+    preferencesService.getSpots().catch(() => []),
+  ]);
+  const seen = new Set();
+  const spots = [...local, ...synced].filter(spot => {
+    if (spot.latitude == null || spot.longitude == null) return false;
+    const place = `${spot.latitude.toFixed(4)},${spot.longitude.toFixed(4)}`;
+    if (seen.has(spot.id) || seen.has(place)) return false;
+    seen.add(spot.id);
+    seen.add(place);
+    return true;
+  });
+  return rankSpots(spots, options);
+}
+
 export default {
   calculateFishCast,
+  calculateHourlyFishCast,
+  findPeakWindows,
   calculate7DayOutlook,
   adjustScoreForSpecies,
   calculateFishCastForCurrentLocation,
+  rankSpots,
+  rankSavedSpots,
+  getDayPartWindow,
+  scoreRecordedConditions,
   SPECIES_ADJUSTMENTS,
 };
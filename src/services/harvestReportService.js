@@ -0,0 +1,285 @@
+/**
+ * Harvest Report Service — ProFish
+ * Mandatory harvest reports and catch returns for logged catches (#536)
+ *
+ * Species with a `reporting` program in regulationsService (red snapper,
+ * UK salmon…) must be reported to the agency after harvest. This
+ * pre-fills each program's fields from the catch record and license
+ * wallet, exports them through exportService and tracks per-catch status
+ * on the catch itself (`harvestReport`), so it syncs with the catch log.
+ */
+
+import catchService from './catchService';
+import licenseService from './licenseService';
+import exportService, { EXPORT_FORMAT } from './exportService';
+import {
+  checkLicenses,
+  getRegionRules,
+  getReportingRequirement,
+  getRuleLimits,
+  normalizeSpeciesId,
+} from './regulationsService';
+import { formatLength, formatWeight } from '../utils/units';
+import { sha256 } from '../utils/hash';
+
+export const REPORT_STATUS = {
+  PENDING: 'pending',
+  EXPORTED: 'exported', // Shared/printed, not yet confirmed with the agency
+  SUBMITTED: 'submitted',
+};
+
+const FIELD_LABELS = {
+  anglerName: 'Angler name',
+  licenseNumber: 'License number',
+  species: 'Species',
+  date: 'Date & time',
+  length: 'Length',
+  weight: 'Weight',
+  location: 'Location',
+  coordinates: 'Coordinates',
+  method: 'Method',
+  released: 'Released',
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function toDateKey(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(
+    date.getDate(),
+  )}`;
+}
+
+/**
+ * Due date for a report: N days after the catch, or the next annual
+ * `dueBy` (MM-DD) after it. Null when the program sets neither.
+ */
+export function getReportDueDate(requirement, caughtAt) {
+  const at = new Date(caughtAt);
+  if (requirement.deadlineDays != null) {
+    return toDateKey(
+      new Date(at.getTime() + requirement.deadlineDays * DAY_MS),
+    );
+  }
+  if (requirement.dueBy) {
+    const [month, day] = requirement.dueBy.split('-').map(Number);
+    let due = new Date(at.getFullYear(), month - 1, day);
+    if (due <= at) due = new Date(at.getFullYear() + 1, month - 1, day);
+    return toDateKey(due);
+  }
+  return null;
+}
+
+/**
+ * Short, stable code to write on a tag or quote to the agency
+ */
+export function getReferenceCode(catchId) {
+  const hex = sha256(String(catchId)).slice(0, 8).toUpperCase();
+  return `PF-${hex.slice(0, 4)}-${hex.slice(4)}`;
+}
+
+/**
+ * Reporting program for a catch, or null when none applies. Resolved from
+ * current rules so catches logged before a program existed are covered.
+ */
+export function getCatchRequirement(catchRecord) {
+  const regionCode = catchRecord?.regulation?.regionCode;
+  if (!regionCode) return null;
+  return getReportingRequirement(
+    regionCode,
+    normalizeSpeciesId(catchRecord.species),
+    { released: catchRecord.released },
+  );
+}
+
+export function getReportStatus(catchRecord) {
+  return catchRecord.harvestReport?.status || REPORT_STATUS.PENDING;
+}
+
+function findLicenseNumber(catchRecord, licenses, regionCode) {
+  const region = getRegionRules(regionCode);
+  const rule = region?.rules.find(
+    r => r.species === normalizeSpeciesId(catchRecord.species),
+  );
+  const { requirements } = checkLicenses(
+    regionCode,
+    rule,
+    licenses,
+    new Date(catchRecord.createdAt),
+    { waters: catchRecord.regulation.waters, waterType: catchRecord.waterType },
+  );
+  // The base license number first, stamps only as a fallback
+  const rank = r => (r.kind === 'license' ? 0 : 1);
+  const license = [...requirements]
+    .sort((a, b) => rank(a) - rank(b))
+    .map(r => licenses.find(l => l.id === r.licenseId))
+    .find(l => l?.number);
+  return license?.number || '';
+}
+
+/**
+ * Pre-filled harvest report for one catch
+ * @param {Object} catchRecord - From catchService
+ * @param {Object} [options]
+ * @param {Object[]} [options.licenses] - Wallet licenses (licenseService)
+ * @param {string} [options.anglerName]
+ * @returns {Object|null} { catchId, referenceCode, programId, programName,
+ *   regionCode, regionName, url, notes, dueDate, overdue, status,
+ *   fields: [{ key, label, value }], missing: string[] }
+ */
+export function buildHarvestReport(catchRecord, options = {}) {
+  const requirement = getCatchRequirement(catchRecord);
+  if (!requirement) return null;
+
+  const { regionCode } = catchRecord.regulation;
+  const region = getRegionRules(regionCode);
+  const rule = region.rules.find(
+    r => r.species === normalizeSpeciesId(catchRecord.species),
+  );
+  // Agencies expect their own units
+  const units =
+    getRuleLimits(region, rule).sizeUnit === 'in' ? 'imperial' : 'metric';
+  const caughtAt = new Date(catchRecord.createdAt);
+  const hasPosition =
+    catchRecord.latitude != null && catchRecord.longitude != null;
+
+  const values = {
+    anglerName: options.anglerName || '',
+    licenseNumber: findLicenseNumber(
+      catchRecord,
+      options.licenses || [],
+      regionCode,
+    ),
+    species: catchRecord.species,
+    date: `${toDateKey(caughtAt)} ${caughtAt.toTimeString().slice(0, 5)}`,
+    length:
+      catchRecord.length != null ? formatLength(catchRecord.length, units) : '',
+    weight:
+      catchRecord.weight != null ? formatWeight(catchRecord.weight, units) : '',
+    location: catchRecord.locationName || '',
+    coordinates: hasPosition
+      ? `${catchRecord.latitude.toFixed(4)}, ${catchRecord.longitude.toFixed(
+          4,
+        )}`
+      : '',
+    method: catchRecord.method || '',
+    released: catchRecord.released ? 'Yes' : 'No',
+  };
+  // A location name is optional when coordinates will do
+  if (!values.location && hasPosition) values.location = values.coordinates;
+
+  const fields = requirement.fields.map(key => ({
+    key,
+    label: FIELD_LABELS[key] || key,
+    value: values[key] ?? '',
+  }));
+  const dueDate = getReportDueDate(requirement, caughtAt);
+  const status = getReportStatus(catchRecord);
+
+  return {
+    catchId: catchRecord.id,
+    referenceCode: getReferenceCode(catchRecord.id),
+    programId: requirement.programId,
+    programName: requirement.name,
+    regionCode,
+    regionName: region.state,
+    url: requirement.url,
+    notes: requirement.notes,
+    dueDate,
+    overdue:
+      status !== REPORT_STATUS.SUBMITTED &&
+      dueDate !== null &&
+      dueDate < toDateKey(options.now || new Date()),
+    status,
+    submittedAt: catchRecord.harvestReport?.submittedAt || null,
+    confirmation: catchRecord.harvestReport?.confirmation || null,
+    fields,
+    missing: fields.filter(f => !f.value).map(f => f.label),
+  };
+}
+
+/**
+ * Reports still to be submitted, soonest due first
+ */
+export async function getPendingReports(options = {}) {
+  const [catches, licenses] = await Promise.all([
+    catchService.getCatches({ limit: 1000 }),
+    options.licenses ? options.licenses : licenseService.getLicenses(),
+  ]);
+  return catches
+    .filter(c => getReportStatus(c) !== REPORT_STATUS.SUBMITTED)
+    .map(c => buildHarvestReport(c, { ...options, licenses }))
+    .filter(Boolean)
+    .sort((a, b) => (a.dueDate || '9999').localeCompare(b.dueDate || '9999'));
+}
+
+async function setReportStatus(catchId, status, extra = {}) {
+  const catchRecord = await catchService.getCatchById(catchId);
+  if (!catchRecord) throw new Error('Catch not found');
+  return catchService.updateCatch(catchId, {
+    harvestReport: {
+      ...catchRecord.harvestReport,
+      status,
+      ...extra,
+    },
+  });
+}
+
+/**
+ * Share reports as CSV, JSON or printable PDF tags. Pending reports are
+ * marked exported once the share sheet completes.
+ * @returns {Promise<{ success: boolean, cancelled?: boolean, error?: string }>}
+ */
+export async function exportHarvestReports(
+  reports,
+  format = EXPORT_FORMAT.PDF,
+  { userName } = {},
+) {
+  if (reports.length === 0) {
+    return { success: false, error: 'No harvest reports to export' };
+  }
+  const content =
+    format === EXPORT_FORMAT.CSV
+      ? exportService.exportHarvestReportsCsv(reports)
+      : format === EXPORT_FORMAT.JSON
+      ? exportService.exportHarvestReportsJson(reports)
+      : exportService.generateHarvestReportPdf(reports, userName);
+  const filename = `profish_harvest_reports_${toDateKey(new Date())}`;
+
+  const result = await exportService.shareExport(content, format, filename);
+  if (!result.success) return result;
+
+  const exportedAt = new Date().toISOString();
+  for (const report of reports) {
+    if (report.status !== REPORT_STATUS.PENDING) continue;
+    await setReportStatus(report.catchId, REPORT_STATUS.EXPORTED, {
+      exportedAt,
+    });
+  }
+  return result;
+}
+
+/**
+ * Record that the angler filed the report with the agency
+ * @param {string} catchId
+ * @param {Object} [details]
+ * @param {string} [details.confirmation] - Agency confirmation number
+ */
+export function markReportSubmitted(catchId, { confirmation = null } = {}) {
+  return setReportStatus(catchId, REPORT_STATUS.SUBMITTED, {
+    submittedAt: new Date().toISOString(),
+    confirmation,
+  });
+}
+
+export default {
+  REPORT_STATUS,
+  getCatchRequirement,
+  getReportStatus,
+  getReportDueDate,
+  getReferenceCode,
+  buildHarvestReport,
+  getPendingReports,
+  exportHarvestReports,
+  markReportSubmitted,
+};
@@ -0,0 +1,107 @@
+/**
+ * Hotspot Service — ProFish
+ * Fish hotspots for the map heatmap (#573)
+ *
+ * Reads the `aggregated-catches` source behind the fish_hotspots layer.
+ * The aggregation itself runs outside the app, in
+ * scripts/aggregate-hotspots.js with admin credentials: it bins every
+ * angler's synced catches into geohash cells, publishes only cells that
+ * pass its k-anonymity thresholds, and writes weighted, jittered points.
+ * The app never reads anyone's raw catches — only the published tiles.
+ *
+ * Firestore layout (written by the script):
+ *   fish_hotspots/{tile} → { tile, precision, generatedAt, cells }
+ *   cells: [{ cell, species, season, weight, latitude, longitude }]
+ * A tile is a TILE_PRECISION geohash (about 150 km), so the map reads the
+ * tile under it and the eight around it.
+ */
+
+import cacheService from './cacheService';
+import { FIRESTORE_EMULATOR_HOST } from '../config/env';
+import { encodeGeohash, geohashNeighbors } from '../utils/geo';
+
+export const HOTSPOT_COLLECTION = 'fish_hotspots';
+export const TILE_PRECISION = 3;
+const CACHE_TTL = 12 * 60 * 60 * 1000; // The job runs daily
+
+export const ALL = 'all';
+export const HOTSPOT_SEASONS = ['winter', 'spring', 'summer', 'autumn'];
+
+/**
+ * Meteorological season at a date, flipped south of the equator. The
+ * aggregation script splits catches with this too.
+ */
+export function seasonOf(date, latitude = 0) {
+  const month = new Date(date).getUTCMonth();
+  const index = Math.floor(((month + 1) % 12) / 3); // Dec–Feb is 0
+  return HOTSPOT_SEASONS[latitude < 0 ? (index + 2) % 4 : index];
+}
+
+/**
+ * Hotspot cells as a GeoJSON FeatureCollection of weighted points
+ */
+export function toHotspotGeoJSON(cells, { species = ALL, season = ALL } = {}) {
+  return {
+    type: 'FeatureCollection',
+    features: cells
+      .filter(c => c.species === species && c.season === season)
+      .map(c => ({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [c.longitude, c.latitude] },
+        properties: {
+          weight: c.weight,
+          species: c.species,
+          season: c.season,
+        },
+      })),
+  };
+}
+
+let emulatorConnected = false;
+
+// Pointed at a local emulator when FIRESTORE_EMULATOR_HOST is set
+function getDb() {
+  const firestore = require('@react-native-firebase/firestore').default;
+  const db = firestore();
+  if (FIRESTORE_EMULATOR_HOST && !emulatorConnected) {
+    const [host, port] = FIRESTORE_EMULATOR_HOST.split(':');
+    db.useEmulator(host, Number(port) || 8080);
+    emulatorConnected = true;
+  }
+  return db;
+}
+
+/**
+ * Hotspots around a position for the map layer
+ * @param {Object} [filter] - { species, season }, ALL by default
+ * @param {Object} [db] - Firestore instance, the app's by default
+ * @returns {Promise<Object>} GeoJSON FeatureCollection, points weighted 1–5
+ */
+export async function getHotspots(latitude, longitude, filter = {}, db) {
+  const tiles = geohashNeighbors(
+    encodeGeohash(latitude, longitude, TILE_PRECISION),
+  );
+  const cells = [];
+  for (const tile of tiles) {
+    const key = `hotspots_${tile}`;
+    let tileCells = await cacheService.get(key);
+    if (!tileCells) {
+      const doc = await (db || getDb())
+        .collection(HOTSPOT_COLLECTION)
+        .doc(tile)
+        .get();
+      tileCells = doc.data()?.cells || [];
+      await cacheService.set(key, tileCells, CACHE_TTL);
+    }
+    cells.push(...tileCells);
+  }
+  return toHotspotGeoJSON(cells, filter);
+}
+
+export default {
+  ALL,
+  HOTSPOT_SEASONS,
+  seasonOf,
+  toHotspotGeoJSON,
+  getHotspots,
+};
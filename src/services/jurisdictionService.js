@@ -0,0 +1,123 @@
+/**
+ * Jurisdiction Service — ProFish
+ * Resolves a lat/lng to the regulation stack that applies there (#534)
+ *
+ * Stack layers (GeoJSON feature `properties.kind`):
+ *   jurisdiction     → state/province, keyed by REGULATIONS_DB regionCode
+ *   management_zone  → special zone inside a jurisdiction, may override rules
+ *   waters           → marine waters outline (`properties.waters: 'marine'`)
+ *
+ * Coarse boundaries are bundled in src/data/regulationBoundaries.json so
+ * resolution works offline; a signed `_boundaries` regulation pack can
+ * update them via loadBoundaries().
+ */
+
+import bundledBoundaries from '../data/regulationBoundaries.json';
+import { featureContains, geometryBBox } from '../utils/geo';
+
+// Indexed features: { feature, bbox }
+let index = [];
+let boundariesVersion = null;
+
+/**
+ * Load (or merge) a GeoJSON FeatureCollection of regulation boundaries.
+ * Features are keyed by `id`; later loads replace earlier features.
+ */
+export function loadBoundaries(collection, { replace = false } = {}) {
+  if (!collection?.features) return 0;
+  const byId = new Map(replace ? [] : index.map(e => [e.feature.id, e]));
+  for (const feature of collection.features) {
+    if (!feature?.geometry) continue;
+    const id = feature.id ?? feature.properties?.zoneId;
+    byId.set(id, { feature, bbox: geometryBBox(feature.geometry) });
+  }
+  index = Array.from(byId.values());
+  boundariesVersion = collection.metadata?.version || boundariesVersion;
+  return collection.features.length;
+}
+
+export function getBoundariesVersion() {
+  return boundariesVersion;
+}
+
+function featuresAt(latitude, longitude) {
+  return index
+    .filter(({ feature, bbox }) =>
+      featureContains(feature, latitude, longitude, bbox),
+    )
+    .map(e => e.feature);
+}
+
+/**
+ * Resolve the regulation stack for a point
+ * @param {number} latitude
+ * @param {number} longitude
+ * @param {Object} [options]
+ * @param {string} [options.waterType] - Catch water type, used when no
+ *   marine outline covers the point ('saltwater' | 'brackish' | 'freshwater').
+ *   Without either, `waters` is null.
+ * @returns {{
+ *   regionCode: string|null,
+ *   name: string|null,
+ *   country: string|null,
+ *   zones: Object[],
+ *   waters: 'marine'|'inland'|null,
+ *   watersSource: 'boundary'|'hint'|null,
+ * }}
+ */
+export function resolveJurisdiction(latitude, longitude, options = {}) {
+  const empty = {
+    regionCode: null,
+    name: null,
+    country: null,
+    zones: [],
+    waters: null,
+    watersSource: null,
+  };
+  if (latitude == null || longitude == null) return empty;
+
+  const hits = featuresAt(latitude, longitude);
+  const jurisdiction = hits.find(f => f.properties.kind === 'jurisdiction');
+  const regionCode = jurisdiction?.properties.regionCode || null;
+
+  const zones = hits
+    .filter(
+      f =>
+        f.properties.kind === 'management_zone' &&
+        f.properties.regionCode === regionCode,
+    )
+    .map(f => ({
+      id: f.properties.zoneId,
+      name: f.properties.name,
+      notes: f.properties.notes || null,
+      ruleOverrides: f.properties.ruleOverrides || {},
+    }));
+
+  let waters = null;
+  let watersSource = null;
+  if (hits.some(f => f.properties.kind === 'waters')) {
+    waters = 'marine';
+    watersSource = 'boundary';
+  } else if (options.waterType) {
+    waters = options.waterType === 'freshwater' ? 'inland' : 'marine';
+    watersSource = 'hint';
+  }
+
+  return {
+    ...empty,
+    regionCode,
+    name: jurisdiction?.properties.name || null,
+    country: jurisdiction?.properties.country || null,
+    zones,
+    waters,
+    watersSource,
+  };
+}
+
+loadBoundaries(bundledBoundaries);
+
+export default {
+  loadBoundaries,
+  getBoundariesVersion,
+  resolveJurisdiction,
+};
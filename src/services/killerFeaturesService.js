@@ -4,6 +4,7 @@
  */
 
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { getSunEvents } from './ephemerisService';
 
 // ============================================
 // #544 — Smart Bite Alarm / Notification Engine
@@ -168,10 +169,48 @@ const WEATHER_DANGER_THRESHOLDS = {
     message: '🌊 Rough seas — wave height above 2.5m. Stay in port.',
     priority: 'critical',
   },
+  // #567 — From a marineForecastService hour
+  SMALL_CRAFT_ADVISORY: {
+    message: '🚩 Small craft advisory — strong wind or high seas.',
+    priority: 'warning',
+  },
+  GALE_WARNING: {
+    message: '🚩🚩 Gale warning — winds 34–47 knots. Stay in port.',
+    priority: 'critical',
+  },
+  STORM_WARNING: {
+    message: '🟥 Storm warning — winds 48 knots or more. Stay in port.',
+    priority: 'critical',
+  },
+  UNSAFE_FOR_BOAT: {
+    message: '⛔ Conditions are beyond your boat and experience.',
+    priority: 'critical',
+  },
+  MARGINAL_FOR_BOAT: {
+    message: '⚠️ Marginal conditions for your boat — stay close to shelter.',
+    priority: 'warning',
+  },
+};
+
+const ADVISORY_DANGERS = {
+  small_craft: 'SMALL_CRAFT_ADVISORY',
+  gale: 'GALE_WARNING',
+  storm: 'STORM_WARNING',
 };
 
+const SAFETY_DANGERS = {
+  no_go: 'UNSAFE_FOR_BOAT',
+  caution: 'MARGINAL_FOR_BOAT',
+};
+
+/**
+ * @param {Object} weatherData - { windSpeedKmh, tempC, visibilityKm,
+ *   waveHeightM, marine } where `marine` is an hour from
+ *   marineForecastService.getMarineForecast (advisory + safety verdict)
+ */
 function checkWeatherDangers(weatherData) {
   const dangers = [];
+  const { marine } = weatherData;
 
   if (
     weatherData.windSpeedKmh >= WEATHER_DANGER_THRESHOLDS.HIGH_WIND.speedKmh
@@ -196,15 +235,28 @@ function checkWeatherDangers(weatherData) {
   ) {
     dangers.push({ ...WEATHER_DANGER_THRESHOLDS.FOG, type: 'FOG' });
   }
+  const waveHeightM = weatherData.waveHeightM ?? marine?.waveHeight;
   if (
-    weatherData.waveHeightM !== undefined &&
-    weatherData.waveHeightM >= WEATHER_DANGER_THRESHOLDS.ROUGH_SEAS.waveHeightM
+    waveHeightM != null &&
+    waveHeightM >= WEATHER_DANGER_THRESHOLDS.ROUGH_SEAS.waveHeightM
   ) {
     dangers.push({
       ...WEATHER_DANGER_THRESHOLDS.ROUGH_SEAS,
       type: 'ROUGH_SEAS',
     });
   }
+  const advisory = ADVISORY_DANGERS[marine?.advisory];
+  if (advisory) {
+    dangers.push({ ...WEATHER_DANGER_THRESHOLDS[advisory], type: advisory });
+  }
+  const boat = SAFETY_DANGERS[marine?.safety?.verdict];
+  if (boat) {
+    dangers.push({
+      ...WEATHER_DANGER_THRESHOLDS[boat],
+      type: boat,
+      reasons: marine.safety.reasons,
+    });
+  }
 
   return dangers.sort((a, b) => (a.priority === 'critical' ? -1 : 1));
 }
@@ -379,72 +431,28 @@ async function updateFishingStreak() {
 // #555 — Sunrise/Sunset Widget Data
 // ============================================
 function calculateSunTimes(lat, lon, date = new Date()) {
-  // Simplified sunrise/sunset calculation
-  const J = Math.floor(date.getTime() / 86400000) + 2440587.5;
-  const n = J - 2451545.0 + 0.0008;
-  const Js = n - lon / 360;
-  const M = (357.5291 + 0.98560028 * Js) % 360;
-  const C =
-    1.9148 * Math.sin((M * Math.PI) / 180) +
-    0.02 * Math.sin((2 * M * Math.PI) / 180);
-  const lambda = (M + C + 180 + 102.9372) % 360;
-  const delta =
-    (Math.asin(
-      Math.sin((lambda * Math.PI) / 180) * Math.sin((23.44 * Math.PI) / 180),
-    ) *
-      180) /
-    Math.PI;
-  const cosOmega =
-    (Math.sin((-0.83 * Math.PI) / 180) -
-      Math.sin((lat * Math.PI) / 180) * Math.sin((delta * Math.PI) / 180)) /
-    (Math.cos((lat * Math.PI) / 180) * Math.cos((delta * Math.PI) / 180));
-
-  if (cosOmega > 1 || cosOmega < -1) {
+  const { sunrise, sunset } = getSunEvents(lat, lon, date);
+
+  if (!sunrise || !sunset) {
     return { sunrise: null, sunset: null, goldenHour: null, blueHour: null };
   }
 
-  const omega = (Math.acos(cosOmega) * 180) / Math.PI;
-  const Jtransit =
-    2451545.0 +
-    Js +
-    0.0053 * Math.sin((M * Math.PI) / 180) -
-    0.0069 * Math.sin((2 * lambda * Math.PI) / 180);
-  const Jrise = Jtransit - omega / 360;
-  const Jset = Jtransit + omega / 360;
-
-  const toDate = jd => new Date((jd - 2440587.5) * 86400000);
-
-  const sunrise = toDate(Jrise);
-  const sunset = toDate(Jset);
-
-  return {
-    sunrise: sunrise.toLocaleTimeString([], {
-      hour: '2-digit',
-      minute: '2-digit',
-    }),
-    sunset: sunset.toLocaleTimeString([], {
+  const time = d =>
+    d.toLocaleTimeString([], {
       hour: '2-digit',
       minute: '2-digit',
-    }),
+    });
+
+  return {
+    sunrise: time(sunrise),
+    sunset: time(sunset),
     goldenHourMorning: {
-      start: sunrise.toLocaleTimeString([], {
-        hour: '2-digit',
-        minute: '2-digit',
-      }),
-      end: new Date(sunrise.getTime() + 3600000).toLocaleTimeString([], {
-        hour: '2-digit',
-        minute: '2-digit',
-      }),
+      start: time(sunrise),
+      end: time(new Date(sunrise.getTime() + 3600000)),
     },
     goldenHourEvening: {
-      start: new Date(sunset.getTime() - 3600000).toLocaleTimeString([], {
-        hour: '2-digit',
-        minute: '2-digit',
-      }),
-      end: sunset.toLocaleTimeString([], {
-        hour: '2-digit',
-        minute: '2-digit',
-      }),
+      start: time(new Date(sunset.getTime() - 3600000)),
+      end: time(sunset),
     },
     dayLength: Math.round((sunset - sunrise) / 60000), // minutes
   };
@@ -0,0 +1,195 @@
+/**
+ * License Service — ProFish
+ *
+ * Digital license wallet: fishing licenses, stamps and endorsements per
+ * jurisdiction, with photos of the physical card and expiry dates.
+ * Each entry lists the privilege keys it covers (see `licensing` in
+ * regulationsService), so checkLegality can spot a missing stamp.
+ *
+ * License numbers are personal — the wallet stays on device and is never
+ * synced. Renewal reminders are in-app reminders from notificationService,
+ * kept on the device too. They are not system notifications: a reminder
+ * only shows once ProFish is opened or brought back after it falls due.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import notificationService from './notificationService';
+import { getLicenseInfo } from './regulationsService';
+
+const LICENSES_KEY = '@profish_licenses';
+
+// Remind this many days before expiry (0 = on the day)
+const REMINDER_DAYS = [30, 7, 0];
+const REMINDER_HOUR = 9;
+
+// ── License Data Model ───────────────────────────────────
+
+export function createLicense({
+  regionCode,
+  name = '',
+  number = '',
+  privileges = [],
+  holderName = '',
+  issuedAt = null,
+  expiresAt = null, // YYYY-MM-DD, null = lifetime
+  photos = [],
+  notes = '',
+}) {
+  return {
+    id: `lic_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+    regionCode,
+    name,
+    number,
+    privileges,
+    holderName,
+    issuedAt,
+    expiresAt,
+    photos,
+    notes,
+    createdAt: new Date().toISOString(),
+  };
+}
+
+function parseDay(day) {
+  const [y, m, d] = day.split('-').map(Number);
+  return new Date(y, m - 1, d);
+}
+
+/**
+ * Whole days from `date` until the license expires (negative once expired)
+ */
+export function daysUntilExpiry(license, date = new Date()) {
+  if (!license.expiresAt) return null;
+  const today = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  return Math.round((parseDay(license.expiresAt) - today) / 86400000);
+}
+
+// ── Service ──────────────────────────────────────────────
+
+const licenseService = {
+  _licenses: [],
+  _loaded: false,
+
+  async init() {
+    if (this._loaded) return;
+    try {
+      const stored = await AsyncStorage.getItem(LICENSES_KEY);
+      this._licenses = stored ? JSON.parse(stored) : [];
+    } catch (e) {
+      console.warn('[LicenseService] Failed to load licenses:', e);
+      this._licenses = [];
+    }
+    this._loaded = true;
+  },
+
+  async getLicenses({ regionCode = null } = {}) {
+    await this.init();
+    return regionCode
+      ? this._licenses.filter(l => l.regionCode === regionCode)
+      : [...this._licenses];
+  },
+
+  async getLicenseById(id) {
+    await this.init();
+    return this._licenses.find(l => l.id === id) || null;
+  },
+
+  async addLicense(data) {
+    await this.init();
+    const license = createLicense(data);
+    this._licenses.unshift(license);
+    await this._persist();
+    await this._scheduleReminders(license);
+    return license;
+  },
+
+  async updateLicense(id, updates) {
+    await this.init();
+    const index = this._licenses.findIndex(l => l.id === id);
+    if (index === -1) throw new Error('License not found');
+    this._licenses[index] = {
+      ...this._licenses[index],
+      ...updates,
+      updatedAt: new Date().toISOString(),
+    };
+    await this._persist();
+    await this._scheduleReminders(this._licenses[index]);
+    return this._licenses[index];
+  },
+
+  async deleteLicense(id) {
+    await this.init();
+    this._licenses = this._licenses.filter(l => l.id !== id);
+    await this._persist();
+    await notificationService.cancelReminders(`license_${id}_`);
+  },
+
+  async addPhoto(id, uri) {
+    const license = await this.getLicenseById(id);
+    if (!license) throw new Error('License not found');
+    return this.updateLicense(id, { photos: [...license.photos, uri] });
+  },
+
+  async removePhoto(id, uri) {
+    const license = await this.getLicenseById(id);
+    if (!license) throw new Error('License not found');
+    return this.updateLicense(id, {
+      photos: license.photos.filter(p => p !== uri),
+    });
+  },
+
+  /**
+   * Licenses expiring within `days` (already-expired ones included)
+   */
+  async getExpiringLicenses(days = 30, date = new Date()) {
+    await this.init();
+    return this._licenses
+      .map(l => ({ ...l, daysLeft: daysUntilExpiry(l, date) }))
+      .filter(l => l.daysLeft !== null && l.daysLeft <= days)
+      .sort((a, b) => a.daysLeft - b.daysLeft);
+  },
+
+  // ─── Reminders ──────────────────────────────────────
+
+  async _scheduleReminders(license) {
+    const prefix = `license_${license.id}_`;
+    await notificationService.cancelReminders(prefix);
+    if (!license.expiresAt) return;
+
+    const region = getLicenseInfo(license.regionCode);
+    const where = region ? ` (${region.state})` : '';
+    const now = new Date();
+    for (const days of REMINDER_DAYS) {
+      const fireAt = parseDay(license.expiresAt);
+      fireAt.setDate(fireAt.getDate() - days);
+      fireAt.setHours(REMINDER_HOUR, 0, 0, 0);
+      if (fireAt <= now) continue;
+
+      await notificationService.scheduleReminder({
+        id: `${prefix}${days}`,
+        fireAt: fireAt.toISOString(),
+        type: 'license',
+        title: days === 0 ? 'License Expires Today' : 'License Renewal',
+        body:
+          days === 0
+            ? `Your ${license.name}${where} expires today.`
+            : `Your ${license.name}${where} expires in ${days} days.`,
+        data: {
+          licenseId: license.id,
+          regionCode: license.regionCode,
+          licenseUrl: region?.licenseUrl || null,
+        },
+      });
+    }
+  },
+
+  async _persist() {
+    try {
+      await AsyncStorage.setItem(LICENSES_KEY, JSON.stringify(this._licenses));
+    } catch (e) {
+      console.warn('[LicenseService] Failed to persist:', e);
+    }
+  },
+};
+
+export default licenseService;
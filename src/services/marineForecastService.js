@@ -0,0 +1,275 @@
+/**
+ * Marine Forecast Service — ProFish
+ * Hourly waves, swell, sea temperature and a go/no-go call for your boat (#567)
+ *
+ * The marine model (weatherService.getHourlyMarine) gives wave and swell
+ * height, period and direction plus sea surface temperature; wind comes
+ * from the hourly weather forecast. Each hour gets:
+ *   - an advisory level from wind and sea state, after the NWS marine
+ *     warnings: small craft (22–33 kn or seas ≥ 2 m), gale (34–47 kn),
+ *     storm (48 kn+)
+ *   - a safety verdict for the user's boat: what's fine in a 7 m centre
+ *     console is a bad day in a 4 m tinny, and a beginner should turn
+ *     back sooner than an old hand
+ *
+ * The verdict is a guide, not a substitute for local warnings.
+ */
+
+import preferencesService from './preferencesService';
+import weatherService from './weatherService';
+
+const HOUR_MS = 60 * 60 * 1000;
+const KMH_PER_KNOT = 1.852;
+
+export const VERDICTS = ['go', 'caution', 'no_go'];
+export const BOAT_SKILLS = ['beginner', 'intermediate', 'expert'];
+
+export const DEFAULT_BOAT_PROFILE = { lengthM: 5, skill: 'intermediate' };
+
+// Wave height a boat handles comfortably, as a share of its length, and
+// the sustained wind (km/h) before the ride gets wet and slow
+const SKILL_LIMITS = {
+  beginner: { waveShare: 0.1, windKmh: 20 },
+  intermediate: { waveShare: 0.15, windKmh: 30 },
+  expert: { waveShare: 0.2, windKmh: 40 },
+};
+
+// Past the comfortable limit by this much it's a no-go
+const CAUTION_MARGIN = 1.5;
+
+// Deep-water wavelength is 1.56·T² m; waves steeper than 1/20 of it are
+// short, breaking chop that handles like a bigger sea
+const STEEP_WAVE = 1 / 20;
+const STEEP_FACTOR = 1.25;
+
+export const ADVISORY_LEVELS = {
+  small_craft: { windKn: 22, waveM: 2, label: 'Small craft advisory' },
+  gale: { windKn: 34, label: 'Gale warning' },
+  storm: { windKn: 48, label: 'Storm warning' },
+};
+
+// ── Forecast ─────────────────────────────────────────────
+
+/**
+ * Hourly marine forecast with wind, advisories and safety for the user's
+ * boat
+ * @param {Object} [options] - { hours = 72, profile } profile defaults
+ *   to the saved boat profile
+ * @returns {Promise<Object|null>} { hours, profile, provider, fetchedAt }
+ *   — null away from the sea (the marine model has no data inland)
+ */
+export async function getMarineForecast(
+  latitude,
+  longitude,
+  { hours = 72, profile } = {},
+) {
+  const sea = await weatherService.getHourlyMarine(latitude, longitude, {
+    hours,
+  });
+  if (!sea?.hours.some(h => h.waveHeight != null)) return null;
+
+  const weather = await weatherService
+    .getHourlyForecast(latitude, longitude, { hours })
+    .catch(() => null);
+  const wind = new Map(
+    (weather?.hours || []).map(h => [
+      h.time,
+      { windSpeed: h.windSpeed, windGusts: h.windGusts ?? null },
+    ]),
+  );
+
+  const boat = profile || (await getBoatProfile());
+  return {
+    hours: sea.hours.map(h => {
+      const hour = {
+        ...h,
+        windSpeed: null,
+        windGusts: null,
+        ...wind.get(h.time),
+      };
+      return {
+        ...hour,
+        advisory: classifyAdvisory(hour),
+        safety: rateSafety(hour, boat),
+      };
+    }),
+    profile: boat,
+    provider: sea.provider,
+    fetchedAt: new Date().toISOString(),
+  };
+}
+
+// ── Advisories and safety ────────────────────────────────
+
+/**
+ * Marine warning level for an hour
+ * @param {Object} hour - { windSpeed (km/h), waveHeight (m) }
+ * @returns {'storm'|'gale'|'small_craft'|null}
+ */
+export function classifyAdvisory({ windSpeed, waveHeight }) {
+  const knots = windSpeed != null ? windSpeed / KMH_PER_KNOT : 0;
+  if (knots >= ADVISORY_LEVELS.storm.windKn) return 'storm';
+  if (knots >= ADVISORY_LEVELS.gale.windKn) return 'gale';
+  if (
+    knots >= ADVISORY_LEVELS.small_craft.windKn ||
+    (waveHeight ?? 0) >= ADVISORY_LEVELS.small_craft.waveM
+  ) {
+    return 'small_craft';
+  }
+  return null;
+}
+
+/**
+ * Go / caution / no-go for one hour in a given boat
+ * @param {Object} hour - { waveHeight, wavePeriod, windSpeed, windGusts }
+ * @param {Object} [profile] - { lengthM, skill }
+ * @returns {{ verdict: 'go'|'caution'|'no_go', reasons: string[] }}
+ */
+export function rateSafety(hour, profile = DEFAULT_BOAT_PROFILE) {
+  const lengthM = Number(profile?.lengthM) || DEFAULT_BOAT_PROFILE.lengthM;
+  const limits = SKILL_LIMITS[profile?.skill] || SKILL_LIMITS.intermediate;
+  let level = 0;
+  const reasons = [];
+  const raise = (to, reason) => {
+    level = Math.max(level, to);
+    reasons.push(reason);
+  };
+
+  if (hour.waveHeight != null) {
+    const steep =
+      hour.wavePeriod > 0 &&
+      hour.waveHeight / (1.56 * hour.wavePeriod ** 2) > STEEP_WAVE;
+    const effective = hour.waveHeight * (steep ? STEEP_FACTOR : 1);
+    const comfortable = lengthM * limits.waveShare;
+    if (effective > comfortable) {
+      raise(
+        effective > comfortable * CAUTION_MARGIN ? 2 : 1,
+        `Waves ${hour.waveHeight.toFixed(1)}m${
+          steep ? ' and steep' : ''
+        } — over ${comfortable.toFixed(1)}m for a ${lengthM}m boat`,
+      );
+    }
+  }
+
+  if (hour.windSpeed != null && hour.windSpeed > limits.windKmh) {
+    raise(
+      hour.windSpeed > limits.windKmh * CAUTION_MARGIN ? 2 : 1,
+      `Wind ${Math.round(hour.windSpeed)} km/h`,
+    );
+  }
+  if (hour.windGusts != null && hour.windGusts > limits.windKmh * 1.5) {
+    raise(1, `Gusts ${Math.round(hour.windGusts)} km/h`);
+  }
+
+  const advisory = classifyAdvisory(hour);
+  if (advisory === 'gale' || advisory === 'storm') {
+    raise(2, ADVISORY_LEVELS[advisory].label);
+  } else if (advisory === 'small_craft') {
+    raise(profile?.skill === 'beginner' ? 2 : 1, 'Small craft advisory');
+  }
+
+  return { verdict: VERDICTS[level], reasons };
+}
+
+/**
+ * Runs of consecutive hours with the same verdict
+ * @param {Object[]} hours - getMarineForecast hours
+ * @returns {{ start, end, verdict, reasons: string[] }[]} `end` is the
+ *   end of the last hour
+ */
+export function getSafetyWindows(hours) {
+  const windows = [];
+  for (const hour of hours || []) {
+    const verdict = hour.safety?.verdict || 'go';
+    const end = new Date(new Date(hour.time).getTime() + HOUR_MS);
+    const last = windows[windows.length - 1];
+    if (last && last.verdict === verdict && last.end === hour.time) {
+      last.end = end.toISOString();
+      for (const r of hour.safety?.reasons || []) {
+        if (!last.reasons.includes(r)) last.reasons.push(r);
+      }
+    } else {
+      windows.push({
+        start: hour.time,
+        end: end.toISOString(),
+        verdict,
+        reasons: [...(hour.safety?.reasons || [])],
+      });
+    }
+  }
+  return windows;
+}
+
+/**
+ * Verdict for a planned trip: the worst hour between start and end
+ * @returns {Promise<Object|null>} { verdict, advisory, unsafeWindows,
+ *   seaSurfaceTemp: { min, max }, hours } — null without marine data
+ *   or when the trip is past the forecast
+ */
+export async function assessTrip(latitude, longitude, start, end, options) {
+  const from = new Date(start).getTime();
+  const to = new Date(end).getTime();
+  const hoursAhead = Math.ceil((to - Date.now()) / HOUR_MS);
+  if (hoursAhead <= 0) return null;
+
+  const forecast = await getMarineForecast(latitude, longitude, {
+    ...options,
+    hours: Math.max(24, hoursAhead),
+  });
+  const hours = (forecast?.hours || []).filter(h => {
+    const t = new Date(h.time).getTime();
+    return t >= from && t < to;
+  });
+  if (hours.length === 0) return null;
+
+  const worst = Math.max(...hours.map(h => VERDICTS.indexOf(h.safety.verdict)));
+  const advisories = ['storm', 'gale', 'small_craft'];
+  const temps = hours.map(h => h.seaSurfaceTemp).filter(t => t != null);
+
+  return {
+    verdict: VERDICTS[worst],
+    advisory: advisories.find(a => hours.some(h => h.advisory === a)) || null,
+    unsafeWindows: getSafetyWindows(hours).filter(w => w.verdict !== 'go'),
+    seaSurfaceTemp: temps.length
+      ? { min: Math.min(...temps), max: Math.max(...temps) }
+      : null,
+    hours,
+  };
+}
+
+// ── Boat profile ─────────────────────────────────────────
+
+export async function getBoatProfile() {
+  const prefs = await preferencesService.getPreferences();
+  return { ...DEFAULT_BOAT_PROFILE, ...prefs.boatProfile };
+}
+
+/**
+ * @param {Object} updates - { lengthM?, skill? }
+ */
+export async function setBoatProfile(updates) {
+  const profile = { ...(await getBoatProfile()), ...updates };
+  if (!(Number(profile.lengthM) > 0)) {
+    throw new Error('Boat length must be a positive number of metres');
+  }
+  if (!BOAT_SKILLS.includes(profile.skill)) {
+    throw new Error('Unknown skill level');
+  }
+  profile.lengthM = Number(profile.lengthM);
+  await preferencesService.setPreference('boatProfile', profile);
+  return profile;
+}
+
+export default {
+  VERDICTS,
+  BOAT_SKILLS,
+  ADVISORY_LEVELS,
+  DEFAULT_BOAT_PROFILE,
+  getMarineForecast,
+  classifyAdvisory,
+  rateSafety,
+  getSafetyWindows,
+  assessTrip,
+  getBoatProfile,
+  setBoatProfile,
+};
@@ -4,163 +4,30 @@
  * Machine learning model that predicts optimal fishing conditions
  * based on historical catch data, weather, tides, and location.
  *
- * Phase 1: Rule-based scoring with weighted factors
+ * Phase 1: Rule-based scoring with weighted factors — the 'conditions'
+ *          preset of scoringService (#425)
  * Phase 2: TFLite on-device model trained on anonymized catch data
  */
 
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { COLORS } from '../config/theme';
+import { classifyPressureChange } from './pressureTrendService';
+import { scoreConditions } from './scoringService';
 
-// ── Scoring Weights ──────────────────────────────────────
+const HPA_PER_INHG = 33.8639;
+const KMH_PER_MPH = 1.60934;
 
-const WEIGHTS = {
-  // Weather factors
-  barometric_pressure: 0.15,
-  wind_speed: 0.1,
-  temperature: 0.08,
-  cloud_cover: 0.06,
-  precipitation: 0.04,
+const toC = f => (f == null ? null : (f - 32) / 1.8);
 
-  // Water factors
-  water_temp: 0.12,
-  tide_phase: 0.1,
-  moon_phase: 0.08,
-  current_speed: 0.05,
-
-  // Time factors
-  time_of_day: 0.1,
-  season: 0.06,
-
-  // Historical
-  historical_success: 0.06,
-};
-
-// ── Ideal Condition Ranges per Category ──────────────────
-
-const IDEAL_CONDITIONS = {
-  freshwater: {
-    barometric_pressure: { min: 29.8, max: 30.2, unit: 'inHg' },
-    wind_speed: { min: 3, max: 12, unit: 'mph' },
-    temperature: { min: 55, max: 80, unit: '°F' },
-    water_temp: { min: 55, max: 75, unit: '°F' },
-  },
-  saltwater: {
-    barometric_pressure: { min: 29.7, max: 30.3, unit: 'inHg' },
-    wind_speed: { min: 5, max: 15, unit: 'mph' },
-    temperature: { min: 60, max: 90, unit: '°F' },
-    water_temp: { min: 60, max: 82, unit: '°F' },
-  },
+// Tide phases as tideService states; turning tides count as slack
+const TIDE_PHASES = {
+  incoming: { state: 'rising', progress: 50 },
+  outgoing: { state: 'falling', progress: 50 },
+  high: { state: 'rising', progress: 100 },
+  low: { state: 'falling', progress: 100 },
+  slack: { state: 'slack', current: { phase: 'slack', strength: 0 } },
 };
 
-// ── Time-of-Day Scoring ──────────────────────────────────
-
-function timeOfDayScore(hour) {
-  // Dawn (5-7) and dusk (17-19) are best
-  if (hour >= 5 && hour <= 7) return 1.0;
-  if (hour >= 17 && hour <= 19) return 1.0;
-  // Early morning (7-9) and late evening (19-21) are good
-  if (hour >= 7 && hour <= 9) return 0.8;
-  if (hour >= 19 && hour <= 21) return 0.7;
-  // Midday is worst
-  if (hour >= 11 && hour <= 14) return 0.3;
-  return 0.5;
-}
-
-// ── Moon Phase Scoring ───────────────────────────────────
-
-function moonPhaseScore(phase) {
-  // 0 = new moon, 0.5 = full moon
-  // Major: full (0.5) and new (0/1) are best
-  // Minor: quarters (0.25, 0.75) are decent
-  const distToMajor = Math.min(
-    Math.abs(phase),
-    Math.abs(phase - 0.5),
-    Math.abs(phase - 1),
-  );
-  if (distToMajor < 0.05) return 1.0; // Major period
-  if (distToMajor < 0.1) return 0.8;
-  const distToMinor = Math.min(Math.abs(phase - 0.25), Math.abs(phase - 0.75));
-  if (distToMinor < 0.05) return 0.7; // Minor period
-  return 0.4;
-}
-
-// ── Tide Phase Scoring ───────────────────────────────────
-
-function tidePhaseScore(phase) {
-  // 'incoming' / 'moving' tides are best
-  const scores = {
-    incoming: 1.0,
-    outgoing: 0.8,
-    high: 0.5,
-    low: 0.4,
-    slack: 0.3,
-  };
-  return scores[phase] || 0.5;
-}
-
-// ── Range Scoring ────────────────────────────────────────
-
-function rangeScore(value, min, max) {
-  if (value >= min && value <= max) return 1.0;
-  const range = max - min;
-  const dist = value < min ? min - value : value - max;
-  const penalty = dist / (range * 0.5);
-  return Math.max(0, 1 - penalty);
-}
-
-// ── Barometric Pressure Trend ────────────────────────────
-
-function pressureTrendScore(trend) {
-  // Falling pressure = fish feed more
-  const scores = {
-    falling: 1.0,
-    steady: 0.7,
-    rising: 0.5,
-    rapidly_falling: 0.4, // Storm incoming — variable
-    rapidly_rising: 0.3, // Post-front — slow
-  };
-  return scores[trend] || 0.5;
-}
-
-// ── Season Scoring (species dependent) ───────────────────
-
-function seasonScore(month, targetSpecies) {
-  // Default scoring — spring/fall best for most species
-  const defaultScores = [
-    0.4,
-    0.4,
-    0.6,
-    0.8,
-    1.0,
-    0.9, // Jan-Jun
-    0.7,
-    0.7,
-    0.8,
-    1.0,
-    0.6,
-    0.4, // Jul-Dec
-  ];
-
-  // Species-specific overrides
-  const overrides = {
-    largemouth_bass: [
-      0.2, 0.3, 0.6, 0.9, 1.0, 0.9, 0.8, 0.7, 0.8, 0.9, 0.5, 0.2,
-    ],
-    rainbow_trout: [0.7, 0.8, 1.0, 1.0, 0.8, 0.5, 0.3, 0.3, 0.5, 0.8, 0.9, 0.8],
-    atlantic_salmon: [
-      0.2, 0.3, 0.4, 0.5, 0.7, 1.0, 1.0, 0.9, 0.8, 0.5, 0.3, 0.2,
-    ],
-    bluefin_tuna: [0.2, 0.2, 0.3, 0.4, 0.5, 0.8, 0.9, 1.0, 1.0, 0.8, 0.4, 0.2],
-    red_snapper: [0.3, 0.3, 0.4, 0.5, 0.6, 1.0, 0.9, 0.8, 0.7, 0.5, 0.4, 0.3],
-    walleye: [0.5, 0.6, 0.8, 1.0, 0.9, 0.7, 0.5, 0.5, 0.7, 0.9, 0.8, 0.6],
-    northern_pike: [0.3, 0.5, 0.8, 1.0, 0.9, 0.6, 0.4, 0.4, 0.7, 0.9, 0.7, 0.4],
-  };
-
-  const month0 = month - 1; // Convert to 0-indexed
-  const scores = overrides[targetSpecies] || defaultScores;
-  return scores[month0] || 0.5;
-}
-
 // ── Main Prediction Engine ───────────────────────────────
 
 const CACHE_KEY = '@profish_ml_conditions_cache';
@@ -172,7 +39,8 @@ const mlConditionsService = {
    * @param {Object} params
    * @param {string} params.habitat - 'freshwater' or 'saltwater'
    * @param {number} params.barometricPressure - in inHg
-   * @param {string} params.pressureTrend - 'falling', 'steady', 'rising'
+   * @param {string} params.pressureTrend - 'falling', 'steady', 'rising',
+   *   'rapidly_falling', 'rapidly_rising' (see pressureTrendService)
    * @param {number} params.windSpeed - in mph
    * @param {number} params.temperature - air temp in °F
    * @param {number} params.waterTemp - water temp in °F
@@ -180,10 +48,13 @@ const mlConditionsService = {
    * @param {number} params.precipitation - chance 0-100
    * @param {string} params.tidePhase - 'incoming', 'outgoing', 'high', 'low', 'slack'
    * @param {number} params.moonPhase - 0 to 1 (0 = new, 0.5 = full)
-   * @param {number} params.hour - 0 to 23
-   * @param {number} params.month - 1 to 12
+   * @param {Date|string} [params.date] - when the conditions are for, e.g.
+   *   the forecast hour's time
+   * @param {number} params.hour - 0 to 23, when no `date` is given
+   * @param {number} params.month - 1 to 12, when no `date` is given
    * @param {string} params.targetSpecies - species ID
-   * @returns {Object} { score, rating, factors, recommendation }
+   * @returns {Object} { score, rating, factors, recommendation } —
+   *   `factors` are scoringService factor scores (0-100)
    */
   predict(params) {
     const {
@@ -197,94 +68,36 @@ const mlConditionsService = {
       precipitation,
       tidePhase,
       moonPhase,
+      date: at,
       hour,
       month,
       targetSpecies,
     } = params;
 
-    const ideal = IDEAL_CONDITIONS[habitat] || IDEAL_CONDITIONS.freshwater;
-    const factors = {};
-
-    // Calculate each factor score
-    if (barometricPressure != null) {
-      factors.barometric_pressure = rangeScore(
-        barometricPressure,
-        ideal.barometric_pressure.min,
-        ideal.barometric_pressure.max,
-      );
-    }
-
-    if (pressureTrend) {
-      factors.barometric_pressure =
-        ((factors.barometric_pressure || 0.5) +
-          pressureTrendScore(pressureTrend)) /
-        2;
-    }
-
-    if (windSpeed != null) {
-      factors.wind_speed = rangeScore(
-        windSpeed,
-        ideal.wind_speed.min,
-        ideal.wind_speed.max,
-      );
-    }
-
-    if (temperature != null) {
-      factors.temperature = rangeScore(
-        temperature,
-        ideal.temperature.min,
-        ideal.temperature.max,
-      );
-    }
-
-    if (waterTemp != null) {
-      factors.water_temp = rangeScore(
-        waterTemp,
-        ideal.water_temp.min,
-        ideal.water_temp.max,
-      );
-    }
-
-    if (cloudCover != null) {
-      // Moderate cloud cover (40-70%) is ideal — reduces glare/visibility
-      factors.cloud_cover = rangeScore(cloudCover, 30, 70);
-    }
-
-    if (precipitation != null) {
-      // Light rain (10-30%) can be good; heavy rain is bad
-      factors.precipitation =
-        precipitation < 40 ? 0.8 : precipitation < 70 ? 0.5 : 0.2;
-    }
-
-    if (tidePhase) {
-      factors.tide_phase = tidePhaseScore(tidePhase);
-    }
-
-    if (moonPhase != null) {
-      factors.moon_phase = moonPhaseScore(moonPhase);
-    }
-
-    if (hour != null) {
-      factors.time_of_day = timeOfDayScore(hour);
-    }
-
-    if (month != null) {
-      factors.season = seasonScore(month, targetSpecies);
-    }
-
-    // Calculate weighted score
-    let totalWeight = 0;
-    let weightedSum = 0;
-
-    for (const [key, weight] of Object.entries(WEIGHTS)) {
-      if (factors[key] != null) {
-        weightedSum += factors[key] * weight;
-        totalWeight += weight;
-      }
-    }
-
-    const score =
-      totalWeight > 0 ? Math.round((weightedSum / totalWeight) * 100) : 50;
+    // Scored as of the caller's time, else the given hour and month this
+    // year; the moon is passed in
+    const date = at != null ? new Date(at) : new Date();
+    if (at == null && month != null) date.setMonth(month - 1, 15);
+    if (at == null && hour != null) date.setHours(hour, 0, 0, 0);
+
+    const { score, factors } = scoreConditions(
+      {
+        date,
+        habitat,
+        species: targetSpecies,
+        pressure:
+          barometricPressure != null ? barometricPressure * HPA_PER_INHG : null,
+        pressureTrend,
+        windSpeed: windSpeed != null ? windSpeed * KMH_PER_MPH : null,
+        airTemp: toC(temperature),
+        waterTemp: toC(waterTemp),
+        cloudCover,
+        precipitationChance: precipitation,
+        tide: TIDE_PHASES[tidePhase] || null,
+        moon: moonPhase != null ? { phase: moonPhase } : undefined,
+      },
+      { preset: 'conditions' },
+    );
 
     // Determine rating
     let rating, emoji, color;
@@ -319,6 +132,7 @@ const mlConditionsService = {
       emoji,
       color,
       factors,
+      preset: 'conditions',
       recommendation,
       timestamp: Date.now(),
     };
@@ -330,22 +144,29 @@ const mlConditionsService = {
   _generateRecommendation(score, factors, params) {
     const tips = [];
 
-    if (factors.time_of_day != null && factors.time_of_day < 0.5) {
+    if (factors.timeOfDay != null && factors.timeOfDay < 50) {
       tips.push(
         'Consider fishing at dawn (5-7 AM) or dusk (5-7 PM) for better results.',
       );
     }
 
-    if (
-      factors.barometric_pressure != null &&
-      factors.barometric_pressure < 0.5
-    ) {
+    if (factors.pressure != null && factors.pressure < 50) {
       tips.push(
         'Barometric pressure is outside ideal range. Fish may be less active.',
       );
     }
 
-    if (factors.wind_speed != null && factors.wind_speed < 0.4) {
+    if (params.pressureTrend === 'rapidly_falling') {
+      tips.push(
+        'Pressure is dropping fast — a front is coming. Fish hard before it arrives.',
+      );
+    } else if (params.pressureTrend === 'rapidly_rising') {
+      tips.push(
+        'Post-front high pressure — slow down and fish tight to cover.',
+      );
+    }
+
+    if (factors.wind != null && factors.wind < 40) {
       tips.push(
         params.windSpeed > 15
           ? 'High winds — fish deeper structure and sheltered spots.'
@@ -353,7 +174,7 @@ const mlConditionsService = {
       );
     }
 
-    if (factors.water_temp != null && factors.water_temp < 0.5) {
+    if (factors.waterTemp != null && factors.waterTemp < 50) {
       tips.push(
         params.waterTemp > 80
           ? "Warm water — fish deeper where it's cooler."
@@ -361,11 +182,11 @@ const mlConditionsService = {
       );
     }
 
-    if (factors.moon_phase != null && factors.moon_phase >= 0.8) {
+    if (factors.moonPhase >= 80) {
       tips.push('Major solunar period — fish are typically more active now!');
     }
 
-    if (factors.tide_phase != null && factors.tide_phase >= 0.8) {
+    if (factors.tideState != null && factors.tideState >= 80) {
       tips.push('Moving tide — excellent time for inshore species.');
     }
 
@@ -382,14 +203,22 @@ const mlConditionsService = {
 
   /**
    * Get best fishing windows for the next 24 hours
-   * @param {Object} hourlyForecast - Array of { hour, temp, windSpeed, pressure, ... }
+   * @param {Object} hourlyForecast - Array of { hour, time, temp, windSpeed, pressure, ... }
+   *   one hour apart. Each hour is scored as of its `time` (falling back
+   *   to `hour` today). `pressureTrend` per hour is derived from the
+   *   pressures over the previous 3 hours when not given.
    * @param {Object} opts - { habitat, targetSpecies, tideData, moonPhase }
+   *
+   * Hours carrying a marine `safety` verdict (marineForecastService, #567)
+   * keep it on their prediction; no-go hours are never offered as a top
+   * window, and `unsafeHours` counts them.
    */
   getBestWindows(hourlyForecast, opts = {}) {
-    const predictions = hourlyForecast.map(h => {
+    const predictions = hourlyForecast.map((h, i) => {
       const result = this.predict({
         habitat: opts.habitat || 'freshwater',
         barometricPressure: h.pressure,
+        pressureTrend: h.pressureTrend || this._trendAt(hourlyForecast, i),
         windSpeed: h.windSpeed,
         temperature: h.temp,
         waterTemp: h.waterTemp,
@@ -397,27 +226,42 @@ const mlConditionsService = {
         precipitation: h.precipitation,
         tidePhase: h.tidePhase,
         moonPhase: opts.moonPhase,
+        date: h.time,
         hour: h.hour,
-        month: new Date().getMonth() + 1,
         targetSpecies: opts.targetSpecies,
       });
-      return { hour: h.hour, ...result };
+      return h.safety
+        ? { hour: h.hour, ...result, safety: h.safety }
+        : { hour: h.hour, ...result };
     });
 
     // Sort by score, get top 3 windows
-    const sorted = [...predictions].sort((a, b) => b.score - a.score);
+    const safe = predictions.filter(p => p.safety?.verdict !== 'no_go');
+    const sorted = [...safe].sort((a, b) => b.score - a.score);
     const topWindows = sorted.slice(0, 3);
 
     return {
       predictions,
       topWindows,
       bestHour: topWindows[0],
+      unsafeHours: predictions.length - safe.length,
       avgScore: Math.round(
         predictions.reduce((sum, p) => sum + p.score, 0) / predictions.length,
       ),
     };
   },
 
+  /**
+   * Pressure trend at index i from up to 3 earlier hourly readings (inHg)
+   */
+  _trendAt(hourlyForecast, i) {
+    const from = Math.max(0, i - 3);
+    const then = hourlyForecast[from]?.pressure;
+    const now = hourlyForecast[i]?.pressure;
+    if (i === from || then == null || now == null) return undefined;
+    return classifyPressureChange((now - then) * HPA_PER_INHG, i - from);
+  },
+
   /**
    * Cache prediction for offline use
    */
@@ -14,6 +14,10 @@
  */
 
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { classifyPressureChange } from './pressureTrendService';
+import { scoreConditions, scoreFactors } from './scoringService';
+import { getSunEvents } from './ephemerisService';
+import { getMoonPhase, getSolunarPeriods } from './solunarService';
 
 const NIGHT_SESSIONS_KEY = '@profish_night_sessions';
 const NIGHT_PREFS_KEY = '@profish_night_prefs';
@@ -974,6 +978,9 @@ export const NIGHT_GEAR = [
 /**
  * Calculate a Night Fishing Score based on current conditions.
  * Factors: moon phase, cloud cover, wind, water temp, pressure trend, solunar.
+ * Scored with scoringService's 'night' preset, so it sits on the same
+ * scale as FishCast (#425). Each explanation's `impact` is its share of
+ * the distance from a neutral 50.
  *
  * @param {Object} conditions
  * @param {number} conditions.moonIllumination   0–100 (% lit)
@@ -990,7 +997,6 @@ export const NIGHT_GEAR = [
 export function calculateNightScore(conditions) {
   const {
     moonIllumination = 50,
-    moonPhase = 'first_quarter',
     cloudCoverPercent = 50,
     windSpeedKmh = 10,
     waterTempF = 65,
@@ -1000,182 +1006,144 @@ export function calculateNightScore(conditions) {
     hoursAfterSunset = 2,
   } = conditions;
 
-  let score = 50; // baseline
+  const context = {
+    moon: { illumination: moonIllumination },
+    cloudCover: cloudCoverPercent,
+    windSpeed: windSpeedKmh,
+    waterTemp: (waterTempF - 32) / 1.8,
+    pressureTrend: { trend: classifyPressureChange(pressureTrendMb, 3) },
+    solunarPeriod: isSolunarMajor ? 'major' : isSolunarMinor ? 'minor' : 'none',
+    hoursAfterSunset,
+  };
+  const result = scoreConditions(context, { preset: 'night' });
+  const { score, weights } = result;
+
+  // Split darkness between the moon and the clouds hiding it
+  const moonOnly = scoreFactors(['darkness'], { ...context, cloudCover: 0 });
+  const points = {
+    ...result.factors,
+    moon: moonOnly.darkness,
+    clouds: 50 + result.factors.darkness - moonOnly.darkness,
+  };
+  weights.moon = weights.darkness;
+  weights.clouds = weights.darkness;
+
   const factors = [];
+  const explain = (key, name, desc) =>
+    factors.push({
+      name,
+      impact: Math.round((points[key] - 50) * weights[key]),
+      desc,
+    });
 
-  // Moon illumination — sweet spot is 10–40% (enough light to see but not too bright)
+  // Moon illumination — lower is generally better for night fishing.
   // For catfish/eel: 0% is best. For bass: 40–80% is best.
-  // We use a general curve: lower is generally better for night fishing.
   if (moonIllumination < 10) {
-    score += 15;
-    factors.push({
-      name: 'New Moon Darkness',
-      impact: +15,
-      desc: 'Pitch dark — predators dominate',
-    });
+    explain('moon', 'New Moon Darkness', 'Pitch dark — predators dominate');
   } else if (moonIllumination < 30) {
-    score += 10;
-    factors.push({
-      name: 'Low Moonlight',
-      impact: +10,
-      desc: 'Low light favors night feeders',
-    });
+    explain('moon', 'Low Moonlight', 'Low light favors night feeders');
   } else if (moonIllumination < 50) {
-    score += 5;
-    factors.push({
-      name: 'Moderate Moon',
-      impact: +5,
-      desc: 'Decent visibility for topwater',
-    });
+    explain('moon', 'Moderate Moon', 'Decent visibility for topwater');
   } else if (moonIllumination < 80) {
-    score += 0;
-    factors.push({
-      name: 'Bright Moon',
-      impact: 0,
-      desc: 'Some fish less active',
-    });
+    explain('moon', 'Bright Moon', 'Some fish less active');
   } else {
-    score -= 5;
-    factors.push({
-      name: 'Full Moon Bright',
-      impact: -5,
-      desc: 'Very bright — some species retreat to depth',
-    });
+    explain(
+      'moon',
+      'Full Moon Bright',
+      'Very bright — some species retreat to depth',
+    );
   }
 
   // Cloud cover — clouds block moonlight (darker = better for most night species)
   if (cloudCoverPercent > 80) {
-    score += 10;
-    factors.push({
-      name: 'Overcast Sky',
-      impact: +10,
-      desc: 'Clouds block moonlight – maximum darkness',
-    });
+    explain(
+      'clouds',
+      'Overcast Sky',
+      'Clouds block moonlight – maximum darkness',
+    );
   } else if (cloudCoverPercent > 50) {
-    score += 5;
-    factors.push({
-      name: 'Partly Cloudy',
-      impact: +5,
-      desc: 'Intermittent darkness',
-    });
+    explain('clouds', 'Partly Cloudy', 'Intermittent darkness');
   }
 
   // Wind — calm nights are best for night fishing
   if (windSpeedKmh < 8) {
-    score += 12;
-    factors.push({
-      name: 'Calm Night',
-      impact: +12,
-      desc: 'Still water — fish hear lures clearly',
-    });
+    explain('wind', 'Calm Night', 'Still water — fish hear lures clearly');
   } else if (windSpeedKmh < 16) {
-    score += 5;
-    factors.push({
-      name: 'Light Breeze',
-      impact: +5,
-      desc: 'Slight ripple reduces spookiness',
-    });
+    explain('wind', 'Light Breeze', 'Slight ripple reduces spookiness');
   } else if (windSpeedKmh > 30) {
-    score -= 15;
-    factors.push({
-      name: 'High Wind',
-      impact: -15,
-      desc: 'Dangerous at night — consider staying home',
-    });
+    explain('wind', 'High Wind', 'Dangerous at night — consider staying home');
   }
 
   // Water temperature — species-specific but general sweet spot 55–75°F
   if (waterTempF >= 55 && waterTempF <= 75) {
-    score += 8;
-    factors.push({
-      name: 'Ideal Water Temp',
-      impact: +8,
-      desc: `${waterTempF}°F — peak activity range`,
-    });
+    explain(
+      'waterTemp',
+      'Ideal Water Temp',
+      `${waterTempF}°F — peak activity range`,
+    );
   } else if (waterTempF < 45) {
-    score -= 10;
-    factors.push({
-      name: 'Cold Water',
-      impact: -10,
-      desc: `${waterTempF}°F — sluggish fish`,
-    });
+    explain('waterTemp', 'Cold Water', `${waterTempF}°F — sluggish fish`);
   } else if (waterTempF > 85) {
-    score -= 5;
-    factors.push({
-      name: 'Warm Water',
-      impact: -5,
-      desc: `${waterTempF}°F — low oxygen, fish go deep`,
-    });
+    explain(
+      'waterTemp',
+      'Warm Water',
+      `${waterTempF}°F — low oxygen, fish go deep`,
+    );
   }
 
   // Pressure trend — dropping pressure = feeding frenzy
   if (pressureTrendMb < -2) {
-    score += 12;
-    factors.push({
-      name: 'Falling Pressure',
-      impact: +12,
-      desc: 'Fish feed aggressively before fronts',
-    });
+    explain(
+      'pressure',
+      'Falling Pressure',
+      'Fish feed aggressively before fronts',
+    );
   } else if (pressureTrendMb < -0.5) {
-    score += 6;
-    factors.push({
-      name: 'Slight Pressure Drop',
-      impact: +6,
-      desc: 'Fish activity increasing',
-    });
+    explain('pressure', 'Slight Pressure Drop', 'Fish activity increasing');
   } else if (pressureTrendMb > 3) {
-    score -= 8;
-    factors.push({
-      name: 'Rising Pressure',
-      impact: -8,
-      desc: 'Post-front conditions — fish lockjaw',
-    });
+    explain(
+      'pressure',
+      'Rising Pressure',
+      'Post-front conditions — fish lockjaw',
+    );
   }
 
   // Solunar — major/minor windows are peak feeding
   if (isSolunarMajor) {
-    score += 15;
-    factors.push({
-      name: 'Solunar Major Period',
-      impact: +15,
-      desc: '2-hour peak feeding window!',
-    });
+    explain(
+      'solunarPeriod',
+      'Solunar Major Period',
+      '2-hour peak feeding window!',
+    );
   } else if (isSolunarMinor) {
-    score += 8;
-    factors.push({
-      name: 'Solunar Minor Period',
-      impact: +8,
-      desc: '1-hour elevated activity',
-    });
+    explain(
+      'solunarPeriod',
+      'Solunar Minor Period',
+      '1-hour elevated activity',
+    );
   }
 
   // Time after sunset curve — peak at 2–4 hours after sunset
   if (hoursAfterSunset >= 2 && hoursAfterSunset <= 4) {
-    score += 8;
-    factors.push({
-      name: 'Prime Time Window',
-      impact: +8,
-      desc: '2–4 hrs after sunset — peak feed',
-    });
+    explain(
+      'nightTiming',
+      'Prime Time Window',
+      '2–4 hrs after sunset — peak feed',
+    );
   } else if (hoursAfterSunset >= 1 && hoursAfterSunset < 2) {
-    score += 4;
-    factors.push({
-      name: 'Early Night',
-      impact: +4,
-      desc: 'Fish transitioning to night patterns',
-    });
+    explain(
+      'nightTiming',
+      'Early Night',
+      'Fish transitioning to night patterns',
+    );
   } else if (hoursAfterSunset > 6) {
-    score -= 3;
-    factors.push({
-      name: 'Late Night',
-      impact: -3,
-      desc: 'Activity slows after midnight for most species',
-    });
+    explain(
+      'nightTiming',
+      'Late Night',
+      'Activity slows after midnight for most species',
+    );
   }
 
-  // Clamp
-  score = Math.max(0, Math.min(100, Math.round(score)));
-
   // Rating
   let rating;
   if (score >= 85) rating = 'LEGENDARY';
@@ -1217,6 +1185,102 @@ export function calculateNightScore(conditions) {
   return { score, rating, factors, bestSpecies };
 }
 
+/**
+ * The astronomy inputs to calculateNightScore for a spot and time, from
+ * ephemerisService (#566): how lit the moon is, how long since sunset,
+ * whether a solunar period is on, and when it gets light again.
+ *
+ * @param {number} latitude
+ * @param {number} longitude
+ * @param {Date} [time]
+ * @param {Object} [options] - { timeZone }
+ * @returns {{ moonIllumination: number, moonPhase: string,
+ *   hoursAfterSunset: number, isSolunarMajor: boolean,
+ *   isSolunarMinor: boolean, isNight: boolean, lastSunset: string|null,
+ *   nextSunrise: string|null, nauticalDusk: string|null,
+ *   moonrise: string|null, moonset: string|null }}
+ */
+export function getNightAstronomy(
+  latitude,
+  longitude,
+  time = new Date(),
+  options,
+) {
+  const now = new Date(time);
+  const DAY_MS = 86400000;
+  const sunOn = offset =>
+    getSunEvents(
+      latitude,
+      longitude,
+      new Date(now.getTime() + offset * DAY_MS),
+      options,
+    );
+  const yesterday = sunOn(-1);
+  const today = sunOn(0);
+  const tomorrow = sunOn(1);
+
+  const lastSunset = [today.sunset, yesterday.sunset].find(d => d && d <= now);
+  const nextSunrise = [today.sunrise, tomorrow.sunrise].find(d => d && d > now);
+  const lastSunrise = [today.sunrise, yesterday.sunrise].find(
+    d => d && d <= now,
+  );
+  const isNight = today.polarNight
+    ? true
+    : today.midnightSun
+    ? false
+    : !!lastSunset && (!lastSunrise || lastSunset > lastSunrise);
+
+  // A period from late last night can run past midnight
+  const periods = [-1, 0].map(offset =>
+    getSolunarPeriods(
+      latitude,
+      longitude,
+      new Date(now.getTime() + offset * DAY_MS),
+      options,
+    ),
+  );
+  const within = list =>
+    list.some(p => now >= new Date(p.start) && now <= new Date(p.end));
+
+  const moon = getMoonPhase(now);
+  const moonTimes = periods[1].moonTimes;
+  const iso = d => (d ? d.toISOString() : null);
+
+  return {
+    moonIllumination: moon.illumination,
+    moonPhase: moonPhaseKey(moon.phase),
+    hoursAfterSunset:
+      isNight && lastSunset
+        ? Math.round(((now - lastSunset) / 3600000) * 10) / 10
+        : 0,
+    isSolunarMajor: periods.some(p => within(p.major)),
+    isSolunarMinor: periods.some(p => within(p.minor)),
+    isNight,
+    lastSunset: iso(lastSunset),
+    nextSunrise: iso(nextSunrise),
+    nauticalDusk: iso(today.nauticalDusk),
+    moonrise: moonTimes.rise,
+    moonset: moonTimes.set,
+  };
+}
+
+// The eighths calculateNightScore's `moonPhase` takes, centred on each
+// principal phase
+const MOON_PHASE_KEYS = [
+  'new',
+  'waxing_crescent',
+  'first_quarter',
+  'waxing_gibbous',
+  'full',
+  'waning_gibbous',
+  'last_quarter',
+  'waning_crescent',
+];
+
+function moonPhaseKey(phase) {
+  return MOON_PHASE_KEYS[Math.round(phase * 8) % 8];
+}
+
 // ─────────────────────────────────────────────────
 // 4. NIGHT SESSION TRACKER
 // ─────────────────────────────────────────────────
@@ -1673,6 +1737,7 @@ export default {
   GIGGING_CONFIG,
   SAFETY_CHECKIN_INTERVALS,
   calculateNightScore,
+  getNightAstronomy,
   startNightSession,
   endNightSession,
   getNightSessions,
@@ -7,17 +7,23 @@
  *
  * Trigger categories:
  *   - social: new follower, comment, like milestone
- *   - fishcast: score alerts ("Great fishing at 6 AM!")
+ *   - fishcast: score alerts ("Great fishing at 6 AM!"), in-app reminders
+ *     ahead of peak windows in the hourly timeline
  *   - community: trending posts, leaderboard changes
+ *   - regulation: entering a no-take or closed area during a trip
+ *   - license: renewal reminders (in-app only, see scheduleReminder)
+ *   - weather: storms closing in during a trip or night session
  */
 
 import AsyncStorage from '@react-native-async-storage/async-storage';
-import { Platform, Alert } from 'react-native';
+import { Platform, Alert, AppState } from 'react-native';
 
 const PREFS_KEY = '@profish_notification_prefs';
 const TOKEN_KEY = '@profish_fcm_token';
 const NOTIFICATIONS_KEY = '@profish_notifications';
+const REMINDERS_KEY = '@profish_scheduled_reminders';
 const MAX_STORED = 100;
+const FISHCAST_WINDOW_LEAD_MS = 60 * 60 * 1000; // Alert 1hr before a peak
 
 let messaging = null;
 let firestore = null;
@@ -44,6 +50,11 @@ const DEFAULT_PREFS = {
   fishcastAlerts: true,
   fishcastThreshold: 80, // Minimum score to trigger alert
   fishcastTime: '05:00', // When to check (local time)
+  // Regulations
+  protectedAreaAlerts: true, // Entering a no-take or closed area on a trip
+  licenseReminders: true, // License / stamp renewal reminders
+  // Safety
+  stormAlerts: true, // Lightning and severe weather while on the water
   // Community
   trendingPosts: false,
   leaderboardChanges: false,
@@ -57,7 +68,7 @@ const DEFAULT_PREFS = {
 function createNotification({ type, title, body, data = {} }) {
   return {
     id: `notif_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
-    type, // 'follower' | 'comment' | 'like' | 'fishcast' | 'leaderboard' | 'system'
+    type, // 'follower' | 'comment' | 'like' | 'fishcast' | 'leaderboard' | 'regulation' | 'license' | 'weather' | 'system'
     title,
     body,
     data,
@@ -66,19 +77,29 @@ function createNotification({ type, title, body, data = {} }) {
   };
 }
 
+function formatHour(hour) {
+  return hour < 12 ? `${hour}:00 AM` : `${hour === 12 ? 12 : hour - 12}:00 PM`;
+}
+
 // ── Service ──────────────────────────────────────────────
 
 const notificationService = {
   _prefs: null,
   _notifications: [],
+  _reminders: [],
+  _remindersLoaded: false,
   _listeners: new Set(),
   _foregroundUnsubscribe: null,
+  _appStateSubscription: null,
 
   // ─── Initialization ──────────────────────────────────
 
   async init() {
     await this._loadPrefs();
     await this._loadNotifications();
+    await this._loadReminders();
+    await this.deliverDueReminders();
+    this._watchAppState();
     await this.requestPermission();
     await this._registerToken();
     this._setupForegroundHandler();
@@ -280,14 +301,9 @@ const notificationService = {
     if (!this._prefs?.fishcastAlerts) return;
     if (score < (this._prefs?.fishcastThreshold || 80)) return;
 
-    const timeStr =
-      bestHour < 12
-        ? `${bestHour}:00 AM`
-        : `${bestHour === 12 ? 12 : bestHour - 12}:00 PM`;
-
     const notification = createNotification({
       type: 'fishcast',
-      title: `Great Fishing at ${timeStr}! 🎣`,
+      title: `Great Fishing at ${formatHour(bestHour)}! 🎣`,
       body: `FishCast Score: ${score} near ${locationName}`,
       data: { score, locationName, bestHour },
     });
@@ -297,6 +313,192 @@ const notificationService = {
     await this._sendPush(notification);
   },
 
+  /**
+   * Schedule alerts ahead of upcoming FishCast peak windows (from
+   * fishCastService.findPeakWindows). Replaces earlier window alerts, so
+   * call it whenever the timeline is recalculated. These are in-app
+   * reminders (see scheduleReminder): one that falls due while ProFish is
+   * closed shows up when it is next opened, not at the peak.
+   * @returns {Promise<Object[]>} The reminders scheduled
+   */
+  async scheduleFishCastWindows(windows, locationName, now = new Date()) {
+    await this.cancelReminders('fishcast_window_');
+    if (!this._prefs?.fishcastAlerts) return [];
+    const threshold = this._prefs?.fishcastThreshold || 80;
+
+    const scheduled = [];
+    for (const window of windows) {
+      if (window.peakScore < threshold) continue;
+      const start = new Date(window.start);
+      const fireAt = new Date(start.getTime() - FISHCAST_WINDOW_LEAD_MS);
+      if (fireAt <= now) continue;
+
+      const reminder = {
+        id: `fishcast_window_${start.getTime()}`,
+        fireAt: fireAt.toISOString(),
+        type: 'fishcast',
+        title: `Great Fishing at ${formatHour(start.getHours())}! 🎣`,
+        body: `FishCast Score: ${window.peakScore} near ${locationName}`,
+        data: {
+          score: window.peakScore,
+          locationName,
+          start: window.start,
+          end: window.end,
+        },
+      };
+      await this.scheduleReminder(reminder);
+      scheduled.push(reminder);
+    }
+    return scheduled;
+  },
+
+  /**
+   * Trigger: Active trip entered a no-take or closed area
+   * Shown in-app immediately — the angler may already be fishing
+   */
+  async triggerProtectedAreaAlert(area) {
+    // A trip's first GPS fix can beat init() on a cold start
+    if (!this._prefs) await this._loadPrefs();
+    if (!this._prefs.protectedAreaAlerts) return;
+
+    const notification = createNotification({
+      type: 'regulation',
+      title: area.status === 'no_take' ? 'No-Take Zone ⚠️' : 'Closed Area ⚠️',
+      body: area.message,
+      data: { areaId: area.id, status: area.status },
+    });
+
+    await this._addNotification(notification);
+    this._notifyListeners();
+    if (this._prefs?.enabled !== false) {
+      Alert.alert(notification.title, notification.body);
+    }
+    await this._sendPush(notification);
+  },
+
+  /**
+   * Trigger: Storm closing in during a trip or night session
+   * (stormWatchService). In-app only — the watch runs while the app is
+   * open, so there is nothing to push. Warnings and dangers also pop up.
+   * @param {{ level: string, message: string, getOffBy: string,
+   *   threats: Object[] }} alert
+   */
+  async triggerStormAlert(alert) {
+    if (!this._prefs) await this._loadPrefs();
+    if (!this._prefs.stormAlerts) return;
+
+    const titles = {
+      watch: 'Storm Watch ⛈️',
+      warning: 'Storm Warning ⚠️',
+      danger: 'Get Off the Water ⛔',
+    };
+    const notification = createNotification({
+      type: 'weather',
+      title: titles[alert.level] || titles.watch,
+      body: alert.message,
+      data: {
+        level: alert.level,
+        getOffBy: alert.getOffBy,
+        threats: alert.threats.map(t => t.type),
+      },
+    });
+
+    await this._addNotification(notification);
+    this._notifyListeners();
+    if (alert.level !== 'watch' && this._prefs.enabled !== false) {
+      Alert.alert(notification.title, notification.body);
+    }
+  },
+
+  // ─── Scheduled Reminders ────────────────────────────
+
+  /**
+   * Schedule an in-app reminder for a future time. Scheduling the same id
+   * again replaces it. Reminders stay on the device and are not system
+   * notifications: once due, they move into the notification center the
+   * next time the app starts or comes back to the foreground.
+   * @param {{ id: string, fireAt: string, type: string, title: string,
+   *   body: string, data?: Object }} reminder
+   */
+  async scheduleReminder(reminder) {
+    if (!this._remindersLoaded) await this._loadReminders();
+    this._reminders = this._reminders.filter(r => r.id !== reminder.id);
+    this._reminders.push({ data: {}, ...reminder });
+    await this._persistReminders();
+  },
+
+  /**
+   * Cancel all reminders whose id starts with `prefix`
+   */
+  async cancelReminders(prefix) {
+    if (!this._remindersLoaded) await this._loadReminders();
+    const cancelled = this._reminders.filter(r => r.id.startsWith(prefix));
+    if (cancelled.length === 0) return;
+    this._reminders = this._reminders.filter(r => !r.id.startsWith(prefix));
+    await this._persistReminders();
+  },
+
+  getScheduledReminders() {
+    return [...this._reminders].sort((a, b) =>
+      a.fireAt.localeCompare(b.fireAt),
+    );
+  },
+
+  /**
+   * Move reminders that are due into the notification center
+   */
+  async deliverDueReminders(now = new Date()) {
+    const due = this._reminders.filter(r => new Date(r.fireAt) <= now);
+    if (due.length === 0) return [];
+    this._reminders = this._reminders.filter(r => !due.includes(r));
+    await this._persistReminders();
+
+    const delivered = due.filter(r => {
+      if (r.type === 'license') return this._prefs?.licenseReminders !== false;
+      if (r.type === 'fishcast') return this._prefs?.fishcastAlerts !== false;
+      return true;
+    });
+    for (const reminder of delivered) {
+      await this._addNotification(
+        createNotification({
+          type: reminder.type,
+          title: reminder.title,
+          body: reminder.body,
+          data: reminder.data,
+        }),
+      );
+    }
+    if (delivered.length > 0) this._notifyListeners();
+    return delivered;
+  },
+
+  // Deliver reminders that fell due while the app was in the background
+  _watchAppState() {
+    if (this._appStateSubscription) return;
+    this._appStateSubscription = AppState.addEventListener('change', state => {
+      if (state === 'active') this.deliverDueReminders().catch(() => {});
+    });
+  },
+
+  async _loadReminders() {
+    try {
+      const raw = await AsyncStorage.getItem(REMINDERS_KEY);
+      this._reminders = raw ? JSON.parse(raw) : [];
+    } catch (e) {
+      this._reminders = [];
+    }
+    this._remindersLoaded = true;
+  },
+
+  async _persistReminders() {
+    try {
+      await AsyncStorage.setItem(
+        REMINDERS_KEY,
+        JSON.stringify(this._reminders),
+      );
+    } catch (e) {}
+  },
+
   // ─── Send Push via Firestore trigger ────────────────
 
   async _sendPush(notification) {
@@ -453,6 +655,8 @@ const notificationService = {
 
   destroy() {
     this._foregroundUnsubscribe?.();
+    this._appStateSubscription?.remove();
+    this._appStateSubscription = null;
     this._listeners.clear();
   },
 };
@@ -0,0 +1,204 @@
+/**
+ * Possession Service — ProFish
+ * Daily bag and possession tracking against logged catches (#532)
+ *
+ * Combines kept catches from catchService with a region's rules to report
+ * what's left of today's bag, combined (aggregate) bags and multi-day
+ * possession limits. A catch counts as kept unless it is marked released,
+ * so records without the flag err towards the limit. Only catches made in
+ * the region count: the one stored by assessCatch, or resolved from the
+ * catch position for older records. Catches with no known region count
+ * everywhere.
+ */
+
+import catchService from './catchService';
+import tripService from './tripService';
+import { getRegionRules, normalizeSpeciesId } from './regulationsService';
+import { resolveJurisdiction } from './jurisdictionService';
+
+// Possession window when no trip is active — a typical weekend trip
+const DEFAULT_POSSESSION_DAYS = 3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function startOfDay(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+function catchRegion(c) {
+  if (c.regulation?.regionCode) return c.regulation.regionCode;
+  const { latitude, longitude } = c;
+  if (latitude == null || longitude == null) return null;
+  if (latitude === 0 && longitude === 0) return null; // "no GPS" placeholder
+  return resolveJurisdiction(latitude, longitude, {
+    waterType: c.waterType,
+  }).regionCode;
+}
+
+function countKept(catches, from, to, regionCode) {
+  const counts = {};
+  for (const c of catches) {
+    if (c.released) continue;
+    const region = catchRegion(c);
+    if (region && region !== regionCode) continue;
+    const at = new Date(c.createdAt);
+    if (at < from || at > to) continue;
+    const id = normalizeSpeciesId(c.species);
+    counts[id] = (counts[id] || 0) + 1;
+  }
+  return counts;
+}
+
+function remaining(limit, count) {
+  if (limit === null || limit === undefined) return null;
+  return Math.max(0, limit - count);
+}
+
+/**
+ * Summarize bag and possession usage for a region
+ * @param {string} regionCode
+ * @param {Object[]} catches - Catch records (any order)
+ * @param {Object} [options]
+ * @param {Date} [options.date] - "Today" (default now)
+ * @param {string} [options.possessionSince] - ISO start of the possession
+ *   window, e.g. the active trip's startedAt
+ * @returns {Object|null} null when the region is unknown
+ */
+export function computePossession(regionCode, catches, options = {}) {
+  const region = getRegionRules(regionCode);
+  if (!region) return null;
+
+  const date = options.date || new Date();
+  const dayStart = startOfDay(date);
+  const possessionStart = options.possessionSince
+    ? new Date(options.possessionSince)
+    : new Date(dayStart.getTime() - (DEFAULT_POSSESSION_DAYS - 1) * DAY_MS);
+
+  const keptToday = countKept(catches, dayStart, date, regionCode);
+  const held = countKept(catches, possessionStart, date, regionCode);
+
+  const species = {};
+  for (const rule of region.rules) {
+    const today = keptToday[rule.species] || 0;
+    const inPossession = held[rule.species] || 0;
+    species[rule.species] = {
+      species: rule.species,
+      keptToday: today,
+      bagLimit: rule.bagLimit,
+      remainingBag: remaining(rule.bagLimit, today),
+      held: inPossession,
+      possessionLimit: rule.possessionLimit ?? null,
+      remainingPossession: remaining(rule.possessionLimit, inPossession),
+    };
+  }
+
+  const aggregates = (region.aggregateLimits || []).map(agg => {
+    const today = agg.species.reduce((n, id) => n + (keptToday[id] || 0), 0);
+    const inPossession = agg.species.reduce((n, id) => n + (held[id] || 0), 0);
+    return {
+      id: agg.id,
+      label: agg.label,
+      species: agg.species,
+      keptToday: today,
+      bagLimit: agg.bagLimit,
+      remainingBag: remaining(agg.bagLimit, today),
+      held: inPossession,
+      possessionLimit: agg.possessionLimit ?? null,
+      remainingPossession: remaining(agg.possessionLimit, inPossession),
+    };
+  });
+
+  return {
+    regionCode,
+    date: date.toISOString(),
+    possessionSince: possessionStart.toISOString(),
+    species,
+    aggregates,
+  };
+}
+
+/**
+ * Would keeping one more fish of this species exceed any limit?
+ * Issues use the same shape as checkLegality() issues.
+ */
+export function checkAdditionalCatch(summary, speciesName) {
+  if (!summary) return { allowed: true, issues: [] };
+  const id = normalizeSpeciesId(speciesName);
+  const label = id.replace(/_/g, ' ');
+  const issues = [];
+
+  const entry = summary.species[id];
+  if (entry) {
+    if (entry.bagLimit === 0) {
+      issues.push({
+        type: 'no_harvest',
+        message: 'Catch and release only. Cannot keep this species.',
+        severity: 'illegal',
+      });
+    } else if (entry.remainingBag === 0) {
+      issues.push({
+        type: 'bag_limit',
+        message: `Daily bag reached: ${entry.keptToday} of ${entry.bagLimit} ${label} kept today.`,
+        severity: 'illegal',
+      });
+    }
+    if (entry.remainingPossession === 0) {
+      issues.push({
+        type: 'possession_limit',
+        message: `Possession limit reached: ${entry.held} of ${entry.possessionLimit} ${label} held.`,
+        severity: 'illegal',
+      });
+    }
+  }
+
+  for (const agg of summary.aggregates) {
+    if (!agg.species.includes(id)) continue;
+    if (agg.remainingBag === 0) {
+      issues.push({
+        type: 'aggregate_limit',
+        message: `${agg.label} bag reached: ${agg.keptToday} of ${agg.bagLimit} kept today.`,
+        severity: 'illegal',
+      });
+    }
+    if (agg.remainingPossession === 0) {
+      issues.push({
+        type: 'possession_limit',
+        message: `${agg.label} possession limit reached: ${agg.held} of ${agg.possessionLimit} held.`,
+        severity: 'illegal',
+      });
+    }
+  }
+
+  return { allowed: issues.length === 0, issues };
+}
+
+/**
+ * Load logged catches and summarize possession for a region.
+ * The possession window starts at the active trip, if there is one.
+ */
+export async function getPossessionSummary(regionCode, options = {}) {
+  await Promise.all([catchService.init(), tripService.init()]);
+  const catches = await catchService.getCatches({ limit: 1000 });
+  const trip = tripService.getActiveTrip();
+  return computePossession(regionCode, catches, {
+    possessionSince: trip?.startedAt,
+    ...options,
+  });
+}
+
+/**
+ * Convenience for LogCatchScreen — check before saving a kept fish
+ */
+export async function checkBeforeSave(regionCode, speciesName, options = {}) {
+  const summary = await getPossessionSummary(regionCode, options);
+  return { summary, ...checkAdditionalCatch(summary, speciesName) };
+}
+
+export { normalizeSpeciesId };
+
+export default {
+  normalizeSpeciesId,
+  computePossession,
+  checkAdditionalCatch,
+  getPossessionSummary,
+  checkBeforeSave,
+};
@@ -4,10 +4,15 @@
  * Predicts the probability of catching a specific species
  * at a given location, time, and conditions.
  *
- * Uses historical catch data + environmental factors.
+ * Uses historical catch data + environmental factors. The species
+ * profiles below feed the 'species' preset of scoringService (#425):
+ * water temperature range, active hours and moon sensitivity, plus
+ * windTolerance and baroPref for the wind and pressure factors.
  */
 
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { scoreConditions } from './scoringService';
+import { getWaterTemp } from './waterTempService';
 
 // ── Species Activity Profiles ────────────────────────────
 
@@ -70,46 +75,19 @@ const SPECIES_PROFILES = {
   },
 };
 
-// ── Helper Functions ─────────────────────────────────────
-
-function getSeason(month) {
-  if (month >= 2 && month <= 4) return 'spring';
-  if (month >= 5 && month <= 7) return 'summer';
-  if (month >= 8 && month <= 10) return 'fall';
-  return 'winter';
-}
-
-function tempScore(waterTemp, profile) {
-  if (!profile || !waterTemp) return 0.5;
-  const { min, max, peak } = profile.optimalWaterTemp;
-  if (waterTemp < min - 15 || waterTemp > max + 15) return 0.05;
-  if (waterTemp < min || waterTemp > max) return 0.2;
-  const dist = Math.abs(waterTemp - peak);
-  const range = (max - min) / 2;
-  return Math.max(0.2, 1 - (dist / range) * 0.5);
-}
+const DEFAULT_PROFILE = {
+  optimalWaterTemp: { min: 55, max: 75, peak: 65 },
+  activeHours: { dawn: [5, 8], dusk: [17, 20], night: false },
+  baroPref: 'falling',
+  windTolerance: 15,
+  moonSensitivity: 0.5,
+};
 
-function timeScore(hour, profile) {
-  if (!profile) return 0.5;
-  const { dawn, dusk, night } = profile.activeHours;
-  if (hour >= dawn[0] && hour <= dawn[1]) return 1.0;
-  if (hour >= dusk[0] && hour <= dusk[1]) return 0.95;
-  if (night && (hour >= 21 || hour <= 3)) return 0.7;
-  if (hour >= 10 && hour <= 14) return 0.2; // Midday lull
-  return 0.4;
-}
+const HPA_PER_INHG = 33.8639;
+const KMH_PER_MPH = 1.60934;
 
-function moonScore(moonPhase, sensitivity) {
-  // 0 = new, 0.5 = full
-  const majorDist = Math.min(
-    moonPhase,
-    Math.abs(moonPhase - 0.5),
-    Math.abs(moonPhase - 1),
-  );
-  const base = majorDist < 0.08 ? 1.0 : majorDist < 0.15 ? 0.7 : 0.4;
-  // Blend with sensitivity — low sensitivity species less affected
-  return 0.5 + (base - 0.5) * sensitivity;
-}
+const toC = f => (f == null ? null : (f - 32) / 1.8);
+const toF = c => c * 1.8 + 32;
 
 // ── Main Prediction Service ──────────────────────────────
 
@@ -127,87 +105,44 @@ const predictiveCatchService = {
    * @param {number} conditions.moonPhase - 0-1
    * @param {number} conditions.windSpeed - mph
    * @param {string} conditions.pressureTrend - 'falling','steady','rising'
+   *   (or a rapidly_ variant, see pressureTrendService)
    * @param {number} conditions.barometricPressure - inHg
-   * @returns {Object} { probability, rating, factors, tips }
+   * @returns {Object} { probability, rating, factors, tips } —
+   *   `factors` are scoringService factor scores (0-100). Without a
+   *   waterTemp the water factor is left out; predictAt looks it up.
    */
   predict(speciesId, conditions) {
-    const profile = SPECIES_PROFILES[speciesId];
-    const defaultProfile = {
-      optimalWaterTemp: { min: 55, max: 75, peak: 65 },
-      activeHours: { dawn: [5, 8], dusk: [17, 20], night: false },
-      baroPref: 'falling',
-      windTolerance: 15,
-      moonSensitivity: 0.5,
-    };
-    const p = profile || defaultProfile;
-
-    const factors = {};
-
-    // Water temperature factor (30% weight)
-    factors.waterTemp = {
-      score: tempScore(conditions.waterTemp, p),
-      weight: 0.3,
-      label: 'Water Temperature',
-    };
-
-    // Time of day factor (25% weight)
-    factors.timeOfDay = {
-      score: timeScore(conditions.hour, p),
-      weight: 0.25,
-      label: 'Time of Day',
-    };
-
-    // Moon phase factor (15% weight)
-    if (conditions.moonPhase != null) {
-      factors.moonPhase = {
-        score: moonScore(conditions.moonPhase, p.moonSensitivity),
-        weight: 0.15,
-        label: 'Moon Phase',
-      };
-    }
-
-    // Wind factor (10% weight)
-    if (conditions.windSpeed != null) {
-      const windOk = conditions.windSpeed <= p.windTolerance;
-      factors.wind = {
-        score: windOk
-          ? 0.8
-          : Math.max(0.1, 1 - (conditions.windSpeed - p.windTolerance) / 20),
-        weight: 0.1,
-        label: 'Wind',
-      };
-    }
-
-    // Barometric pressure factor (10% weight)
-    if (conditions.pressureTrend) {
-      const baroScores = { falling: 1.0, steady: 0.7, rising: 0.4 };
-      const prefScore = baroScores[p.baroPref] || 0.7;
-      const actualScore = baroScores[conditions.pressureTrend] || 0.5;
-      factors.pressure = {
-        score: 0.5 + (actualScore - 0.5) * (prefScore > 0.5 ? 1 : 0.5),
-        weight: 0.1,
-        label: 'Barometric Pressure',
-      };
-    }
-
-    // Season factor (10% weight)
-    const season = getSeason(conditions.month);
-    factors.season = {
-      score: 0.7, // Default moderate
-      weight: 0.1,
-      label: 'Season',
-    };
-
-    // Calculate weighted probability
-    let totalWeight = 0;
-    let weightedSum = 0;
-    for (const factor of Object.values(factors)) {
-      weightedSum += factor.score * factor.weight;
-      totalWeight += factor.weight;
-    }
-
-    const probability =
-      totalWeight > 0 ? Math.round((weightedSum / totalWeight) * 100) : 50;
+    const p = SPECIES_PROFILES[speciesId] || DEFAULT_PROFILE;
+
+    // Scored as of the given hour and month; the moon is passed in
+    const date = new Date();
+    if (conditions.month != null) date.setMonth(conditions.month, 15);
+    if (conditions.hour != null) date.setHours(conditions.hour, 0, 0, 0);
+
+    const { score: probability, factors } = scoreConditions(
+      {
+        date,
+        species: speciesId,
+        speciesProfile: p,
+        waterTemp: toC(conditions.waterTemp),
+        moon:
+          conditions.moonPhase != null
+            ? { phase: conditions.moonPhase }
+            : undefined,
+        windSpeed:
+          conditions.windSpeed != null
+            ? conditions.windSpeed * KMH_PER_MPH
+            : null,
+        pressure:
+          conditions.barometricPressure != null
+            ? conditions.barometricPressure * HPA_PER_INHG
+            : null,
+        pressureTrend: conditions.pressureTrend
+          ? { trend: conditions.pressureTrend }
+          : null,
+      },
+      { preset: 'species' },
+    );
 
     // Rating
     let rating, emoji;
@@ -228,7 +163,15 @@ const predictiveCatchService = {
     // Tips
     const tips = this._generateTips(speciesId, factors, conditions, p);
 
-    return { probability, rating, emoji, factors, tips, speciesId };
+    return {
+      probability,
+      rating,
+      emoji,
+      factors,
+      preset: 'species',
+      tips,
+      speciesId,
+    };
   },
 
   /**
@@ -244,6 +187,47 @@ const predictiveCatchService = {
     return results.slice(0, count);
   },
 
+  /**
+   * Predict at a spot — the water temperature comes from waterTempService
+   * unless the conditions already carry one (#568)
+   * @param {Object} [options] - { waterType, spotId }
+   */
+  async predictAt(speciesId, latitude, longitude, conditions = {}, options) {
+    const withTemp = await this._withWaterTemp(
+      conditions,
+      latitude,
+      longitude,
+      options,
+    );
+    return this.predict(speciesId, withTemp);
+  },
+
+  /**
+   * predict conditions from a calculateFishCast result, to show the
+   * species model next to FishCast. FishCast's water temperature is
+   * reused; without one, predictAt looks it up.
+   */
+  conditionsFromFishCast(result, date = new Date()) {
+    const { weather, pressureTrend, waterTemp } = result || {};
+    return {
+      hour: date.getHours(),
+      month: date.getMonth(),
+      windSpeed: weather?.wind != null ? weather.wind / KMH_PER_MPH : null,
+      barometricPressure:
+        weather?.pressure != null ? weather.pressure / HPA_PER_INHG : null,
+      pressureTrend: pressureTrend?.trend || null,
+      waterTemp: waterTemp ? toF(waterTemp.tempC) : null,
+    };
+  },
+
+  async _withWaterTemp(conditions, latitude, longitude, options) {
+    if (conditions.waterTemp != null) return conditions;
+    const water = await getWaterTemp(latitude, longitude, options).catch(
+      () => null,
+    );
+    return water ? { ...conditions, waterTemp: toF(water.tempC) } : conditions;
+  },
+
   /**
    * Generate contextual tips
    */
@@ -253,24 +237,24 @@ const predictiveCatchService = {
       .replace(/_/g, ' ')
       .replace(/\b\w/g, c => c.toUpperCase());
 
-    if (factors.waterTemp?.score < 0.4) {
+    if (factors.waterTemp != null && factors.waterTemp < 40) {
       tips.push(
         `Water temp is outside ${name}'s preferred range. Fish deeper or wait for better conditions.`,
       );
     }
 
-    if (factors.timeOfDay?.score < 0.3) {
+    if (factors.speciesActivity < 30) {
       const dawn = profile.activeHours.dawn;
       tips.push(
         `${name} are most active ${dawn[0]}AM-${dawn[1]}AM. Consider coming back then.`,
       );
     }
 
-    if (factors.moonPhase?.score > 0.8) {
+    if (factors.moonPhase > 80) {
       tips.push('Moon phase is favorable — expect increased feeding activity!');
     }
 
-    if (factors.wind?.score < 0.4) {
+    if (factors.wind != null && factors.wind < 40) {
       tips.push('High winds — fish sheltered areas and use heavier tackle.');
     }
 
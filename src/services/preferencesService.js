@@ -36,6 +36,12 @@ const DEFAULT_PREFERENCES = {
   mapStyle: 'satellite',
   autoWeather: true,
   autoGPS: true,
+  regulationRegion: null, // REGULATIONS_DB code used for bag-limit checks
+  fishcastProfile: null, // FishCast water profile id (null = general)
+  fishcastWeights: {}, // Tuned FishCast weights by profile id
+  tideDatum: null, // MLLW | LAT | MSL (null = each tide source's own)
+  tideStations: {}, // Pinned tide station ids by "lat,lng" (2 decimals)
+  boatProfile: null, // { lengthM, skill } for marine go/no-go (null = defaults)
 };
 
 // ── Spots data model ─────────────────────────────────
@@ -0,0 +1,201 @@
+/**
+ * Pressure Trend Service — ProFish
+ * Barometric tendency and frontal passage detection (#422)
+ *
+ * Fish react to how pressure is changing more than to the reading itself:
+ * a slow fall ahead of a front turns them on, the sharp rise behind it
+ * shuts them down for a day or two. Trends are computed from Open-Meteo's
+ * hourly pressure series, which includes the past 24h, so they work from
+ * the first launch without recording anything on the device.
+ *
+ * Trend names match mlConditionsService.predict's `pressureTrend`.
+ */
+
+import weatherService from './weatherService';
+
+export const TREND = {
+  RISING: 'rising',
+  RAPIDLY_RISING: 'rapidly_rising',
+  STEADY: 'steady',
+  FALLING: 'falling',
+  RAPIDLY_FALLING: 'rapidly_falling',
+};
+
+export const TREND_WINDOWS = [3, 12, 24]; // hours
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Barometric tendency per 3h (hPa), after the WMO tendency bands
+const STEADY_3H = 1;
+const RAPID_3H = 3.5;
+
+// A front: a trough at least this deep that pressure recovers from
+const FRONT_DROP_HPA = 4;
+const FRONT_RISE_HPA = 2.5;
+const FRONT_SEARCH_HOURS = 24;
+
+/**
+ * Classify a pressure change
+ * @param {number} change - hPa (positive = rising)
+ * @param {number} hours - Period the change happened over
+ */
+export function classifyPressureChange(change, hours) {
+  const per3h = (change * 3) / hours;
+  if (Math.abs(per3h) < STEADY_3H) return TREND.STEADY;
+  if (per3h >= RAPID_3H) return TREND.RAPIDLY_RISING;
+  if (per3h <= -RAPID_3H) return TREND.RAPIDLY_FALLING;
+  return per3h > 0 ? TREND.RISING : TREND.FALLING;
+}
+
+/**
+ * Pressure at a time, interpolated linearly between readings
+ * @param {{ time: string, pressure: number }[]} series - Sorted by time
+ * @returns {number|null} Null outside the series
+ */
+export function pressureAt(series, time) {
+  const t = new Date(time).getTime();
+  for (let i = 0; i < series.length; i++) {
+    const ti = new Date(series[i].time).getTime();
+    if (ti === t) return series[i].pressure;
+    if (ti > t) {
+      if (i === 0) return null;
+      const prev = series[i - 1];
+      const tp = new Date(prev.time).getTime();
+      const fraction = (t - tp) / (ti - tp);
+      return prev.pressure + (series[i].pressure - prev.pressure) * fraction;
+    }
+  }
+  return null;
+}
+
+/**
+ * Find a frontal passage near `at`: the deepest trough within a day either
+ * side that pressure fell into and recovered from
+ * @returns {{ status: 'approaching'|'passed', time: string, drop: number,
+ *   rise: number }|null}
+ */
+export function detectFront(series, at = new Date()) {
+  const t = new Date(at).getTime();
+  const span = FRONT_SEARCH_HOURS * HOUR_MS;
+  const nearby = series.filter(
+    p => Math.abs(new Date(p.time).getTime() - t) <= span,
+  );
+  if (nearby.length < 3) return null;
+
+  const trough = nearby.reduce((low, p) =>
+    p.pressure < low.pressure ? p : low,
+  );
+  const troughTime = new Date(trough.time).getTime();
+  const before = series.filter(p => {
+    const pt = new Date(p.time).getTime();
+    return pt < troughTime && pt >= troughTime - 12 * HOUR_MS;
+  });
+  const after = series.filter(p => {
+    const pt = new Date(p.time).getTime();
+    return pt > troughTime && pt <= troughTime + 12 * HOUR_MS;
+  });
+  if (before.length === 0 || after.length === 0) return null;
+
+  const drop = Math.max(...before.map(p => p.pressure)) - trough.pressure;
+  const rise = Math.max(...after.map(p => p.pressure)) - trough.pressure;
+  if (drop < FRONT_DROP_HPA || rise < FRONT_RISE_HPA) return null;
+
+  return {
+    status: troughTime <= t ? 'passed' : 'approaching',
+    time: trough.time,
+    drop: Math.round(drop * 10) / 10,
+    rise: Math.round(rise * 10) / 10,
+  };
+}
+
+/**
+ * 3h/12h/24h trends ending at `at`
+ * @param {{ time: string, pressure: number }[]} series
+ * @param {Date} [at]
+ * @returns {{ pressure: number|null, trend: string|null, trends: Object,
+ *   front: Object|null }} `trends` is keyed '3h' | '12h' | '24h', each
+ *   { change, trend } or null when the series doesn't reach back that far.
+ *   `trend` is the shortest available window.
+ */
+export function computePressureTrends(series, at = new Date()) {
+  const sorted = [...series]
+    .filter(p => p.pressure != null)
+    .sort((a, b) => new Date(a.time) - new Date(b.time));
+  const t = new Date(at).getTime();
+  const now = pressureAt(sorted, t);
+
+  const trends = {};
+  for (const hours of TREND_WINDOWS) {
+    const then = pressureAt(sorted, t - hours * HOUR_MS);
+    trends[`${hours}h`] =
+      now != null && then != null
+        ? {
+            change: Math.round((now - then) * 10) / 10,
+            trend: classifyPressureChange(now - then, hours),
+          }
+        : null;
+  }
+  const primary = TREND_WINDOWS.map(h => trends[`${h}h`]).find(Boolean);
+
+  return {
+    pressure: now != null ? Math.round(now * 10) / 10 : null,
+    trend: primary?.trend || null,
+    trends,
+    front: detectFront(sorted, at),
+  };
+}
+
+/**
+ * FishCast pressure factor (0-100) from the trend at `at`
+ */
+export function scorePressureTrend({ trend, front } = {}, at = new Date()) {
+  // Bluebird skies behind a front — the slowest bite there is
+  if (front?.status === 'passed') {
+    const hoursSince = (new Date(at) - new Date(front.time)) / HOUR_MS;
+    if (hoursSince <= 36) return 25;
+  }
+  switch (trend) {
+    case TREND.FALLING:
+      return 90; // Feeding ahead of the weather
+    case TREND.STEADY:
+      return 70;
+    case TREND.RAPIDLY_FALLING:
+      return 60; // Short frenzy, then it shuts down
+    case TREND.RISING:
+      return 55;
+    case TREND.RAPIDLY_RISING:
+      return 30;
+    default:
+      return 50;
+  }
+}
+
+/**
+ * Pressure trends for a location from the hourly forecast
+ * @returns {Promise<Object|null>} See computePressureTrends; null offline
+ */
+export async function getPressureTrend(latitude, longitude, at = new Date()) {
+  try {
+    const forecast = await weatherService.getHourlyForecast(
+      latitude,
+      longitude,
+      { hours: 48 },
+    );
+    const series = forecast.hours.map(h => ({
+      time: h.time,
+      pressure: h.pressureMsl,
+    }));
+    return computePressureTrends(series, at);
+  } catch {
+    return null;
+  }
+}
+
+export default {
+  TREND,
+  classifyPressureChange,
+  computePressureTrends,
+  detectFront,
+  scorePressureTrend,
+  getPressureTrend,
+};
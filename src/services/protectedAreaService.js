@@ -0,0 +1,170 @@
+/**
+ * Protected Area Service — ProFish
+ * Offline no-take zone and fishing-closure checks (#534)
+ *
+ * Feature properties (`kind: 'protected_area'`):
+ *   areaId, name, designation, regionCode
+ *   noTake    → all fishing prohibited, catch-and-release included
+ *   closures  → [{ season, species, note }] — `season` is the window the
+ *               area is CLOSED, in the same format as regulation seasons;
+ *               `species` null means every species
+ *
+ * Coarse outlines are bundled in src/data/protectedAreas.json. A signed
+ * `_protected_areas` regulation pack can update them via
+ * loadProtectedAreas(), so every check here works without a connection.
+ */
+
+import bundledAreas from '../data/protectedAreas.json';
+import { featureContains, geometryBBox } from '../utils/geo';
+import { evaluateSeason } from '../utils/seasonWindows';
+
+// Indexed features: { feature, bbox }
+let index = [];
+let areasVersion = null;
+
+const DESIGNATIONS = {
+  marine_reserve: 'Marine reserve',
+  ecological_reserve: 'Ecological reserve',
+  state_marine_reserve: 'State marine reserve',
+  aquatic_reserve: 'Aquatic reserve',
+  seasonal_closure: 'Seasonal closure',
+};
+
+/**
+ * Load (or merge) a GeoJSON FeatureCollection of protected areas.
+ * Features are keyed by `id`; later loads replace earlier features.
+ */
+export function loadProtectedAreas(collection, { replace = false } = {}) {
+  if (!collection?.features) return 0;
+  const byId = new Map(replace ? [] : index.map(e => [e.feature.id, e]));
+  for (const feature of collection.features) {
+    if (!feature?.geometry) continue;
+    const id = feature.id ?? feature.properties?.areaId;
+    byId.set(id, { feature, bbox: geometryBBox(feature.geometry) });
+  }
+  index = Array.from(byId.values());
+  areasVersion = collection.metadata?.version || areasVersion;
+  return collection.features.length;
+}
+
+export function getProtectedAreasVersion() {
+  return areasVersion;
+}
+
+/**
+ * All loaded areas as a FeatureCollection — for map overlays
+ */
+export function getProtectedAreasGeoJSON() {
+  return {
+    type: 'FeatureCollection',
+    features: index.map(e => e.feature),
+  };
+}
+
+/**
+ * Is an area closed to this species on this date?
+ * @returns {{ status: 'no_take'|'closed'|'restricted'|'open', closure }}
+ *   'restricted' means a closure applies but its dates couldn't be read
+ */
+function evaluateArea(props, date, speciesId) {
+  if (props.noTake) return { status: 'no_take', closure: null };
+
+  let restricted = null;
+  for (const closure of props.closures || []) {
+    if (speciesId && closure.species && !closure.species.includes(speciesId)) {
+      continue;
+    }
+    const window = evaluateSeason(closure.season, date);
+    if (window.open === true) return { status: 'closed', closure };
+    if (window.open === null) restricted = closure;
+  }
+  return restricted
+    ? { status: 'restricted', closure: restricted }
+    : { status: 'open', closure: null };
+}
+
+function describe(area) {
+  if (area.status === 'no_take') {
+    const kind = area.designationLabel.toLowerCase();
+    return `${area.name} is a no-take ${kind} — all fishing is prohibited, including catch and release.`;
+  }
+  const target = area.closure?.species
+    ? area.closure.species.map(s => s.replace(/_/g, ' ')).join(', ')
+    : 'all fishing';
+  if (area.status === 'closed') {
+    return `${area.name} is closed to ${target} (${area.closure.season}).`;
+  }
+  if (area.status === 'restricted') {
+    return `${area.name} has closures for ${target}: ${area.closure.season}. Check dates before fishing.`;
+  }
+  return `Inside ${area.name}.${area.notes ? ` ${area.notes}` : ''}`;
+}
+
+/**
+ * Protected areas at a point and whether each is closed right now
+ * @param {number} latitude
+ * @param {number} longitude
+ * @param {Object} [options]
+ * @param {Date} [options.date]
+ * @param {string} [options.species] - Rule species id; species-specific
+ *   closures for other species are ignored. Without it every closure counts.
+ * @returns {Object[]} [{ id, name, designation, designationLabel, noTake,
+ *   status, closure, notes, message }]
+ */
+export function getProtectedAreasAt(latitude, longitude, options = {}) {
+  if (latitude == null || longitude == null) return [];
+  const date = options.date || new Date();
+
+  return index
+    .filter(({ feature, bbox }) =>
+      featureContains(feature, latitude, longitude, bbox),
+    )
+    .map(({ feature }) => {
+      const props = feature.properties;
+      const area = {
+        id: props.areaId ?? feature.id,
+        name: props.name,
+        designation: props.designation,
+        designationLabel: DESIGNATIONS[props.designation] || 'Protected area',
+        regionCode: props.regionCode || null,
+        noTake: Boolean(props.noTake),
+        notes: props.notes || null,
+        ...evaluateArea(props, date, options.species),
+      };
+      return { ...area, message: describe(area) };
+    });
+}
+
+/**
+ * Only the areas where fishing is prohibited now (no-take or in closure)
+ */
+export function getClosedAreasAt(latitude, longitude, options = {}) {
+  return getProtectedAreasAt(latitude, longitude, options).filter(
+    a => a.status === 'no_take' || a.status === 'closed',
+  );
+}
+
+/**
+ * Legality issues for fishing at a point, in checkLegality() issue shape
+ */
+export function getProtectedAreaIssues(latitude, longitude, options = {}) {
+  return getProtectedAreasAt(latitude, longitude, options)
+    .filter(a => a.status !== 'open')
+    .map(a => ({
+      type: 'protected_area',
+      areaId: a.id,
+      message: a.message,
+      severity: a.status === 'restricted' ? 'warning' : 'illegal',
+    }));
+}
+
+loadProtectedAreas(bundledAreas);
+
+export default {
+  loadProtectedAreas,
+  getProtectedAreasVersion,
+  getProtectedAreasGeoJSON,
+  getProtectedAreasAt,
+  getClosedAreasAt,
+  getProtectedAreaIssues,
+};
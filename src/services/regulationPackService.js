@@ -0,0 +1,432 @@
+/**
+ * Regulation Pack Service — ProFish
+ * Versioned, signed regulation packs with diff-aware sync (#531)
+ *
+ * A pack replaces one region's rules wholesale:
+ *   { regionCode, version, publishedAt, payload, signature }
+ * `payload` is the region JSON as a string (Firestore can't hold the nested
+ * arrays) and `signature` is an Ed25519 signature over signedString():
+ * `${regionCode}:${version}:${publishedAt}:${payload}`. The app only has
+ * the public key (config/regulationPackKey), so it can check packs but not
+ * make them; a pack without a valid signature is never installed.
+ *
+ * Jurisdiction boundaries and protected areas ship the same way, as the
+ * `_boundaries` and `_protected_areas` packs. Their payload is a GeoJSON
+ * FeatureCollection that is merged over the bundled outlines by feature id.
+ *
+ * Firestore layout:
+ *   regulation_packs/_manifest  → { versions: { US_FL: 3, _boundaries: 1 } }
+ *   regulation_packs/{region}   → pack
+ * Sync reads the manifest and only downloads packs with a newer version;
+ * packs that fail verification are skipped. Until a public key is set,
+ * signing is not set up: sync downloads nothing and says so in the log.
+ *
+ * The bundled data is version 0 of every pack.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { REGULATION_PACK_PUBLIC_KEY } from '../config/regulationPackKey';
+import { signEd25519, verifyEd25519 } from '../utils/hash';
+import { loadBoundaries } from './jurisdictionService';
+import { loadProtectedAreas } from './protectedAreaService';
+import {
+  REGULATIONS_DB,
+  getPackInfo,
+  getInstalledPackVersions,
+  installRegionPack,
+} from './regulationsService';
+import tripService from './tripService';
+
+const PACKS_KEY = '@profish_regulation_packs';
+const COLLECTION = 'regulation_packs';
+const HISTORY_LIMIT = 5; // Past versions kept per region for digests
+
+// Packs that carry GeoJSON instead of a region's rules
+const GEO_PACKS = {
+  _boundaries: loadBoundaries,
+  _protected_areas: loadProtectedAreas,
+};
+
+// { [regionCode]: { current: InstalledPack, history: InstalledPack[] } }
+// InstalledPack: { version, publishedAt, installedAt, data }
+let store = {};
+let loaded = false;
+
+/**
+ * The exact string a pack's signature covers — shared with
+ * scripts/sign-regulation-pack.js
+ */
+export function signedString(pack) {
+  return `${pack.regionCode}:${pack.version}:${pack.publishedAt}:${pack.payload}`;
+}
+
+export function isSigningConfigured(publicKey = REGULATION_PACK_PUBLIC_KEY) {
+  return Boolean(publicKey);
+}
+
+/**
+ * Sign a pack payload — used by the publishing script and tests
+ * @param {string} privateKey - Ed25519 private key (hex)
+ */
+export function signPack(regionCode, version, data, privateKey) {
+  if (!privateKey) throw new Error('Signing a pack needs the private key');
+  const pack = {
+    regionCode,
+    version,
+    publishedAt: data.lastUpdated || new Date().toISOString().slice(0, 10),
+    payload: JSON.stringify(data),
+  };
+  return { ...pack, signature: signEd25519(privateKey, signedString(pack)) };
+}
+
+/**
+ * Check a pack's signature and shape
+ * @param {string} [publicKey] - Ed25519 public key (hex)
+ * @returns {{ valid: boolean, error?: string, data?: Object }}
+ */
+export function verifyPack(pack, publicKey = REGULATION_PACK_PUBLIC_KEY) {
+  if (!pack?.regionCode || !Number.isInteger(pack.version)) {
+    return { valid: false, error: 'Malformed regulation pack' };
+  }
+  if (!isSigningConfigured(publicKey)) {
+    return { valid: false, error: 'Pack signing is not set up in this build' };
+  }
+  if (!verifyEd25519(publicKey, signedString(pack), pack.signature || '')) {
+    return {
+      valid: false,
+      error: `Signature mismatch for ${pack.regionCode} v${pack.version}`,
+    };
+  }
+
+  let data;
+  try {
+    data = JSON.parse(pack.payload);
+  } catch (e) {
+    return { valid: false, error: 'Unreadable pack payload' };
+  }
+  if (GEO_PACKS[pack.regionCode]) {
+    if (data?.type !== 'FeatureCollection' || !Array.isArray(data.features)) {
+      return { valid: false, error: 'Pack has no GeoJSON features' };
+    }
+  } else if (!Array.isArray(data?.rules)) {
+    return { valid: false, error: 'Pack has no rules' };
+  }
+  return { valid: true, data };
+}
+
+async function persist() {
+  try {
+    await AsyncStorage.setItem(PACKS_KEY, JSON.stringify(store));
+  } catch (e) {
+    console.warn('[RegulationPacks] Persist failed:', e);
+  }
+}
+
+/**
+ * Load installed packs from storage and make them the active rules
+ */
+export async function init() {
+  if (loaded) return;
+  try {
+    const raw = await AsyncStorage.getItem(PACKS_KEY);
+    store = raw ? JSON.parse(raw) : {};
+  } catch (e) {
+    console.warn('[RegulationPacks] Init failed:', e);
+    store = {};
+  }
+  for (const [code, entry] of Object.entries(store)) {
+    const { data, version, publishedAt } = entry.current;
+    if (GEO_PACKS[code]) GEO_PACKS[code](data);
+    else installRegionPack(code, data, { version, publishedAt });
+  }
+  loaded = true;
+}
+
+/**
+ * Verify and install a pack. Older or equal versions are ignored.
+ * @returns {Object} { success, error? , diff? } — diff compares against the
+ *   previously active rules
+ */
+export async function installPack(pack) {
+  await init();
+  const { valid, error, data } = verifyPack(pack);
+  if (!valid) return { success: false, error };
+  if (GEO_PACKS[pack.regionCode]) return installGeoPack(pack, data);
+  const active = getPackInfo(pack.regionCode);
+  if (active && pack.version <= active.version) {
+    return { success: false, error: 'Already up to date' };
+  }
+
+  const previous = store[pack.regionCode]?.current || {
+    version: 0,
+    publishedAt: REGULATIONS_DB[pack.regionCode]?.lastUpdated || null,
+    data: REGULATIONS_DB[pack.regionCode] || null,
+  };
+  const installed = {
+    version: pack.version,
+    publishedAt: pack.publishedAt,
+    installedAt: new Date().toISOString(),
+    data,
+  };
+  store[pack.regionCode] = {
+    current: installed,
+    history: [previous, ...(store[pack.regionCode]?.history || [])]
+      .filter(p => p.data)
+      .slice(0, HISTORY_LIMIT),
+  };
+  installRegionPack(pack.regionCode, data, installed);
+  await persist();
+
+  return {
+    success: true,
+    diff: {
+      regionCode: pack.regionCode,
+      fromVersion: previous.version,
+      toVersion: pack.version,
+      changes: diffRegions(previous.data, data),
+    },
+  };
+}
+
+async function installGeoPack(pack, data) {
+  const current = store[pack.regionCode]?.current;
+  if (current && pack.version <= current.version) {
+    return { success: false, error: 'Already up to date' };
+  }
+  store[pack.regionCode] = {
+    current: {
+      version: pack.version,
+      publishedAt: pack.publishedAt,
+      installedAt: new Date().toISOString(),
+      data,
+    },
+    history: [],
+  };
+  GEO_PACKS[pack.regionCode](data);
+  await persist();
+  return { success: true, diff: null };
+}
+
+function installedVersion(code, regionVersions) {
+  if (GEO_PACKS[code]) return store[code]?.current.version ?? 0;
+  return regionVersions[code] ?? 0;
+}
+
+/**
+ * Pull newer packs listed in the Firestore manifest
+ * @returns {Promise<{ checked, updated, rejected, signingConfigured }>}
+ */
+export async function syncPacks() {
+  await init();
+  if (!isSigningConfigured()) {
+    console.warn(
+      '[RegulationPacks] Signing is not set up (no public key in ' +
+        'config/regulationPackKey.js): not downloading packs, the bundled ' +
+        'rules stay active',
+    );
+    return { checked: 0, updated: [], rejected: [], signingConfigured: false };
+  }
+  const firestore = require('@react-native-firebase/firestore').default;
+  const collection = firestore().collection(COLLECTION);
+  const manifest = await collection.doc('_manifest').get();
+  const versions = manifest.data()?.versions || {};
+  const local = getInstalledPackVersions();
+
+  const stale = Object.entries(versions).filter(
+    ([code, version]) => version > installedVersion(code, local),
+  );
+  const updated = [];
+  const rejected = [];
+  for (const [code] of stale) {
+    const doc = await collection.doc(code).get();
+    const result = await installPack({ regionCode: code, ...doc.data() });
+    if (result.success) {
+      if (result.diff) updated.push(result.diff);
+    } else {
+      console.warn('[RegulationPacks]', result.error);
+      rejected.push(code);
+    }
+  }
+  return {
+    checked: Object.keys(versions).length,
+    updated,
+    rejected,
+    signingConfigured: true,
+  };
+}
+
+// ── Diffs ────────────────────────────────────────────
+
+function label(id) {
+  return id.replace(/_/g, ' ');
+}
+
+function formatSize(value, unit) {
+  return value == null ? 'none' : `${value}${unit === 'in' ? '"' : 'cm'}`;
+}
+
+const LIMIT_LABELS = {
+  bagLimit: 'bag',
+  possessionLimit: 'possession limit',
+  minSize: 'min size',
+  maxSize: 'max size',
+  season: 'season',
+};
+
+function compareLimit(name, field, before, after, changes, format = String) {
+  const a = before[field] ?? null;
+  const b = after[field] ?? null;
+  if (a === b) return;
+  let verb = 'changed';
+  if (a === null) verb = 'added';
+  else if (b === null) verb = 'removed';
+  else if (typeof a === 'number' && typeof b === 'number') {
+    verb = b > a ? 'raised' : 'reduced';
+  }
+  const values =
+    a !== null && b !== null
+      ? ` ${format(a)}→${format(b)}`
+      : ` (${format(a ?? b)})`;
+  changes.push({
+    type: field,
+    species: before.species || after.species,
+    from: a,
+    to: b,
+    message: `${name} ${LIMIT_LABELS[field]} ${verb}${values}`,
+  });
+}
+
+/**
+ * Human-readable differences between two versions of a region's rules,
+ * e.g. "snapper bag reduced 9→7"
+ */
+export function diffRegions(before, after) {
+  if (!before || !after) return [];
+  const changes = [];
+  const oldRules = new Map(before.rules.map(r => [r.species, r]));
+  const newRules = new Map(after.rules.map(r => [r.species, r]));
+
+  for (const [species, rule] of newRules) {
+    const old = oldRules.get(species);
+    const name = label(species);
+    if (!old) {
+      changes.push({
+        type: 'rule_added',
+        species,
+        message: `${name} rules added`,
+      });
+      continue;
+    }
+    const unitBefore = old.sizeUnit || before.sizeUnit;
+    const unitAfter = rule.sizeUnit || after.sizeUnit;
+    compareLimit(name, 'bagLimit', old, rule, changes);
+    compareLimit(name, 'possessionLimit', old, rule, changes);
+    if (unitBefore === unitAfter) {
+      const size = v => formatSize(v, unitAfter);
+      compareLimit(name, 'minSize', old, rule, changes, size);
+      compareLimit(name, 'maxSize', old, rule, changes, size);
+    } else if (old.minSize !== rule.minSize || old.maxSize !== rule.maxSize) {
+      changes.push({
+        type: 'size_unit',
+        species,
+        message: `${name} size limits now ${formatSize(
+          rule.minSize,
+          unitAfter,
+        )}–${formatSize(rule.maxSize, unitAfter)}`,
+      });
+    }
+    if (old.season !== rule.season) {
+      changes.push({
+        type: 'season',
+        species,
+        from: old.season,
+        to: rule.season,
+        message: `${name} season changed to ${rule.season}`,
+      });
+    }
+  }
+  for (const species of oldRules.keys()) {
+    if (!newRules.has(species)) {
+      changes.push({
+        type: 'rule_removed',
+        species,
+        message: `${label(species)} rules removed`,
+      });
+    }
+  }
+
+  const oldAggs = new Map((before.aggregateLimits || []).map(a => [a.id, a]));
+  for (const agg of after.aggregateLimits || []) {
+    const old = oldAggs.get(agg.id);
+    if (!old) {
+      changes.push({
+        type: 'aggregate_added',
+        message: `${agg.label}: combined bag of ${agg.bagLimit}`,
+      });
+    } else {
+      compareLimit(agg.label, 'bagLimit', old, agg, changes);
+    }
+  }
+  return changes;
+}
+
+function dataForVersion(regionCode, version) {
+  if (version === 0) return REGULATIONS_DB[regionCode] || null;
+  const entry = store[regionCode];
+  if (!entry) return null;
+  if (entry.current.version === version) return entry.current.data;
+  return entry.history.find(p => p.version === version)?.data || null;
+}
+
+/**
+ * What changed in a region since a given pack version
+ * @returns {{ regionCode, fromVersion, toVersion, changes, complete }}
+ *   complete is false when the old version is no longer on device and
+ *   only the version bump can be reported
+ */
+export function getChangesSince(regionCode, version) {
+  const active = getPackInfo(regionCode);
+  if (!active || active.version <= version) return null;
+  const before = dataForVersion(regionCode, version);
+  const after = dataForVersion(regionCode, active.version);
+  return {
+    regionCode,
+    name: after?.state || regionCode,
+    fromVersion: version,
+    toVersion: active.version,
+    publishedAt: active.publishedAt,
+    changes: diffRegions(before, after),
+    complete: Boolean(before),
+  };
+}
+
+/**
+ * "Rules changed since your last trip" — compares the pack versions
+ * recorded on the most recent trip with what's installed now
+ * @param {string[]} [regionCodes] - Limit to these regions
+ */
+export async function getDigestSinceLastTrip(regionCodes = null) {
+  await Promise.all([init(), tripService.init()]);
+  const [lastTrip] = await tripService.getTrips({ limit: 1 });
+  const snapshot = lastTrip?.regulationPacks;
+  if (!snapshot) return { since: null, regions: [] };
+
+  const codes = regionCodes || Object.keys(getInstalledPackVersions());
+  const regions = codes
+    .map(code => getChangesSince(code, snapshot[code] ?? 0))
+    .filter(Boolean);
+  return { since: lastTrip.startedAt, tripName: lastTrip.name, regions };
+}
+
+export default {
+  init,
+  signedString,
+  isSigningConfigured,
+  verifyPack,
+  signPack,
+  installPack,
+  syncPacks,
+  diffRegions,
+  getChangesSince,
+  getDigestSinceLastTrip,
+};
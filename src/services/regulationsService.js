@@ -4,9 +4,28 @@
  */
 
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { toCm, formatLength } from '../utils/units';
+import { resolveJurisdiction } from './jurisdictionService';
+import { getProtectedAreaIssues } from './protectedAreaService';
+import {
+  parseSeason,
+  evaluateSeason,
+  describeSeasonStatus,
+} from '../utils/seasonWindows';
 
 const CACHE_KEY = '@profish_regulations';
 const CACHE_TTL = 24 * 60 * 60 * 1000; // 24 hours
+// How a fish is measured for size limits
+const MEASUREMENTS = {
+  total_length: 'total length',
+  fork_length: 'fork length',
+  carapace_length: 'carapace length',
+};
+
+// Map a published size unit to the units.js system that reads it
+const UNIT_SYSTEMS = { in: 'imperial', cm: 'metric' };
+
+const SEASON_WARNING_DAYS = 14; // Warn when an approximate season edge is this close
 
 // #531 — Firebase collection structure for regulations
 // In production, these live in Firestore: /regulations/{regionId}/rules/{ruleId}
@@ -16,6 +35,23 @@ const CACHE_TTL = 24 * 60 * 60 * 1000; // 24 hours
  * Comprehensive fishing regulations database
  * Organized by region → state/province → rules
  * Updated via Firebase Firestore (remote) + local JSON fallback
+ *
+ * `bagLimit` is per person per day; `possessionLimit` (optional) caps what
+ * may be held across a multi-day trip. `aggregateLimits` group species
+ * that share one combined bag ("5 black bass combined").
+ *
+ * Sizes are in the jurisdiction's published unit. Each region declares its
+ * convention (`sizeUnit`: 'in' | 'cm', `measurement`: see MEASUREMENTS) and
+ * a rule may override either when a species is measured differently.
+ *
+ * `licensing` names the privilege needed in inland and marine waters (null
+ * when none is needed) and labels every privilege key. A rule's
+ * `privileges` lists extra stamps or permits for that species.
+ *
+ * `reporting` describes mandatory harvest-report programs; a rule's
+ * `reporting` names the program a kept fish must be reported to. Programs
+ * are due `deadlineDays` after the catch or by an annual `dueBy` (MM-DD);
+ * `includeReleased` programs (catch returns) cover released fish too.
  */
 const REGULATIONS_DB = {
   // ========== NORTH AMERICA ==========
@@ -26,6 +62,49 @@ const REGULATIONS_DB = {
     licenseUrl: 'https://myfwc.com/license/',
     reportingUrl: 'https://myfwc.com/fishing/',
     lastUpdated: '2025-01-15',
+    licensing: {
+      inland: 'freshwater',
+      marine: 'saltwater',
+      privileges: {
+        freshwater: 'Freshwater fishing license',
+        saltwater: 'Saltwater fishing license',
+        snook_permit: 'Snook permit',
+        reef_fish: 'State Reef Fish Angler designation',
+      },
+    },
+    reporting: {
+      reef_fish_survey: {
+        name: 'State Reef Fish Survey',
+        url: 'https://myfwc.com/research/saltwater/reef-fish/survey/',
+        deadlineDays: 7,
+        fields: [
+          'anglerName',
+          'licenseNumber',
+          'species',
+          'date',
+          'length',
+          'weight',
+          'coordinates',
+          'method',
+        ],
+      },
+    },
+    sizeUnit: 'in',
+    measurement: 'total_length',
+    aggregateLimits: [
+      {
+        id: 'black_bass',
+        label: 'Black bass combined',
+        species: [
+          'largemouth_bass',
+          'smallmouth_bass',
+          'spotted_bass',
+          'shoal_bass',
+          'suwannee_bass',
+        ],
+        bagLimit: 5,
+      },
+    ],
     rules: [
       {
         species: 'largemouth_bass',
@@ -50,6 +129,7 @@ const REGULATIONS_DB = {
         bagLimit: 1,
         season: 'Sep 1 - Dec 14, Feb 1 - May 31',
         notes: 'Closed Jun-Aug & Dec 15-Jan 31. Slot 28-33"',
+        privileges: ['snook_permit'],
       },
       {
         species: 'spotted_seatrout',
@@ -74,6 +154,8 @@ const REGULATIONS_DB = {
         bagLimit: 2,
         season: 'Jun-Jul (federal), varies (state)',
         notes: 'Short federal season. Check current dates.',
+        privileges: ['reef_fish'],
+        reporting: 'reef_fish_survey',
       },
       {
         species: 'grouper_gag',
@@ -82,6 +164,8 @@ const REGULATIONS_DB = {
         bagLimit: 2,
         season: 'Jun 1 - Dec 31',
         notes: 'Closed Jan-May for spawning',
+        privileges: ['reef_fish'],
+        reporting: 'reef_fish_survey',
       },
     ],
   },
@@ -91,6 +175,16 @@ const REGULATIONS_DB = {
     country: 'US',
     licenseUrl: 'https://tpwd.texas.gov/business/licenses/',
     lastUpdated: '2025-01-15',
+    licensing: {
+      inland: 'freshwater',
+      marine: 'saltwater',
+      privileges: {
+        freshwater: 'Fishing license + freshwater endorsement',
+        saltwater: 'Fishing license + saltwater endorsement',
+      },
+    },
+    sizeUnit: 'in',
+    measurement: 'total_length',
     rules: [
       {
         species: 'largemouth_bass',
@@ -105,6 +199,7 @@ const REGULATIONS_DB = {
         minSize: 20,
         maxSize: 28,
         bagLimit: 3,
+        possessionLimit: 6,
         season: 'year-round',
         notes: 'Slot limit 20-28 inches. 1 over 28 per day',
       },
@@ -113,6 +208,7 @@ const REGULATIONS_DB = {
         minSize: 15,
         maxSize: 25,
         bagLimit: 5,
+        possessionLimit: 10,
         season: 'year-round',
         notes: 'Only 1 over 25 inches',
       },
@@ -129,6 +225,7 @@ const REGULATIONS_DB = {
         minSize: 10,
         maxSize: null,
         bagLimit: 25,
+        possessionLimit: 50,
         season: 'year-round',
         notes: 'Combined black & white crappie',
       },
@@ -140,6 +237,15 @@ const REGULATIONS_DB = {
     country: 'US',
     licenseUrl: 'https://wildlife.ca.gov/Licensing/Fishing',
     lastUpdated: '2025-01-15',
+    licensing: {
+      inland: 'fishing',
+      marine: 'fishing',
+      privileges: {
+        fishing: 'Sport fishing license',
+      },
+    },
+    sizeUnit: 'in',
+    measurement: 'total_length',
     rules: [
       {
         species: 'largemouth_bass',
@@ -154,6 +260,7 @@ const REGULATIONS_DB = {
         minSize: null,
         maxSize: null,
         bagLimit: 5,
+        possessionLimit: 10,
         season: 'Last Sat Apr - Nov 15',
         notes: 'General trout season. Varies by water.',
       },
@@ -175,11 +282,13 @@ const REGULATIONS_DB = {
       },
       {
         species: 'yellowtail',
+        measurement: 'fork_length',
         minSize: 24,
         maxSize: null,
         bagLimit: 10,
         season: 'year-round',
-        notes: 'Offshore. Part of 10-fish California pelagic bag',
+        notes:
+          'Offshore. 24" fork length. Part of 10-fish California pelagic bag',
       },
     ],
   },
@@ -189,12 +298,36 @@ const REGULATIONS_DB = {
     country: 'US',
     licenseUrl: 'https://www.dnr.state.mn.us/licenses/fishing/',
     lastUpdated: '2025-01-15',
+    licensing: {
+      inland: 'fishing',
+      marine: null,
+      privileges: {
+        fishing: 'Angling license',
+      },
+    },
+    sizeUnit: 'in',
+    measurement: 'total_length',
+    aggregateLimits: [
+      {
+        id: 'black_bass',
+        label: 'Black bass combined',
+        species: [
+          'largemouth_bass',
+          'smallmouth_bass',
+          'spotted_bass',
+          'shoal_bass',
+          'suwannee_bass',
+        ],
+        bagLimit: 6,
+      },
+    ],
     rules: [
       {
         species: 'walleye',
         minSize: 15,
         maxSize: null,
         bagLimit: 6,
+        possessionLimit: 6,
         season: 'Mid-May - Feb',
         notes: 'Varies by lake zone. Mille Lacs special regs.',
       },
@@ -203,6 +336,7 @@ const REGULATIONS_DB = {
         minSize: 24,
         maxSize: null,
         bagLimit: 3,
+        possessionLimit: 3,
         season: 'Mid-May - Feb',
         notes: 'Only 1 over 36 inches',
       },
@@ -238,6 +372,15 @@ const REGULATIONS_DB = {
     country: 'CA',
     licenseUrl: 'https://www.ontario.ca/page/fishing-licence',
     lastUpdated: '2025-01-15',
+    licensing: {
+      inland: 'fishing',
+      marine: null,
+      privileges: {
+        fishing: 'Outdoors Card + fishing licence',
+      },
+    },
+    sizeUnit: 'cm',
+    measurement: 'total_length',
     rules: [
       {
         species: 'walleye',
@@ -265,6 +408,7 @@ const REGULATIONS_DB = {
       },
       {
         species: 'muskie',
+        sizeUnit: 'in',
         minSize: 36,
         maxSize: null,
         bagLimit: 1,
@@ -289,6 +433,34 @@ const REGULATIONS_DB = {
     country: 'UK',
     licenseUrl: 'https://www.gov.uk/fishing-licences',
     lastUpdated: '2025-01-15',
+    licensing: {
+      inland: 'rod_licence',
+      marine: null,
+      privileges: {
+        rod_licence: 'Rod fishing licence (trout & coarse)',
+        salmon_sea_trout: 'Rod fishing licence (salmon & sea trout)',
+      },
+    },
+    reporting: {
+      catch_return: {
+        name: 'Salmon and sea trout catch return',
+        url: 'https://www.gov.uk/catch-return',
+        dueBy: '01-01',
+        includeReleased: true,
+        fields: [
+          'anglerName',
+          'licenseNumber',
+          'species',
+          'date',
+          'weight',
+          'location',
+          'method',
+          'released',
+        ],
+      },
+    },
+    sizeUnit: 'cm',
+    measurement: 'total_length',
     rules: [
       {
         species: 'atlantic_salmon',
@@ -297,6 +469,8 @@ const REGULATIONS_DB = {
         bagLimit: 2,
         season: 'Feb 1 - Oct 31',
         notes: 'Rivers only. Many rivers catch-and-release mandatory.',
+        privileges: ['salmon_sea_trout'],
+        reporting: 'catch_return',
       },
       {
         species: 'sea_trout',
@@ -305,6 +479,8 @@ const REGULATIONS_DB = {
         bagLimit: null,
         season: 'Mar 3 - Oct 7',
         notes: 'Varies by river. Mandatory catch returns.',
+        privileges: ['salmon_sea_trout'],
+        reporting: 'catch_return',
       },
       {
         species: 'coarse_fish',
@@ -330,6 +506,32 @@ const REGULATIONS_DB = {
     country: 'NO',
     licenseUrl: 'https://www.miljodirektoratet.no/fishing-in-norway/',
     lastUpdated: '2025-01-15',
+    licensing: {
+      inland: null,
+      marine: null,
+      privileges: {
+        fishing_fee: 'National fishing fee (fiskeravgift)',
+      },
+    },
+    reporting: {
+      salmon_catch_report: {
+        name: 'Salmon catch report (fangstrapport)',
+        deadlineDays: 7,
+        includeReleased: true,
+        notes: "Report to the river's fishing-right owner.",
+        fields: [
+          'anglerName',
+          'species',
+          'date',
+          'length',
+          'weight',
+          'location',
+          'released',
+        ],
+      },
+    },
+    sizeUnit: 'cm',
+    measurement: 'total_length',
     rules: [
       {
         species: 'atlantic_salmon',
@@ -339,6 +541,8 @@ const REGULATIONS_DB = {
         season: 'Jun - Sep',
         notes:
           'River-specific. License from landowner required. Disinfect all gear.',
+        privileges: ['fishing_fee'],
+        reporting: 'salmon_catch_report',
       },
       {
         species: 'atlantic_cod',
@@ -363,6 +567,7 @@ const REGULATIONS_DB = {
         bagLimit: null,
         season: 'Varies',
         notes: 'Freshwater fishing license required for persons over 16.',
+        privileges: ['fishing_fee'],
       },
     ],
   },
@@ -372,6 +577,15 @@ const REGULATIONS_DB = {
     country: 'SE',
     licenseUrl: 'https://www.fiskekort.se/',
     lastUpdated: '2025-01-15',
+    licensing: {
+      inland: 'fiskekort',
+      marine: null,
+      privileges: {
+        fiskekort: 'Local fishing card (fiskekort)',
+      },
+    },
+    sizeUnit: 'cm',
+    measurement: 'total_length',
     rules: [
       {
         species: 'atlantic_salmon',
@@ -416,6 +630,23 @@ const REGULATIONS_DB = {
     licenseUrl:
       'https://www.service.nsw.gov.au/transaction/apply-for-a-recreational-fishing-fee',
     lastUpdated: '2025-01-15',
+    licensing: {
+      inland: 'fishing_fee',
+      marine: 'fishing_fee',
+      privileges: {
+        fishing_fee: 'NSW recreational fishing fee',
+      },
+    },
+    sizeUnit: 'cm',
+    measurement: 'total_length',
+    aggregateLimits: [
+      {
+        id: 'flathead',
+        label: 'Flathead combined',
+        species: ['flathead_dusky', 'flathead_tiger', 'flathead_sand'],
+        bagLimit: 10,
+      },
+    ],
     rules: [
       {
         species: 'barramundi',
@@ -465,6 +696,15 @@ const REGULATIONS_DB = {
     country: 'NZ',
     licenseUrl: 'https://fishandgame.org.nz/licences/',
     lastUpdated: '2025-01-15',
+    licensing: {
+      inland: 'freshwater',
+      marine: null,
+      privileges: {
+        freshwater: 'Fish & Game freshwater licence',
+      },
+    },
+    sizeUnit: 'cm',
+    measurement: 'total_length',
     rules: [
       {
         species: 'rainbow_trout',
@@ -473,6 +713,7 @@ const REGULATIONS_DB = {
         bagLimit: 2,
         season: 'Oct 1 - Apr 30',
         notes: 'Varies by region/backcountry. Check local regs.',
+        privileges: ['freshwater'],
       },
       {
         species: 'brown_trout',
@@ -481,9 +722,11 @@ const REGULATIONS_DB = {
         bagLimit: 2,
         season: 'Oct 1 - Apr 30',
         notes: 'Many back-country waters have trophy regs (1 fish)',
+        privileges: ['freshwater'],
       },
       {
         species: 'snapper',
+        measurement: 'fork_length',
         minSize: 30,
         maxSize: null,
         bagLimit: 7,
@@ -492,27 +735,99 @@ const REGULATIONS_DB = {
       },
       {
         species: 'kingfish',
+        measurement: 'fork_length',
         minSize: 75,
         maxSize: null,
         bagLimit: 3,
         season: 'year-round',
-        notes: '75cm minimum size',
+        notes: '75cm minimum size (fork length)',
       },
     ],
   },
 };
 
+// #531 — Installed regulation packs (regulationPackService) override the
+// bundled DB per region. The bundled data counts as pack version 0.
+const installedPacks = {};
+
+function getRegionData(regionCode) {
+  return installedPacks[regionCode]?.data || REGULATIONS_DB[regionCode] || null;
+}
+
+function listRegionCodes() {
+  return Array.from(
+    new Set([...Object.keys(REGULATIONS_DB), ...Object.keys(installedPacks)]),
+  );
+}
+
+/**
+ * Make a verified pack the active rules for its region
+ */
+function installRegionPack(regionCode, data, { version, publishedAt }) {
+  installedPacks[regionCode] = { data, version, publishedAt };
+}
+
+function uninstallRegionPack(regionCode) {
+  delete installedPacks[regionCode];
+}
+
+/**
+ * Which data a region's rules come from — recorded on legality results
+ */
+function getPackInfo(regionCode) {
+  const pack = installedPacks[regionCode];
+  if (pack) {
+    return {
+      regionCode,
+      version: pack.version,
+      publishedAt: pack.publishedAt,
+      source: 'pack',
+    };
+  }
+  const bundled = REGULATIONS_DB[regionCode];
+  if (!bundled) return null;
+  return {
+    regionCode,
+    version: 0,
+    publishedAt: bundled.lastUpdated,
+    source: 'bundled',
+  };
+}
+
+/**
+ * { regionCode: version } for every known region
+ */
+function getInstalledPackVersions() {
+  const versions = {};
+  for (const code of listRegionCodes()) {
+    versions[code] = getPackInfo(code).version;
+  }
+  return versions;
+}
+
 /**
  * #532 — "Is It Legal?" checker
  * Check if a planned catch is legal given species, size, region
+ * @param {Object} [options]
+ * @param {string} [options.units] - 'metric' | 'imperial', used for messages
+ * @param {string} [options.measurement] - How lengthCm was measured. When
+ *   unknown, the length is taken as measured the rule's way.
+ * @param {Object} [options.jurisdiction] - resolveJurisdiction() stack; its
+ *   management zones may override the region rule
+ * @param {Object[]} [options.licenses] - Wallet licenses (licenseService).
+ *   When given, missing or expired licenses and stamps are flagged.
+ * @param {string} [options.waterType] - Decides inland vs marine licensing
+ *   when the jurisdiction doesn't
  */
 function checkLegality(
   regionCode,
   speciesId,
   lengthCm = null,
   date = new Date(),
+  options = {},
 ) {
-  const region = REGULATIONS_DB[regionCode];
+  const units = options.units || 'metric';
+  const region = getRegionData(regionCode);
   if (!region)
     return {
       legal: null,
@@ -520,42 +835,83 @@ function checkLegality(
       message: 'No regulations found for this region. Check local authorities.',
     };
 
-  const rule = region.rules.find(r => r.species === speciesId);
-  if (!rule)
+  const baseRule = region.rules.find(r => r.species === speciesId);
+  if (!baseRule)
     return {
       legal: null,
       status: 'UNKNOWN_SPECIES',
       message: 'No specific regulations found for this species in this region.',
     };
+  const jurisdiction = options.jurisdiction || null;
+  const rule = applyZoneOverrides(baseRule, regionCode, jurisdiction);
 
   const issues = [];
 
   // Check season
-  if (rule.season !== 'year-round') {
-    // Simple month-based check (full calendar parsing would need more complex logic)
+  const season = getSeasonStatus(rule, date);
+  if (season.open === null) {
     issues.push({
       type: 'season',
       message: `Season: ${rule.season}. Verify current dates.`,
       severity: 'warning',
     });
+  } else if (!season.open) {
+    issues.push({
+      type: 'closed_season',
+      message: season.exact
+        ? `Closed season (${rule.season}). ${season.label}.`
+        : `Likely closed (${rule.season}). Verify current dates.`,
+      severity: season.exact ? 'illegal' : 'warning',
+    });
+  } else if (
+    !season.exact &&
+    !season.yearRound &&
+    (season.daysUntilChange === null ||
+      season.daysUntilChange <= SEASON_WARNING_DAYS)
+  ) {
+    issues.push({
+      type: 'season',
+      message: `Season: ${rule.season}. Close to the season edge — verify current dates.`,
+      severity: 'warning',
+    });
   }
 
-  // Check size
+  // Check size — compare in cm so inch- and cm-based rules behave the same
+  const limits = getRuleLimits(region, rule);
   if (lengthCm !== null) {
-    if (rule.minSize && lengthCm < rule.minSize) {
+    const measuredAs = options.measurement || null;
+    const method = MEASUREMENTS[limits.measurement];
+    if (limits.minSizeCm && lengthCm < limits.minSizeCm) {
       issues.push({
         type: 'undersized',
-        message: `Below minimum size (${rule.minSize} inches). Must release.`,
+        message: `Below minimum size (${formatLength(
+          limits.minSizeCm,
+          units,
+        )} ${method}). Must release.`,
         severity: 'illegal',
       });
     }
-    if (rule.maxSize && lengthCm > rule.maxSize) {
+    if (limits.maxSizeCm && lengthCm > limits.maxSizeCm) {
       issues.push({
         type: 'oversized',
-        message: `Above maximum size (${rule.maxSize} inches). Slot limit — must release.`,
+        message: `Above maximum size (${formatLength(
+          limits.maxSizeCm,
+          units,
+        )} ${method}). Slot limit — must release.`,
         severity: 'illegal',
       });
     }
+    if (
+      measuredAs &&
+      measuredAs !== limits.measurement &&
+      (limits.minSizeCm || limits.maxSizeCm)
+    ) {
+      issues.push({
+        type: 'measurement',
+        message: `This rule uses ${method}, not ${MEASUREMENTS[measuredAs]}. Re-measure before keeping.`,
+        severity: 'warning',
+      });
+    }
   }
 
   // Check bag limit
@@ -567,6 +923,26 @@ function checkLegality(
     });
   }
 
+  // Check license wallet
+  const license = options.licenses
+    ? checkLicenses(regionCode, rule, options.licenses, date, {
+        waters: jurisdiction?.waters,
+        waterType: options.waterType,
+      })
+    : null;
+  if (license) {
+    for (const req of license.requirements) {
+      if (req.satisfied) continue;
+      issues.push({
+        type: req.kind,
+        message: req.expiredOn
+          ? `Your ${req.label} expired on ${req.expiredOn}.`
+          : `No valid ${req.label} in your license wallet.`,
+        severity: 'warning',
+      });
+    }
+  }
+
   const hasIllegal = issues.some(i => i.severity === 'illegal');
 
   return {
@@ -589,19 +965,276 @@ function checkLegality(
       ? '⚡ Check season dates and local rules before keeping.'
       : '✅ This catch appears legal. Always verify with local authorities.',
     notes: rule.notes,
+    season,
+    limits,
+    jurisdiction,
+    license,
+    pack: getPackInfo(regionCode),
+  };
+}
+
+/**
+ * Privileges needed to fish for a rule's species. Each requirement lists
+ * alternatives — when the waters are unknown, either the inland or the
+ * marine license will do.
+ * @returns {{ privileges: string[], label: string, kind: 'license'|'stamp' }[]}
+ */
+function getLicenseRequirements(regionCode, rule, { waters, waterType } = {}) {
+  const region = getRegionData(regionCode);
+  const licensing = region?.licensing;
+  if (!licensing) return [];
+  const labelOf = key => licensing.privileges?.[key] || key.replace(/_/g, ' ');
+
+  let resolved = waters || null;
+  if (!resolved && waterType) {
+    resolved = waterType === 'freshwater' ? 'inland' : 'marine';
+  }
+  const base = resolved
+    ? [licensing[resolved]]
+    : [licensing.inland, licensing.marine];
+  const alternatives = Array.from(new Set(base.filter(Boolean)));
+
+  const requirements = [];
+  const stamps = rule?.privileges || [];
+  // A species permit that is itself the base license (NZ trout) replaces it
+  if (alternatives.length > 0 && !alternatives.some(p => stamps.includes(p))) {
+    requirements.push({
+      privileges: alternatives,
+      label: alternatives.map(labelOf).join(' or '),
+      kind: 'license',
+    });
+  }
+  for (const key of stamps) {
+    const isBase = key === licensing.inland || key === licensing.marine;
+    requirements.push({
+      privileges: [key],
+      label: labelOf(key),
+      kind: isBase ? 'license' : 'stamp',
+    });
+  }
+  return requirements;
+}
+
+function toDateKey(date) {
+  const d = new Date(date);
+  const pad = n => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+/**
+ * Match license requirements against wallet entries. A license is valid
+ * through its `expiresAt` day (YYYY-MM-DD); no expiry means lifetime.
+ */
+function checkLicenses(regionCode, rule, licenses, date = new Date(), hints) {
+  const today = toDateKey(date);
+  const held = (licenses || []).filter(l => l.regionCode === regionCode);
+  const requirements = getLicenseRequirements(regionCode, rule, hints).map(
+    req => {
+      const matching = held.filter(l =>
+        (l.privileges || []).some(p => req.privileges.includes(p)),
+      );
+      const valid = matching.find(l => !l.expiresAt || l.expiresAt >= today);
+      const lastExpiry = matching
+        .map(l => l.expiresAt)
+        .sort()
+        .pop();
+      return {
+        ...req,
+        satisfied: Boolean(valid),
+        licenseId: valid?.id || null,
+        expiredOn: valid ? null : lastExpiry || null,
+      };
+    },
+  );
+  return {
+    requirements,
+    valid: requirements.every(r => r.satisfied),
+    missing: requirements.filter(r => !r.satisfied).map(r => r.label),
+  };
+}
+
+/**
+ * #536 — Harvest-report program a catch must be reported to, or null.
+ * Kept fish only, unless the program is a catch return (`includeReleased`).
+ * @returns {{ programId, name, url, deadlineDays, dueBy, fields, notes }|null}
+ */
+function getReportingRequirement(regionCode, speciesId, { released } = {}) {
+  const region = getRegionData(regionCode);
+  const rule = region?.rules.find(r => r.species === speciesId);
+  const program = rule?.reporting && region.reporting?.[rule.reporting];
+  if (!program) return null;
+  if (released && !program.includeReleased) return null;
+  return {
+    programId: rule.reporting,
+    name: program.name,
+    url: program.url || region.reportingUrl || null,
+    deadlineDays: program.deadlineDays ?? null,
+    dueBy: program.dueBy || null,
+    fields: program.fields || [],
+    notes: program.notes || null,
   };
 }
 
+/**
+ * Merge management-zone overrides (e.g. Mille Lacs walleye) into a rule
+ */
+function applyZoneOverrides(rule, regionCode, jurisdiction) {
+  if (!jurisdiction || jurisdiction.regionCode !== regionCode) return rule;
+  return jurisdiction.zones.reduce((merged, zone) => {
+    const override = zone.ruleOverrides?.[rule.species];
+    return override ? { ...merged, ...override, zone: zone.id } : merged;
+  }, rule);
+}
+
+/**
+ * Catch species are stored as display names ("Largemouth Bass");
+ * regulation rules use ids ("largemouth_bass")
+ */
+function normalizeSpeciesId(name) {
+  return (name || '')
+    .trim()
+    .toLowerCase()
+    .replace(/[\s-]+/g, '_');
+}
+
+/**
+ * #534 — "Is It Legal?" for a location instead of a hand-picked region.
+ * Resolves the jurisdiction stack from coordinates, runs checkLegality,
+ * then adds no-take and closed-area issues for the exact point.
+ */
+function checkLegalityAt(
+  latitude,
+  longitude,
+  speciesId,
+  lengthCm = null,
+  date = new Date(),
+  options = {},
+) {
+  const jurisdiction = resolveJurisdiction(latitude, longitude, {
+    waterType: options.waterType,
+  });
+  const areaIssues = getProtectedAreaIssues(latitude, longitude, {
+    date,
+    species: speciesId,
+  });
+  const closed = areaIssues.some(i => i.severity === 'illegal');
+  if (!jurisdiction.regionCode) {
+    return {
+      legal: closed ? false : null,
+      status: closed ? 'ILLEGAL' : 'UNKNOWN_REGION',
+      message: closed
+        ? '⚠️ Fishing is prohibited here. Please release the fish.'
+        : 'No regulations found for this location. Check local authorities.',
+      issues: areaIssues,
+      jurisdiction,
+    };
+  }
+  // The unknown-species result doesn't carry the jurisdiction; callers
+  // such as assessCatch rely on it being there
+  const result = {
+    ...checkLegality(jurisdiction.regionCode, speciesId, lengthCm, date, {
+      ...options,
+      jurisdiction,
+    }),
+    jurisdiction,
+  };
+  if (areaIssues.length === 0) return result;
+  return {
+    ...result,
+    legal: closed ? false : result.legal,
+    status: closed ? 'ILLEGAL' : result.status,
+    message: closed
+      ? '⚠️ Fishing is prohibited here. Please release the fish.'
+      : result.message,
+    issues: [...areaIssues, ...(result.issues || [])],
+  };
+}
+
+/**
+ * Compact legality assessment stored on a catch record at creation time.
+ * Returns null when the catch has no usable coordinates.
+ */
+function assessCatch(catchData, date = new Date()) {
+  const { latitude, longitude } = catchData;
+  if (latitude == null || longitude == null) return null;
+  if (latitude === 0 && longitude === 0) return null; // "no GPS" placeholder
+
+  const speciesId = normalizeSpeciesId(catchData.species);
+  const result = checkLegalityAt(
+    latitude,
+    longitude,
+    speciesId,
+    catchData.length ?? null,
+    date,
+    {
+      waterType: catchData.waterType,
+      measurement: catchData.lengthMeasurement || null,
+    },
+  );
+  const { jurisdiction } = result;
+  const issues = (result.issues || []).map(({ type, severity, areaId }) =>
+    areaId ? { type, severity, areaId } : { type, severity },
+  );
+  // Released fish don't count against size, season or bag rules — but a
+  // no-take or closed area prohibits fishing at all
+  const areaIssues = issues.filter(i => i.type === 'protected_area');
+  let status = result.status;
+  if (catchData.released) {
+    status = areaIssues.some(i => i.severity === 'illegal')
+      ? 'ILLEGAL'
+      : 'RELEASED';
+  }
+  return {
+    regionCode: jurisdiction.regionCode,
+    zones: jurisdiction.zones.map(z => z.id),
+    protectedAreas: areaIssues.map(i => i.areaId),
+    waters: jurisdiction.waters,
+    status,
+    issues: catchData.released ? areaIssues : issues,
+    reporting:
+      getReportingRequirement(jurisdiction.regionCode, speciesId, {
+        released: catchData.released,
+      })?.programId ?? null,
+    packVersion: result.pack?.version ?? null,
+    checkedAt: date.toISOString(),
+  };
+}
+
+/**
+ * Resolve a rule's size unit and measurement method (rule override →
+ * region convention) and express its limits in cm
+ */
+function getRuleLimits(region, rule) {
+  const sizeUnit = rule.sizeUnit || region.sizeUnit || 'in';
+  const system = UNIT_SYSTEMS[sizeUnit];
+  return {
+    sizeUnit,
+    measurement: rule.measurement || region.measurement || 'total_length',
+    minSizeCm: rule.minSize ? toCm(rule.minSize, system) : null,
+    maxSizeCm: rule.maxSize ? toCm(rule.maxSize, system) : null,
+  };
+}
+
+/**
+ * Evaluate a rule's season string on a date
+ * Returns evaluateSeason() output plus a display label ("Closes in 9 days")
+ */
+function getSeasonStatus(rule, date = new Date()) {
+  const status = evaluateSeason(parseSeason(rule.season), date);
+  return { ...status, label: describeSeasonStatus(status) };
+}
+
 /**
  * #533 — License information for a region
  */
 function getLicenseInfo(regionCode) {
-  const region = REGULATIONS_DB[regionCode];
+  const region = getRegionData(regionCode);
   if (!region) return null;
   return {
     state: region.state,
     country: region.country,
     licenseUrl: region.licenseUrl,
+    privileges: region.licensing?.privileges || {},
     reportingUrl: region.reportingUrl || null,
     lastUpdated: region.lastUpdated,
   };
@@ -611,21 +1244,34 @@ function getLicenseInfo(regionCode) {
  * #534 — Get all rules for a region
  */
 function getRegionRules(regionCode) {
-  return REGULATIONS_DB[regionCode] || null;
+  return getRegionData(regionCode);
+}
+
+/**
+ * #534 — Rules for the jurisdiction covering a point
+ * Returns { jurisdiction, region } — region is null outside known boundaries
+ */
+function getRulesForLocation(latitude, longitude, options = {}) {
+  const jurisdiction = resolveJurisdiction(latitude, longitude, options);
+  return { jurisdiction, region: getRegionRules(jurisdiction.regionCode) };
 }
 
 /**
  * Get all available regions
  */
 function getAvailableRegions() {
-  return Object.entries(REGULATIONS_DB).map(([code, data]) => ({
-    code,
-    name: data.state,
-    country: data.country,
-    region: data.region,
-    ruleCount: data.rules.length,
-    lastUpdated: data.lastUpdated,
-  }));
+  return listRegionCodes().map(code => {
+    const data = getRegionData(code);
+    return {
+      code,
+      name: data.state,
+      country: data.country,
+      region: data.region,
+      ruleCount: data.rules.length,
+      lastUpdated: data.lastUpdated,
+      packVersion: getPackInfo(code).version,
+    };
+  });
 }
 
 /**
@@ -633,7 +1279,8 @@ function getAvailableRegions() {
  */
 function searchSpeciesRegulations(speciesId) {
   const results = [];
-  for (const [code, data] of Object.entries(REGULATIONS_DB)) {
+  for (const code of listRegionCodes()) {
+    const data = getRegionData(code);
     const rule = data.rules.find(r => r.species === speciesId);
     if (rule) {
       results.push({
@@ -641,6 +1288,7 @@ function searchSpeciesRegulations(speciesId) {
         state: data.state,
         country: data.country,
         ...rule,
+        ...getRuleLimits(data, rule),
       });
     }
   }
@@ -650,8 +1298,20 @@ function searchSpeciesRegulations(speciesId) {
 /**
  * #531 — Sync regulations from Firebase (when available)
  * Falls back to local DB if offline
+ *
+ * Rule changes, jurisdiction boundaries and protected areas all ship as
+ * signed, versioned packs — see regulationPackService. Nothing that
+ * decides legality is read from unsigned documents.
  */
 async function syncRegulations() {
+  try {
+    // Lazy require: regulationPackService imports this module
+    const regulationPackService = require('./regulationPackService').default;
+    await regulationPackService.syncPacks();
+  } catch (e) {
+    // Pack sync is best-effort; installed or bundled rules stay active
+  }
+
   try {
     // Attempt Firebase sync
     const firestore = require('@react-native-firebase/firestore').default;
@@ -681,32 +1341,54 @@ async function syncRegulations() {
     if (cached) {
       const { timestamp } = JSON.parse(cached);
       if (Date.now() - timestamp < CACHE_TTL) {
-        return { source: 'cache', count: Object.keys(REGULATIONS_DB).length };
+        return { source: 'cache', count: listRegionCodes().length };
       }
     }
   } catch (e) {
     /* ignore */
   }
 
-  return { source: 'local', count: Object.keys(REGULATIONS_DB).length };
+  return { source: 'local', count: listRegionCodes().length };
 }
 
 /**
  * #535 — Check if any season notifications are relevant
+ * Flags seasons closing or opening within the next `windowDays`
  */
-function getSeasonAlerts(regionCode, targetSpecies = []) {
-  const region = REGULATIONS_DB[regionCode];
+function getSeasonAlerts(
+  regionCode,
+  targetSpecies = [],
+  date = new Date(),
+  windowDays = 30,
+) {
+  const region = getRegionData(regionCode);
   if (!region) return [];
 
   const alerts = [];
-  const now = new Date();
-  const month = now.getMonth() + 1; // 1-12
 
   for (const rule of region.rules) {
     if (targetSpecies.length > 0 && !targetSpecies.includes(rule.species))
       continue;
     if (rule.season === 'year-round') continue;
 
+    const status = getSeasonStatus(rule, date);
+    const name = rule.species.replace(/_/g, ' ');
+    const soon =
+      status.daysUntilChange !== null && status.daysUntilChange <= windowDays;
+
+    let type = 'season_info';
+    let message = `${name}: Season is ${rule.season}`;
+    if (status.open === true && soon) {
+      type = 'season_closing';
+      message = `${name}: ${status.label.toLowerCase()}`;
+    } else if (status.open === false && soon) {
+      type = 'season_opening';
+      message = `${name}: opens in ${status.daysUntilChange} days`;
+    } else if (status.open === false) {
+      type = 'season_closed';
+      message = `${name}: ${status.label.toLowerCase()}`;
+    }
+
     alerts.push({
       species: rule.species,
       season: rule.season,
@@ -714,8 +1396,12 @@ function getSeasonAlerts(regionCode, targetSpecies = []) {
       minSize: rule.minSize,
       maxSize: rule.maxSize,
       notes: rule.notes,
-      type: 'season_info',
-      message: `${rule.species.replace(/_/g, ' ')}: Season is ${rule.season}`,
+      type,
+      message,
+      open: status.open,
+      exact: status.exact,
+      nextChange: status.nextChange,
+      daysUntilChange: status.daysUntilChange,
     });
   }
 
@@ -724,6 +1410,7 @@ function getSeasonAlerts(regionCode, targetSpecies = []) {
 
 export {
   REGULATIONS_DB,
+  MEASUREMENTS,
   checkLegality,
   getLicenseInfo,
   getRegionRules,
@@ -731,6 +1418,19 @@ export {
   searchSpeciesRegulations,
   syncRegulations,
   getSeasonAlerts,
+  getSeasonStatus,
+  getRuleLimits,
+  checkLegalityAt,
+  assessCatch,
+  getRulesForLocation,
+  normalizeSpeciesId,
+  getPackInfo,
+  installRegionPack,
+  uninstallRegionPack,
+  getInstalledPackVersions,
+  getLicenseRequirements,
+  checkLicenses,
+  getReportingRequirement,
 };
 
 export default {
@@ -741,4 +1441,15 @@ export default {
   searchSpeciesRegulations,
   syncRegulations,
   getSeasonAlerts,
+  getSeasonStatus,
+  getRuleLimits,
+  checkLegalityAt,
+  assessCatch,
+  getRulesForLocation,
+  normalizeSpeciesId,
+  getPackInfo,
+  getInstalledPackVersions,
+  getLicenseRequirements,
+  checkLicenses,
+  getReportingRequirement,
 };
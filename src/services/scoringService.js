@@ -0,0 +1,486 @@
+/**
+ * Scoring Service — ProFish
+ * One factor registry and scoring pipeline for every fishing score (#425)
+ *
+ * FishCast, the conditions model, species predictions and the night score
+ * used to each carry their own moon, time-of-day, tide and temperature
+ * maths. They now share the factors registered here and only differ in the
+ * preset — the weight table — they score with, so a 70 means the same
+ * thing on the day, night and species views.
+ *
+ * A factor turns a scoring context into 0-100, or null when the context
+ * doesn't carry what it needs. Null factors are left out and the remaining
+ * weights rescaled.
+ *
+ * Context (metric, all optional except `date`):
+ *   {
+ *     date, pressure (hPa), pressureTrend ({ trend, front }),
+ *     windSpeed (km/h), airTemp (°C), waterTemp (°C), cloudCover (%),
+ *     precipitation (mm), precipitationChance (%),
+ *     moon ({ phase, illumination, fishingRating }; derived from date),
+ *     solunar (solunarService.getSolunarPeriods) or
+ *       solunarPeriod ('major' | 'minor' | 'none'),
+ *     tide ({ state, progress }), hoursAfterSunset,
+ *     habitat ('freshwater' | 'saltwater'), speciesProfile,
+ *   }
+ */
+
+import { getMoonPhase, getMoonFishingRating } from './solunarService';
+import { TREND, scorePressureTrend } from './pressureTrendService';
+import { WATER_PROFILES } from './fishCastProfileService';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const toF = c => c * 1.8 + 32;
+
+// ── Shared scales ────────────────────────────────────────
+
+// Comfortable ranges per habitat, in the units anglers think in (°F)
+const HABITAT_RANGES = {
+  freshwater: {
+    airTemp: { min: 55, max: 80 },
+    waterTemp: { min: 55, max: 75, peak: 65 },
+  },
+  saltwater: {
+    airTemp: { min: 60, max: 90 },
+    waterTemp: { min: 60, max: 82, peak: 71 },
+  },
+};
+
+const DEFAULT_ACTIVE_HOURS = { dawn: [5, 8], dusk: [17, 20], night: false };
+
+// Month-by-month activity (Jan-Dec); spring and fall best for most species
+const SEASON_CURVES = {
+  default: [0.4, 0.4, 0.6, 0.8, 1.0, 0.9, 0.7, 0.7, 0.8, 1.0, 0.6, 0.4],
+  largemouth_bass: [0.2, 0.3, 0.6, 0.9, 1.0, 0.9, 0.8, 0.7, 0.8, 0.9, 0.5, 0.2],
+  rainbow_trout: [0.7, 0.8, 1.0, 1.0, 0.8, 0.5, 0.3, 0.3, 0.5, 0.8, 0.9, 0.8],
+  atlantic_salmon: [0.2, 0.3, 0.4, 0.5, 0.7, 1.0, 1.0, 0.9, 0.8, 0.5, 0.3, 0.2],
+  bluefin_tuna: [0.2, 0.2, 0.3, 0.4, 0.5, 0.8, 0.9, 1.0, 1.0, 0.8, 0.4, 0.2],
+  red_snapper: [0.3, 0.3, 0.4, 0.5, 0.6, 1.0, 0.9, 0.8, 0.7, 0.5, 0.4, 0.3],
+  walleye: [0.5, 0.6, 0.8, 1.0, 0.9, 0.7, 0.5, 0.5, 0.7, 0.9, 0.8, 0.6],
+  northern_pike: [0.3, 0.5, 0.8, 1.0, 0.9, 0.6, 0.4, 0.4, 0.7, 0.9, 0.7, 0.4],
+};
+
+function rangeScore(value, min, max) {
+  if (value >= min && value <= max) return 100;
+  const dist = value < min ? min - value : value - max;
+  return Math.round(Math.max(0, 1 - dist / ((max - min) * 0.5)) * 100);
+}
+
+function habitatRanges(ctx) {
+  return HABITAT_RANGES[ctx.habitat] || HABITAT_RANGES.freshwater;
+}
+
+function inPeriod(now, periods = []) {
+  return periods.some(
+    p => now >= new Date(p.start).getTime() && now <= new Date(p.end).getTime(),
+  );
+}
+
+// The shared wind scale suits the default 15 mph tolerance; a species'
+// windTolerance (mph) stretches or squeezes it
+const DEFAULT_WIND_TOLERANCE_MPH = 15;
+
+// Species with baroPref 'steady' bite best while pressure holds and any
+// swing puts them off. 'falling' is what the shared trend curve assumes.
+const STEADY_PREF_TREND_SCORES = {
+  [TREND.STEADY]: 90,
+  [TREND.FALLING]: 65,
+  [TREND.RISING]: 60,
+  [TREND.RAPIDLY_FALLING]: 40,
+  [TREND.RAPIDLY_RISING]: 35,
+};
+
+function scoreTrendFor(pressureTrend, date, baroPref) {
+  const shared = scorePressureTrend(pressureTrend, date);
+  const frontPassed = pressureTrend.front?.status === 'passed';
+  if (baroPref !== 'steady' || frontPassed) return shared;
+  return STEADY_PREF_TREND_SCORES[pressureTrend.trend] ?? shared;
+}
+
+function scoreAbsolutePressure(pressure) {
+  if (!pressure) return 50;
+  // Ideal fishing pressure: 1013-1023 hPa (stable/rising)
+  if (pressure >= 1013 && pressure <= 1023) return 90;
+  if (pressure >= 1005 && pressure < 1013) return 70; // Falling — fish active before front
+  if (pressure > 1023 && pressure <= 1030) return 60; // High — stable but slower
+  if (pressure < 1005) return 40; // Low pressure — storm
+  return 30; // Very high — sluggish fish
+}
+
+// ── Factor registry ──────────────────────────────────────
+
+const FACTORS = {};
+
+/**
+ * Add or replace a factor
+ * @param {string} key
+ * @param {{ label: string, score: (ctx: Object) => number|null }} factor
+ */
+export function registerFactor(key, { label, score }) {
+  if (typeof score !== 'function') {
+    throw new Error(`Factor "${key}" needs a score function`);
+  }
+  FACTORS[key] = { key, label: label || key, score };
+}
+
+export function getFactor(key) {
+  return FACTORS[key] || null;
+}
+
+export function listFactors() {
+  return Object.values(FACTORS).map(({ key, label }) => ({ key, label }));
+}
+
+registerFactor('pressure', {
+  label: 'Barometric Pressure',
+  score: ({ pressure, pressureTrend, date, speciesProfile }) => {
+    // Trend first, absolute reading second
+    if (pressureTrend?.trend) {
+      return Math.round(
+        scoreTrendFor(pressureTrend, date, speciesProfile?.baroPref) * 0.6 +
+          scoreAbsolutePressure(pressure) * 0.4,
+      );
+    }
+    return pressure ? scoreAbsolutePressure(pressure) : null;
+  },
+});
+
+registerFactor('moonPhase', {
+  label: 'Moon Phase',
+  score: ({ moon, speciesProfile }) => {
+    const score = moon.fishingRating * 20; // 1-5 → 20-100
+    const sensitivity = speciesProfile?.moonSensitivity;
+    // Species that barely notice the moon stay near neutral
+    return sensitivity != null
+      ? Math.round(50 + (score - 50) * sensitivity)
+      : score;
+  },
+});
+
+registerFactor('solunarPeriod', {
+  label: 'Solunar Period',
+  score: ({ date, solunar, solunarPeriod }) => {
+    let period = solunarPeriod;
+    if (solunar) {
+      const now = date.getTime();
+      if (inPeriod(now, solunar.major)) period = 'major';
+      else if (inPeriod(now, solunar.minor)) period = 'minor';
+      else period = 'none';
+    }
+    if (period === 'major') return 95;
+    if (period === 'minor') return 75;
+    return period ? 40 : null;
+  },
+});
+
+registerFactor('wind', {
+  label: 'Wind',
+  score: ({ windSpeed: measured, speciesProfile }) => {
+    if (measured == null) return null;
+    const tolerance = speciesProfile?.windTolerance;
+    const windSpeed = tolerance
+      ? (measured * DEFAULT_WIND_TOLERANCE_MPH) / tolerance
+      : measured;
+    if (windSpeed <= 5) return 85; // Light breeze — ideal
+    if (windSpeed <= 12) return 75; // Moderate — good ripple
+    if (windSpeed <= 20) return 55; // Breezy — still fishable
+    if (windSpeed <= 30) return 30; // Strong — tough conditions
+    return 10; // Storm
+  },
+});
+
+registerFactor('timeOfDay', {
+  label: 'Time of Day',
+  score: ({ date }) => {
+    const hours = date.getHours();
+    if (hours >= 4 && hours <= 8) return 90; // Dawn — peak
+    if (hours >= 17 && hours <= 21) return 85; // Dusk — peak
+    if (hours >= 8 && hours <= 10) return 65; // Late morning
+    if (hours >= 15 && hours <= 17) return 65; // Afternoon
+    if (hours >= 21 || hours <= 4) return 50; // Night — varies by species
+    return 40; // Midday — slowest
+  },
+});
+
+registerFactor('cloudCover', {
+  label: 'Cloud Cover',
+  score: ({ cloudCover }) => {
+    if (cloudCover == null) return null;
+    if (cloudCover >= 50 && cloudCover <= 80) return 80; // Overcast — ideal
+    if (cloudCover >= 30 && cloudCover < 50) return 65; // Partly cloudy — good
+    if (cloudCover > 80) return 60; // Heavy cloud
+    return 40; // Clear sky — fish see you
+  },
+});
+
+registerFactor('precipitation', {
+  label: 'Precipitation',
+  score: ({ precipitation, precipitationChance }) => {
+    if (precipitation == null) {
+      // Forecast chance only — we can't tell a drizzle from a downpour
+      if (precipitationChance == null) return null;
+      if (precipitationChance < 40) return 60;
+      return precipitationChance < 70 ? 65 : 45;
+    }
+    if (precipitation === 0) return 60; // Dry — normal
+    if (precipitation <= 2) return 85; // Light rain — excellent!
+    if (precipitation <= 5) return 65; // Moderate rain — good
+    if (precipitation <= 10) return 40; // Heavy rain
+    return 20; // Downpour — pack up
+  },
+});
+
+registerFactor('tideState', {
+  label: 'Tide',
+  score: ({ tide }) => {
+    if (!tide || tide.state === 'unknown') return null;
+    // Current flow where it's known (tidalCurrentService) — slack is dead
+    // water, a hard-running tide is almost as difficult to fish
+    const current = tide.current;
+    if (tide.state === 'slack' || current?.phase === 'slack') return 40;
+    if (current?.strength != null) {
+      if (current.strength > 0.9) return 75;
+      if (current.strength >= 0.4) return current.phase === 'flood' ? 90 : 85;
+      return 60;
+    }
+    const { state, progress } = tide;
+    if (state === 'rising' && progress >= 30 && progress <= 70) return 90; // Mid-rising — BEST
+    if (state === 'falling' && progress >= 30 && progress <= 70) return 80; // Mid-falling — good
+    if (progress < 15 || progress > 85) return 40; // Slack tide — slow
+    return 60;
+  },
+});
+
+registerFactor('airTemp', {
+  label: 'Air Temperature',
+  score: ctx => {
+    if (ctx.airTemp == null) return null;
+    const { min, max } = habitatRanges(ctx).airTemp;
+    return rangeScore(toF(ctx.airTemp), min, max);
+  },
+});
+
+registerFactor('waterTemp', {
+  label: 'Water Temperature',
+  score: ctx => {
+    if (ctx.waterTemp == null) return null;
+    const { min, max, peak } =
+      ctx.speciesProfile?.optimalWaterTemp || habitatRanges(ctx).waterTemp;
+    const temp = toF(ctx.waterTemp);
+    if (temp < min - 15 || temp > max + 15) return 5;
+    if (temp < min || temp > max) return 20;
+    const spread = (max - min) / 2;
+    return Math.round(
+      Math.max(0.2, 1 - (Math.abs(temp - peak) / spread) * 0.5) * 100,
+    );
+  },
+});
+
+registerFactor('season', {
+  label: 'Season',
+  score: ({ date, species }) => {
+    const curve = SEASON_CURVES[species] || SEASON_CURVES.default;
+    return Math.round(curve[date.getMonth()] * 100);
+  },
+});
+
+registerFactor('speciesActivity', {
+  label: 'Feeding Hours',
+  score: ({ date, speciesProfile }) => {
+    const { dawn, dusk, night } =
+      speciesProfile?.activeHours || DEFAULT_ACTIVE_HOURS;
+    const hour = date.getHours();
+    if (hour >= dawn[0] && hour <= dawn[1]) return 100;
+    if (hour >= dusk[0] && hour <= dusk[1]) return 95;
+    if (night && (hour >= 21 || hour <= 3)) return 70;
+    if (hour >= 10 && hour <= 14) return 20; // Midday lull
+    return 40;
+  },
+});
+
+registerFactor('darkness', {
+  label: 'Darkness',
+  score: ({ moon, cloudCover }) => {
+    // Clouds block most of the moonlight
+    const light = moon.illumination * (1 - ((cloudCover ?? 0) / 100) * 0.8);
+    if (light < 10) return 95; // Pitch dark — predators dominate
+    if (light < 25) return 80;
+    if (light < 45) return 65;
+    if (light < 70) return 50;
+    return 35; // Bright — some species retreat to depth
+  },
+});
+
+registerFactor('nightTiming', {
+  label: 'Hours After Sunset',
+  score: ({ hoursAfterSunset }) => {
+    if (hoursAfterSunset == null) return null;
+    if (hoursAfterSunset >= 2 && hoursAfterSunset <= 4) return 90; // Prime time
+    if (hoursAfterSunset >= 1 && hoursAfterSunset < 2) return 70;
+    if (hoursAfterSunset > 4 && hoursAfterSunset <= 6) return 60;
+    if (hoursAfterSunset > 6) return 45; // After midnight most species slow
+    return 55;
+  },
+});
+
+// ── Presets ──────────────────────────────────────────────
+// A weight table per view; weights needn't sum to 1
+
+const PRESETS = {
+  fishcast: {
+    label: 'FishCast',
+    weights: WATER_PROFILES.general.weights,
+  },
+  conditions: {
+    label: 'Conditions',
+    weights: {
+      pressure: 0.15,
+      wind: 0.1,
+      airTemp: 0.08,
+      cloudCover: 0.06,
+      precipitation: 0.04,
+      waterTemp: 0.12,
+      tideState: 0.1,
+      moonPhase: 0.08,
+      timeOfDay: 0.1,
+      season: 0.06,
+    },
+  },
+  species: {
+    label: 'Species',
+    weights: {
+      waterTemp: 0.3,
+      speciesActivity: 0.25,
+      moonPhase: 0.15,
+      wind: 0.1,
+      pressure: 0.1,
+      season: 0.1,
+    },
+  },
+  night: {
+    label: 'Night',
+    weights: {
+      darkness: 0.25,
+      nightTiming: 0.15,
+      solunarPeriod: 0.15,
+      wind: 0.15,
+      pressure: 0.15,
+      waterTemp: 0.15,
+    },
+  },
+};
+
+export function registerPreset(id, { label, weights }) {
+  const unknown = Object.keys(weights).filter(k => !FACTORS[k]);
+  if (unknown.length) {
+    throw new Error(
+      `Unknown factor(s) in preset "${id}": ${unknown.join(', ')}`,
+    );
+  }
+  PRESETS[id] = { label: label || id, weights };
+}
+
+export function getPreset(id) {
+  return PRESETS[id] || null;
+}
+
+// ── Pipeline ─────────────────────────────────────────────
+
+export function getScoreLabel(score) {
+  if (score >= 85) return 'Excellent';
+  if (score >= 70) return 'Very Good';
+  if (score >= 55) return 'Good';
+  if (score >= 40) return 'Fair';
+  return 'Poor';
+}
+
+/**
+ * Fill in what can be derived: the moon from the date, hours after sunset
+ * from a sunset time
+ */
+export function buildContext(input = {}) {
+  const date = input.date ? new Date(input.date) : new Date();
+  const ctx = { ...input, date };
+
+  const derived = getMoonPhase(date);
+  ctx.moon = { ...derived, ...input.moon };
+  if (input.moon?.phase != null && input.moon.fishingRating == null) {
+    ctx.moon.fishingRating = getMoonFishingRating(input.moon.phase);
+  }
+
+  if (ctx.hoursAfterSunset == null && input.sunset) {
+    let hours = (date - new Date(input.sunset)) / HOUR_MS;
+    if (hours < 0) hours += 24; // Last night's sunset
+    ctx.hoursAfterSunset = hours;
+  }
+  if (typeof input.pressureTrend === 'string') {
+    ctx.pressureTrend = { trend: input.pressureTrend };
+  }
+  return ctx;
+}
+
+/**
+ * Score individual factors
+ * @param {string[]} keys - Registered factor keys
+ * @returns {Object} key → 0-100, or null when the context lacks the data
+ */
+export function scoreFactors(keys, input) {
+  const ctx = buildContext(input);
+  return Object.fromEntries(
+    keys.map(key => {
+      const factor = FACTORS[key];
+      if (!factor) throw new Error(`Unknown scoring factor "${key}"`);
+      return [key, factor.score(ctx)];
+    }),
+  );
+}
+
+/**
+ * Score a context with a preset
+ * @param {Object} input - Scoring context (see the file header)
+ * @param {Object} [options] - { preset: id, weights: overrides the preset's }
+ * @returns {{ score: number, label: string, preset: string, factors: Object,
+ *   weights: Object }} `factors` holds every weighted factor (null when
+ *   missing); `weights` is what was actually applied, summing to 1
+ */
+export function scoreConditions(input, options = {}) {
+  const { preset = 'fishcast' } = options;
+  const table = options.weights || PRESETS[preset]?.weights;
+  if (!table) throw new Error(`Unknown scoring preset "${preset}"`);
+
+  const keys = Object.keys(table).filter(k => table[k] > 0);
+  const factors = scoreFactors(keys, input);
+  const scored = keys.filter(k => factors[k] != null);
+  const total = scored.reduce((sum, k) => sum + table[k], 0);
+
+  const weights = Object.fromEntries(
+    scored.map(k => [k, total > 0 ? table[k] / total : 0]),
+  );
+  const score =
+    total > 0
+      ? Math.round(
+          Math.max(
+            0,
+            Math.min(
+              100,
+              scored.reduce((sum, k) => sum + factors[k] * weights[k], 0),
+            ),
+          ),
+        )
+      : 50;
+
+  return { score, label: getScoreLabel(score), preset, factors, weights };
+}
+
+export default {
+  registerFactor,
+  getFactor,
+  listFactors,
+  registerPreset,
+  getPreset,
+  buildContext,
+  scoreFactors,
+  scoreConditions,
+  getScoreLabel,
+};
@@ -6,6 +6,7 @@
  */
 
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { getProtectedAreasAt } from './protectedAreaService';
 
 const SPOTS_KEY = '@profish_fishing_spots';
 
@@ -56,6 +57,8 @@ const spotService = {
       notes,
       icon,
       catchCount: 0,
+      // #534 — No-take / closure areas the spot falls inside
+      protectedAreas: summarizeAreas(latitude, longitude),
       createdAt: new Date().toISOString(),
     };
     this._spots.unshift(spot);
@@ -68,6 +71,10 @@ const spotService = {
     const index = this._spots.findIndex(s => s.id === id);
     if (index === -1) throw new Error('Spot not found');
     this._spots[index] = { ...this._spots[index], ...updates };
+    if (updates.latitude != null || updates.longitude != null) {
+      const { latitude, longitude } = this._spots[index];
+      this._spots[index].protectedAreas = summarizeAreas(latitude, longitude);
+    }
     await this._persist();
     return this._spots[index];
   },
@@ -114,6 +121,20 @@ const spotService = {
   },
 };
 
+/**
+ * Compact protected-area record stored on a spot. Seasonal closures are
+ * kept with their dates since the spot outlives any one season.
+ */
+function summarizeAreas(latitude, longitude) {
+  return getProtectedAreasAt(latitude, longitude).map(a => ({
+    id: a.id,
+    name: a.name,
+    noTake: a.noTake,
+    closedNow: a.status === 'no_take' || a.status === 'closed',
+    closure: a.closure?.season || null,
+  }));
+}
+
 /**
  * Haversine distance in km
  */
@@ -0,0 +1,367 @@
+/**
+ * Storm Watch Service — ProFish
+ * Lightning and severe-weather alerts while on the water (#570)
+ *
+ * checkWeatherDangers judges a single snapshot. While a trip or a night
+ * session is running, storm watch re-reads the hourly forecast for the
+ * angler's position every CHECK_INTERVAL_MS and looks LOOKAHEAD_HOURS
+ * ahead for:
+ *   - thunderstorms (WMO weather codes 95, 96, 99)
+ *   - gusts jumping well above what is blowing now
+ *   - pressure falling fast (the rapidly_falling tendency band)
+ *
+ * The nearer the first threat, the higher the level: watch, warning,
+ * danger. Each step up adds a notification with a "get off the water
+ * by" time, and so does the deadline moving noticeably earlier. Once the
+ * forecast clears, or the trip ends, the next threat starts from watch.
+ *
+ * Limits: checks run on a JS timer, so only while ProFish is open, and
+ * need a connection for the forecast. A backgrounded or offline app gets
+ * no storm alerts; the watch checks again as soon as the app is back in
+ * the foreground. Alerts are in-app (notification center, plus a pop-up
+ * for warnings and dangers), not system notifications.
+ */
+
+import { AppState } from 'react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import Geolocation from '@react-native-community/geolocation';
+import weatherService from './weatherService';
+import tripService from './tripService';
+import notificationService from './notificationService';
+import { getNightSessions } from './nightFishingService';
+import {
+  TREND,
+  classifyPressureChange,
+  pressureAt,
+} from './pressureTrendService';
+
+const STATE_KEY = '@profish_storm_watch';
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+export const STORM_LEVELS = ['watch', 'warning', 'danger'];
+export const THUNDER_CODES = [95, 96, 99];
+
+export const CHECK_INTERVAL_MS = 15 * MINUTE_MS;
+const LOOKAHEAD_HOURS = 6;
+
+// Level by minutes until the first threat; anything later is a watch
+const DANGER_WITHIN_MIN = 60;
+const WARNING_WITHIN_MIN = 180;
+
+// A gust jump: this much above the current gusts, and strong in itself
+const GUST_JUMP_KMH = 25;
+const GUST_MIN_KMH = 45;
+
+// Minutes to be ashore before each threat. Lightning strikes well ahead
+// of the rain, and an hourly forecast can't say when in the hour a cell
+// arrives, so thunder gets the widest margin.
+const THREAT_LEAD_MIN = {
+  thunderstorm: 60,
+  gust_jump: 30,
+  pressure_fall: 30,
+};
+
+// Re-alert at the same level when the deadline moves this much earlier
+const RENOTIFY_EARLIER_MIN = 30;
+
+// A night session nobody ended is not still running the next day
+const NIGHT_SESSION_MAX_MS = 14 * HOUR_MS;
+
+const FIX_TIMEOUT_MS = 15 * 1000;
+const FIX_MAX_AGE_MS = 5 * MINUTE_MS;
+
+// ── Assessment ───────────────────────────────────────────
+
+/**
+ * Threats in the hourly forecast ahead of `now`
+ * @param {Object[]} hours - weatherService.getHourlyForecast hours (past
+ *   hours included, for the current gusts and pressure tendency)
+ * @returns {{ level, threats, firstThreatAt, getOffBy }|null} threats are
+ *   { type, at, ...detail } soonest first; null when the window is clear
+ */
+export function assessStormThreat(hours, now = new Date()) {
+  const nowMs = new Date(now).getTime();
+  const horizon = nowMs + LOOKAHEAD_HOURS * HOUR_MS;
+  const sorted = [...(hours || [])].sort((a, b) =>
+    a.time.localeCompare(b.time),
+  );
+  const past = sorted.filter(h => new Date(h.time).getTime() <= nowMs);
+  // The hour in progress counts as now
+  const ahead = sorted.filter(h => {
+    const t = new Date(h.time).getTime();
+    return t > nowMs - HOUR_MS && t <= horizon;
+  });
+  const atOrNow = h => new Date(Math.max(new Date(h.time).getTime(), nowMs));
+
+  const threats = [];
+  const thunder = ahead.find(h => THUNDER_CODES.includes(h.weatherCode));
+  if (thunder) {
+    threats.push({
+      type: 'thunderstorm',
+      at: atOrNow(thunder),
+      weatherCode: thunder.weatherCode,
+    });
+  }
+
+  const currentGusts = (past[past.length - 1] || sorted[0])?.windGusts;
+  if (currentGusts != null) {
+    const gust = ahead.find(
+      h =>
+        h.windGusts != null &&
+        h.windGusts >= GUST_MIN_KMH &&
+        h.windGusts - currentGusts >= GUST_JUMP_KMH,
+    );
+    if (gust) {
+      threats.push({
+        type: 'gust_jump',
+        at: atOrNow(gust),
+        gustKmh: gust.windGusts,
+        fromKmh: currentGusts,
+      });
+    }
+  }
+
+  const series = sorted
+    .filter(h => h.pressureMsl != null)
+    .map(h => ({ time: h.time, pressure: h.pressureMsl }));
+  for (const h of ahead) {
+    const end = new Date(h.time).getTime();
+    const to = pressureAt(series, new Date(end).toISOString());
+    const from = pressureAt(series, new Date(end - 3 * HOUR_MS).toISOString());
+    if (to == null || from == null) continue;
+    const change = to - from;
+    if (classifyPressureChange(change, 3) === TREND.RAPIDLY_FALLING) {
+      threats.push({
+        type: 'pressure_fall',
+        at: atOrNow(h),
+        changeHpa3h: Math.round(change * 10) / 10,
+      });
+      break;
+    }
+  }
+
+  if (threats.length === 0) return null;
+  threats.sort((a, b) => a.at - b.at);
+
+  const getOffBy = new Date(
+    Math.max(
+      nowMs,
+      Math.min(
+        ...threats.map(
+          t => t.at.getTime() - THREAT_LEAD_MIN[t.type] * MINUTE_MS,
+        ),
+      ),
+    ),
+  );
+  const minutesAway = (threats[0].at.getTime() - nowMs) / MINUTE_MS;
+  let level = 'watch';
+  if (minutesAway <= DANGER_WITHIN_MIN || getOffBy.getTime() <= nowMs) {
+    level = 'danger';
+  } else if (minutesAway <= WARNING_WITHIN_MIN) {
+    level = 'warning';
+  }
+
+  return {
+    level,
+    threats: threats.map(t => ({ ...t, at: t.at.toISOString() })),
+    firstThreatAt: threats[0].at.toISOString(),
+    getOffBy: getOffBy.toISOString(),
+  };
+}
+
+function formatClock(iso) {
+  return new Date(iso).toLocaleTimeString([], {
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+}
+
+const THREAT_TEXT = {
+  thunderstorm: 'Thunderstorms',
+  gust_jump: 'Strong gusts',
+  pressure_fall: 'Rapidly falling pressure',
+};
+
+/**
+ * Notification text for an assessment
+ */
+export function describeStormThreat(assessment, now = new Date()) {
+  const first = assessment.threats[0];
+  const when =
+    new Date(first.at).getTime() <= new Date(now).getTime()
+      ? 'now'
+      : `around ${formatClock(first.at)}`;
+  const others = assessment.threats
+    .slice(1)
+    .map(t => THREAT_TEXT[t.type].toLowerCase());
+  const also = others.length > 0 ? ` Also expected: ${others.join(', ')}.` : '';
+  const getOff =
+    new Date(assessment.getOffBy).getTime() <= new Date(now).getTime()
+      ? 'Head for shore now.'
+      : `Be off the water by ${formatClock(assessment.getOffBy)}.`;
+  return `${THREAT_TEXT[first.type]} ${when}. ${getOff}${also}`;
+}
+
+// ── Monitor ──────────────────────────────────────────────
+
+const stormWatchService = {
+  _timer: null,
+  _appStateSubscription: null,
+  _lastAlert: null, // { level, getOffBy } of the last notification
+  _loaded: false,
+
+  /**
+   * Start checking on a timer, and whenever the app comes back to the
+   * foreground. Cheap to leave running: checks are skipped unless a trip
+   * or night session is active.
+   */
+  start() {
+    if (this._timer) return;
+    const run = () =>
+      this.check().catch(e =>
+        console.warn('[StormWatch] Check failed:', e?.message),
+      );
+    this._timer = setInterval(run, CHECK_INTERVAL_MS);
+    this._appStateSubscription = AppState.addEventListener('change', state => {
+      if (state === 'active') run();
+    });
+    run();
+  },
+
+  stop() {
+    if (this._timer) {
+      clearInterval(this._timer);
+      this._timer = null;
+    }
+    if (this._appStateSubscription) {
+      this._appStateSubscription.remove();
+      this._appStateSubscription = null;
+    }
+  },
+
+  /**
+   * True while a trip or a night session is running
+   */
+  async isOnWater(now = new Date()) {
+    await tripService.init();
+    if (tripService.isActive()) return true;
+    const sessions = await getNightSessions();
+    return sessions.some(
+      s =>
+        !s.endTime &&
+        new Date(now).getTime() - new Date(s.startTime).getTime() <
+          NIGHT_SESSION_MAX_MS,
+    );
+  },
+
+  /**
+   * One check: assess the forecast and notify if the threat escalated
+   * @returns {Promise<Object|null>} The assessment, null when clear or idle
+   */
+  async check(now = new Date()) {
+    await this._loadState();
+    if (!(await this.isOnWater(now))) {
+      await this._saveState(null);
+      return null;
+    }
+    const position =
+      tripService.getLastPosition() ||
+      (await this._currentPosition()) ||
+      this._tripPosition();
+    if (!position) return null;
+
+    const forecast = await weatherService.getHourlyForecast(
+      position.latitude,
+      position.longitude,
+      { hours: 12 },
+    );
+    const assessment = assessStormThreat(forecast.hours, now);
+    if (!assessment) {
+      await this._saveState(null);
+      return null;
+    }
+
+    const notify = this._shouldNotify(assessment);
+    if (notify) {
+      await notificationService.triggerStormAlert({
+        ...assessment,
+        message: describeStormThreat(assessment, now),
+      });
+    }
+    // Remember a calmer level too, so the next step up alerts again
+    if (
+      notify ||
+      STORM_LEVELS.indexOf(assessment.level) <
+        STORM_LEVELS.indexOf(this._lastAlert.level)
+    ) {
+      await this._saveState({
+        level: assessment.level,
+        getOffBy: assessment.getOffBy,
+      });
+    }
+    return assessment;
+  },
+
+  _shouldNotify({ level, getOffBy }) {
+    const last = this._lastAlert;
+    if (!last) return true;
+    const rank = STORM_LEVELS.indexOf(level);
+    const lastRank = STORM_LEVELS.indexOf(last.level);
+    if (rank !== lastRank) return rank > lastRank;
+    const earlierBy =
+      (new Date(last.getOffBy).getTime() - new Date(getOffBy).getTime()) /
+      MINUTE_MS;
+    return earlierBy >= RENOTIFY_EARLIER_MIN;
+  },
+
+  // One fix for night sessions, or a trip that has none yet
+  _currentPosition() {
+    return new Promise(resolve => {
+      try {
+        Geolocation.getCurrentPosition(
+          pos =>
+            resolve({
+              latitude: pos.coords.latitude,
+              longitude: pos.coords.longitude,
+            }),
+          () => resolve(null),
+          { timeout: FIX_TIMEOUT_MS, maximumAge: FIX_MAX_AGE_MS },
+        );
+      } catch (e) {
+        resolve(null);
+      }
+    });
+  },
+
+  _tripPosition() {
+    const trip = tripService.getActiveTrip();
+    if (trip?.latitude == null || trip?.longitude == null) return null;
+    return { latitude: trip.latitude, longitude: trip.longitude };
+  },
+
+  async _loadState() {
+    if (this._loaded) return;
+    try {
+      const raw = await AsyncStorage.getItem(STATE_KEY);
+      this._lastAlert = raw ? JSON.parse(raw) : null;
+    } catch (e) {
+      this._lastAlert = null;
+    }
+    this._loaded = true;
+  },
+
+  async _saveState(lastAlert) {
+    if (!lastAlert && !this._lastAlert) return;
+    this._lastAlert = lastAlert;
+    try {
+      if (lastAlert) {
+        await AsyncStorage.setItem(STATE_KEY, JSON.stringify(lastAlert));
+      } else {
+        await AsyncStorage.removeItem(STATE_KEY);
+      }
+    } catch (e) {}
+  },
+};
+
+export default stormWatchService;
@@ -0,0 +1,292 @@
+/**
+ * Tidal Current Service — ProFish
+ * Flood, ebb and slack water predictions (#565)
+ *
+ * Inshore fish feed on moving water, and what matters is the current, not
+ * the height: the bite dies at slack and the best hour is usually the run
+ * up to max flood or max ebb. In estuaries the two don't line up — slack
+ * can lag high water by an hour or more.
+ *
+ * NOAA publishes current predictions for US channels and passes. Away
+ * from one, currents are estimated from the tide: the water moves fastest
+ * when the height changes fastest, so slack is put at each high and low
+ * and the max halfway between. Estimates have a relative strength but no
+ * speed.
+ *
+ * Event: { date, type: 'flood'|'ebb'|'slack', speed (knots|null),
+ *          strength (0-1), direction (degrees true|null) }
+ */
+
+import cacheService from './cacheService';
+import tideService from './tideService';
+
+const NOAA_BASE = 'https://api.tidesandcurrents.noaa.gov/api/prod/datagetter';
+const NOAA_STATIONS_URL =
+  'https://api.tidesandcurrents.noaa.gov/mdapi/prod/webapi/stations.json?type=currentpredictions&units=english';
+
+const CURRENT_CACHE_TTL = 6 * 60 * 60 * 1000; // 6 hours
+const HOUR_MS = 60 * 60 * 1000;
+
+// Currents change over short distances — only trust a station this close
+const MAX_STATION_KM = 20;
+
+// Below this share of the max the current is slack for fishing purposes,
+// roughly the half hour either side of the turn
+export const SLACK_STRENGTH = 0.2;
+
+let stations = null;
+let stationsPromise = null;
+
+// ── NOAA current predictions ─────────────────────────────
+
+async function getNoaaStations() {
+  if (stations) return stations;
+  if (!stationsPromise) {
+    stationsPromise = (async () => {
+      const res = await fetch(NOAA_STATIONS_URL);
+      if (!res.ok) throw new Error('NOAA current stations API error');
+      const data = await res.json();
+      stations = (data.stations || []).map(s => ({
+        id: s.id,
+        name: s.name,
+        lat: s.lat,
+        lng: s.lng,
+        bin: s.currbin ?? null,
+      }));
+      return stations;
+    })().catch(e => {
+      stationsPromise = null;
+      throw e;
+    });
+  }
+  return stationsPromise;
+}
+
+async function findNoaaStation(latitude, longitude) {
+  if (!tideService._isUSLocation(latitude, longitude)) return null;
+  let nearest = null;
+  let minDist = MAX_STATION_KM;
+  for (const s of await getNoaaStations()) {
+    const d = tideService._haversine(latitude, longitude, s.lat, s.lng);
+    if (d <= minDist) {
+      minDist = d;
+      nearest = { ...s, distanceKm: Math.round(d * 10) / 10 };
+    }
+  }
+  return nearest;
+}
+
+/**
+ * Events from a NOAA MAX_SLACK response
+ */
+export function normalizeNoaaCurrents(data) {
+  const predictions = data?.current_predictions?.cp || [];
+  const maxSpeed = Math.max(
+    0,
+    ...predictions.map(p => Math.abs(Number(p.Velocity_Major) || 0)),
+  );
+  return predictions.map(p => {
+    const velocity = Number(p.Velocity_Major) || 0;
+    const type = String(p.Type).toLowerCase();
+    return {
+      // Requested in GMT, which NOAA writes without a zone
+      date: new Date(`${p.Time.replace(' ', 'T')}:00Z`).toISOString(),
+      type: ['flood', 'ebb'].includes(type) ? type : 'slack',
+      speed: Math.round(Math.abs(velocity) * 100) / 100,
+      strength: maxSpeed > 0 ? Math.abs(velocity) / maxSpeed : 0,
+      direction:
+        type === 'flood'
+          ? Number(p.meanFloodDir)
+          : type === 'ebb'
+          ? Number(p.meanEbbDir)
+          : null,
+    };
+  });
+}
+
+async function getNoaaCurrents(station, start, hours) {
+  const end = new Date(start.getTime() + hours * HOUR_MS);
+  // yyyyMMdd HH:mm
+  const fmt = d =>
+    d.toISOString().slice(0, 16).replace(/-/g, '').replace('T', ' ');
+  const params = new URLSearchParams({
+    begin_date: fmt(start),
+    end_date: fmt(end),
+    station: station.id,
+    product: 'currents_predictions',
+    interval: 'MAX_SLACK',
+    units: 'english', // Knots
+    time_zone: 'gmt',
+    application: 'ProFish',
+    format: 'json',
+  });
+  if (station.bin != null) params.set('bin', String(station.bin));
+
+  const response = await fetch(`${NOAA_BASE}?${params}`);
+  if (!response.ok) throw new Error('NOAA currents API error');
+  const events = normalizeNoaaCurrents(await response.json());
+  if (events.length === 0) throw new Error('No current predictions');
+  return {
+    events,
+    source: 'noaa',
+    stationId: station.id,
+    stationName: station.name,
+  };
+}
+
+// ── Estimate from tide heights ───────────────────────────
+
+/**
+ * Slack at each high and low, max flood/ebb halfway between. Strength is
+ * the rate of height change relative to the fastest in the set.
+ * @param {Object[]} extremes - tideService extremes
+ */
+export function estimateFromExtremes(extremes) {
+  const sorted = [...(extremes || [])].sort(
+    (a, b) => new Date(a.date) - new Date(b.date),
+  );
+  const runs = [];
+  for (let i = 0; i < sorted.length - 1; i++) {
+    const t1 = new Date(sorted[i].date).getTime();
+    const t2 = new Date(sorted[i + 1].date).getTime();
+    const rate =
+      sorted[i].height != null && sorted[i + 1].height != null
+        ? Math.abs(sorted[i + 1].height - sorted[i].height) /
+          ((t2 - t1) / HOUR_MS)
+        : 1;
+    runs.push({ t1, t2, rate, flood: sorted[i].type === 'Low' });
+  }
+  const fastest = Math.max(0, ...runs.map(r => r.rate));
+
+  const events = [];
+  runs.forEach((run, i) => {
+    if (i === 0) events.push(slackAt(run.t1));
+    events.push({
+      date: new Date((run.t1 + run.t2) / 2).toISOString(),
+      type: run.flood ? 'flood' : 'ebb',
+      speed: null,
+      strength: fastest > 0 ? Math.round((run.rate / fastest) * 100) / 100 : 1,
+      direction: null,
+    });
+    events.push(slackAt(run.t2));
+  });
+  return events;
+}
+
+function slackAt(time) {
+  return {
+    date: new Date(time).toISOString(),
+    type: 'slack',
+    speed: 0,
+    strength: 0,
+    direction: null,
+  };
+}
+
+// ── Public API ───────────────────────────────────────────
+
+/**
+ * Slack and max current events for a location
+ * @returns {Promise<Object|null>} { events, source: 'noaa'|'estimate',
+ *   stationId?, stationName? } — null without tide data either
+ */
+export async function getCurrents(latitude, longitude, { hours = 48 } = {}) {
+  const cacheKey = cacheService.coordKey(
+    `currents_${hours}h`,
+    latitude,
+    longitude,
+  );
+  const cached = await cacheService.get(cacheKey);
+  if (cached) return cached;
+
+  // Back far enough that the flow in progress has both its events
+  const start = new Date(Date.now() - 7 * HOUR_MS);
+  let result = null;
+  try {
+    const station = await findNoaaStation(latitude, longitude);
+    if (station) result = await getNoaaCurrents(station, start, hours + 7);
+  } catch {
+    // Fall back to the estimate
+  }
+
+  if (!result) {
+    const tides = await tideService
+      .getTides(latitude, longitude, { days: Math.ceil(hours / 24) + 1 })
+      .catch(() => null);
+    if (!tides?.extremes || tides.extremes.length < 2) return null;
+    result = {
+      events: estimateFromExtremes(tides.extremes),
+      source: 'estimate',
+      stationId: tides.stationId || null,
+      stationName: tides.stationName || null,
+    };
+  }
+
+  await cacheService.set(cacheKey, result, CURRENT_CACHE_TTL);
+  return result;
+}
+
+/**
+ * Flow at a time from a list of events. Between a slack and a max the
+ * current builds roughly as a sine, which is how NOAA interpolates too.
+ * @returns {Object|null} { phase: 'flood'|'ebb'|'slack', speed, strength,
+ *   direction, nextSlack, nextMax }
+ */
+export function flowAt(events, time = new Date()) {
+  const t = new Date(time).getTime();
+  const sorted = [...(events || [])].sort(
+    (a, b) => new Date(a.date) - new Date(b.date),
+  );
+
+  for (let i = 0; i < sorted.length - 1; i++) {
+    const a = sorted[i];
+    const b = sorted[i + 1];
+    const t1 = new Date(a.date).getTime();
+    const t2 = new Date(b.date).getTime();
+    if (t < t1 || t > t2) continue;
+
+    // One end is slack, the other the max of the flow in progress
+    const max = a.type === 'slack' ? b : a;
+    const towardMax = a.type === 'slack';
+    const fraction = t2 > t1 ? (t - t1) / (t2 - t1) : 0;
+    const share = Math.sin(
+      ((towardMax ? fraction : 1 - fraction) * Math.PI) / 2,
+    );
+    const strength = Math.round(max.strength * share * 100) / 100;
+    const upcoming = sorted.slice(i + 1);
+
+    return {
+      phase:
+        max.type === 'slack' || strength < SLACK_STRENGTH ? 'slack' : max.type,
+      speed:
+        max.speed != null ? Math.round(max.speed * share * 100) / 100 : null,
+      strength,
+      direction: max.direction,
+      nextSlack: upcoming.find(e => e.type === 'slack') || null,
+      nextMax: upcoming.find(e => e.type !== 'slack') || null,
+    };
+  }
+  return null;
+}
+
+/**
+ * Current flow right now (or at `time`) for a location
+ * @returns {Promise<Object|null>} flowAt() plus { source, stationName }
+ */
+export async function getCurrentFlow(latitude, longitude, time = new Date()) {
+  const currents = await getCurrents(latitude, longitude);
+  if (!currents) return null;
+  const flow = flowAt(currents.events, time);
+  return flow
+    ? { ...flow, source: currents.source, stationName: currents.stationName }
+    : null;
+}
+
+export default {
+  SLACK_STRENGTH,
+  getCurrents,
+  getCurrentFlow,
+  flowAt,
+  estimateFromExtremes,
+  normalizeNoaaCurrents,
+};
@@ -0,0 +1,621 @@
+/**
+ * Tide Harmonics Service — ProFish
+ * Offline tide prediction from station harmonic constituents (#563)
+ *
+ * A tide station's published constituents (amplitude and Greenwich phase
+ * lag for M2, S2, K1, O1…) are all it takes to predict its tide for any
+ * date — it's how NOAA builds its own tables:
+ *
+ *   h(t) = Z0 + Σ f·A·cos(V(t) + u − G)
+ *
+ * V is each constituent's astronomical argument at t, and f/u are the
+ * 18.6-year lunar node corrections (Schureman, "Manual of Harmonic Analysis
+ * and Prediction of Tides"). Z0 lifts the mean-sea-level curve onto the
+ * station's chart datum.
+ *
+ * Constituent sets are downloaded once per station and kept in
+ * AsyncStorage, so predictions keep working offshore for as long as
+ * needed and never cost WorldTides tokens.
+ *
+ * Stored station:
+ *   { id, name, lat, lng, datum, datumOffset, source, fetchedAt,
+ *     constituents: [{ name, amplitude, phase }],    // m, degrees (GMT)
+ *     datums?, offsets?, referenceId? }              // secondary stations
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const STATIONS_KEY = '@profish_tide_constituents';
+const NOAA_MDAPI = 'https://api.tidesandcurrents.noaa.gov/mdapi/prod/webapi';
+
+const MAX_STATION_KM = 100;
+const HOUR_MS = 60 * 60 * 1000;
+const SAMPLE_MINUTES = 6; // Extremes are searched for on this grid
+
+const DEG = Math.PI / 180;
+const LUNAR_INCLINATION = 5.145; // Moon's orbit to the ecliptic, degrees
+
+// { [stationId]: StoredStation }
+let store = {};
+let loaded = false;
+
+// ── Astronomy ────────────────────────────────────────────
+
+const norm = deg => ((deg % 360) + 360) % 360;
+
+/**
+ * Mean longitudes (Meeus) and node-dependent angles at a time, degrees
+ */
+export function astronomicalArguments(date) {
+  const ms = new Date(date).getTime();
+  const T = (ms / 86400000 + 2440587.5 - 2451545) / 36525; // Julian centuries
+  const utHours = (((ms % 86400000) + 86400000) % 86400000) / HOUR_MS;
+
+  const s = 218.3164591 + 481267.88134236 * T - 0.0013268 * T * T; // Moon
+  const h = 280.46645 + 36000.7697489 * T + 0.0003032 * T * T; // Sun
+  const p = 83.353243 + 4069.0137111 * T - 0.0103238 * T * T; // Lunar perigee
+  const N = 125.044555 - 1934.1361849 * T + 0.0020762 * T * T; // Lunar node
+  const p1 = 282.94 + 1.7192 * T; // Solar perigee
+  const tau = 180 + 15 * utHours + h - s; // Mean lunar time
+
+  // Inclination of the moon's orbit to the equator and the node angles
+  const omega = (23.4393 - 0.013 * T) * DEG;
+  const i = LUNAR_INCLINATION * DEG;
+  const n = N * DEG;
+  const I = Math.acos(
+    Math.cos(i) * Math.cos(omega) - Math.sin(i) * Math.sin(omega) * Math.cos(n),
+  );
+  const e1 =
+    Math.atan(
+      (Math.cos((omega - i) / 2) / Math.cos((omega + i) / 2)) * Math.tan(n / 2),
+    ) -
+    n / 2;
+  const e2 =
+    Math.atan(
+      (Math.sin((omega - i) / 2) / Math.sin((omega + i) / 2)) * Math.tan(n / 2),
+    ) -
+    n / 2;
+  const xi = -(e1 + e2);
+  const nu = e1 - e2;
+  const nuPrime = Math.atan2(
+    Math.sin(2 * I) * Math.sin(nu),
+    Math.sin(2 * I) * Math.cos(nu) + 0.3347,
+  );
+  const nuSecond =
+    Math.atan2(
+      Math.sin(I) ** 2 * Math.sin(2 * nu),
+      Math.sin(I) ** 2 * Math.cos(2 * nu) + 0.0727,
+    ) / 2;
+
+  return {
+    tau: norm(tau),
+    s: norm(s),
+    h: norm(h),
+    p: norm(p),
+    N: norm(N),
+    p1: norm(p1),
+    // Radians from here on
+    I,
+    xi,
+    nu,
+    nuPrime,
+    nuSecond,
+  };
+}
+
+// ── Node corrections ─────────────────────────────────────
+// Each returns { f, u } with u in degrees
+
+const NODAL = {
+  unity: () => ({ f: 1, u: 0 }),
+  M2: ({ I, xi, nu }) => ({
+    f: Math.cos(I / 2) ** 4 / 0.9154,
+    u: (2 * xi - 2 * nu) / DEG,
+  }),
+  O1: ({ I, xi, nu }) => ({
+    f: (Math.sin(I) * Math.cos(I / 2) ** 2) / 0.38,
+    u: (2 * xi - nu) / DEG,
+  }),
+  K1: ({ I, nu, nuPrime }) => ({
+    f: Math.sqrt(
+      0.8965 * Math.sin(2 * I) ** 2 +
+        0.6001 * Math.sin(2 * I) * Math.cos(nu) +
+        0.1006,
+    ),
+    u: -nuPrime / DEG,
+  }),
+  K2: ({ I, nu, nuSecond }) => ({
+    f: Math.sqrt(
+      19.0444 * Math.sin(I) ** 4 +
+        2.7702 * Math.sin(I) ** 2 * Math.cos(2 * nu) +
+        0.0981,
+    ),
+    u: (-2 * nuSecond) / DEG,
+  }),
+  J1: ({ I, nu }) => ({ f: Math.sin(2 * I) / 0.7214, u: -nu / DEG }),
+  OO1: ({ I, xi, nu }) => ({
+    f: (Math.sin(I) * Math.sin(I / 2) ** 2) / 0.0164,
+    u: (-2 * xi - nu) / DEG,
+  }),
+  Mf: ({ I, xi }) => ({ f: Math.sin(I) ** 2 / 0.1578, u: (-2 * xi) / DEG }),
+  Mm: ({ I }) => ({ f: (2 / 3 - Math.sin(I) ** 2) / 0.5021, u: 0 }),
+  L2: args => {
+    const { I, xi } = args;
+    const m2 = NODAL.M2(args);
+    const P = args.p * DEG - xi;
+    const tan2 = Math.tan(I / 2) ** 2;
+    const R = Math.atan2(Math.sin(2 * P), 1 / (6 * tan2) - Math.cos(2 * P));
+    return {
+      f: m2.f * Math.sqrt(1 - 12 * tan2 * Math.cos(2 * P) + 36 * tan2 * tan2),
+      u: m2.u - R / DEG,
+    };
+  },
+};
+
+// ── Constituents ─────────────────────────────────────────
+// Extended Doodson numbers on [τ, s, h, p, p1] plus a multiple of 90°,
+// with the node correction each one takes
+
+const BASE = {
+  M2: { v: [2, 0, 0, 0, 0], k: 0, nodal: 'M2' },
+  S2: { v: [2, 2, -2, 0, 0], k: 0, nodal: 'unity' },
+  N2: { v: [2, -1, 0, 1, 0], k: 0, nodal: 'M2' },
+  K2: { v: [2, 2, 0, 0, 0], k: 0, nodal: 'K2' },
+  K1: { v: [1, 1, 0, 0, 0], k: -1, nodal: 'K1' },
+  O1: { v: [1, -1, 0, 0, 0], k: 1, nodal: 'O1' },
+  P1: { v: [1, 1, -2, 0, 0], k: 1, nodal: 'unity' },
+  Q1: { v: [1, -2, 0, 1, 0], k: 1, nodal: 'O1' },
+  '2Q1': { v: [1, -3, 0, 2, 0], k: 1, nodal: 'O1' },
+  RHO: { v: [1, -2, 2, -1, 0], k: 1, nodal: 'O1' },
+  J1: { v: [1, 2, 0, -1, 0], k: -1, nodal: 'J1' },
+  OO1: { v: [1, 3, 0, 0, 0], k: -1, nodal: 'OO1' },
+  '2N2': { v: [2, -2, 0, 2, 0], k: 0, nodal: 'M2' },
+  MU2: { v: [2, -2, 2, 0, 0], k: 0, nodal: 'M2' },
+  NU2: { v: [2, -1, 2, -1, 0], k: 0, nodal: 'M2' },
+  LAM2: { v: [2, 1, -2, 1, 0], k: 2, nodal: 'M2' },
+  L2: { v: [2, 1, 0, -1, 0], k: 2, nodal: 'L2' },
+  T2: { v: [2, 2, -3, 0, 1], k: 0, nodal: 'unity' },
+  R2: { v: [2, 2, -1, 0, -1], k: 2, nodal: 'unity' },
+  MM: { v: [0, 1, 0, -1, 0], k: 0, nodal: 'Mm' },
+  MF: { v: [0, 2, 0, 0, 0], k: 0, nodal: 'Mf' },
+  SA: { v: [0, 0, 1, 0, 0], k: 0, nodal: 'unity' },
+  SSA: { v: [0, 0, 2, 0, 0], k: 0, nodal: 'unity' },
+};
+
+// Shallow-water constituents: sums of the base ones, corrections multiply
+const COMPOUND = {
+  M3: { M2: 1.5 },
+  M4: { M2: 2 },
+  MS4: { M2: 1, S2: 1 },
+  MN4: { M2: 1, N2: 1 },
+  S4: { S2: 2 },
+  M6: { M2: 3 },
+  S6: { S2: 3 },
+  M8: { M2: 4 },
+  MK3: { M2: 1, K1: 1 },
+  '2MK3': { M2: 2, K1: -1 },
+  '2SM2': { S2: 2, M2: -1 },
+};
+
+export const SUPPORTED_CONSTITUENTS = [
+  ...Object.keys(BASE),
+  ...Object.keys(COMPOUND),
+];
+
+// NOAA and other agencies spell a few names differently
+const ALIASES = { RHO1: 'RHO', LAMBDA2: 'LAM2', LDA2: 'LAM2', MSF: null };
+
+function canonicalName(name) {
+  const upper = String(name).toUpperCase();
+  return upper in ALIASES ? ALIASES[upper] : upper;
+}
+
+function baseArgument(def, astro) {
+  const [a, b, c, d, e] = def.v;
+  return (
+    a * astro.tau +
+    b * astro.s +
+    c * astro.h +
+    d * astro.p +
+    e * astro.p1 +
+    def.k * 90
+  );
+}
+
+/**
+ * Equilibrium argument V + u (degrees) and node factor f of a constituent
+ * @returns {{ argument: number, f: number }|null} Null when unsupported
+ */
+export function constituentTerms(name, astro) {
+  const key = canonicalName(name);
+  if (BASE[key]) {
+    const def = BASE[key];
+    const { f, u } = NODAL[def.nodal](astro);
+    return { argument: norm(baseArgument(def, astro) + u), f };
+  }
+  if (COMPOUND[key]) {
+    let argument = 0;
+    let f = 1;
+    for (const [part, times] of Object.entries(COMPOUND[key])) {
+      const terms = constituentTerms(part, astro);
+      argument += terms.argument * times;
+      f *= terms.f ** Math.abs(times);
+    }
+    return { argument: norm(argument), f };
+  }
+  return null;
+}
+
+// ── Prediction ───────────────────────────────────────────
+
+/**
+ * Tide height at a time
+ * @param {Object} station - Stored station (see the file header)
+ * @param {Date|string|number} time
+ * @param {Object} [nodalAt] - astronomicalArguments() to take f and u
+ *   from; they drift over years, so a range can share one set
+ * @returns {number} metres above the station's datum
+ */
+export function predictHeight(station, time, nodalAt = null) {
+  const astro = astronomicalArguments(time);
+  const node = nodalAt || astro;
+  let height = station.datumOffset || 0;
+
+  for (const c of station.constituents) {
+    const key = canonicalName(c.name);
+    const def = BASE[key];
+    let terms;
+    if (def && node !== astro) {
+      // Argument from now, correction from the shared node
+      const { f, u } = NODAL[def.nodal](node);
+      terms = { argument: baseArgument(def, astro) + u, f };
+    } else {
+      terms = constituentTerms(key, astro);
+    }
+    if (!terms) continue;
+    height +=
+      terms.f * c.amplitude * Math.cos((terms.argument - c.phase) * DEG);
+  }
+  return height;
+}
+
+/**
+ * Heights every `intervalMinutes` from `start` to `end`
+ * @returns {{ time: string, height: number }[]}
+ */
+export function predictCurve(station, start, end, intervalMinutes = 15) {
+  const from = new Date(start).getTime();
+  const to = new Date(end).getTime();
+  const node = astronomicalArguments((from + to) / 2);
+  const points = [];
+  for (let t = from; t <= to; t += intervalMinutes * 60000) {
+    points.push({
+      time: new Date(t).toISOString(),
+      height: Math.round(predictHeight(station, t, node) * 1000) / 1000,
+    });
+  }
+  return points;
+}
+
+/**
+ * High and low waters between two times, in tideService's extremes shape
+ * @returns {{ date: string, height: number, type: 'High'|'Low' }[]}
+ */
+export function predictExtremes(station, start, end) {
+  const from = new Date(start).getTime();
+  const to = new Date(end).getTime();
+  const step = SAMPLE_MINUTES * 60000;
+  const node = astronomicalArguments((from + to) / 2);
+  const at = t => predictHeight(station, t, node);
+
+  const extremes = [];
+  let prev = at(from - step);
+  let curr = at(from);
+  for (let t = from; t <= to; t += step) {
+    const next = at(t + step);
+    const isHigh = curr > prev && curr >= next;
+    const isLow = curr < prev && curr <= next;
+    if (isHigh || isLow) {
+      // Vertex of the parabola through the three samples
+      const denom = prev - 2 * curr + next;
+      const offset = denom !== 0 ? (0.5 * (prev - next)) / denom : 0;
+      const time = t + offset * step;
+      extremes.push({
+        date: new Date(Math.round(time / 60000) * 60000).toISOString(),
+        height: Math.round(at(time) * 1000) / 1000,
+        type: isHigh ? 'High' : 'Low',
+      });
+    }
+    prev = curr;
+    curr = next;
+  }
+  return extremes;
+}
+
+// ── Station store ────────────────────────────────────────
+
+async function init() {
+  if (loaded) return;
+  try {
+    const raw = await AsyncStorage.getItem(STATIONS_KEY);
+    store = raw ? JSON.parse(raw) : {};
+  } catch (e) {
+    console.warn('[TideHarmonics] Init failed:', e);
+    store = {};
+  }
+  loaded = true;
+}
+
+async function persist() {
+  try {
+    await AsyncStorage.setItem(STATIONS_KEY, JSON.stringify(store));
+  } catch (e) {
+    console.warn('[TideHarmonics] Persist failed:', e);
+  }
+}
+
+/**
+ * Store a station's constituents — from NOAA, or published elsewhere
+ * (admiralty tables, port authorities) and entered by hand
+ * @returns {Object} { success, error?, station? }
+ */
+export async function saveStation(station) {
+  await init();
+  if (!station?.id || station.lat == null || station.lng == null) {
+    return { success: false, error: 'Station needs an id and a position' };
+  }
+  const constituents = (station.constituents || []).filter(
+    c => c.amplitude > 0 && constituentTerms(c.name, astronomicalArguments(0)),
+  );
+  if (
+    !constituents.some(
+      c => canonicalName(c.name) === 'M2' || canonicalName(c.name) === 'K1',
+    )
+  ) {
+    return { success: false, error: 'No usable tidal constituents' };
+  }
+
+  const saved = {
+    datum: 'MSL',
+    datumOffset: 0,
+    source: 'manual',
+    fetchedAt: new Date().toISOString(),
+    ...station,
+    constituents,
+  };
+  store[station.id] = saved;
+  await persist();
+  return { success: true, station: saved };
+}
+
+export async function getStations() {
+  await init();
+  return Object.values(store);
+}
+
+export async function removeStation(id) {
+  await init();
+  delete store[id];
+  await persist();
+}
+
+function distanceKm(lat1, lng1, lat2, lng2) {
+  const dLat = (lat2 - lat1) * DEG;
+  const dLng = (lng2 - lng1) * DEG;
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(lat1 * DEG) * Math.cos(lat2 * DEG) * Math.sin(dLng / 2) ** 2;
+  return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * Nearest stored station within 100km
+ */
+export async function findStation(latitude, longitude) {
+  await init();
+  let nearest = null;
+  let minDist = MAX_STATION_KM;
+  for (const station of Object.values(store)) {
+    const d = distanceKm(latitude, longitude, station.lat, station.lng);
+    if (d <= minDist) {
+      minDist = d;
+      nearest = station;
+    }
+  }
+  return nearest;
+}
+
+// ── Datums & secondary stations ──────────────────────────
+
+/**
+ * Datum heights by name from NOAA's datums.json, all on one reference
+ * @returns {Object|null} { MLLW: 1.23, MSL: 2.01, LAT: 1.02, … }
+ */
+export function parseNoaaDatums(data) {
+  const datums = {};
+  for (const d of data?.datums || []) {
+    if (d.value != null && d.value !== '') datums[d.name] = Number(d.value);
+  }
+  return Object.keys(datums).length > 0 ? datums : null;
+}
+
+/**
+ * Subordinate-station corrections from NOAA's tidepredoffsets.json
+ * @returns {Object|null} { referenceId, timeHigh, timeLow (minutes),
+ *   heightHigh, heightLow, heightType: 'ratio'|'add' }
+ */
+export function parseNoaaOffsets(data) {
+  if (!data?.refStationId) return null;
+  return {
+    referenceId: String(data.refStationId),
+    timeHigh: Number(data.timeOffsetHighTide) || 0,
+    timeLow: Number(data.timeOffsetLowTide) || 0,
+    heightHigh: Number(data.heightOffsetHighTide),
+    heightLow: Number(data.heightOffsetLowTide),
+    heightType: data.heightAdjustedType === 'R' ? 'ratio' : 'add',
+  };
+}
+
+/**
+ * Correct a reference station's highs and lows for a subordinate one.
+ * Reference heights must be on MLLW, which NOAA's ratios are defined on.
+ */
+export function applyStationOffsets(extremes, offsets) {
+  if (!offsets) return extremes;
+  return extremes.map(e => {
+    const high = e.type === 'High';
+    const minutes = high ? offsets.timeHigh : offsets.timeLow;
+    const factor = high ? offsets.heightHigh : offsets.heightLow;
+    let height = e.height;
+    if (height != null && Number.isFinite(factor)) {
+      height =
+        offsets.heightType === 'ratio' ? height * factor : height + factor;
+    }
+    return {
+      ...e,
+      date: new Date(
+        new Date(e.date).getTime() + minutes * 60000,
+      ).toISOString(),
+      height: height == null ? height : Math.round(height * 1000) / 1000,
+    };
+  });
+}
+
+/**
+ * Re-reference heights to another datum. Stays on `from` when the station
+ * doesn't publish both datums.
+ * @returns {{ extremes: Object[], datum: string }}
+ */
+export function convertDatum(extremes, datums, from, to) {
+  if (!to || to === from) return { extremes, datum: from };
+  if (datums?.[from] == null || datums?.[to] == null) {
+    return { extremes, datum: from };
+  }
+  const shift = datums[from] - datums[to];
+  return {
+    extremes: extremes.map(e => ({
+      ...e,
+      height:
+        e.height == null
+          ? e.height
+          : Math.round((e.height + shift) * 1000) / 1000,
+    })),
+    datum: to,
+  };
+}
+
+// ── NOAA download ────────────────────────────────────────
+
+/**
+ * Constituents from NOAA's harcon.json
+ */
+export function parseNoaaHarcon(data) {
+  return (data?.HarmonicConstituents || []).map(c => ({
+    name: c.name,
+    amplitude: Number(c.amplitude),
+    phase: Number(c.phase_GMT),
+  }));
+}
+
+async function getNoaaJson(stationId, resource) {
+  const res = await fetch(
+    `${NOAA_MDAPI}/stations/${stationId}/${resource}.json?units=metric`,
+  );
+  return res.ok ? res.json() : null;
+}
+
+/**
+ * Download a NOAA station for offline use. Subordinate stations have no
+ * constituents of their own, so their reference station's are stored with
+ * the subordinate's offsets and datums.
+ * @param {{ id, name, lat, lng, referenceId? }} station - From
+ *   tideService's station list
+ */
+export async function downloadNoaaStation(station) {
+  const harconId = station.referenceId || station.id;
+  const [harcon, refDatums, ownDatums, offsets] = await Promise.all([
+    getNoaaJson(harconId, 'harcon'),
+    getNoaaJson(harconId, 'datums'),
+    station.referenceId ? getNoaaJson(station.id, 'datums') : null,
+    station.referenceId ? getNoaaJson(station.id, 'tidepredoffsets') : null,
+  ]);
+  if (!harcon) throw new Error('NOAA harmonic constituents API error');
+
+  // Constituents oscillate about MSL; NOAA's offsets and tables use MLLW
+  const reference = parseNoaaDatums(refDatums);
+  const onMllw = reference?.MSL != null && reference?.MLLW != null;
+
+  return saveStation({
+    id: station.id,
+    name: station.name,
+    lat: station.lat,
+    lng: station.lng,
+    datum: onMllw ? 'MLLW' : 'MSL',
+    datumOffset: onMllw
+      ? Math.round((reference.MSL - reference.MLLW) * 1000) / 1000
+      : 0,
+    datums: station.referenceId ? parseNoaaDatums(ownDatums) : reference,
+    offsets: onMllw ? parseNoaaOffsets(offsets) : null,
+    referenceId: station.referenceId || null,
+    source: 'noaa',
+    constituents: parseNoaaHarcon(harcon),
+  });
+}
+
+/**
+ * Predicted tides shaped like tideService.getTides()
+ * @param {Object} [options]
+ * @param {number} [options.days=1]
+ * @param {Date} [options.start=now]
+ * @param {string} [options.datum] - Display datum (MLLW, LAT, MSL…)
+ * @param {string} [options.stationId] - Use this stored station rather
+ *   than the nearest one
+ * @returns {Promise<Object|null>} Null without a station nearby
+ */
+export async function predictTides(latitude, longitude, options = {}) {
+  const { days = 1, start = new Date(), datum, stationId } = options;
+  await init();
+  const station =
+    (stationId && store[stationId]) || (await findStation(latitude, longitude));
+  if (!station) return null;
+
+  // Start a little early so the tide in progress has its last turn
+  const from = new Date(start).getTime() - 7 * HOUR_MS;
+  const to = new Date(start).getTime() + days * 24 * HOUR_MS;
+  const extremes = applyStationOffsets(
+    predictExtremes(station, from, to),
+    station.offsets,
+  );
+  const converted = convertDatum(
+    extremes,
+    station.datums,
+    station.datum,
+    datum || station.datum,
+  );
+  return {
+    extremes: converted.extremes,
+    source: 'harmonic',
+    datum: converted.datum,
+    stationId: station.id,
+    stationName: station.name,
+    referenceStationId: station.referenceId || null,
+  };
+}
+
+export default {
+  SUPPORTED_CONSTITUENTS,
+  predictHeight,
+  predictCurve,
+  predictExtremes,
+  predictTides,
+  saveStation,
+  getStations,
+  removeStation,
+  findStation,
+  parseNoaaHarcon,
+  parseNoaaDatums,
+  parseNoaaOffsets,
+  applyStationOffsets,
+  convertDatum,
+  downloadNoaaStation,
+};
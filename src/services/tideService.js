@@ -7,43 +7,107 @@
  * WorldTides token budget: 20,000 dev tokens
  * - Each extremes call ≈ 1 token per day requested
  * - We cache aggressively (6hr TTL) and prefer NOAA for US
+ *
+ * Saved spots' stations have their harmonic constituents downloaded, so
+ * tides are still predicted on-device with no network (#563)
+ *
+ * Users can pin the station a location uses and pick the datum heights are
+ * shown on. NOAA subordinate stations are predicted from their reference
+ * station with the published time/height offsets (#564)
  */
 
 import { WORLDTIDES_API_KEY } from '../config/env';
 import cacheService from './cacheService';
+import preferencesService from './preferencesService';
+import tideHarmonicsService, {
+  applyStationOffsets,
+  convertDatum,
+  parseNoaaDatums,
+  parseNoaaOffsets,
+} from './tideHarmonicsService';
 
 const NOAA_BASE = 'https://api.tidesandcurrents.noaa.gov/api/prod/datagetter';
+const NOAA_MDAPI = 'https://api.tidesandcurrents.noaa.gov/mdapi/prod/webapi';
 const WORLDTIDES_BASE = 'https://www.worldtides.info/api/v3';
 
 const TIDE_CACHE_TTL = 6 * 60 * 60 * 1000; // 6 hours
 const TIDE_STALE_TTL = 24 * 60 * 60 * 1000; // 24 hours (offline fallback)
+const STATION_META_TTL = 30 * 24 * 60 * 60 * 1000; // Datums/offsets: 30 days
+
+// Display datums users can choose from. Unset, each source keeps its own:
+// MLLW for NOAA, LAT for WorldTides, the station's for offline predictions.
+export const TIDE_DATUMS = ['MLLW', 'LAT', 'MSL'];
 
 const tideService = {
   /**
    * Get tide predictions for a location
    * Automatically uses NOAA for US, WorldTides for everywhere else
+   * @param {Object} [options]
+   * @param {number} [options.days=1]
+   * @param {string} [options.datum] - Overrides the preferred datum
+   * @returns {Promise<Object|null>} { extremes, source, datum, stationId?,
+   *   stationName?, stationType?, referenceStationId?, stationSelection? }
    */
-  async getTides(latitude, longitude, { days = 1 } = {}) {
-    const cacheKey = cacheService.coordKey('tide', latitude, longitude);
+  async getTides(latitude, longitude, { days = 1, datum } = {}) {
+    const settings = await this.getTideSettings(latitude, longitude);
+    const options = {
+      datum: TIDE_DATUMS.includes(datum) ? datum : settings.datum,
+      stationId: settings.stationId,
+    };
+
+    // Multi-day timelines keep their own entry so a 1-day fetch can't
+    // truncate them; datum and pinned station change the heights too
+    const cacheKey = cacheService.coordKey(
+      [days > 2 ? `tide_${days}d` : 'tide', options.datum, options.stationId]
+        .filter(Boolean)
+        .join('_'),
+      latitude,
+      longitude,
+    );
     const cached = await cacheService.get(cacheKey);
     if (cached) return cached;
 
     // Try NOAA first for US locations (free — no token cost)
     if (this._isUSLocation(latitude, longitude)) {
       try {
-        const result = await this._getNoaaTides(latitude, longitude, days);
+        const result = await this._getNoaaTides(
+          latitude,
+          longitude,
+          days,
+          options,
+        );
         await cacheService.set(cacheKey, result, TIDE_CACHE_TTL);
         await cacheService.set(cacheKey + '_stale', result, TIDE_STALE_TTL);
         return result;
       } catch {
-        // Fall through to WorldTides
+        // Fall through to the offline prediction
+      }
+    }
+
+    // Harmonic prediction from a downloaded station — free and offline
+    try {
+      const predicted = await tideHarmonicsService.predictTides(
+        latitude,
+        longitude,
+        { days, ...options },
+      );
+      if (predicted) {
+        await cacheService.set(cacheKey, predicted, TIDE_CACHE_TTL);
+        return predicted;
       }
+    } catch {
+      // Fall through to WorldTides
     }
 
     // WorldTides for global coverage
     if (WORLDTIDES_API_KEY) {
       try {
-        const result = await this._getWorldTides(latitude, longitude, days);
+        const result = await this._getWorldTides(
+          latitude,
+          longitude,
+          days,
+          options.datum,
+        );
         await cacheService.set(cacheKey, result, TIDE_CACHE_TTL);
         await cacheService.set(cacheKey + '_stale', result, TIDE_STALE_TTL);
         return result;
@@ -57,6 +121,121 @@ const tideService = {
     return null;
   },
 
+  // ── Station & datum selection ─────────────────────
+
+  /**
+   * Display datum and pinned station for a location
+   * @returns {Promise<{ datum: string|null, stationId: string|null }>}
+   */
+  async getTideSettings(latitude, longitude) {
+    const prefs = await preferencesService.getPreferences();
+    return {
+      datum: TIDE_DATUMS.includes(prefs.tideDatum) ? prefs.tideDatum : null,
+      stationId:
+        prefs.tideStations?.[this._locationKey(latitude, longitude)] || null,
+    };
+  },
+
+  /**
+   * @param {string|null} datum - One of TIDE_DATUMS, or null for each
+   *   source's own
+   */
+  async setTideDatum(datum) {
+    if (datum != null && !TIDE_DATUMS.includes(datum)) {
+      throw new Error('Unknown tide datum');
+    }
+    await preferencesService.setPreference('tideDatum', datum);
+  },
+
+  /**
+   * Pin the station used for a location, or pass null to go back to the
+   * nearest one
+   */
+  async setStation(latitude, longitude, stationId) {
+    const prefs = await preferencesService.getPreferences();
+    const stations = { ...(prefs.tideStations || {}) };
+    const key = this._locationKey(latitude, longitude);
+    if (stationId) {
+      stations[key] = stationId;
+    } else {
+      delete stations[key];
+    }
+    await preferencesService.setPreference('tideStations', stations);
+  },
+
+  /**
+   * NOAA stations within 100km, nearest first, for a station picker
+   * @returns {Promise<Object[]>} { id, name, lat, lng, type, referenceId,
+   *   distanceKm }
+   */
+  async getNearbyStations(latitude, longitude, limit = 5) {
+    if (!this._isUSLocation(latitude, longitude)) return [];
+    const stations = await this._getNoaaStations();
+    return stations
+      .map(s => ({
+        ...s,
+        distanceKm:
+          Math.round(this._haversine(latitude, longitude, s.lat, s.lng) * 10) /
+          10,
+      }))
+      .filter(s => s.distanceKm <= 100)
+      .sort((a, b) => a.distanceKm - b.distanceKm)
+      .slice(0, limit);
+  },
+
+  /**
+   * The pinned station, else the nearest
+   */
+  async _resolveStation(latitude, longitude, stationId) {
+    if (stationId) {
+      const stations = await this._getNoaaStations();
+      const pinned = stations.find(s => s.id === stationId);
+      if (pinned) return { ...pinned, selection: 'user' };
+    }
+    const nearest = await this._findNearestStation(latitude, longitude);
+    return nearest ? { ...nearest, selection: 'auto' } : null;
+  },
+
+  _locationKey(latitude, longitude) {
+    return `${latitude.toFixed(2)},${longitude.toFixed(2)}`;
+  },
+
+  /**
+   * Download harmonic constituents for the NOAA station each saved spot
+   * uses, unless already stored. Cheap to call on every launch.
+   * @returns {Promise<number>} Stations downloaded
+   */
+  async syncOfflineStations() {
+    let downloaded = 0;
+    try {
+      const spots = await preferencesService.getSpots();
+      for (const spot of spots) {
+        const { latitude, longitude } = spot;
+        if (latitude == null || !this._isUSLocation(latitude, longitude)) {
+          continue;
+        }
+        const { stationId } = await this.getTideSettings(latitude, longitude);
+        const stored = stationId
+          ? (await tideHarmonicsService.getStations()).some(
+              s => s.id === stationId,
+            )
+          : await tideHarmonicsService.findStation(latitude, longitude);
+        if (stored) continue;
+        const station = await this._resolveStation(
+          latitude,
+          longitude,
+          stationId,
+        );
+        if (!station) continue;
+        const result = await tideHarmonicsService.downloadNoaaStation(station);
+        if (result.success) downloaded++;
+      }
+    } catch (e) {
+      console.warn('[Tides] Offline station sync failed:', e);
+    }
+    return downloaded;
+  },
+
   /**
    * Get current tide state (rising/falling/high/low)
    */
@@ -90,6 +269,7 @@ const tideService = {
           height: Math.round(height * 100) / 100,
           lastExtreme: extremes[i],
           nextExtreme: extremes[i + 1],
+          ...this._stationLabel(tides),
         };
       }
     }
@@ -160,15 +340,26 @@ const tideService = {
 
   /**
    * Generate tide curve data points for charting.
-   * Returns an array of { time, height } for every `intervalMinutes` minutes.
+   * Returns an array of { time, height, state, progress } for every
+   * `intervalMinutes` minutes. Points past the last known extreme are
+   * omitted.
    *
    * @param {number} latitude
    * @param {number} longitude
    * @param {number} [hours=24] - Total hours to generate
    * @param {number} [intervalMinutes=15] - Interval between data points
+   * @param {Date} [start=now] - Time of the first point
    */
-  async getTideCurve(latitude, longitude, hours = 24, intervalMinutes = 15) {
-    const tides = await this.getTides(latitude, longitude, { days: 2 });
+  async getTideCurve(
+    latitude,
+    longitude,
+    hours = 24,
+    intervalMinutes = 15,
+    start = new Date(),
+  ) {
+    const tides = await this.getTides(latitude, longitude, {
+      days: Math.max(2, Math.ceil(hours / 24) + 1),
+    });
     if (!tides || !tides.extremes || tides.extremes.length < 2) {
       return [];
     }
@@ -176,7 +367,7 @@ const tideService = {
     const extremes = tides.extremes.sort(
       (a, b) => new Date(a.date) - new Date(b.date),
     );
-    const now = new Date();
+    const now = new Date(start);
     const points = [];
     const totalMinutes = hours * 60;
 
@@ -198,6 +389,8 @@ const tideService = {
           points.push({
             time: t.toISOString(),
             height: Math.round(height * 100) / 100,
+            state: extremes[i].type === 'Low' ? 'rising' : 'falling',
+            progress: Math.round(fraction * 100),
           });
           break;
         }
@@ -207,6 +400,20 @@ const tideService = {
     return points;
   },
 
+  /**
+   * Where the heights come from, for labelling charts
+   */
+  _stationLabel(tides) {
+    return {
+      source: tides.source,
+      datum: tides.datum || null,
+      stationId: tides.stationId || null,
+      stationName: tides.stationName || null,
+      stationType: tides.stationType || null,
+      stationSelection: tides.stationSelection || null,
+    };
+  },
+
   // ── NOAA (US free) ─────────────────────────────────
 
   // Cache the station list so we only fetch it once
@@ -233,6 +440,9 @@ const tideService = {
           name: s.name,
           lat: s.lat,
           lng: s.lng,
+          // Subordinate stations are predicted from a reference station
+          type: s.type === 'S' ? 'subordinate' : 'reference',
+          referenceId: s.type === 'S' ? s.reference_id || null : null,
         }));
         return this._noaaStations;
       } catch (e) {
@@ -280,11 +490,20 @@ const tideService = {
     return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
   },
 
-  async _getNoaaTides(latitude, longitude, days) {
-    // Find nearest tide prediction station
-    const station = await this._findNearestStation(latitude, longitude);
+  async _getNoaaTides(latitude, longitude, days, options = {}) {
+    const station = await this._resolveStation(
+      latitude,
+      longitude,
+      options.stationId,
+    );
     if (!station) throw new Error('No NOAA station nearby');
 
+    // Subordinate stations: reference predictions, corrected below
+    const offsets = station.referenceId
+      ? await this._getStationMeta(station.id, 'tidepredoffsets')
+      : null;
+    const predictionId = offsets?.referenceId || station.id;
+
     const now = new Date();
     const end = new Date(now);
     end.setDate(end.getDate() + days);
@@ -292,7 +511,7 @@ const tideService = {
     const params = new URLSearchParams({
       begin_date: this._formatNoaaDate(now),
       end_date: this._formatNoaaDate(end),
-      station: station.id,
+      station: predictionId,
       product: 'predictions',
       datum: 'MLLW',
       units: 'metric',
@@ -307,19 +526,58 @@ const tideService = {
 
     const data = await response.json();
     const result = this._normalizeNoaaData(data);
-    result.stationName = station.name;
-    result.stationId = station.id;
-    return result;
+    const datums = await this._getStationMeta(station.id, 'datums');
+    const converted = convertDatum(
+      applyStationOffsets(result.extremes, offsets),
+      datums,
+      'MLLW',
+      options.datum,
+    );
+    return {
+      ...result,
+      extremes: converted.extremes,
+      datum: converted.datum,
+      stationName: station.name,
+      stationId: station.id,
+      stationType: station.type,
+      referenceStationId: offsets ? predictionId : null,
+      stationSelection: station.selection,
+    };
+  },
+
+  /**
+   * Datums or subordinate offsets for a station. These rarely change, so
+   * they're cached for a month; a failed lookup returns null and heights
+   * stay uncorrected rather than missing.
+   * @param {'datums'|'tidepredoffsets'} resource
+   */
+  async _getStationMeta(stationId, resource) {
+    const cacheKey = `tide_${resource}_${stationId}`;
+    const cached = await cacheService.get(cacheKey);
+    if (cached) return cached.value;
+    try {
+      const res = await fetch(
+        `${NOAA_MDAPI}/stations/${stationId}/${resource}.json?units=metric`,
+      );
+      if (!res.ok) return null;
+      const data = await res.json();
+      const value =
+        resource === 'datums' ? parseNoaaDatums(data) : parseNoaaOffsets(data);
+      await cacheService.set(cacheKey, { value }, STATION_META_TTL);
+      return value;
+    } catch {
+      return null;
+    }
   },
 
   // ── WorldTides (global) — costs ~1 token/day requested ──
-  async _getWorldTides(latitude, longitude, days) {
+  async _getWorldTides(latitude, longitude, days, datum) {
     const params = new URLSearchParams({
       key: WORLDTIDES_API_KEY,
       lat: latitude.toString(),
       lon: longitude.toString(),
       days: Math.min(days, 2).toString(), // Cap at 2 days to save tokens
-      datum: 'LAT',
+      datum: datum || 'LAT',
     });
 
     const response = await fetch(`${WORLDTIDES_BASE}?extremes&${params}`);
@@ -333,6 +591,8 @@ const tideService = {
         type: e.type === 'High' ? 'High' : 'Low',
       })),
       source: 'worldtides',
+      datum: data.responseDatum || datum || 'LAT',
+      stationName: data.station || null,
     };
   },
 
@@ -355,14 +615,18 @@ const tideService = {
   },
 
   _normalizeNoaaData(data) {
-    if (!data.predictions) return { extremes: [], source: 'noaa' };
+    if (!data.predictions) {
+      return { extremes: [], source: 'noaa', datum: 'MLLW' };
+    }
     return {
+      // Requested in GMT, which NOAA writes without a zone
       extremes: data.predictions.map(p => ({
-        date: p.t,
+        date: new Date(`${p.t.replace(' ', 'T')}:00Z`).toISOString(),
         height: parseFloat(p.v),
         type: p.type === 'H' ? 'High' : 'Low',
       })),
       source: 'noaa',
+      datum: 'MLLW',
     };
   },
 };
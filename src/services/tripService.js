@@ -12,10 +12,20 @@
  */
 
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import Geolocation from '@react-native-community/geolocation';
+import { getInstalledPackVersions } from './regulationsService';
+import { getClosedAreasAt } from './protectedAreaService';
+import notificationService from './notificationService';
 
 const TRIPS_KEY = '@profish_trips';
 const ACTIVE_TRIP_KEY = '@profish_active_trip';
 
+const LOCATION_WATCH = {
+  enableHighAccuracy: true,
+  distanceFilter: 20,
+  interval: 10000,
+};
+
 // ── Trip Data Model ──────────────────────────────────────
 
 export function createTrip({
@@ -42,6 +52,8 @@ export function createTrip({
       tideState: '',
     },
     notes: '',
+    // Regulation pack versions in force when the trip started (#531)
+    regulationPacks: getInstalledPackVersions(),
     createdAt: new Date().toISOString(),
   };
 }
@@ -52,6 +64,8 @@ const tripService = {
   _trips: [],
   _activeTrip: null,
   _loaded: false,
+  _watchId: null,
+  _lastFix: null,
 
   async init() {
     if (this._loaded) return;
@@ -63,6 +77,8 @@ const tripService = {
       this._trips = tripsRaw ? JSON.parse(tripsRaw) : [];
       this._activeTrip = activeRaw ? JSON.parse(activeRaw) : null;
       this._loaded = true;
+      // A trip still running from before the app was closed
+      if (this._activeTrip) this._startLocationWatch();
     } catch (e) {
       console.warn('[TripService] Init failed:', e);
       this._trips = [];
@@ -80,10 +96,12 @@ const tripService = {
       await this.endTrip();
     }
     this._activeTrip = createTrip(opts);
+    this._lastFix = null;
     await AsyncStorage.setItem(
       ACTIVE_TRIP_KEY,
       JSON.stringify(this._activeTrip),
     );
+    this._startLocationWatch();
     return this._activeTrip;
   },
 
@@ -91,6 +109,8 @@ const tripService = {
     await this.init();
     if (!this._activeTrip) return null;
 
+    this._stopLocationWatch();
+    this._lastFix = null;
     this._activeTrip.endedAt = new Date().toISOString();
     this._trips.unshift(this._activeTrip);
     const ended = { ...this._activeTrip };
@@ -132,6 +152,67 @@ const tripService = {
     );
   },
 
+  /**
+   * #534 — Feed live GPS fixes during a trip. Warns once on entering a
+   * no-take or closed area; leaving and re-entering warns again.
+   * @returns {Object[]} closed areas at the point
+   */
+  async updateTripLocation(latitude, longitude) {
+    await this.init();
+    if (!this._activeTrip) return [];
+    this._lastFix = { latitude, longitude };
+
+    const closed = getClosedAreasAt(latitude, longitude);
+    const previous = this._activeTrip.closedAreaIds || [];
+    const ids = closed.map(a => a.id);
+    const entered = closed.filter(a => !previous.includes(a.id));
+    const changed =
+      ids.length !== previous.length || ids.some(id => !previous.includes(id));
+
+    if (changed) {
+      await this.updateActiveTrip({ closedAreaIds: ids });
+    }
+    for (const area of entered) {
+      await notificationService.triggerProtectedAreaAlert(area);
+    }
+    return closed;
+  },
+
+  /**
+   * #534 — Follow GPS for as long as a trip runs, whichever screen is
+   * open, and feed each fix to updateTripLocation
+   */
+  _startLocationWatch() {
+    if (this._watchId !== null) return;
+    try {
+      this._watchId = Geolocation.watchPosition(
+        pos => {
+          const { latitude, longitude } = pos.coords;
+          this.updateTripLocation(latitude, longitude).catch(e =>
+            console.warn('[TripService] Location update failed:', e),
+          );
+        },
+        e => console.warn('[TripService] Location error:', e?.message),
+        LOCATION_WATCH,
+      );
+    } catch (e) {
+      console.warn('[TripService] Location watch failed:', e);
+    }
+  },
+
+  /**
+   * Latest GPS fix of the active trip, null before the first one
+   */
+  getLastPosition() {
+    return this._lastFix ? { ...this._lastFix } : null;
+  },
+
+  _stopLocationWatch() {
+    if (this._watchId === null) return;
+    Geolocation.clearWatch(this._watchId);
+    this._watchId = null;
+  },
+
   // ─── Trip Queries ───────────────────────────────────
 
   async getTrips({ limit = 50, offset = 0 } = {}) {
@@ -0,0 +1,207 @@
+/**
+ * Water Temperature Service — ProFish
+ * Water temperature for a spot, and the spot's temperature history (#568)
+ *
+ * Sources, best first:
+ *   - reading: the angler's own thermometer, logged with a catch in the
+ *     last two days at the same spot
+ *   - sst: marine model sea surface temperature (coast and open sea)
+ *   - air_estimate: lakes and rivers follow the air with a lag — the
+ *     surface layer is roughly an exponentially weighted mean of recent
+ *     daily air temperatures, and never below freezing
+ *
+ * Every value looked up or logged is added to the spot's history, so a
+ * spot builds up its own record over the season. History is keyed by the
+ * saved spot within SPOT_RADIUS_KM, or by a ~1 km grid cell elsewhere.
+ * All temperatures are °C.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import cacheService from './cacheService';
+import spotService from './spotService';
+import weatherService from './weatherService';
+
+const HISTORY_KEY = '@profish_water_temp_history';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const WATER_TEMP_SOURCES = ['reading', 'sst', 'air_estimate'];
+
+// A reading older than this no longer speaks for the water
+const READING_MAX_AGE = 2 * DAY_MS;
+
+// Days of air temperature behind the estimate, and how slowly the water
+// follows (e-folding time). Shallow lakes and rivers are quicker than
+// this, deep lakes slower.
+const AIR_HISTORY_DAYS = 30;
+export const LAKE_LAG_DAYS = 7;
+
+const SPOT_RADIUS_KM = 1;
+const MAX_HISTORY = 400; // entries per spot, a bit over a year of days
+
+// ── Estimates ────────────────────────────────────────────
+
+/**
+ * Lake surface temperature from daily mean air temperatures
+ * @param {number[]} dailyMeans - Oldest first, °C (nulls skipped)
+ * @param {Object} [options] - { lagDays = LAKE_LAG_DAYS }
+ * @returns {number|null} °C, one decimal
+ */
+export function estimateFromAir(dailyMeans, { lagDays = LAKE_LAG_DAYS } = {}) {
+  const temps = (dailyMeans || []).filter(t => t != null);
+  if (temps.length === 0) return null;
+  const alpha = 1 - Math.exp(-1 / lagDays);
+  let water = temps[0];
+  for (const t of temps.slice(1)) water += alpha * (t - water);
+  return Math.round(Math.max(0, water) * 10) / 10;
+}
+
+async function getDailyAirMeans(latitude, longitude) {
+  const { days } = await weatherService.getDailyForecast(latitude, longitude, {
+    days: 1,
+    pastDays: AIR_HISTORY_DAYS,
+  });
+  return days.map(d => d.tempMean);
+}
+
+// ── Lookup ───────────────────────────────────────────────
+
+/**
+ * Best available water temperature at a spot
+ * @param {Object} [options] - { waterType, spotId } freshwater spots skip
+ *   sea surface temperature even near the coast
+ * @returns {Promise<{ tempC, source, measuredAt, spotKey }|null>}
+ */
+export async function getWaterTemp(latitude, longitude, options = {}) {
+  const { waterType, spotId } = options;
+  const spotKey = await resolveSpotKey(latitude, longitude, spotId);
+  const history = await loadHistory();
+
+  const reading = (history[spotKey] || [])
+    .filter(e => e.source === 'reading')
+    .pop();
+  if (
+    reading &&
+    Date.now() - new Date(reading.measuredAt).getTime() <= READING_MAX_AGE
+  ) {
+    return { ...reading, spotKey };
+  }
+
+  let tempC = null;
+  let source = null;
+  if (waterType !== 'freshwater') {
+    const marine = await weatherService
+      .getMarineWeather(latitude, longitude)
+      .catch(() => null);
+    if (marine?.seaSurfaceTemp != null) {
+      tempC = marine.seaSurfaceTemp;
+      source = 'sst';
+    }
+  }
+  if (tempC == null) {
+    const means = await getDailyAirMeans(latitude, longitude).catch(() => null);
+    tempC = estimateFromAir(means);
+    source = 'air_estimate';
+  }
+  if (tempC == null) return null;
+
+  const entry = { tempC, source, measuredAt: new Date().toISOString() };
+  await addToHistory(spotKey, entry);
+  return { ...entry, spotKey };
+}
+
+// ── History ──────────────────────────────────────────────
+
+/**
+ * Log a thermometer reading, e.g. with a catch
+ * @param {Object} reading - { latitude, longitude, tempC, spotId?,
+ *   measuredAt? }
+ */
+export async function recordReading({
+  latitude,
+  longitude,
+  tempC,
+  spotId,
+  measuredAt = new Date().toISOString(),
+}) {
+  const value = Number(tempC);
+  if (!Number.isFinite(value) || value < -2 || value > 40) {
+    throw new Error('Water temperature must be between -2 and 40 °C');
+  }
+  const spotKey = await resolveSpotKey(latitude, longitude, spotId);
+  const entry = { tempC: value, source: 'reading', measuredAt };
+  await addToHistory(spotKey, entry);
+  return { ...entry, spotKey };
+}
+
+/**
+ * A spot's temperature history, oldest first
+ * @param {Object} [options] - { spotId, days = 30, source }
+ * @returns {Promise<{ tempC, source, measuredAt }[]>}
+ */
+export async function getHistory(
+  latitude,
+  longitude,
+  { spotId, days = 30, source } = {},
+) {
+  const spotKey = await resolveSpotKey(latitude, longitude, spotId);
+  const since = Date.now() - days * DAY_MS;
+  return ((await loadHistory())[spotKey] || []).filter(
+    e =>
+      new Date(e.measuredAt).getTime() >= since &&
+      (!source || e.source === source),
+  );
+}
+
+/**
+ * History key for a position: the saved spot it belongs to, otherwise
+ * the coordinate grid cell
+ */
+export async function resolveSpotKey(latitude, longitude, spotId) {
+  if (spotId) return spotId;
+  const nearby = await spotService
+    .getNearbySpots(latitude, longitude, SPOT_RADIUS_KM)
+    .catch(() => []);
+  if (nearby.length > 0) return nearby[0].id;
+  return cacheService.coordKey('cell', latitude, longitude);
+}
+
+async function loadHistory() {
+  try {
+    const raw = await AsyncStorage.getItem(HISTORY_KEY);
+    return raw ? JSON.parse(raw) : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Readings are all kept; looked-up values once per spot, source and day
+ */
+async function addToHistory(spotKey, entry) {
+  const history = await loadHistory();
+  const day = entry.measuredAt.slice(0, 10);
+  const entries = (history[spotKey] || []).filter(
+    e =>
+      entry.source === 'reading' ||
+      e.source !== entry.source ||
+      e.measuredAt.slice(0, 10) !== day,
+  );
+  entries.push(entry);
+  entries.sort((a, b) => a.measuredAt.localeCompare(b.measuredAt));
+  history[spotKey] = entries.slice(-MAX_HISTORY);
+  try {
+    await AsyncStorage.setItem(HISTORY_KEY, JSON.stringify(history));
+  } catch (e) {
+    /* non-critical */
+  }
+}
+
+export default {
+  WATER_TEMP_SOURCES,
+  LAKE_LAG_DAYS,
+  estimateFromAir,
+  getWaterTemp,
+  recordReading,
+  getHistory,
+  resolveSpotKey,
+};
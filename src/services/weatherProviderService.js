@@ -0,0 +1,357 @@
+/**
+ * Weather Provider Service — ProFish
+ * Pluggable weather backends with health tracking and failover (#569)
+ *
+ * Callers ask for a kind of data — current, hourly, daily or marine — and
+ * get the same normalized shape whichever backend answered. Providers are
+ * tried in WEATHER_PROVIDERS order (config/env). One that fails
+ * FAILURE_THRESHOLD times in a row is moved to the back of the line for
+ * COOLDOWN_MS, so a dead backend doesn't slow every request down.
+ *
+ * Built in:
+ *   - open-meteo: the public Open-Meteo API (no key)
+ *   - custom: any Open-Meteo-compatible server at WEATHER_CUSTOM_URL —
+ *     a self-hosted instance, or a local mock server in tests
+ * Other backends plug in with registerProvider: an object with an `id`
+ * and any of the methods current / hourly / daily / marine
+ * (latitude, longitude, options) returning the shapes below.
+ *
+ * Normalized schema — °C, km/h, %, mm, hPa, m, s; times ISO:
+ *   current: { temperature, humidity, apparentTemp, weatherCode,
+ *     windSpeed, windDirection, precipitation, cloudCover, pressureMsl,
+ *     surfacePressure, sunrise, sunset, timezone }
+ *   hourly ({ days, pastDays }): { hours: [{ time, temperature,
+ *     windSpeed, windGusts, windDirection, cloudCover, precipitation,
+ *     pressureMsl, weatherCode }], sunrise: [], sunset: [], timezone }
+ *   daily ({ days, pastDays }): { days: [{ date: 'YYYY-MM-DD', tempMax,
+ *     tempMin, tempMean, precipitation, windSpeedMax, pressureMslMax,
+ *     pressureMslMin, cloudCover, weatherCode }], timezone }
+ *   marine ({ days }): { current: { waveHeight, waveDirection,
+ *     wavePeriod, swellHeight, swellDirection, seaSurfaceTemp },
+ *     hours: [{ time, waveHeight, wavePeriod, waveDirection, swellHeight,
+ *     swellPeriod, swellDirection, windWaveHeight, seaSurfaceTemp }] }
+ * Missing readings are null. Every result carries `provider`, the id of
+ * the backend that answered.
+ */
+
+import { API } from '../config/constants';
+
+// Env config — graceful import; react-native-config isn't loadable
+// everywhere weatherService is (scripts, unit tests)
+let env = {};
+try {
+  env = require('../config/env');
+} catch (e) {
+  // Defaults: the public Open-Meteo API only
+}
+
+export const WEATHER_KINDS = ['current', 'hourly', 'daily', 'marine'];
+
+const FAILURE_THRESHOLD = 3;
+const COOLDOWN_MS = 5 * 60 * 1000; // 5 minutes
+
+const providers = new Map();
+const health = {};
+let order = parseOrder(env.WEATHER_PROVIDERS);
+
+// ── Open-Meteo ───────────────────────────────────────────
+
+const toIso = s => new Date(s * 1000).toISOString();
+
+/**
+ * Open-Meteo marine response (timeformat=unixtime) → normalized marine
+ */
+export function normalizeOpenMeteoMarine(data) {
+  const hourly = data?.hourly || {};
+  const current = data?.current || {};
+  const value = (key, i) => hourly[key]?.[i] ?? null;
+  return {
+    current: {
+      waveHeight: current.wave_height ?? null,
+      waveDirection: current.wave_direction ?? null,
+      wavePeriod: current.wave_period ?? null,
+      swellHeight: current.swell_wave_height ?? null,
+      swellDirection: current.swell_wave_direction ?? null,
+      seaSurfaceTemp: current.sea_surface_temperature ?? null,
+    },
+    hours: (hourly.time || []).map((time, i) => ({
+      time: toIso(time),
+      waveHeight: value('wave_height', i),
+      wavePeriod: value('wave_period', i),
+      waveDirection: value('wave_direction', i),
+      swellHeight: value('swell_wave_height', i),
+      swellPeriod: value('swell_wave_period', i),
+      swellDirection: value('swell_wave_direction', i),
+      windWaveHeight: value('wind_wave_height', i),
+      seaSurfaceTemp: value('sea_surface_temperature', i),
+    })),
+  };
+}
+
+/**
+ * Provider for an Open-Meteo-compatible API
+ * @param {Object} config - { id, forecastUrl, marineUrl } base URLs up to
+ *   and including the version, e.g. 'https://api.open-meteo.com/v1'
+ */
+export function createOpenMeteoProvider({ id, forecastUrl, marineUrl }) {
+  const get = async (url, params) => {
+    const response = await fetch(`${url}?${new URLSearchParams(params)}`);
+    if (!response.ok) throw new Error(`${id} responded ${response.status}`);
+    return response.json();
+  };
+  const at = (latitude, longitude) => ({
+    latitude: String(latitude),
+    longitude: String(longitude),
+    timezone: 'auto',
+  });
+
+  return {
+    id,
+
+    async current(latitude, longitude) {
+      const data = await get(`${forecastUrl}/forecast`, {
+        ...at(latitude, longitude),
+        current:
+          'temperature_2m,relative_humidity_2m,apparent_temperature,weather_code,wind_speed_10m,wind_direction_10m,precipitation,cloud_cover,pressure_msl,surface_pressure',
+        daily: 'sunrise,sunset',
+      });
+      const c = data.current || {};
+      return {
+        temperature: c.temperature_2m ?? null,
+        humidity: c.relative_humidity_2m ?? null,
+        apparentTemp: c.apparent_temperature ?? null,
+        weatherCode: c.weather_code ?? null,
+        windSpeed: c.wind_speed_10m ?? null,
+        windDirection: c.wind_direction_10m ?? null,
+        precipitation: c.precipitation ?? null,
+        cloudCover: c.cloud_cover ?? null,
+        pressureMsl: c.pressure_msl ?? null,
+        surfacePressure: c.surface_pressure ?? null,
+        sunrise: data.daily?.sunrise?.[0] ?? null,
+        sunset: data.daily?.sunset?.[0] ?? null,
+        timezone: data.timezone ?? null,
+      };
+    },
+
+    async hourly(latitude, longitude, { days = 3, pastDays = 0 } = {}) {
+      // Unix times so hours line up with tide and solunar times
+      // regardless of the device's time zone
+      const data = await get(`${forecastUrl}/forecast`, {
+        ...at(latitude, longitude),
+        hourly:
+          'temperature_2m,wind_speed_10m,wind_gusts_10m,wind_direction_10m,precipitation,cloud_cover,pressure_msl,weather_code',
+        daily: 'sunrise,sunset',
+        past_days: String(pastDays),
+        forecast_days: String(days),
+        timeformat: 'unixtime',
+      });
+      const h = data.hourly || {};
+      const value = (key, i) => h[key]?.[i] ?? null;
+      return {
+        hours: (h.time || []).map((time, i) => ({
+          time: toIso(time),
+          temperature: value('temperature_2m', i),
+          windSpeed: value('wind_speed_10m', i),
+          windGusts: value('wind_gusts_10m', i),
+          windDirection: value('wind_direction_10m', i),
+          cloudCover: value('cloud_cover', i),
+          precipitation: value('precipitation', i),
+          pressureMsl: value('pressure_msl', i),
+          weatherCode: value('weather_code', i),
+        })),
+        sunrise: (data.daily?.sunrise || []).map(toIso),
+        sunset: (data.daily?.sunset || []).map(toIso),
+        timezone: data.timezone ?? null,
+      };
+    },
+
+    async daily(latitude, longitude, { days = 7, pastDays = 0 } = {}) {
+      const data = await get(`${forecastUrl}/forecast`, {
+        ...at(latitude, longitude),
+        daily:
+          'temperature_2m_max,temperature_2m_min,temperature_2m_mean,precipitation_sum,wind_speed_10m_max,pressure_msl_max,pressure_msl_min,cloud_cover_mean,weather_code',
+        past_days: String(pastDays),
+        forecast_days: String(days),
+      });
+      const d = data.daily || {};
+      const value = (key, i) => d[key]?.[i] ?? null;
+      return {
+        days: (d.time || []).map((date, i) => ({
+          date,
+          tempMax: value('temperature_2m_max', i),
+          tempMin: value('temperature_2m_min', i),
+          tempMean: value('temperature_2m_mean', i),
+          precipitation: value('precipitation_sum', i),
+          windSpeedMax: value('wind_speed_10m_max', i),
+          pressureMslMax: value('pressure_msl_max', i),
+          pressureMslMin: value('pressure_msl_min', i),
+          cloudCover: value('cloud_cover_mean', i),
+          weatherCode: value('weather_code', i),
+        })),
+        timezone: data.timezone ?? null,
+      };
+    },
+
+    async marine(latitude, longitude, { days = 3 } = {}) {
+      const data = await get(`${marineUrl}/marine`, {
+        ...at(latitude, longitude),
+        current:
+          'wave_height,wave_direction,wave_period,swell_wave_height,swell_wave_direction,sea_surface_temperature',
+        hourly:
+          'wave_height,wave_period,wave_direction,swell_wave_height,swell_wave_period,swell_wave_direction,wind_wave_height,sea_surface_temperature',
+        forecast_days: String(days),
+        timeformat: 'unixtime',
+      });
+      return normalizeOpenMeteoMarine(data);
+    },
+  };
+}
+
+// ── Registry ─────────────────────────────────────────────
+
+function parseOrder(list) {
+  return String(list || '')
+    .split(',')
+    .map(id => id.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Add or replace a backend. It's used once its id is in the provider
+ * order (WEATHER_PROVIDERS or setProviderOrder).
+ */
+export function registerProvider(provider) {
+  if (!provider?.id) throw new Error('Weather provider needs an id');
+  if (!WEATHER_KINDS.some(kind => typeof provider[kind] === 'function')) {
+    throw new Error(`Weather provider ${provider.id} supports no data kind`);
+  }
+  providers.set(provider.id, provider);
+  delete health[provider.id];
+}
+
+export function setProviderOrder(ids) {
+  order = Array.isArray(ids) ? [...ids] : parseOrder(ids);
+}
+
+/**
+ * Registered providers in failover order — the public API when none of
+ * the configured ids is registered
+ */
+export function getProviderOrder() {
+  const ids = order.filter(id => providers.has(id));
+  return ids.length > 0 ? ids : ['open-meteo'];
+}
+
+// ── Health ───────────────────────────────────────────────
+
+function markSuccess(id) {
+  health[id] = {
+    ...health[id],
+    failures: 0,
+    lastSuccessAt: new Date().toISOString(),
+    coolingUntil: null,
+  };
+}
+
+function markFailure(id, error) {
+  const failures = (health[id]?.failures || 0) + 1;
+  health[id] = {
+    ...health[id],
+    failures,
+    lastError: error.message,
+    lastFailureAt: new Date().toISOString(),
+    coolingUntil:
+      failures >= FAILURE_THRESHOLD ? Date.now() + COOLDOWN_MS : null,
+  };
+}
+
+/**
+ * @returns {Object[]} { id, healthy, failures, lastError, lastFailureAt,
+ *   lastSuccessAt } in failover order
+ */
+export function getProviderHealth() {
+  const now = Date.now();
+  return getProviderOrder().map(id => {
+    const h = health[id] || {};
+    return {
+      id,
+      healthy: !(h.coolingUntil > now),
+      failures: h.failures || 0,
+      lastError: h.lastError || null,
+      lastFailureAt: h.lastFailureAt || null,
+      lastSuccessAt: h.lastSuccessAt || null,
+    };
+  });
+}
+
+export function resetProviderHealth() {
+  Object.keys(health).forEach(id => delete health[id]);
+}
+
+// ── Requests ─────────────────────────────────────────────
+
+/**
+ * Fetch one kind of weather data, failing over between providers
+ * @param {'current'|'hourly'|'daily'|'marine'} kind
+ * @param {Object} [options] - Passed to the provider ({ days, pastDays })
+ * @returns {Promise<Object>} Normalized data plus `provider`
+ * @throws when every provider that supports the kind fails
+ */
+export async function requestWeather(kind, latitude, longitude, options) {
+  const now = Date.now();
+  const candidates = getProviderOrder()
+    .map(id => providers.get(id))
+    .filter(p => typeof p?.[kind] === 'function');
+  if (candidates.length === 0) {
+    throw new Error(`No weather provider supports ${kind} data`);
+  }
+  // Cooling-down providers still get a turn after the healthy ones —
+  // better a retry than no data
+  const cooling = p => health[p.id]?.coolingUntil > now;
+  const queue = [
+    ...candidates.filter(p => !cooling(p)),
+    ...candidates.filter(cooling),
+  ];
+
+  const errors = [];
+  for (const provider of queue) {
+    try {
+      const data = await provider[kind](latitude, longitude, options);
+      markSuccess(provider.id);
+      return { ...data, provider: provider.id };
+    } catch (error) {
+      markFailure(provider.id, error);
+      errors.push(`${provider.id}: ${error.message}`);
+    }
+  }
+  throw new Error(`All weather providers failed — ${errors.join('; ')}`);
+}
+
+registerProvider(
+  createOpenMeteoProvider({
+    id: 'open-meteo',
+    forecastUrl: API.OPEN_METEO_BASE,
+    marineUrl: API.OPEN_METEO_MARINE,
+  }),
+);
+if (env.WEATHER_CUSTOM_URL) {
+  registerProvider(
+    createOpenMeteoProvider({
+      id: 'custom',
+      forecastUrl: env.WEATHER_CUSTOM_URL,
+      marineUrl: env.WEATHER_CUSTOM_MARINE_URL || env.WEATHER_CUSTOM_URL,
+    }),
+  );
+}
+
+export default {
+  WEATHER_KINDS,
+  createOpenMeteoProvider,
+  normalizeOpenMeteoMarine,
+  registerProvider,
+  setProviderOrder,
+  getProviderOrder,
+  getProviderHealth,
+  resetProviderHealth,
+  requestWeather,
+};
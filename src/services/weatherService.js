@@ -1,17 +1,25 @@
 /**
  * Weather Service — ProFish
- * Fetches real-time weather + marine data from Open-Meteo API (FREE)
+ * Real-time weather + marine data, Open-Meteo by default (FREE)
  *
  * Includes: pressure, wind, wave height (marine), cloud cover
- * Used for: FishCast scoring, weather HUD, wind arrows
- * Cache: 1hr for current weather, 4hr for marine
+ * Used for: FishCast scoring, hourly timeline, weather HUD, wind arrows
+ * Cache: 1hr for current and hourly weather, 4hr for daily and marine
+ * Backends and failover live in weatherProviderService (#569); every
+ * result says which provider answered.
  */
 
 import cacheService from './cacheService';
+import { requestWeather } from './weatherProviderService';
 
 const WEATHER_CACHE_TTL = 60 * 60 * 1000; // 1 hour
 const MARINE_CACHE_TTL = 4 * 60 * 60 * 1000; // 4 hours
+const DAILY_CACHE_TTL = 4 * 60 * 60 * 1000; // 4 hours
 const FULL_WEATHER_CACHE_TTL = 60 * 60 * 1000; // 1 hour
+const STALE_TTL = 24 * 60 * 60 * 1000; // 24 hours
+
+const roundOr = (value, fallback) =>
+  value != null ? Math.round(value) : fallback;
 
 export const weatherService = {
   /**
@@ -23,37 +31,31 @@ export const weatherService = {
     if (cached) return cached;
 
     try {
-      const url = `https://api.open-meteo.com/v1/forecast?latitude=${latitude}&longitude=${longitude}&current=temperature_2m,relative_humidity_2m,apparent_temperature,weather_code,wind_speed_10m,wind_direction_10m,precipitation,cloud_cover,pressure_msl,surface_pressure&daily=sunrise,sunset&timezone=auto`;
-
-      const response = await fetch(url);
-      if (!response.ok) {
-        throw new Error('Failed to fetch weather');
-      }
-
-      const data = await response.json();
-      const current = data.current;
+      const current = await requestWeather('current', latitude, longitude);
 
       const result = {
-        temperature: Math.round(current.temperature_2m),
-        humidity: current.relative_humidity_2m,
-        windSpeed: Math.round(current.wind_speed_10m),
-        windDirection: current.wind_direction_10m ?? 0,
+        temperature: roundOr(current.temperature, null),
+        humidity: current.humidity,
+        windSpeed: roundOr(current.windSpeed, null),
+        windDirection: current.windDirection ?? 0,
         precipitation: current.precipitation ?? 0,
-        cloudCover: current.cloud_cover,
-        apparentTemp: Math.round(current.apparent_temperature),
-        weatherCode: current.weather_code,
-        pressureMsl: current.pressure_msl ?? null,
-        surfacePressure: current.surface_pressure ?? null,
-        description: this.getWeatherDescription(current.weather_code),
-        sunrise: data.daily?.sunrise?.[0] ?? null,
-        sunset: data.daily?.sunset?.[0] ?? null,
+        cloudCover: current.cloudCover,
+        apparentTemp: roundOr(current.apparentTemp, null),
+        weatherCode: current.weatherCode,
+        pressureMsl: current.pressureMsl ?? null,
+        surfacePressure: current.surfacePressure ?? null,
+        description: this.getWeatherDescription(current.weatherCode),
+        sunrise: current.sunrise ?? null,
+        sunset: current.sunset ?? null,
+        timezone: current.timezone ?? null,
+        provider: current.provider,
         fetchedAt: new Date().toISOString(),
       };
 
       // Cache result
       await cacheService.set(cacheKey, result, WEATHER_CACHE_TTL);
       // Keep a stale copy for offline fallback (24hr)
-      await cacheService.set(cacheKey + '_stale', result, 24 * 60 * 60 * 1000);
+      await cacheService.set(cacheKey + '_stale', result, STALE_TTL);
 
       return result;
     } catch (error) {
@@ -66,7 +68,8 @@ export const weatherService = {
 
   /**
    * Fetch marine weather (wave height, sea temp, currents)
-   * Only for coastal/ocean coordinates
+   * Only for coastal/ocean coordinates. Current values only — the hourly
+   * forecast and boating safety are in marineForecastService (#567).
    */
   async getMarineWeather(latitude, longitude) {
     const cacheKey = cacheService.coordKey('marine', latitude, longitude);
@@ -74,20 +77,13 @@ export const weatherService = {
     if (cached) return cached;
 
     try {
-      const url = `https://marine-api.open-meteo.com/v1/marine?latitude=${latitude}&longitude=${longitude}&current=wave_height,wave_direction,wave_period,swell_wave_height,swell_wave_direction&hourly=wave_height,wave_direction,wave_period&timezone=auto`;
-
-      const response = await fetch(url);
-      if (!response.ok) return null;
-
-      const data = await response.json();
-      const current = data.current;
+      const marine = await requestWeather('marine', latitude, longitude, {
+        days: 1,
+      });
 
       const result = {
-        waveHeight: current?.wave_height ?? null,
-        waveDirection: current?.wave_direction ?? null,
-        wavePeriod: current?.wave_period ?? null,
-        swellHeight: current?.swell_wave_height ?? null,
-        swellDirection: current?.swell_wave_direction ?? null,
+        ...marine.current,
+        provider: marine.provider,
         fetchedAt: new Date().toISOString(),
       };
 
@@ -99,7 +95,134 @@ export const weatherService = {
   },
 
   /**
-   * Get full weather data for FishCast scoring
+   * Hourly marine forecast — waves, swell and sea surface temperature
+   * @param {Object} [options] - { hours = 72 }
+   * @returns {Promise<{ hours: Object[], provider, fetchedAt }|null>} null
+   *   when no provider answers and nothing is cached
+   */
+  async getHourlyMarine(latitude, longitude, { hours = 72 } = {}) {
+    const days = Math.min(16, Math.ceil(hours / 24) + 1);
+    const cacheKey = cacheService.coordKey(
+      `marinehourly_${days}`,
+      latitude,
+      longitude,
+    );
+    const cached = await cacheService.get(cacheKey);
+    if (cached) return cached;
+
+    try {
+      const marine = await requestWeather('marine', latitude, longitude, {
+        days,
+      });
+      const result = {
+        hours: marine.hours,
+        provider: marine.provider,
+        fetchedAt: new Date().toISOString(),
+      };
+      await cacheService.set(cacheKey, result, MARINE_CACHE_TTL);
+      await cacheService.set(cacheKey + '_stale', result, STALE_TTL);
+      return result;
+    } catch {
+      return cacheService.get(cacheKey + '_stale');
+    }
+  },
+
+  /**
+   * Hourly forecast for the FishCast timeline
+   * @param {number} latitude
+   * @param {number} longitude
+   * @param {Object} [options]
+   * @param {number} [options.hours=72] - Hours ahead (max 16 days)
+   * @returns {Promise<{ hours: Object[], sunrise: string[], sunset: string[],
+   *   timezone: string, provider: string, fetchedAt: string }>} `hours`
+   *   run from local midnight yesterday (pressure trends need the past
+   *   day) through the last forecast day: { time, temperature, windSpeed,
+   *   windGusts, windDirection, cloudCover, precipitation, pressureMsl,
+   *   weatherCode }
+   */
+  async getHourlyForecast(latitude, longitude, { hours = 72 } = {}) {
+    const days = Math.min(16, Math.ceil(hours / 24) + 1);
+    const cacheKey = cacheService.coordKey(
+      `weatherhourly_${days}`,
+      latitude,
+      longitude,
+    );
+    const cached = await cacheService.get(cacheKey);
+    if (cached) return cached;
+
+    try {
+      const forecast = await requestWeather('hourly', latitude, longitude, {
+        days,
+        pastDays: 1,
+      });
+
+      const result = {
+        hours: forecast.hours.map(h => ({
+          time: h.time,
+          temperature: roundOr(h.temperature, 0),
+          windSpeed: roundOr(h.windSpeed, 0),
+          windGusts: roundOr(h.windGusts, null),
+          windDirection: h.windDirection ?? 0,
+          cloudCover: h.cloudCover ?? null,
+          precipitation: h.precipitation ?? 0,
+          pressureMsl: h.pressureMsl ?? null,
+          weatherCode: h.weatherCode ?? null,
+        })),
+        sunrise: forecast.sunrise || [],
+        sunset: forecast.sunset || [],
+        timezone: forecast.timezone ?? null,
+        provider: forecast.provider,
+        fetchedAt: new Date().toISOString(),
+      };
+
+      await cacheService.set(cacheKey, result, WEATHER_CACHE_TTL);
+      await cacheService.set(cacheKey + '_stale', result, STALE_TTL);
+      return result;
+    } catch (error) {
+      const stale = await cacheService.get(cacheKey + '_stale');
+      if (stale) return { ...stale, _stale: true };
+      throw new Error(`Failed to get hourly forecast: ${error.message}`);
+    }
+  },
+
+  /**
+   * Daily forecast, optionally with past days
+   * @param {Object} [options] - { days = 7, pastDays = 0 }
+   * @returns {Promise<{ days: Object[], timezone, provider, fetchedAt }>}
+   *   days: { date, tempMax, tempMin, tempMean, precipitation,
+   *   windSpeedMax, pressureMslMax, pressureMslMin, cloudCover,
+   *   weatherCode }
+   */
+  async getDailyForecast(latitude, longitude, { days = 7, pastDays = 0 } = {}) {
+    const cacheKey = cacheService.coordKey(
+      `weatherdaily_${pastDays}_${days}`,
+      latitude,
+      longitude,
+    );
+    const cached = await cacheService.get(cacheKey);
+    if (cached) return cached;
+
+    try {
+      const forecast = await requestWeather('daily', latitude, longitude, {
+        days,
+        pastDays,
+      });
+      const result = { ...forecast, fetchedAt: new Date().toISOString() };
+      await cacheService.set(cacheKey, result, DAILY_CACHE_TTL);
+      await cacheService.set(cacheKey + '_stale', result, STALE_TTL);
+      return result;
+    } catch (error) {
+      const stale = await cacheService.get(cacheKey + '_stale');
+      if (stale) return { ...stale, _stale: true };
+      throw new Error(`Failed to get daily forecast: ${error.message}`);
+    }
+  },
+
+  /**
+   * Get full weather data for FishCast scoring — current conditions plus
+   * the 16-day hourly forecast
+   * @returns {Promise<{ current, hours, sunrise, sunset, timezone,
+   *   provider }>} each part names the provider that answered it
    */
   async getWeatherData(latitude, longitude) {
     const cacheKey = cacheService.coordKey('weatherfull', latitude, longitude);
@@ -107,13 +230,15 @@ export const weatherService = {
     if (cached) return cached;
 
     try {
-      const url = `https://api.open-meteo.com/v1/forecast?latitude=${latitude}&longitude=${longitude}&current=temperature_2m,relative_humidity_2m,wind_speed_10m,wind_direction_10m,precipitation,weather_code,cloud_cover,pressure_msl,surface_pressure&daily=sunrise,sunset&hourly=temperature_2m,wind_speed_10m,wind_direction_10m,precipitation,pressure_msl,cloud_cover&forecast_days=16&timezone=auto`;
-
-      const response = await fetch(url);
-      if (!response.ok) throw new Error('Weather API error');
+      const [current, forecast] = await Promise.all([
+        requestWeather('current', latitude, longitude),
+        requestWeather('hourly', latitude, longitude, { days: 16 }),
+      ]);
+      const { provider, ...conditions } = current;
 
-      const result = await response.json();
+      const result = { ...forecast, current: { ...conditions, provider } };
       await cacheService.set(cacheKey, result, FULL_WEATHER_CACHE_TTL);
+      await cacheService.set(cacheKey + '_stale', result, STALE_TTL);
       return result;
     } catch (error) {
       const stale = await cacheService.get(cacheKey + '_stale');
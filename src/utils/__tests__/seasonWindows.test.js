@@ -0,0 +1,137 @@
+/**
+ * Unit Tests — Season window parser
+ *
+ * Tests the regulation season grammar: multi-range, year-wrapping,
+ * weekday-only and closed windows, plus open/closed evaluation.
+ */
+
+import {
+  parseSeason,
+  evaluateSeason,
+  describeSeasonStatus,
+} from '../seasonWindows';
+
+const day = (y, m, d) => new Date(y, m - 1, d, 12);
+
+describe('Season Windows', () => {
+  describe('parseSeason', () => {
+    it('should recognise year-round', () => {
+      const parsed = parseSeason('year-round');
+      expect(parsed.yearRound).toBe(true);
+      expect(parsed.windows).toHaveLength(0);
+    });
+
+    it('should parse multiple ranges', () => {
+      const parsed = parseSeason('Sep 1 - Dec 14, Feb 1 - May 31');
+      expect(parsed.windows).toHaveLength(2);
+      expect(parsed.windows[0].start).toMatchObject({ month: 8, day: 1 });
+      expect(parsed.windows[1].end).toMatchObject({ month: 4, day: 31 });
+      expect(parsed.unparsed).toHaveLength(0);
+    });
+
+    it('should treat vague qualifiers as approximate', () => {
+      const parsed = parseSeason('Mid-May - Feb');
+      expect(parsed.windows[0].start).toMatchObject({ month: 4, day: 15 });
+      expect(parsed.windows[0].approximate).toBe(true);
+    });
+
+    it('should keep unparseable segments', () => {
+      const parsed = parseSeason('Jun-Jul (federal), varies (state)');
+      expect(parsed.windows).toHaveLength(1);
+      expect(parsed.windows[0].note).toBe('federal');
+      expect(parsed.unparsed).toEqual(['varies (state)']);
+    });
+
+    it('should parse weekday-only windows', () => {
+      const parsed = parseSeason('Jun 1 - Aug 31 Fri-Sun only');
+      expect(parsed.windows[0].weekdays).toEqual([5, 6, 0]);
+    });
+
+    it('should read a weekday range given as a note', () => {
+      const parsed = parseSeason('Jun 1–Aug 31 (Fri-Sun)');
+      expect(parsed.windows[0].weekdays).toEqual([5, 6, 0]);
+      expect(parsed.windows[0].note).toBeNull();
+    });
+
+    it('should not split on commas inside a note', () => {
+      const parsed = parseSeason('Jun 1 - Aug 31 (Sat, Sun), Oct 1 - Oct 31');
+      expect(parsed.unparsed).toEqual([]);
+      expect(parsed.windows).toHaveLength(2);
+      expect(parsed.windows[0].weekdays).toEqual([6, 0]);
+      expect(parsed.windows[1].weekdays).toBeNull();
+    });
+
+    it('should parse closed windows', () => {
+      const parsed = parseSeason('Closed Dec 15 - Jan 31');
+      expect(parsed.windows[0].kind).toBe('closed');
+    });
+  });
+
+  describe('evaluateSeason', () => {
+    it('should be open inside a range and report days to close', () => {
+      const status = evaluateSeason(
+        'Sep 1 - Dec 14, Feb 1 - May 31',
+        day(2025, 12, 5),
+      );
+      expect(status.open).toBe(true);
+      expect(status.exact).toBe(true);
+      expect(status.changeType).toBe('closes');
+      expect(status.daysUntilChange).toBe(10);
+      expect(describeSeasonStatus(status)).toBe('Closes in 10 days');
+    });
+
+    it('should be closed between ranges', () => {
+      const status = evaluateSeason(
+        'Sep 1 - Dec 14, Feb 1 - May 31',
+        day(2025, 7, 4),
+      );
+      expect(status.open).toBe(false);
+      expect(status.changeType).toBe('opens');
+      expect(status.nextChange.getMonth()).toBe(8);
+    });
+
+    it('should handle ranges that wrap the year end', () => {
+      expect(evaluateSeason('Jun 16 - Mar 14', day(2026, 1, 10)).open).toBe(
+        true,
+      );
+      expect(evaluateSeason('Jun 16 - Mar 14', day(2026, 4, 10)).open).toBe(
+        false,
+      );
+    });
+
+    it('should respect month-only ends including leap years', () => {
+      expect(evaluateSeason('Mid-May - Feb', day(2028, 2, 29)).open).toBe(true);
+      expect(evaluateSeason('Jun - Nov', day(2025, 11, 30)).open).toBe(true);
+      expect(evaluateSeason('Jun - Nov', day(2025, 12, 1)).open).toBe(false);
+    });
+
+    it('should resolve ordinal weekday openers', () => {
+      // Last Saturday of April 2025 is Apr 26
+      expect(
+        evaluateSeason('Last Sat Apr - Nov 15', day(2025, 4, 25)).open,
+      ).toBe(false);
+      expect(
+        evaluateSeason('Last Sat Apr - Nov 15', day(2025, 4, 26)).open,
+      ).toBe(true);
+    });
+
+    it('should only open on listed weekdays', () => {
+      // 2025-06-06 is a Friday, 2025-06-09 a Monday
+      const season = 'Jun 1 - Aug 31 Fri-Sun only';
+      expect(evaluateSeason(season, day(2025, 6, 6)).open).toBe(true);
+      expect(evaluateSeason(season, day(2025, 6, 9)).open).toBe(false);
+    });
+
+    it('should be open outside closed-only windows', () => {
+      const season = 'Closed Dec 15 - Jan 31';
+      expect(evaluateSeason(season, day(2026, 1, 20)).open).toBe(false);
+      expect(evaluateSeason(season, day(2026, 3, 1)).open).toBe(true);
+    });
+
+    it('should return null when nothing parses', () => {
+      const status = evaluateSeason('Varies by zone', day(2025, 6, 1));
+      expect(status.open).toBeNull();
+      expect(status.exact).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,173 @@
+/**
+ * Geometry utilities — ProFish
+ * Point-in-polygon and bounding-box helpers for bundled GeoJSON, and
+ * geohash cells for binning points.
+ *
+ * Coordinates follow GeoJSON order: [longitude, latitude].
+ */
+
+/**
+ * Ray-casting test against a single linear ring
+ */
+export function pointInRing(lng, lat, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    const crosses =
+      yi > lat !== yj > lat && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi;
+    if (crosses) inside = !inside;
+  }
+  return inside;
+}
+
+/**
+ * Polygon coordinates: [outerRing, ...holes]
+ */
+export function pointInPolygon(lng, lat, rings) {
+  if (!rings || rings.length === 0) return false;
+  if (!pointInRing(lng, lat, rings[0])) return false;
+  for (let h = 1; h < rings.length; h++) {
+    if (pointInRing(lng, lat, rings[h])) return false;
+  }
+  return true;
+}
+
+/**
+ * Bounding box [minLng, minLat, maxLng, maxLat] of a Polygon or MultiPolygon
+ */
+export function geometryBBox(geometry) {
+  const polygons =
+    geometry.type === 'MultiPolygon'
+      ? geometry.coordinates
+      : [geometry.coordinates];
+  const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+  for (const rings of polygons) {
+    for (const [lng, lat] of rings[0]) {
+      if (lng < bbox[0]) bbox[0] = lng;
+      if (lat < bbox[1]) bbox[1] = lat;
+      if (lng > bbox[2]) bbox[2] = lng;
+      if (lat > bbox[3]) bbox[3] = lat;
+    }
+  }
+  return bbox;
+}
+
+export function bboxContains(bbox, lng, lat) {
+  return lng >= bbox[0] && lng <= bbox[2] && lat >= bbox[1] && lat <= bbox[3];
+}
+
+/**
+ * Does a GeoJSON Feature (Polygon / MultiPolygon) contain the point?
+ * Pass a precomputed bbox to skip the full test for distant points.
+ */
+export function featureContains(feature, latitude, longitude, bbox = null) {
+  const geometry = feature?.geometry;
+  if (!geometry) return false;
+  if (bbox && !bboxContains(bbox, longitude, latitude)) return false;
+
+  if (geometry.type === 'Polygon') {
+    return pointInPolygon(longitude, latitude, geometry.coordinates);
+  }
+  if (geometry.type === 'MultiPolygon') {
+    return geometry.coordinates.some(rings =>
+      pointInPolygon(longitude, latitude, rings),
+    );
+  }
+  return false;
+}
+
+/**
+ * Great-circle distance in km
+ */
+export function haversineKm(lat1, lon1, lat2, lon2) {
+  const R = 6371;
+  const dLat = ((lat2 - lat1) * Math.PI) / 180;
+  const dLon = ((lon2 - lon1) * Math.PI) / 180;
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos((lat1 * Math.PI) / 180) *
+      Math.cos((lat2 * Math.PI) / 180) *
+      Math.sin(dLon / 2) ** 2;
+  return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+// ── Geohash ──────────────────────────────────────────
+
+const GEOHASH_BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+/**
+ * Geohash of a point. Precision 5 is a cell of about 4.9 × 4.9 km at the
+ * equator, narrower east–west towards the poles.
+ */
+export function encodeGeohash(latitude, longitude, precision = 5) {
+  const lat = [-90, 90];
+  const lng = [-180, 180];
+  let hash = '';
+  let value = 0;
+  let bits = 0;
+  let evenBit = true; // Bits alternate, longitude first
+  while (hash.length < precision) {
+    const range = evenBit ? lng : lat;
+    const coord = evenBit ? longitude : latitude;
+    const mid = (range[0] + range[1]) / 2;
+    if (coord >= mid) {
+      value = value * 2 + 1;
+      range[0] = mid;
+    } else {
+      value *= 2;
+      range[1] = mid;
+    }
+    evenBit = !evenBit;
+    if (++bits === 5) {
+      hash += GEOHASH_BASE32[value];
+      value = 0;
+      bits = 0;
+    }
+  }
+  return hash;
+}
+
+/**
+ * Bounds of a geohash cell
+ * @returns {{ south, west, north, east }}
+ */
+export function geohashBounds(hash) {
+  const lat = [-90, 90];
+  const lng = [-180, 180];
+  let evenBit = true;
+  for (const char of hash) {
+    const index = GEOHASH_BASE32.indexOf(char);
+    if (index < 0) throw new Error(`Invalid geohash: ${hash}`);
+    for (let bit = 4; bit >= 0; bit--) {
+      const range = evenBit ? lng : lat;
+      const mid = (range[0] + range[1]) / 2;
+      if (Math.floor(index / 2 ** bit) % 2 === 1) range[0] = mid;
+      else range[1] = mid;
+      evenBit = !evenBit;
+    }
+  }
+  return { south: lat[0], west: lng[0], north: lat[1], east: lng[1] };
+}
+
+/**
+ * The cell and its eight neighbours, deduplicated at the poles
+ */
+export function geohashNeighbors(hash) {
+  const { south, west, north, east } = geohashBounds(hash);
+  const height = north - south;
+  const width = east - west;
+  const centerLat = (south + north) / 2;
+  const centerLng = (west + east) / 2;
+  const cells = new Set();
+  for (const dLat of [-1, 0, 1]) {
+    for (const dLng of [-1, 0, 1]) {
+      const lat = centerLat + dLat * height;
+      if (lat < -90 || lat > 90) continue;
+      // Wrap across the antimeridian
+      const lng = ((centerLng + dLng * width + 540) % 360) - 180;
+      cells.add(encodeGeohash(lat, lng, hash.length));
+    }
+  }
+  return [...cells];
+}
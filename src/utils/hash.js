@@ -0,0 +1,52 @@
+/**
+ * Hash utilities — ProFish
+ * SHA-256 digests and Ed25519 signatures (hex encoded) for content
+ * fingerprints and signed data packs, on top of the audited @noble
+ * libraries.
+ */
+
+import { sha256 as sha256Bytes } from '@noble/hashes/sha2';
+import { bytesToHex, hexToBytes, utf8ToBytes } from '@noble/hashes/utils';
+import { ed25519 } from '@noble/curves/ed25519';
+
+/**
+ * SHA-256 of a UTF-8 string, hex encoded
+ */
+export function sha256(str) {
+  return bytesToHex(sha256Bytes(utf8ToBytes(str)));
+}
+
+/**
+ * Ed25519 signature of a UTF-8 message, hex encoded. Only the publishing
+ * side holds a private key; the app verifies.
+ */
+export function signEd25519(privateKeyHex, message) {
+  return bytesToHex(ed25519.sign(utf8ToBytes(message), privateKeyHex));
+}
+
+/**
+ * Check an Ed25519 signature. Malformed keys or signatures are simply
+ * invalid.
+ */
+export function verifyEd25519(publicKeyHex, message, signatureHex) {
+  try {
+    return ed25519.verify(
+      hexToBytes(signatureHex),
+      utf8ToBytes(message),
+      hexToBytes(publicKeyHex),
+    );
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * New Ed25519 key pair, hex encoded — for the pack signing script
+ */
+export function generateEd25519KeyPair() {
+  const privateKey = ed25519.utils.randomPrivateKey();
+  return {
+    privateKey: bytesToHex(privateKey),
+    publicKey: bytesToHex(ed25519.getPublicKey(privateKey)),
+  };
+}
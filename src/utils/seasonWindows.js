@@ -0,0 +1,415 @@
+/**
+ * Season window parser — ProFish
+ *
+ * Turns regulation season strings into structured windows and answers
+ * "is it open on this date?" for regulationsService.
+ *
+ * Grammar (case-insensitive, segments separated by "," or ";"):
+ *   season   := "year-round" | segment ("," segment)*
+ *   segment  := ["closed"] range [weekdays] ["(" note ")"]
+ *   range    := day ["-" day]
+ *   day      := month [dayOfMonth]          "Sep 1", "Feb"
+ *             | ("early"|"mid"|"late") month  "Mid-May", "Late Jun"
+ *             | ordinal weekday month      "Last Sat Apr", "1st Sat Jun"
+ *   weekdays := "weekends" | "weekdays" | dow ["-" dow] ["only"]
+ *
+ * Examples:
+ *   'Sep 1 - Dec 14, Feb 1 - May 31'   two open windows
+ *   'Jun 16 - Mar 14'                  wraps the year end
+ *   'Jun 1 - Aug 31 Fri-Sun only'      weekday-restricted window
+ *   'Jun 1 - Aug 31 (Sat, Sun)'        same, with the days as a note
+ *   'Closed Dec 15 - Jan 31'           closed window, open otherwise
+ *
+ * Segments that don't match the grammar ("Varies by zone") are kept in
+ * `unparsed` and make any evaluation non-exact.
+ */
+
+const MONTHS = {
+  jan: 0,
+  feb: 1,
+  mar: 2,
+  apr: 3,
+  may: 4,
+  jun: 5,
+  jul: 6,
+  aug: 7,
+  sep: 8,
+  oct: 9,
+  nov: 10,
+  dec: 11,
+};
+
+const WEEKDAYS = { sun: 0, mon: 1, tue: 2, wed: 3, thu: 4, fri: 5, sat: 6 };
+
+const ORDINALS = {
+  '1st': 1,
+  first: 1,
+  '2nd': 2,
+  second: 2,
+  '3rd': 3,
+  third: 3,
+  '4th': 4,
+  fourth: 4,
+  last: -1,
+};
+
+// Vague qualifiers resolve to a fixed day but flag the window as approximate
+const VAGUE_DAYS = { early: 1, mid: 15, late: 21 };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const MONTH_RE = '(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\\.?';
+const DOW_RE = '(sun|mon|tue|wed|thu|fri|sat)[a-z]*';
+
+const DAY_PATTERNS = [
+  // Last Sat Apr / 1st Sat of June
+  {
+    re: new RegExp(
+      `^(1st|2nd|3rd|4th|first|second|third|fourth|last)\\s+${DOW_RE}\\s+(?:of\\s+|in\\s+)?${MONTH_RE}$`,
+    ),
+    build: m => ({
+      month: MONTHS[m[3]],
+      nth: ORDINALS[m[1]],
+      weekday: WEEKDAYS[m[2]],
+      approximate: false,
+    }),
+  },
+  // Mid-May / Late Jun / Early Sep
+  {
+    re: new RegExp(`^(early|mid|late)[\\s-]+${MONTH_RE}$`),
+    build: m => ({
+      month: MONTHS[m[2]],
+      day: VAGUE_DAYS[m[1]],
+      approximate: true,
+    }),
+  },
+  // Sep 1 / Sep / 1 Sep
+  {
+    re: new RegExp(`^${MONTH_RE}(?:\\s+(\\d{1,2}))?$`),
+    build: m => ({
+      month: MONTHS[m[1]],
+      day: m[2] ? parseInt(m[2], 10) : null,
+      approximate: false,
+    }),
+  },
+  {
+    re: new RegExp(`^(\\d{1,2})\\s+${MONTH_RE}$`),
+    build: m => ({
+      month: MONTHS[m[2]],
+      day: parseInt(m[1], 10),
+      approximate: false,
+    }),
+  },
+];
+
+function parseDay(text) {
+  const t = text.trim();
+  for (const { re, build } of DAY_PATTERNS) {
+    const m = t.match(re);
+    if (m) return build(m);
+  }
+  return null;
+}
+
+/**
+ * Parse a trailing weekday qualifier. Returns the weekday set (0=Sun) and
+ * the remaining text, or null weekdays if there is no qualifier.
+ */
+function extractWeekdays(text) {
+  let t = text.replace(/\s+only$/, '').trim();
+  const stripped = t !== text.trim();
+
+  // Word boundaries, not a leading space: a "(Fri-Sun)" note is only the
+  // qualifier itself
+  if (/\bweekends?$/.test(t)) {
+    return { weekdays: [0, 6], rest: t.replace(/\bweekends?$/, '').trim() };
+  }
+  if (/\bweekdays$/.test(t)) {
+    return {
+      weekdays: [1, 2, 3, 4, 5],
+      rest: t.replace(/\bweekdays$/, '').trim(),
+    };
+  }
+
+  const dowRange = new RegExp(`\\b${DOW_RE}(?:\\s*[-–/]\\s*${DOW_RE})?$`);
+  const m = t.match(dowRange);
+  // A bare day name is only a qualifier when "only" or a range makes it one,
+  // otherwise "Last Sat Apr" style days would be misread
+  if (m && (m[2] || stripped) && !parseDay(t)) {
+    const from = WEEKDAYS[m[1]];
+    const to = m[2] != null ? WEEKDAYS[m[2]] : from;
+    const weekdays = [];
+    for (let d = from; ; d = (d + 1) % 7) {
+      weekdays.push(d);
+      if (d === to) break;
+    }
+    return { weekdays, rest: t.slice(0, m.index).trim() };
+  }
+
+  return { weekdays: null, rest: text };
+}
+
+// "Sat, Sun" or "Sat & Sun" — a note that only lists days
+function parseWeekdayList(text) {
+  const names = text.split(/\s*(?:[,&]|\band\b)\s*/);
+  const re = new RegExp(`^${DOW_RE}$`);
+  const weekdays = [];
+  for (const name of names) {
+    const m = name.trim().match(re);
+    if (!m) return null;
+    weekdays.push(WEEKDAYS[m[1]]);
+  }
+  return names.length > 1 ? weekdays : null;
+}
+
+function parseSegment(raw) {
+  let text = raw.toLowerCase().replace(/\s+/g, ' ').trim();
+  let note = null;
+
+  const noteMatch = text.match(/\(([^)]*)\)\s*$/);
+  if (noteMatch) {
+    note = noteMatch[1].trim();
+    text = text.slice(0, noteMatch.index).trim();
+  }
+
+  let kind = 'open';
+  if (/^closed\b/.test(text)) {
+    kind = 'closed';
+    text = text.replace(/^closed\b:?/, '').trim();
+  }
+
+  let { weekdays, rest } = extractWeekdays(text);
+  // "(Fri-Sun)" as a note is also a weekday qualifier
+  if (!weekdays && note) {
+    const fromNote = extractWeekdays(note);
+    const listed = parseWeekdayList(note);
+    if (fromNote.weekdays && !fromNote.rest) {
+      weekdays = fromNote.weekdays;
+      note = null;
+    } else if (listed) {
+      weekdays = listed;
+      note = null;
+    }
+  }
+
+  // Split on the range dash, but not the one inside "Mid-May"
+  const parts = rest
+    .replace(/\b(early|mid|late)-/g, '$1 ')
+    .split(/\s*(?:[-–]|\bto\b|\bthrough\b)\s*/)
+    .filter(Boolean);
+  if (parts.length < 1 || parts.length > 2) return null;
+
+  const start = parseDay(parts[0]);
+  const end = parseDay(parts[parts.length - 1]);
+  if (!start || !end) return null;
+
+  // A single month ("Jun") spans the whole month
+  if (start.day === null) start.day = 1;
+  if (end.day === null && end.nth == null) end.day = 'last';
+
+  return {
+    kind,
+    start,
+    end,
+    weekdays,
+    note,
+    approximate: start.approximate || end.approximate,
+    raw: raw.trim(),
+  };
+}
+
+// Segments split on "," and ";", but not inside a "(Sat, Sun)" note
+function splitSegments(raw) {
+  const segments = [];
+  let depth = 0;
+  let current = '';
+  for (const ch of raw) {
+    if (ch === '(') depth++;
+    else if (ch === ')') depth = Math.max(0, depth - 1);
+    if ((ch === ',' || ch === ';') && depth === 0) {
+      segments.push(current);
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  segments.push(current);
+  return segments;
+}
+
+/**
+ * Parse a season string into structured windows
+ * @param {string} season - e.g. 'Sep 1 - Dec 14, Feb 1 - May 31'
+ * @returns {{ raw: string, yearRound: boolean, windows: Object[], unparsed: string[] }}
+ */
+export function parseSeason(season) {
+  const raw = season || '';
+  const result = { raw, yearRound: false, windows: [], unparsed: [] };
+  const normalized = raw.trim().toLowerCase();
+
+  if (!normalized) {
+    result.unparsed.push(raw);
+    return result;
+  }
+  if (/^(year[\s-]round|all year|open all year)$/.test(normalized)) {
+    result.yearRound = true;
+    return result;
+  }
+  if (/^closed$/.test(normalized)) {
+    result.windows.push({
+      kind: 'closed',
+      start: { month: 0, day: 1, approximate: false },
+      end: { month: 11, day: 31, approximate: false },
+      weekdays: null,
+      note: null,
+      approximate: false,
+      raw,
+    });
+    return result;
+  }
+
+  for (const segment of splitSegments(raw)) {
+    if (!segment.trim()) continue;
+    const window = parseSegment(segment);
+    if (window) result.windows.push(window);
+    else result.unparsed.push(segment.trim());
+  }
+  return result;
+}
+
+// ── Evaluation ──────────────────────────
+
+function dayNumber(year, month, day) {
+  return Math.floor(Date.UTC(year, month, day) / DAY_MS);
+}
+
+function toDayNumber(date) {
+  return dayNumber(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+function fromDayNumber(n) {
+  const d = new Date(n * DAY_MS);
+  return new Date(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate());
+}
+
+function resolveDay(spec, year) {
+  if (spec.nth != null) {
+    if (spec.nth > 0) {
+      const firstDow = new Date(Date.UTC(year, spec.month, 1)).getUTCDay();
+      const offset = (spec.weekday - firstDow + 7) % 7;
+      return dayNumber(year, spec.month, 1 + offset + (spec.nth - 1) * 7);
+    }
+    const lastDate = new Date(Date.UTC(year, spec.month + 1, 0));
+    const offset = (lastDate.getUTCDay() - spec.weekday + 7) % 7;
+    return dayNumber(year, spec.month, lastDate.getUTCDate() - offset);
+  }
+  if (spec.day === 'last') return dayNumber(year, spec.month + 1, 0);
+  return dayNumber(year, spec.month, spec.day);
+}
+
+/**
+ * Concrete [start, end] day-number intervals for a window that begins in
+ * the given year. Windows whose end precedes their start wrap into year+1.
+ */
+function windowInterval(window, year) {
+  const start = resolveDay(window.start, year);
+  let end = resolveDay(window.end, year);
+  if (end < start) end = resolveDay(window.end, year + 1);
+  return [start, end];
+}
+
+function windowCovers(window, day) {
+  const year = new Date(day * DAY_MS).getUTCFullYear();
+  for (const y of [year - 1, year]) {
+    const [start, end] = windowInterval(window, y);
+    if (day >= start && day <= end) {
+      if (!window.weekdays) return true;
+      return window.weekdays.includes(new Date(day * DAY_MS).getUTCDay());
+    }
+  }
+  return false;
+}
+
+function isOpenOnDay(parsed, day) {
+  if (parsed.yearRound) return true;
+  const open = parsed.windows.filter(w => w.kind === 'open');
+  const closed = parsed.windows.filter(w => w.kind === 'closed');
+  if (closed.some(w => windowCovers(w, day))) return false;
+  if (open.length === 0) return true;
+  return open.some(w => windowCovers(w, day));
+}
+
+/**
+ * Evaluate a season on a date
+ * @param {string|Object} season - Season string or parseSeason() result
+ * @param {Date} [date]
+ * @returns {{
+ *   open: boolean|null,   // null when nothing in the string could be parsed
+ *   exact: boolean,       // false if any part was vague or unparseable
+ *   yearRound: boolean,
+ *   changeType: 'opens'|'closes'|null,
+ *   nextChange: Date|null,  // first day the open/closed state flips
+ *   daysUntilChange: number|null,
+ *   lastOpenDay: Date|null, // when open: last day before closing
+ * }}
+ */
+export function evaluateSeason(season, date = new Date()) {
+  const parsed = typeof season === 'string' ? parseSeason(season) : season;
+  const base = {
+    open: null,
+    exact: false,
+    yearRound: parsed.yearRound,
+    changeType: null,
+    nextChange: null,
+    daysUntilChange: null,
+    lastOpenDay: null,
+  };
+
+  if (parsed.yearRound) return { ...base, open: true, exact: true };
+  if (parsed.windows.length === 0) return base;
+
+  const today = toDayNumber(date);
+  const open = isOpenOnDay(parsed, today);
+  const exact =
+    parsed.unparsed.length === 0 && !parsed.windows.some(w => w.approximate);
+
+  // Scan forward a little over a year for the next flip
+  for (let i = 1; i <= 370; i++) {
+    if (isOpenOnDay(parsed, today + i) !== open) {
+      return {
+        ...base,
+        open,
+        exact,
+        changeType: open ? 'closes' : 'opens',
+        nextChange: fromDayNumber(today + i),
+        daysUntilChange: i,
+        lastOpenDay: open ? fromDayNumber(today + i - 1) : null,
+      };
+    }
+  }
+  return { ...base, open, exact };
+}
+
+/**
+ * Human-readable summary, e.g. "closes in 9 days" / "opens Feb 1"
+ */
+export function describeSeasonStatus(status) {
+  if (!status || status.open === null) return 'Season varies — check dates';
+  if (status.yearRound) return 'Open year-round';
+  if (!status.nextChange) return status.open ? 'Open' : 'Closed';
+
+  const when = status.nextChange.toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+  });
+  const days = status.daysUntilChange;
+  const prefix = status.exact ? '' : '~';
+  if (status.open) {
+    if (days === 1) return `${prefix}Closes tomorrow`;
+    return `${prefix}Closes in ${days} days`;
+  }
+  if (days === 1) return `${prefix}Opens tomorrow`;
+  return `${prefix}Closed — opens ${when}`;
+}
+
+export default { parseSeason, evaluateSeason, describeSeasonStatus };